@@ -19,5 +19,7 @@ module.exports = {
     },
     // Add other workers as needed, e.g.:
     // { name: 'withdrawal-enqueue', script: 'node', args: '--import tsx src/index-withdrawal-enqueue.ts', ... },
+    // Or run several workers in one process (list in SUPERVISOR_WORKERS or worker_configs.supervisor_workers):
+    // { name: 'worker-supervisor', script: 'node', args: '--import tsx src/index-supervisor.ts', ... },
   ],
 };
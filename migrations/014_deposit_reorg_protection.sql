@@ -0,0 +1,28 @@
+-- Reorg protection for deposit detection and confirmation
+--
+-- deposits.status gains 'orphaned': the confirmation worker re-verifies every deposit at
+-- threshold time and moves it to 'orphaned' (never credited) when the transaction or its
+-- Transfer log is no longer in the canonical chain. If the transfer is re-included, the
+-- deposit worker resets the row to 'pending' when it rescans the block.
+
+-- Block hash the deposit was seen in (null for sources that don't expose it, e.g. TronGrid events)
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS block_hash TEXT;
+
+-- When the deposit was found to be reorged out
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS orphaned_at TIMESTAMPTZ;
+
+-- Hash of the last processed block; the next scan checks its parent hash against this
+ALTER TABLE worker_chain_state
+ADD COLUMN IF NOT EXISTS last_processed_block_hash TEXT;
+
+-- Orphaned deposits are reviewed by ops
+CREATE INDEX IF NOT EXISTS idx_deposits_status_orphaned
+ON deposits(status)
+WHERE status = 'orphaned';
+
+COMMENT ON COLUMN deposits.status IS 'pending | confirmed | orphaned (reorged out of the canonical chain, never credited)';
+COMMENT ON COLUMN deposits.block_hash IS 'Hash of the block the deposit was included in (re-verified at confirmation time)';
+COMMENT ON COLUMN deposits.orphaned_at IS 'Timestamp when the deposit was found to be reorged out';
+COMMENT ON COLUMN worker_chain_state.last_processed_block_hash IS 'Hash of last_processed_block; a parent-hash mismatch on the next block rewinds the cursor';
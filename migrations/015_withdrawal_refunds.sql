@@ -0,0 +1,151 @@
+-- =====================================================
+-- Migration: Withdrawal refunds
+-- Purpose: Return a user's debited funds when a withdrawal terminally fails (idempotent per request)
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — withdrawal_refunds (ledger of refunds)
+-- =====================================================
+
+-- One row per refunded withdrawal_request. The UNIQUE constraint is what makes the
+-- refund idempotent: retries of the same failure can never credit the user twice.
+
+CREATE TABLE IF NOT EXISTS public.withdrawal_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  withdrawal_request_id UUID NOT NULL REFERENCES withdrawal_requests(id) ON DELETE RESTRICT,
+  withdrawal_queue_id UUID REFERENCES withdrawal_queue(id) ON DELETE SET NULL,
+  uid UUID NOT NULL,
+  asset_id UUID NOT NULL,
+  amount_human NUMERIC(28,18) NOT NULL,
+  reason TEXT,
+  refunded_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT withdrawal_refunds_request_unique UNIQUE (withdrawal_request_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_refunds_uid ON withdrawal_refunds(uid);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_refunds_created_at ON withdrawal_refunds(created_at);
+
+COMMENT ON TABLE withdrawal_refunds IS 'Ledger of balance refunds for terminally failed withdrawals; at most one per withdrawal_request';
+COMMENT ON COLUMN withdrawal_refunds.withdrawal_queue_id IS 'Execution job whose failure triggered the refund (NULL if refunded manually)';
+COMMENT ON COLUMN withdrawal_refunds.amount_human IS 'Amount credited back to user_asset_balance.available_balance_human';
+COMMENT ON COLUMN withdrawal_refunds.refunded_by IS 'Worker id (or operator) that issued the refund';
+
+-- =====================================================
+-- PART 2 — withdrawal_requests.refunded_at
+-- =====================================================
+
+ALTER TABLE withdrawal_requests
+ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN withdrawal_requests.refunded_at IS 'Timestamp when the debited amount was returned to the user (see withdrawal_refunds)';
+
+-- Refund decision for a failed request. 'due' is set only when the failure is known to have
+-- happened before anything was broadcast; the withdrawal workers retry 'due' refunds until
+-- refunded_at is set. 'manual_review' means the broadcast outcome is unknown - check the chain.
+ALTER TABLE withdrawal_requests
+ADD COLUMN IF NOT EXISTS refund_status TEXT CHECK (refund_status IN ('due', 'manual_review')),
+ADD COLUMN IF NOT EXISTS refund_reason TEXT,
+ADD COLUMN IF NOT EXISTS refund_queue_id UUID REFERENCES withdrawal_queue(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS refund_last_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_refund_due
+ON withdrawal_requests(updated_at)
+WHERE refund_status = 'due' AND refunded_at IS NULL;
+
+COMMENT ON COLUMN withdrawal_requests.refund_status IS 'due = refund owed and retried until refunded_at is set; manual_review = failed after a possible broadcast, not refunded automatically';
+COMMENT ON COLUMN withdrawal_requests.refund_reason IS 'Failure reason passed to refund_withdrawal_request';
+COMMENT ON COLUMN withdrawal_requests.refund_queue_id IS 'Execution job whose failure set refund_status';
+COMMENT ON COLUMN withdrawal_requests.refund_last_error IS 'Error of the last failed refund attempt';
+
+-- =====================================================
+-- PART 3 — refund_withdrawal_request RPC
+-- =====================================================
+
+-- Mirrors credit_user_asset_balance, plus:
+--   * row lock on the withdrawal_request so concurrent callers serialize
+--   * refuses completed requests (funds actually left the hot wallet)
+--   * returns already_refunded = true instead of crediting again
+-- withdrawal_requests may carry amount or amount_human, and asset_id or asset_on_chain_id;
+-- both spellings are read through to_jsonb so the function does not depend on either column existing.
+
+CREATE OR REPLACE FUNCTION refund_withdrawal_request(
+  p_withdrawal_request_id UUID,
+  p_withdrawal_queue_id UUID DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL,
+  p_refunded_by TEXT DEFAULT NULL
+) RETURNS TABLE (
+  refund_id UUID,
+  already_refunded BOOLEAN,
+  uid UUID,
+  asset_id UUID,
+  amount_human NUMERIC
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_request JSONB;
+  v_uid UUID;
+  v_asset_id UUID;
+  v_amount NUMERIC;
+  v_existing withdrawal_refunds%ROWTYPE;
+  v_refund_id UUID;
+BEGIN
+  SELECT to_jsonb(wr) INTO v_request
+  FROM withdrawal_requests wr
+  WHERE wr.id = p_withdrawal_request_id
+  FOR UPDATE;
+
+  IF v_request IS NULL THEN
+    RAISE EXCEPTION 'withdrawal_request % not found', p_withdrawal_request_id;
+  END IF;
+
+  -- Idempotency: already refunded -> return existing row, no credit
+  SELECT * INTO v_existing
+  FROM withdrawal_refunds r
+  WHERE r.withdrawal_request_id = p_withdrawal_request_id;
+
+  IF FOUND THEN
+    RETURN QUERY SELECT v_existing.id, true, v_existing.uid, v_existing.asset_id, v_existing.amount_human;
+    RETURN;
+  END IF;
+
+  IF v_request->>'status' = 'completed' THEN
+    RAISE EXCEPTION 'withdrawal_request % is completed and cannot be refunded', p_withdrawal_request_id;
+  END IF;
+
+  v_uid := (v_request->>'user_id')::UUID;
+  v_amount := COALESCE((v_request->>'amount_human')::NUMERIC, (v_request->>'amount')::NUMERIC);
+  v_asset_id := (v_request->>'asset_id')::UUID;
+
+  IF v_asset_id IS NULL AND v_request->>'asset_on_chain_id' IS NOT NULL THEN
+    SELECT aoc.asset_id INTO v_asset_id
+    FROM asset_on_chain aoc
+    WHERE aoc.id = (v_request->>'asset_on_chain_id')::UUID;
+  END IF;
+
+  IF v_uid IS NULL OR v_asset_id IS NULL OR v_amount IS NULL OR v_amount <= 0 THEN
+    RAISE EXCEPTION 'withdrawal_request % is missing user, asset or a positive amount', p_withdrawal_request_id;
+  END IF;
+
+  INSERT INTO withdrawal_refunds (
+    withdrawal_request_id, withdrawal_queue_id, uid, asset_id, amount_human, reason, refunded_by
+  ) VALUES (
+    p_withdrawal_request_id, p_withdrawal_queue_id, v_uid, v_asset_id, v_amount, p_reason, p_refunded_by
+  )
+  RETURNING id INTO v_refund_id;
+
+  INSERT INTO user_asset_balance (uid, asset_id, available_balance_human)
+  VALUES (v_uid, v_asset_id, v_amount)
+  ON CONFLICT (uid, asset_id)
+  DO UPDATE SET
+    available_balance_human = user_asset_balance.available_balance_human + v_amount;
+
+  UPDATE withdrawal_requests
+  SET refunded_at = NOW()
+  WHERE id = p_withdrawal_request_id;
+
+  RETURN QUERY SELECT v_refund_id, false, v_uid, v_asset_id, v_amount;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION refund_withdrawal_request(UUID, UUID, TEXT, TEXT) TO authenticated;
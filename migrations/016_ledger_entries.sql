@@ -0,0 +1,429 @@
+-- =====================================================
+-- Migration: Double-entry ledger
+-- Purpose: Every balance movement (deposit credit, withdrawal debit, refund, network fee)
+--          writes balanced debit/credit rows that reconcile to user_asset_balance
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — Accounts (documentation)
+-- =====================================================
+
+-- ledger_entries.account:
+--
+-- 'user'                 → user's available balance (liability, per uid); credit increases
+-- 'custody'              → on-chain funds we hold (deposit addresses + operation wallets); debit increases
+-- 'withdrawals_clearing' → debited from users, not yet settled on-chain
+-- 'network_fees'         → gas / energy spent by operation wallets (expense)
+--
+-- Postings:
+--   deposit_credit      Dr custody               / Cr user
+--   withdrawal_debit    Dr user                  / Cr withdrawals_clearing
+--   withdrawal_settle   Dr withdrawals_clearing  / Cr custody
+--   withdrawal_refund   Dr withdrawals_clearing  / Cr user
+--   network_fee         Dr network_fees          / Cr custody   (native asset)
+--
+-- No enum constraint - maintained by the RPCs below
+
+-- =====================================================
+-- PART 2 — ledger_transactions / ledger_entries
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.ledger_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key TEXT NOT NULL,
+  kind VARCHAR(30) NOT NULL,
+  reference_type VARCHAR(30) NOT NULL,
+  reference_id UUID NOT NULL,
+  metadata JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT ledger_transactions_idempotency_key_unique UNIQUE (idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_reference
+  ON ledger_transactions(reference_type, reference_id);
+
+CREATE TABLE IF NOT EXISTS public.ledger_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL REFERENCES ledger_transactions(id) ON DELETE RESTRICT,
+  account VARCHAR(30) NOT NULL,
+  uid UUID,
+  asset_id UUID NOT NULL,
+  direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amount_human NUMERIC(28,18) NOT NULL CHECK (amount_human > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT ledger_entries_user_uid CHECK (account <> 'user' OR uid IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_asset
+  ON ledger_entries(uid, asset_id)
+  WHERE account = 'user';
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account_asset ON ledger_entries(account, asset_id);
+
+COMMENT ON TABLE ledger_transactions IS 'One balanced posting (deposit credit, withdrawal debit/settle, refund, network fee); idempotent on idempotency_key';
+COMMENT ON COLUMN ledger_transactions.idempotency_key IS 'e.g. deposit:<deposit_id>, withdrawal_debit:<request_id>; a repeated post returns the existing transaction';
+COMMENT ON COLUMN ledger_transactions.reference_type IS 'deposit | withdrawal_request | withdrawal_queue';
+COMMENT ON TABLE ledger_entries IS 'Append-only debit/credit rows; per transaction and asset, debits = credits';
+COMMENT ON COLUMN ledger_entries.account IS 'user | custody | withdrawals_clearing | network_fees';
+COMMENT ON COLUMN ledger_entries.uid IS 'Set for account = user';
+
+-- =====================================================
+-- PART 3 — post_ledger_transaction (generic, balanced, idempotent)
+-- =====================================================
+
+-- p_entries: [{ "account": "user", "uid": "...", "asset_id": "...", "direction": "credit", "amount": "1.5" }, ...]
+-- Does NOT touch user_asset_balance; the specific RPCs below do that in the same transaction.
+
+CREATE OR REPLACE FUNCTION post_ledger_transaction(
+  p_idempotency_key TEXT,
+  p_kind TEXT,
+  p_reference_type TEXT,
+  p_reference_id UUID,
+  p_entries JSONB,
+  p_metadata JSONB DEFAULT NULL
+) RETURNS TABLE (
+  transaction_id UUID,
+  already_posted BOOLEAN
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_transaction_id UUID;
+  v_unbalanced UUID;
+BEGIN
+  IF jsonb_typeof(p_entries) <> 'array' OR jsonb_array_length(p_entries) < 2 THEN
+    RAISE EXCEPTION 'ledger transaction % needs at least two entries', p_idempotency_key;
+  END IF;
+
+  SELECT (e->>'asset_id')::UUID INTO v_unbalanced
+  FROM jsonb_array_elements(p_entries) e
+  GROUP BY (e->>'asset_id')::UUID
+  HAVING SUM(CASE WHEN e->>'direction' = 'debit' THEN (e->>'amount')::NUMERIC ELSE 0 END)
+      <> SUM(CASE WHEN e->>'direction' = 'credit' THEN (e->>'amount')::NUMERIC ELSE 0 END)
+  LIMIT 1;
+
+  IF v_unbalanced IS NOT NULL THEN
+    RAISE EXCEPTION 'ledger transaction % is unbalanced for asset %', p_idempotency_key, v_unbalanced;
+  END IF;
+
+  INSERT INTO ledger_transactions (idempotency_key, kind, reference_type, reference_id, metadata)
+  VALUES (p_idempotency_key, p_kind, p_reference_type, p_reference_id, p_metadata)
+  ON CONFLICT (idempotency_key) DO NOTHING
+  RETURNING id INTO v_transaction_id;
+
+  IF v_transaction_id IS NULL THEN
+    SELECT lt.id INTO v_transaction_id
+    FROM ledger_transactions lt
+    WHERE lt.idempotency_key = p_idempotency_key;
+
+    RETURN QUERY SELECT v_transaction_id, true;
+    RETURN;
+  END IF;
+
+  INSERT INTO ledger_entries (transaction_id, account, uid, asset_id, direction, amount_human)
+  SELECT
+    v_transaction_id,
+    e->>'account',
+    (e->>'uid')::UUID,
+    (e->>'asset_id')::UUID,
+    e->>'direction',
+    (e->>'amount')::NUMERIC
+  FROM jsonb_array_elements(p_entries) e;
+
+  RETURN QUERY SELECT v_transaction_id, false;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 4 — Deposit credit
+-- =====================================================
+
+-- Replaces credit_user_asset_balance for deposits: posts Dr custody / Cr user and
+-- credits the balance only the first time (idempotent per deposit).
+-- Returns true if the balance was credited by this call.
+
+CREATE OR REPLACE FUNCTION ledger_credit_deposit(
+  p_deposit_id UUID,
+  p_uid UUID,
+  p_asset_id UUID,
+  p_amount NUMERIC
+) RETURNS BOOLEAN AS $$
+DECLARE
+  v_already BOOLEAN;
+BEGIN
+  SELECT r.already_posted INTO v_already
+  FROM post_ledger_transaction(
+    'deposit:' || p_deposit_id,
+    'deposit_credit',
+    'deposit',
+    p_deposit_id,
+    jsonb_build_array(
+      jsonb_build_object('account', 'custody', 'asset_id', p_asset_id, 'direction', 'debit', 'amount', p_amount),
+      jsonb_build_object('account', 'user', 'uid', p_uid, 'asset_id', p_asset_id, 'direction', 'credit', 'amount', p_amount)
+    )
+  ) r;
+
+  IF v_already THEN
+    RETURN false;
+  END IF;
+
+  PERFORM credit_user_asset_balance(p_uid, p_asset_id, p_amount);
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 5 — Withdrawals
+-- =====================================================
+
+-- uid / asset / amount of a withdrawal_request. withdrawal_requests may carry amount or
+-- amount_human, and asset_id or asset_on_chain_id; read through to_jsonb (see migration 015).
+
+CREATE OR REPLACE FUNCTION withdrawal_request_ledger_terms(
+  p_withdrawal_request_id UUID
+) RETURNS TABLE (
+  uid UUID,
+  asset_id UUID,
+  amount_human NUMERIC
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_request JSONB;
+  v_asset_id UUID;
+BEGIN
+  SELECT to_jsonb(wr) INTO v_request
+  FROM withdrawal_requests wr
+  WHERE wr.id = p_withdrawal_request_id;
+
+  IF v_request IS NULL THEN
+    RAISE EXCEPTION 'withdrawal_request % not found', p_withdrawal_request_id;
+  END IF;
+
+  v_asset_id := (v_request->>'asset_id')::UUID;
+  IF v_asset_id IS NULL AND v_request->>'asset_on_chain_id' IS NOT NULL THEN
+    SELECT aoc.asset_id INTO v_asset_id
+    FROM asset_on_chain aoc
+    WHERE aoc.id = (v_request->>'asset_on_chain_id')::UUID;
+  END IF;
+
+  RETURN QUERY SELECT
+    (v_request->>'user_id')::UUID,
+    v_asset_id,
+    COALESCE((v_request->>'amount_human')::NUMERIC, (v_request->>'amount')::NUMERIC);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Dr user / Cr withdrawals_clearing. The balance itself is debited by the backend when the
+-- user submits the request, so this only records it (idempotent per request).
+
+CREATE OR REPLACE FUNCTION ledger_post_withdrawal_debit(
+  p_withdrawal_request_id UUID
+) RETURNS UUID AS $$
+DECLARE
+  v_terms RECORD;
+  v_transaction_id UUID;
+BEGIN
+  SELECT * INTO v_terms FROM withdrawal_request_ledger_terms(p_withdrawal_request_id);
+
+  IF v_terms.uid IS NULL OR v_terms.asset_id IS NULL OR v_terms.amount_human IS NULL OR v_terms.amount_human <= 0 THEN
+    RAISE EXCEPTION 'withdrawal_request % is missing user, asset or a positive amount', p_withdrawal_request_id;
+  END IF;
+
+  SELECT r.transaction_id INTO v_transaction_id
+  FROM post_ledger_transaction(
+    'withdrawal_debit:' || p_withdrawal_request_id,
+    'withdrawal_debit',
+    'withdrawal_request',
+    p_withdrawal_request_id,
+    jsonb_build_array(
+      jsonb_build_object('account', 'user', 'uid', v_terms.uid, 'asset_id', v_terms.asset_id, 'direction', 'debit', 'amount', v_terms.amount_human),
+      jsonb_build_object('account', 'withdrawals_clearing', 'asset_id', v_terms.asset_id, 'direction', 'credit', 'amount', v_terms.amount_human)
+    )
+  ) r;
+
+  RETURN v_transaction_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Dr withdrawals_clearing / Cr custody once the transfer is confirmed on-chain.
+
+CREATE OR REPLACE FUNCTION ledger_post_withdrawal_settlement(
+  p_withdrawal_request_id UUID,
+  p_withdrawal_queue_id UUID
+) RETURNS UUID AS $$
+DECLARE
+  v_terms RECORD;
+  v_transaction_id UUID;
+BEGIN
+  PERFORM ledger_post_withdrawal_debit(p_withdrawal_request_id);
+
+  SELECT * INTO v_terms FROM withdrawal_request_ledger_terms(p_withdrawal_request_id);
+
+  SELECT r.transaction_id INTO v_transaction_id
+  FROM post_ledger_transaction(
+    'withdrawal_settle:' || p_withdrawal_request_id,
+    'withdrawal_settle',
+    'withdrawal_queue',
+    p_withdrawal_queue_id,
+    jsonb_build_array(
+      jsonb_build_object('account', 'withdrawals_clearing', 'asset_id', v_terms.asset_id, 'direction', 'debit', 'amount', v_terms.amount_human),
+      jsonb_build_object('account', 'custody', 'asset_id', v_terms.asset_id, 'direction', 'credit', 'amount', v_terms.amount_human)
+    ),
+    jsonb_build_object('withdrawal_request_id', p_withdrawal_request_id)
+  ) r;
+
+  RETURN v_transaction_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Dr network_fees / Cr custody, in the chain's native asset. One fee per reference (queue job).
+
+CREATE OR REPLACE FUNCTION ledger_post_network_fee(
+  p_reference_type TEXT,
+  p_reference_id UUID,
+  p_asset_id UUID,
+  p_amount NUMERIC,
+  p_tx_hash TEXT DEFAULT NULL
+) RETURNS UUID AS $$
+DECLARE
+  v_transaction_id UUID;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT r.transaction_id INTO v_transaction_id
+  FROM post_ledger_transaction(
+    'network_fee:' || p_reference_type || ':' || p_reference_id,
+    'network_fee',
+    p_reference_type,
+    p_reference_id,
+    jsonb_build_array(
+      jsonb_build_object('account', 'network_fees', 'asset_id', p_asset_id, 'direction', 'debit', 'amount', p_amount),
+      jsonb_build_object('account', 'custody', 'asset_id', p_asset_id, 'direction', 'credit', 'amount', p_amount)
+    ),
+    jsonb_build_object('tx_hash', p_tx_hash)
+  ) r;
+
+  RETURN v_transaction_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 6 — refund_withdrawal_request posts through the ledger
+-- =====================================================
+
+-- Same contract as migration 015; additionally records the withdrawal debit (if not yet
+-- posted) and the refund as Dr withdrawals_clearing / Cr user.
+
+CREATE OR REPLACE FUNCTION refund_withdrawal_request(
+  p_withdrawal_request_id UUID,
+  p_withdrawal_queue_id UUID DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL,
+  p_refunded_by TEXT DEFAULT NULL
+) RETURNS TABLE (
+  refund_id UUID,
+  already_refunded BOOLEAN,
+  uid UUID,
+  asset_id UUID,
+  amount_human NUMERIC
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_status TEXT;
+  v_terms RECORD;
+  v_existing withdrawal_refunds%ROWTYPE;
+  v_refund_id UUID;
+BEGIN
+  SELECT wr.status INTO v_status
+  FROM withdrawal_requests wr
+  WHERE wr.id = p_withdrawal_request_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'withdrawal_request % not found', p_withdrawal_request_id;
+  END IF;
+
+  -- Idempotency: already refunded -> return existing row, no credit
+  SELECT * INTO v_existing
+  FROM withdrawal_refunds r
+  WHERE r.withdrawal_request_id = p_withdrawal_request_id;
+
+  IF FOUND THEN
+    RETURN QUERY SELECT v_existing.id, true, v_existing.uid, v_existing.asset_id, v_existing.amount_human;
+    RETURN;
+  END IF;
+
+  IF v_status = 'completed' THEN
+    RAISE EXCEPTION 'withdrawal_request % is completed and cannot be refunded', p_withdrawal_request_id;
+  END IF;
+
+  SELECT * INTO v_terms FROM withdrawal_request_ledger_terms(p_withdrawal_request_id);
+
+  IF v_terms.uid IS NULL OR v_terms.asset_id IS NULL OR v_terms.amount_human IS NULL OR v_terms.amount_human <= 0 THEN
+    RAISE EXCEPTION 'withdrawal_request % is missing user, asset or a positive amount', p_withdrawal_request_id;
+  END IF;
+
+  INSERT INTO withdrawal_refunds (
+    withdrawal_request_id, withdrawal_queue_id, uid, asset_id, amount_human, reason, refunded_by
+  ) VALUES (
+    p_withdrawal_request_id, p_withdrawal_queue_id, v_terms.uid, v_terms.asset_id, v_terms.amount_human, p_reason, p_refunded_by
+  )
+  RETURNING id INTO v_refund_id;
+
+  PERFORM ledger_post_withdrawal_debit(p_withdrawal_request_id);
+
+  PERFORM post_ledger_transaction(
+    'withdrawal_refund:' || p_withdrawal_request_id,
+    'withdrawal_refund',
+    'withdrawal_request',
+    p_withdrawal_request_id,
+    jsonb_build_array(
+      jsonb_build_object('account', 'withdrawals_clearing', 'asset_id', v_terms.asset_id, 'direction', 'debit', 'amount', v_terms.amount_human),
+      jsonb_build_object('account', 'user', 'uid', v_terms.uid, 'asset_id', v_terms.asset_id, 'direction', 'credit', 'amount', v_terms.amount_human)
+    ),
+    jsonb_build_object('refund_id', v_refund_id, 'reason', p_reason)
+  );
+
+  PERFORM credit_user_asset_balance(v_terms.uid, v_terms.asset_id, v_terms.amount_human);
+
+  UPDATE withdrawal_requests
+  SET refunded_at = NOW()
+  WHERE id = p_withdrawal_request_id;
+
+  RETURN QUERY SELECT v_refund_id, false, v_terms.uid, v_terms.asset_id, v_terms.amount_human;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 7 — Reconciliation
+-- =====================================================
+
+-- Ledger balance of each user account vs user_asset_balance. A non-zero difference is either
+-- an in-flight withdrawal (debited by the backend, withdrawal_debit not yet posted) or drift.
+
+CREATE OR REPLACE VIEW ledger_user_balance_reconciliation AS
+SELECT
+  COALESCE(l.uid, b.uid) AS uid,
+  COALESCE(l.asset_id, b.asset_id) AS asset_id,
+  COALESCE(l.ledger_balance, 0) AS ledger_balance,
+  COALESCE(b.available_balance_human, 0) AS available_balance_human,
+  COALESCE(b.available_balance_human, 0) - COALESCE(l.ledger_balance, 0) AS difference
+FROM (
+  SELECT
+    uid,
+    asset_id,
+    SUM(CASE WHEN direction = 'credit' THEN amount_human ELSE -amount_human END) AS ledger_balance
+  FROM ledger_entries
+  WHERE account = 'user'
+  GROUP BY uid, asset_id
+) l
+FULL OUTER JOIN user_asset_balance b
+  ON b.uid = l.uid AND b.asset_id = l.asset_id;
+
+COMMENT ON VIEW ledger_user_balance_reconciliation IS 'Per (uid, asset): ledger user-account balance vs user_asset_balance.available_balance_human';
+
+GRANT EXECUTE ON FUNCTION post_ledger_transaction(TEXT, TEXT, TEXT, UUID, JSONB, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION ledger_credit_deposit(UUID, UUID, UUID, NUMERIC) TO authenticated;
+GRANT EXECUTE ON FUNCTION ledger_post_withdrawal_debit(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION ledger_post_withdrawal_settlement(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION ledger_post_network_fee(TEXT, UUID, UUID, NUMERIC, TEXT) TO authenticated;
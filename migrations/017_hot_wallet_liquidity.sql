@@ -0,0 +1,42 @@
+-- =====================================================
+-- Migration: Balance-aware hot wallet selection
+-- Purpose: Enqueue only routes a withdrawal to a hot wallet that can cover the amount and gas;
+--          otherwise the request waits in 'waiting_liquidity'
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — withdrawal_policies.gas_reserve_human
+-- =====================================================
+
+-- Native gas a hot wallet must hold per in-flight withdrawal of this asset
+-- (e.g. 0.0005 BNB for a BEP20 transfer, 30 TRX for a TRC20 transfer).
+-- NULL = only require a non-zero native balance.
+
+ALTER TABLE withdrawal_policies
+ADD COLUMN IF NOT EXISTS gas_reserve_human NUMERIC(28,18) NULL;
+
+COMMENT ON COLUMN withdrawal_policies.gas_reserve_human IS 'Native gas (human) a hot wallet must keep per in-flight withdrawal of this asset; NULL = any non-zero native balance';
+
+-- =====================================================
+-- PART 2 — withdrawal_requests status 'waiting_liquidity'
+-- =====================================================
+
+-- 'waiting_liquidity' → approved, but no active hot wallet is idle and holds enough of the asset
+--                       and native gas (after subtracting in-flight withdrawal_queue jobs).
+--                       The enqueue worker re-checks these periodically and moves them to 'queued'.
+--
+-- No enum constraint - maintained by application logic
+
+COMMENT ON COLUMN withdrawal_requests.status IS 'Intent lifecycle: pending → approved → (waiting_liquidity →) queued → completed / failed';
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_waiting_liquidity
+  ON withdrawal_requests(updated_at)
+  WHERE status = 'waiting_liquidity';
+
+-- =====================================================
+-- PART 3 — In-flight reservations lookup
+-- =====================================================
+
+-- Enqueue sums amount_raw of pending/processing/confirming jobs per hot wallet and asset
+CREATE INDEX IF NOT EXISTS idx_withdrawal_queue_wallet_asset_status
+  ON withdrawal_queue(operation_wallet_address_id, asset_on_chain_id, status);
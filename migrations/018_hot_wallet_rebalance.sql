@@ -0,0 +1,91 @@
+-- =====================================================
+-- Migration: Hot wallet rebalance (treasury → hot refills)
+-- Purpose: Top up hot wallets from a treasury operation wallet when withdrawals drain them
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — operation_wallet_addresses role 'treasury'
+-- =====================================================
+
+-- 'treasury' → cold/treasury operation wallet that funds hot wallet refills.
+--              Signed through the signer service like any other operation wallet.
+--
+-- No enum constraint - maintained by application logic
+
+COMMENT ON COLUMN operation_wallet_addresses.role IS 'Operation wallet role: hot (withdrawals), gas (gas top-ups), treasury (hot wallet refills)';
+
+-- =====================================================
+-- PART 2 — hot_wallet_thresholds
+-- =====================================================
+
+-- Per hot wallet and asset: refill when the on-chain balance drops below min_balance_human,
+-- sending enough from treasury to bring it back to target_balance_human.
+
+CREATE TABLE IF NOT EXISTS public.hot_wallet_thresholds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  operation_wallet_address_id UUID NOT NULL REFERENCES operation_wallet_addresses(id) ON DELETE CASCADE,
+  asset_on_chain_id UUID NOT NULL REFERENCES asset_on_chain(id) ON DELETE CASCADE,
+  min_balance_human NUMERIC(28,18) NOT NULL,
+  target_balance_human NUMERIC(28,18) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT hot_wallet_thresholds_wallet_asset_unique UNIQUE (operation_wallet_address_id, asset_on_chain_id),
+  CONSTRAINT hot_wallet_thresholds_target_gte_min CHECK (target_balance_human >= min_balance_human AND min_balance_human >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hot_wallet_thresholds_active
+  ON hot_wallet_thresholds(is_active)
+  WHERE is_active = true;
+
+COMMENT ON TABLE hot_wallet_thresholds IS 'Per-asset refill thresholds for hot operation wallets';
+COMMENT ON COLUMN hot_wallet_thresholds.min_balance_human IS 'Refill is planned when the hot wallet balance drops below this amount';
+COMMENT ON COLUMN hot_wallet_thresholds.target_balance_human IS 'Refill amount = target - current balance';
+
+-- =====================================================
+-- PART 3 — hot_wallet_rebalance_queue
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public.hot_wallet_rebalance_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain_id UUID NOT NULL REFERENCES chains(id),
+  asset_on_chain_id UUID NOT NULL REFERENCES asset_on_chain(id),
+  threshold_id UUID REFERENCES hot_wallet_thresholds(id) ON DELETE SET NULL,
+  source_operation_wallet_address_id UUID NOT NULL REFERENCES operation_wallet_addresses(id),
+  target_operation_wallet_address_id UUID NOT NULL REFERENCES operation_wallet_addresses(id),
+  to_address TEXT NOT NULL,
+  amount_raw TEXT NOT NULL,
+  amount_human NUMERIC(28,18) NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  tx_hash TEXT,
+  retry_count INTEGER NOT NULL DEFAULT 0,
+  max_retries INTEGER NOT NULL DEFAULT 5,
+  error_message TEXT,
+  network_fee_raw TEXT,
+  scheduled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- At most one active refill per hot wallet and asset ('reconcile' may have been broadcast)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hot_wallet_rebalance_queue_active_unique
+  ON hot_wallet_rebalance_queue(target_operation_wallet_address_id, asset_on_chain_id)
+  WHERE status IN ('pending', 'processing', 'confirming', 'reconcile');
+
+CREATE INDEX IF NOT EXISTS idx_hot_wallet_rebalance_queue_status_scheduled
+  ON hot_wallet_rebalance_queue(status, scheduled_at);
+
+CREATE INDEX IF NOT EXISTS idx_hot_wallet_rebalance_queue_source_status
+  ON hot_wallet_rebalance_queue(source_operation_wallet_address_id, asset_on_chain_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_hot_wallet_rebalance_queue_tx_hash
+  ON hot_wallet_rebalance_queue(tx_hash)
+  WHERE tx_hash IS NOT NULL;
+
+COMMENT ON TABLE hot_wallet_rebalance_queue IS 'Treasury → hot wallet refill jobs planned from hot_wallet_thresholds';
+COMMENT ON COLUMN hot_wallet_rebalance_queue.status IS 'pending → processing → confirming → confirmed / failed; reconcile = signer call failed after a possible broadcast, resolved manually';
+COMMENT ON COLUMN hot_wallet_rebalance_queue.source_operation_wallet_address_id IS 'Treasury operation wallet that sends the refill';
+COMMENT ON COLUMN hot_wallet_rebalance_queue.target_operation_wallet_address_id IS 'Hot operation wallet being refilled';
+COMMENT ON COLUMN hot_wallet_rebalance_queue.network_fee_raw IS 'Fee paid in the native asset (wei / sun), set on confirmation';
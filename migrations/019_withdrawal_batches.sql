@@ -0,0 +1,54 @@
+-- =====================================================
+-- Migration: Batched BEP20 withdrawal payouts
+-- Purpose: Group pending withdrawal_queue jobs for the same hot wallet and token into one
+--          multi-send contract call, while each job still confirms and finalizes on its own
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — withdrawal_batches
+-- =====================================================
+
+-- One row per multi-send transaction. Items are the withdrawal_queue rows pointing at it.
+
+CREATE TABLE IF NOT EXISTS public.withdrawal_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain_id UUID NOT NULL REFERENCES chains(id),
+  operation_wallet_address_id UUID NOT NULL REFERENCES operation_wallet_addresses(id),
+  asset_on_chain_id UUID NOT NULL REFERENCES asset_on_chain(id),
+  contract_address TEXT NOT NULL,
+  item_count INTEGER NOT NULL,
+  total_amount_raw TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing',
+  tx_hash TEXT,
+  error_message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  broadcast_at TIMESTAMPTZ,
+  finalized_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_batches_status ON withdrawal_batches(status);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_batches_tx_hash
+  ON withdrawal_batches(tx_hash)
+  WHERE tx_hash IS NOT NULL;
+
+COMMENT ON TABLE withdrawal_batches IS 'Multi-send transactions paying several withdrawal_queue jobs of one hot wallet and token';
+COMMENT ON COLUMN withdrawal_batches.status IS 'processing → confirming → confirmed / failed; reconcile = broadcast failed with an unknown outcome, items held for manual review';
+COMMENT ON COLUMN withdrawal_batches.contract_address IS 'Multi-send contract called by the hot wallet (needs a token allowance)';
+
+-- =====================================================
+-- PART 2 — withdrawal_queue batch membership
+-- =====================================================
+
+-- batch_index is the item's position in the recipients array of the contract call.
+-- Items of a batch share tx_hash; the confirmation worker checks each item's Transfer log.
+
+ALTER TABLE withdrawal_queue
+ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES withdrawal_batches(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS batch_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_queue_batch_id
+  ON withdrawal_queue(batch_id)
+  WHERE batch_id IS NOT NULL;
+
+COMMENT ON COLUMN withdrawal_queue.batch_id IS 'Multi-send batch this job is paid in (NULL = single transfer)';
+COMMENT ON COLUMN withdrawal_queue.batch_index IS 'Position of this job in the batch recipients array';
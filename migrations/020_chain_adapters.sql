@@ -0,0 +1,44 @@
+-- =====================================================
+-- Migration: Chain adapters
+-- Purpose: Any EVM chain row gets deposits, balance sync, gas top-up, consolidation and
+--          withdrawals through the generic EVM adapter, selected by chains.chain_type
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — chains.chain_type
+-- =====================================================
+
+-- 'evm'  → BSC, Ethereum, Polygon, Arbitrum, ... (EvmChainAdapter)
+-- 'tron' → TRON (TronChainAdapter)
+-- Workers fall back to the old name heuristic (name contains 'tron') while this is NULL.
+
+ALTER TABLE chains
+ADD COLUMN IF NOT EXISTS chain_type TEXT;
+
+UPDATE chains
+SET chain_type = CASE WHEN LOWER(name) LIKE '%tron%' THEN 'tron' ELSE 'evm' END
+WHERE chain_type IS NULL;
+
+ALTER TABLE chains
+ALTER COLUMN chain_type SET DEFAULT 'evm',
+ALTER COLUMN chain_type SET NOT NULL;
+
+ALTER TABLE chains
+DROP CONSTRAINT IF EXISTS chains_chain_type_check;
+
+ALTER TABLE chains
+ADD CONSTRAINT chains_chain_type_check CHECK (chain_type IN ('evm', 'tron'));
+
+COMMENT ON COLUMN chains.chain_type IS 'Chain family selecting the worker adapter: evm or tron';
+
+-- =====================================================
+-- PART 2 — chains.signer_chain
+-- =====================================================
+
+-- Value sent as `chain` to the signer service. NULL = chain name (e.g. 'bsc', 'tron').
+-- Set it when the signer keys an EVM network differently from chains.name.
+
+ALTER TABLE chains
+ADD COLUMN IF NOT EXISTS signer_chain TEXT;
+
+COMMENT ON COLUMN chains.signer_chain IS 'chain value for the signer service; NULL = chains.name';
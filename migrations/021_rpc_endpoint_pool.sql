@@ -0,0 +1,36 @@
+-- =====================================================
+-- Migration: RPC endpoint pool
+-- Purpose: Ordered fallback RPC endpoints per chain with health scoring, circuit breaking
+--          and a block height agreement check (src/chains/rpc-pool.ts)
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — chains.rpc_urls
+-- =====================================================
+
+-- Fallback endpoints tried after chains.rpc_url, in order. The pool prefers the primary but
+-- routes around endpoints that time out, rate limit or fall behind.
+-- Example: UPDATE chains SET rpc_urls = ARRAY['https://bsc-dataseed2.bnbchain.org', 'https://bsc.publicnode.com'] WHERE name = 'bsc';
+
+ALTER TABLE chains
+ADD COLUMN IF NOT EXISTS rpc_urls TEXT[];
+
+COMMENT ON COLUMN chains.rpc_urls IS 'Fallback RPC endpoints tried after rpc_url, in order (NULL = rpc_url only)';
+
+-- =====================================================
+-- PART 2 — chains.rpc_max_block_lag
+-- =====================================================
+
+-- Endpoints whose head is more than this many blocks behind the best endpoint are
+-- deprioritized. NULL = RPC_POOL_MAX_BLOCK_LAG (default 20).
+
+ALTER TABLE chains
+ADD COLUMN IF NOT EXISTS rpc_max_block_lag INTEGER;
+
+ALTER TABLE chains
+DROP CONSTRAINT IF EXISTS chains_rpc_max_block_lag_check;
+
+ALTER TABLE chains
+ADD CONSTRAINT chains_rpc_max_block_lag_check CHECK (rpc_max_block_lag IS NULL OR rpc_max_block_lag >= 0);
+
+COMMENT ON COLUMN chains.rpc_max_block_lag IS 'Max head lag (blocks) behind the best RPC endpoint before an endpoint is deprioritized (NULL = env default)';
@@ -0,0 +1,55 @@
+-- =====================================================
+-- Migration: Deposit watch set refresh
+-- Purpose: Change watermarks on user_wallet_addresses and asset_on_chain so running deposit
+--          workers pick up new addresses / assets without a restart, and know when an address
+--          was created (backfill start)
+-- =====================================================
+
+-- updated_at trigger function (also created in 012; repeated so this migration stands alone)
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 1 — user_wallet_addresses
+-- =====================================================
+
+ALTER TABLE user_wallet_addresses
+ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+ALTER TABLE user_wallet_addresses
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+COMMENT ON COLUMN user_wallet_addresses.created_at IS 'Address creation time; deposit workers backfill new addresses from the block at this time';
+COMMENT ON COLUMN user_wallet_addresses.updated_at IS 'Last change; deposit workers poll rows past their watermark';
+
+DROP TRIGGER IF EXISTS tr_user_wallet_addresses_updated_at ON user_wallet_addresses;
+CREATE TRIGGER tr_user_wallet_addresses_updated_at
+  BEFORE UPDATE ON user_wallet_addresses
+  FOR EACH ROW
+  EXECUTE PROCEDURE set_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_user_wallet_addresses_chain_updated_at
+  ON user_wallet_addresses(chain_id, updated_at);
+
+-- =====================================================
+-- PART 2 — asset_on_chain
+-- =====================================================
+
+ALTER TABLE asset_on_chain
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+COMMENT ON COLUMN asset_on_chain.updated_at IS 'Last change (listing, is_active toggle); deposit workers poll rows past their watermark';
+
+DROP TRIGGER IF EXISTS tr_asset_on_chain_updated_at ON asset_on_chain;
+CREATE TRIGGER tr_asset_on_chain_updated_at
+  BEFORE UPDATE ON asset_on_chain
+  FOR EACH ROW
+  EXECUTE PROCEDURE set_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_asset_on_chain_chain_updated_at
+  ON asset_on_chain(chain_id, updated_at);
@@ -0,0 +1,58 @@
+-- =====================================================
+-- Migration: Deposit rescan jobs
+-- Purpose: Targeted rescans of a block range (optionally limited to addresses / assets) run by
+--          the deposit workers next to the live scan, without moving worker_chain_state
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — deposit_rescan_jobs
+-- =====================================================
+
+-- Created by `npm run rescan:deposits` (support tickets) or by a deposit worker when a new
+-- address appears (reason 'address_backfill'). The deposit worker of the chain claims the job
+-- and scans it batch by batch; found deposits go through the normal idempotent insert
+-- (tx_hash + log_index), so rescanning a range twice never double-credits.
+
+CREATE TABLE IF NOT EXISTS public.deposit_rescan_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain_id UUID NOT NULL REFERENCES chains(id),
+  from_block BIGINT NOT NULL,
+  to_block BIGINT NOT NULL,
+  addresses TEXT[],
+  asset_on_chain_ids UUID[],
+  reason TEXT,
+  requested_by TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  next_block BIGINT NOT NULL,
+  claimed_by TEXT,
+  deposits_found INTEGER NOT NULL DEFAULT 0,
+  deposits_inserted INTEGER NOT NULL DEFAULT 0,
+  report JSONB NOT NULL DEFAULT '[]'::jsonb,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT deposit_rescan_jobs_range_check CHECK (from_block >= 0 AND to_block >= from_block),
+  CONSTRAINT deposit_rescan_jobs_status_check CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_deposit_rescan_jobs_chain_status
+  ON deposit_rescan_jobs(chain_id, status, created_at)
+  WHERE status IN ('pending', 'running');
+
+COMMENT ON TABLE deposit_rescan_jobs IS 'Targeted deposit rescans of a block range, run by the chain deposit worker without touching its cursor';
+COMMENT ON COLUMN deposit_rescan_jobs.addresses IS 'Only transfers to these user addresses (NULL = every monitored address)';
+COMMENT ON COLUMN deposit_rescan_jobs.asset_on_chain_ids IS 'Only these assets (NULL = every active asset of the chain, native included)';
+COMMENT ON COLUMN deposit_rescan_jobs.status IS 'pending → running → completed / failed; cancelled by an operator';
+COMMENT ON COLUMN deposit_rescan_jobs.next_block IS 'First block not scanned yet; the job resumes here after a restart';
+COMMENT ON COLUMN deposit_rescan_jobs.deposits_found IS 'Deposits to monitored addresses seen in the range (new or already recorded)';
+COMMENT ON COLUMN deposit_rescan_jobs.deposits_inserted IS 'Deposits that were missing and got inserted (or revived from orphaned)';
+COMMENT ON COLUMN deposit_rescan_jobs.report IS 'Found deposits: [{ tx_hash, log_index, to_address, asset_on_chain_id, amount_raw, block_number, outcome }] (capped)';
+
+DROP TRIGGER IF EXISTS tr_deposit_rescan_jobs_updated_at ON deposit_rescan_jobs;
+CREATE TRIGGER tr_deposit_rescan_jobs_updated_at
+  BEFORE UPDATE ON deposit_rescan_jobs
+  FOR EACH ROW
+  EXECUTE PROCEDURE set_updated_at();
@@ -0,0 +1,96 @@
+-- =====================================================
+-- Migration: Per-asset deposit scan cursors
+-- Purpose: One worker_chain_state row per asset_on_chain so a failing token contract no longer
+--          holds back every other asset of the chain, and newly listed tokens can start from
+--          their listing block
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — worker_chain_state keyed by (chain, asset)
+-- =====================================================
+
+-- Rows with asset_on_chain_id set are the per-asset cursors the deposit workers scan from.
+-- The row with asset_on_chain_id NULL stays as the chain frontier: the highest block scanned by
+-- any asset, the upper bound for deposit rescan jobs and address backfills.
+
+ALTER TABLE worker_chain_state
+ADD COLUMN IF NOT EXISTS asset_on_chain_id UUID REFERENCES asset_on_chain(id) ON DELETE CASCADE;
+
+ALTER TABLE worker_chain_state
+ADD COLUMN IF NOT EXISTS id UUID NOT NULL DEFAULT gen_random_uuid();
+
+-- chain_id alone can no longer be the primary key
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM pg_constraint c
+    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+    WHERE c.conrelid = 'worker_chain_state'::regclass
+      AND c.contype = 'p'
+      AND a.attname = 'chain_id'
+  ) THEN
+    EXECUTE (
+      SELECT format('ALTER TABLE worker_chain_state DROP CONSTRAINT %I', conname)
+      FROM pg_constraint
+      WHERE conrelid = 'worker_chain_state'::regclass AND contype = 'p'
+    );
+    ALTER TABLE worker_chain_state ADD PRIMARY KEY (id);
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_worker_chain_state_chain_frontier
+ON worker_chain_state(chain_id)
+WHERE asset_on_chain_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_worker_chain_state_chain_asset
+ON worker_chain_state(chain_id, asset_on_chain_id)
+WHERE asset_on_chain_id IS NOT NULL;
+
+-- Error isolation: a failing asset keeps its cursor and records why
+ALTER TABLE worker_chain_state
+ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE worker_chain_state
+ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+ALTER TABLE worker_chain_state
+ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMPTZ;
+
+-- Seed per-asset cursors from the chain cursor so the upgrade neither skips nor rescans blocks
+INSERT INTO worker_chain_state (
+  chain_id,
+  asset_on_chain_id,
+  last_processed_block,
+  last_processed_block_hash,
+  updated_at
+)
+SELECT s.chain_id, a.id, s.last_processed_block, s.last_processed_block_hash, NOW()
+FROM worker_chain_state s
+JOIN asset_on_chain a ON a.chain_id = s.chain_id AND a.is_active = true
+WHERE s.asset_on_chain_id IS NULL
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- PART 2 — listing block of new assets
+-- =====================================================
+
+ALTER TABLE asset_on_chain
+ADD COLUMN IF NOT EXISTS scan_start_block BIGINT;
+
+ALTER TABLE asset_on_chain
+DROP CONSTRAINT IF EXISTS chk_asset_on_chain_scan_start_block;
+
+ALTER TABLE asset_on_chain
+ADD CONSTRAINT chk_asset_on_chain_scan_start_block
+CHECK (scan_start_block IS NULL OR scan_start_block >= 0);
+
+-- =====================================================
+-- PART 3 — Comments
+-- =====================================================
+
+COMMENT ON COLUMN worker_chain_state.asset_on_chain_id IS 'Asset this cursor belongs to; NULL for the chain frontier row (highest block scanned by any asset)';
+COMMENT ON COLUMN worker_chain_state.consecutive_failures IS 'Failed scans of this asset since its cursor last advanced';
+COMMENT ON COLUMN worker_chain_state.last_error IS 'Error of the last failed scan of this asset (cleared when the cursor advances)';
+COMMENT ON COLUMN worker_chain_state.last_error_at IS 'When the last scan of this asset failed';
+COMMENT ON COLUMN asset_on_chain.scan_start_block IS 'Block the deposit scanner starts a newly listed asset from (its listing block); NULL = the chain frontier. Only read when the asset has no cursor yet';
@@ -0,0 +1,20 @@
+-- =====================================================
+-- Migration: Streaming deposit detection
+-- Purpose: WebSocket endpoint per chain for the optional streaming mode of the deposit workers
+--          (DEPOSIT_STREAMING=true), which records deposits as 'pending' as soon as their block
+--          reaches the head
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — chains.ws_url
+-- =====================================================
+
+-- EVM chains subscribe to new heads over this endpoint; without it (and on TRON) the stream polls
+-- the head every DEPOSIT_STREAM_POLL_MS. The confirmation threshold is unchanged: streamed
+-- deposits are only credited by the confirmation worker after re-verification.
+-- Example: UPDATE chains SET ws_url = 'wss://bsc-rpc.publicnode.com' WHERE name = 'bsc';
+
+ALTER TABLE chains
+ADD COLUMN IF NOT EXISTS ws_url TEXT;
+
+COMMENT ON COLUMN chains.ws_url IS 'WebSocket RPC endpoint for head subscriptions in streaming deposit mode (NULL = poll the head over HTTP)';
@@ -0,0 +1,50 @@
+-- =====================================================
+-- Migration: Minimum deposit amounts and dust handling
+-- Purpose: Per-asset minimum deposit; deposits below it are recorded as 'below_minimum' and
+--          never credited, optionally released for crediting once the dust of a deposit
+--          address adds up to the minimum
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — asset_on_chain minimums
+-- =====================================================
+
+-- Example: UPDATE asset_on_chain SET min_deposit_human = 1, aggregate_dust = true WHERE id = '<usdt on bsc>';
+
+ALTER TABLE asset_on_chain
+ADD COLUMN IF NOT EXISTS min_deposit_human NUMERIC(28,18);
+
+ALTER TABLE asset_on_chain
+ADD COLUMN IF NOT EXISTS aggregate_dust BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE asset_on_chain
+DROP CONSTRAINT IF EXISTS asset_on_chain_min_deposit_human_check;
+
+ALTER TABLE asset_on_chain
+ADD CONSTRAINT asset_on_chain_min_deposit_human_check CHECK (min_deposit_human IS NULL OR min_deposit_human >= 0);
+
+-- =====================================================
+-- PART 2 — deposits.status 'below_minimum'
+-- =====================================================
+
+-- The deposit workers insert deposits under the minimum as 'below_minimum'. The confirmation
+-- worker only picks up 'pending', so they are never credited and never reach balances or rule
+-- execution. With aggregate_dust, once the below-minimum deposits of one deposit address and
+-- asset sum to the minimum, the deposit worker moves them all to 'pending' (dust_released_at)
+-- and each is re-verified and credited like any other deposit.
+
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS dust_released_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_deposits_below_minimum
+ON deposits(chain_id, asset_on_chain_id, to_address)
+WHERE status = 'below_minimum';
+
+-- =====================================================
+-- PART 3 — Comments
+-- =====================================================
+
+COMMENT ON COLUMN asset_on_chain.min_deposit_human IS 'Minimum deposit amount; smaller deposits are recorded as below_minimum and not credited (NULL or 0 = no minimum)';
+COMMENT ON COLUMN asset_on_chain.aggregate_dust IS 'Credit below_minimum deposits of a deposit address once their sum reaches min_deposit_human';
+COMMENT ON COLUMN deposits.status IS 'pending | confirmed | orphaned (reorged out of the canonical chain, never credited) | below_minimum (under asset_on_chain.min_deposit_human, not credited)';
+COMMENT ON COLUMN deposits.dust_released_at IS 'When this below_minimum deposit was moved to pending because the dust of its address reached the minimum';
@@ -0,0 +1,66 @@
+-- =====================================================
+-- Migration: Suspicious inbound transfers
+-- Purpose: Hold transfers to deposit addresses that look like address poisoning or fake tokens
+--          for review instead of recording them as deposits
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — suspicious_transfers
+-- =====================================================
+
+-- The deposit workers screen every inbound transfer before it becomes a deposit:
+--   lookalike_address    sender shares the first and last POISONING_MATCH_CHARS characters of
+--                        the deposit address, one of its earlier senders or an operation wallet
+--   dust_from_new_sender zero amount from an address that never deposited here; for assets
+--                        without min_deposit_human also amounts below 10^-POISONING_DUST_DECIMALS
+--                        (smaller amounts below a minimum are recorded as below_minimum deposits)
+--   fake_token           unlisted token contract whose symbol imitates one of our assets
+-- Flagged transfers land here with review_status 'pending' and never reach deposits. A reviewer
+-- either confirms (stays out of deposits) or dismisses; a dismissed transfer of a listed asset is
+-- recorded as a normal deposit by the next scan of its block (deposit rescan job).
+
+CREATE TABLE IF NOT EXISTS suspicious_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain_id UUID NOT NULL REFERENCES chains(id),
+  asset_on_chain_id UUID REFERENCES asset_on_chain(id),
+  token_address TEXT,
+  token_symbol TEXT,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  amount_raw TEXT NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_timestamp TIMESTAMPTZ,
+  reason TEXT NOT NULL CHECK (reason IN ('lookalike_address', 'dust_from_new_sender', 'fake_token')),
+  details JSONB,
+  review_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (review_status IN ('pending', 'dismissed', 'confirmed')),
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (chain_id, tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suspicious_transfers_pending
+ON suspicious_transfers(created_at)
+WHERE review_status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_suspicious_transfers_to_address
+ON suspicious_transfers(chain_id, to_address);
+
+-- Prior senders of a deposit address (first-time sender check)
+CREATE INDEX IF NOT EXISTS idx_deposits_chain_to_address
+ON deposits(chain_id, to_address, created_at DESC);
+
+-- =====================================================
+-- PART 2 — Comments
+-- =====================================================
+
+COMMENT ON TABLE suspicious_transfers IS 'Inbound transfers held for review instead of being recorded as deposits (address poisoning, fake tokens)';
+COMMENT ON COLUMN suspicious_transfers.asset_on_chain_id IS 'Listed asset the transfer is in; NULL for fake tokens';
+COMMENT ON COLUMN suspicious_transfers.token_address IS 'Token contract; NULL for native transfers';
+COMMENT ON COLUMN suspicious_transfers.token_symbol IS 'symbol() of an unlisted token (fake_token only)';
+COMMENT ON COLUMN suspicious_transfers.reason IS 'lookalike_address | dust_from_new_sender | fake_token';
+COMMENT ON COLUMN suspicious_transfers.details IS 'Evidence for the reason: resembles (imitated address), dustThresholdRaw, imitates (normalized symbol)';
+COMMENT ON COLUMN suspicious_transfers.review_status IS 'pending | dismissed (false positive: recorded as a deposit when its block is rescanned) | confirmed (malicious, never credited)';
@@ -0,0 +1,61 @@
+-- =====================================================
+-- Migration: Sanctions / denylist screening
+-- Purpose: Locally loaded denylist that deposit senders and withdrawal destinations are
+--          screened against; denylisted deposits are quarantined instead of credited
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — screening_denylist
+-- =====================================================
+
+-- Loaded in bulk from CSV / JSON exports with `npm run import:denylist` (one source per list,
+-- e.g. 'ofac_sdn'; --replace deactivates entries that left the list). Matching is on
+-- address_key = lower(address); chain_id NULL denies the address on every chain.
+
+CREATE TABLE IF NOT EXISTS screening_denylist (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  address TEXT NOT NULL,
+  address_key TEXT GENERATED ALWAYS AS (lower(address)) STORED,
+  chain_id UUID REFERENCES chains(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,
+  reason TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_screening_denylist_source_address UNIQUE (source, address_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_screening_denylist_active_address
+ON screening_denylist(address_key)
+WHERE is_active = true;
+
+-- =====================================================
+-- PART 2 — deposits.status 'quarantined'
+-- =====================================================
+
+-- The confirmation worker screens the sender of every deposit before crediting it. A hit moves
+-- the deposit to 'quarantined' with the matching entries; it is never credited by the workers.
+-- Compliance decides by hand (e.g. back to 'pending' to credit after a false positive).
+
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS quarantined_at TIMESTAMPTZ;
+
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS screening_hits JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_deposits_status_quarantined
+ON deposits(quarantined_at)
+WHERE status = 'quarantined';
+
+-- =====================================================
+-- PART 3 — Comments
+-- =====================================================
+
+COMMENT ON TABLE screening_denylist IS 'Sanctioned / denied addresses; deposit senders and withdrawal destinations are screened against active entries';
+COMMENT ON COLUMN screening_denylist.address_key IS 'lower(address); what screening matches on';
+COMMENT ON COLUMN screening_denylist.chain_id IS 'Chain the entry applies to; NULL = every chain';
+COMMENT ON COLUMN screening_denylist.source IS 'List the entry was imported from (e.g. ofac_sdn, manual)';
+COMMENT ON COLUMN screening_denylist.is_active IS 'false once the address left its list (replace import) or was removed by hand';
+COMMENT ON COLUMN deposits.status IS 'pending | confirmed | orphaned (reorged out of the canonical chain, never credited) | below_minimum (under asset_on_chain.min_deposit_human, not credited) | quarantined (sender on screening_denylist, not credited)';
+COMMENT ON COLUMN deposits.quarantined_at IS 'When the confirmation worker quarantined this deposit on a screening hit';
+COMMENT ON COLUMN deposits.screening_hits IS 'screening_denylist entries the sender matched (entry_id, address, source, reason)';
@@ -0,0 +1,53 @@
+-- =====================================================
+-- Migration: Amount-tiered deposit confirmation policies
+-- Purpose: Per-asset confirmation requirements by deposit amount (fewer blocks for small
+--          deposits, more blocks or chain finality for large ones), recorded on each deposit
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — deposit_confirmation_policies
+-- =====================================================
+
+-- A deposit uses the enabled tier of its asset with the highest min_amount_human not above its
+-- amount; without one, chains.confirmation_threshold. Example for USDT on BSC:
+--   INSERT INTO deposit_confirmation_policies (asset_on_chain_id, min_amount_human, confirmations, require_finality)
+--   VALUES ('<usdt on bsc>', 0, 5, false),
+--          ('<usdt on bsc>', 10000, 30, false),
+--          ('<usdt on bsc>', 100000, 30, true);
+-- The deposit workers only record a deposit once it has chains.confirmation_threshold
+-- confirmations, so tiers below that threshold take effect with DEPOSIT_STREAMING=true.
+
+CREATE TABLE IF NOT EXISTS deposit_confirmation_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  asset_on_chain_id UUID NOT NULL REFERENCES asset_on_chain(id) ON DELETE CASCADE,
+  min_amount_human NUMERIC(28,18) NOT NULL DEFAULT 0,
+  confirmations INTEGER,
+  require_finality BOOLEAN NOT NULL DEFAULT false,
+  is_enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_deposit_confirmation_policies_tier UNIQUE (asset_on_chain_id, min_amount_human),
+  CONSTRAINT deposit_confirmation_policies_min_amount_check CHECK (min_amount_human >= 0),
+  CONSTRAINT deposit_confirmation_policies_confirmations_check CHECK (confirmations IS NULL OR confirmations >= 1)
+);
+
+-- =====================================================
+-- PART 2 — Applied policy on deposits
+-- =====================================================
+
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS required_confirmations INTEGER;
+
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS confirmation_policy JSONB;
+
+-- =====================================================
+-- PART 3 — Comments
+-- =====================================================
+
+COMMENT ON TABLE deposit_confirmation_policies IS 'Amount tiers of confirmation requirements per asset_on_chain; assets without tiers use chains.confirmation_threshold';
+COMMENT ON COLUMN deposit_confirmation_policies.min_amount_human IS 'Tier applies to deposits of at least this amount (the highest matching tier wins)';
+COMMENT ON COLUMN deposit_confirmation_policies.confirmations IS 'Blocks to wait before crediting; NULL = chains.confirmation_threshold';
+COMMENT ON COLUMN deposit_confirmation_policies.require_finality IS 'Also wait until the deposit block is final (EVM finalized tag, TRON solidified block)';
+COMMENT ON COLUMN deposits.required_confirmations IS 'Confirmations the applied policy requires';
+COMMENT ON COLUMN deposits.confirmation_policy IS 'Confirmation policy applied when the deposit was confirmed (policy_id, min_amount_human, confirmations, require_finality, source)';
@@ -0,0 +1,109 @@
+-- =====================================================
+-- Migration: Atomic deposit confirm-and-credit
+-- Purpose: Confirm a deposit, post its ledger credit and stamp credited_at in one transaction,
+--          so a crash can no longer leave confirmed-but-uncredited or credited-but-unstamped rows
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — confirm_and_credit_deposit
+-- =====================================================
+
+-- Called by the confirmation worker once a deposit passed its confirmation policy, re-verification
+-- and screening. Locks the deposit row, so concurrent workers serialize on it:
+--   pending             -> confirmed + credited (ledger_credit_deposit) + credited_at
+--   confirmed, no stamp -> credited + credited_at (rows left behind by the old three-step flow)
+--   credited_at set     -> already_credited, nothing changes
+--   any other status    -> not_pending (orphaned, quarantined, below_minimum), nothing changes
+-- The ledger posting is idempotent per deposit ('deposit:<id>'), so a deposit whose credit was
+-- posted but never stamped is stamped without a second credit (already_credited).
+-- A missing user address or asset raises, rolling everything back.
+
+CREATE OR REPLACE FUNCTION confirm_and_credit_deposit(
+  p_deposit_id UUID,
+  p_confirmations INTEGER,
+  p_block_hash TEXT DEFAULT NULL,
+  p_required_confirmations INTEGER DEFAULT NULL,
+  p_confirmation_policy JSONB DEFAULT NULL
+) RETURNS TABLE (
+  outcome TEXT,
+  uid UUID,
+  asset_id UUID,
+  amount_human NUMERIC
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_deposit deposits%ROWTYPE;
+  v_uid UUID;
+  v_asset_id UUID;
+  v_credited BOOLEAN;
+BEGIN
+  SELECT * INTO v_deposit
+  FROM deposits d
+  WHERE d.id = p_deposit_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT 'not_found'::TEXT, NULL::UUID, NULL::UUID, NULL::NUMERIC;
+    RETURN;
+  END IF;
+
+  IF v_deposit.credited_at IS NOT NULL THEN
+    RETURN QUERY SELECT 'already_credited'::TEXT, NULL::UUID, NULL::UUID, v_deposit.amount_human;
+    RETURN;
+  END IF;
+
+  IF v_deposit.status NOT IN ('pending', 'confirmed') THEN
+    RETURN QUERY SELECT 'not_pending'::TEXT, NULL::UUID, NULL::UUID, v_deposit.amount_human;
+    RETURN;
+  END IF;
+
+  SELECT uwa.uid INTO v_uid
+  FROM user_wallet_addresses uwa
+  WHERE uwa.address = v_deposit.to_address
+    AND uwa.chain_id = v_deposit.chain_id
+  LIMIT 1;
+
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'user address % not found for deposit %', v_deposit.to_address, p_deposit_id;
+  END IF;
+
+  SELECT aoc.asset_id INTO v_asset_id
+  FROM asset_on_chain aoc
+  WHERE aoc.id = v_deposit.asset_on_chain_id;
+
+  IF v_asset_id IS NULL THEN
+    RAISE EXCEPTION 'asset_on_chain % not found for deposit %', v_deposit.asset_on_chain_id, p_deposit_id;
+  END IF;
+
+  IF v_deposit.status = 'pending' THEN
+    UPDATE deposits d
+    SET status = 'confirmed',
+        confirmations = p_confirmations,
+        required_confirmations = COALESCE(p_required_confirmations, d.required_confirmations),
+        confirmation_policy = COALESCE(p_confirmation_policy, d.confirmation_policy),
+        block_hash = COALESCE(p_block_hash, d.block_hash),
+        confirmed_at = NOW()
+    WHERE d.id = p_deposit_id;
+  END IF;
+
+  v_credited := ledger_credit_deposit(p_deposit_id, v_uid, v_asset_id, v_deposit.amount_human);
+
+  UPDATE deposits d
+  SET credited_at = NOW()
+  WHERE d.id = p_deposit_id;
+
+  RETURN QUERY SELECT
+    CASE WHEN v_credited THEN 'credited' ELSE 'already_credited' END,
+    v_uid,
+    v_asset_id,
+    v_deposit.amount_human;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 2 — Comments and grants
+-- =====================================================
+
+COMMENT ON FUNCTION confirm_and_credit_deposit(UUID, INTEGER, TEXT, INTEGER, JSONB) IS 'Confirm a deposit, post its ledger credit and set credited_at in one transaction; never credits a deposit twice';
+
+GRANT EXECUTE ON FUNCTION confirm_and_credit_deposit(UUID, INTEGER, TEXT, INTEGER, JSONB) TO authenticated;
@@ -0,0 +1,270 @@
+-- =====================================================
+-- Migration: Pending (unconfirmed) deposit balances
+-- Purpose: Show in-flight deposits as user_asset_balance.pending_balance_human from detection
+--          until they are credited (moved to available) or reorged out / quarantined (reversed)
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — Columns
+-- =====================================================
+
+ALTER TABLE user_asset_balance
+ADD COLUMN IF NOT EXISTS pending_balance_human NUMERIC(28,18) NOT NULL DEFAULT 0;
+
+-- A deposit holds pending balance while pending_credited_at is set and pending_released_at is not
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS pending_credited_at TIMESTAMPTZ;
+
+ALTER TABLE deposits
+ADD COLUMN IF NOT EXISTS pending_released_at TIMESTAMPTZ;
+
+-- =====================================================
+-- PART 2 — Pending balance helpers
+-- =====================================================
+
+-- Owner (uid, asset_id) of a deposit; NULL uid when the deposit address is unknown
+CREATE OR REPLACE FUNCTION deposit_balance_owner(
+  p_deposit deposits
+) RETURNS TABLE (
+  uid UUID,
+  asset_id UUID
+) AS $$
+  SELECT
+    (SELECT uwa.uid
+     FROM user_wallet_addresses uwa
+     WHERE uwa.address = p_deposit.to_address
+       AND uwa.chain_id = p_deposit.chain_id
+     LIMIT 1),
+    (SELECT aoc.asset_id
+     FROM asset_on_chain aoc
+     WHERE aoc.id = p_deposit.asset_on_chain_id);
+$$ LANGUAGE sql STABLE;
+
+-- Add p_delta (may be negative) to pending_balance_human, never below zero
+CREATE OR REPLACE FUNCTION adjust_pending_balance(
+  p_uid UUID,
+  p_asset_id UUID,
+  p_delta NUMERIC
+) RETURNS void AS $$
+BEGIN
+  INSERT INTO user_asset_balance (uid, asset_id, available_balance_human, pending_balance_human)
+  VALUES (p_uid, p_asset_id, 0, GREATEST(p_delta, 0))
+  ON CONFLICT (uid, asset_id)
+  DO UPDATE SET
+    pending_balance_human = GREATEST(user_asset_balance.pending_balance_human + p_delta, 0);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deposit workers, after recording (or reviving) a deposit as pending.
+-- Returns true if pending balance was added by this call; false if already held or not pending.
+CREATE OR REPLACE FUNCTION add_deposit_pending_balance(
+  p_deposit_id UUID
+) RETURNS BOOLEAN AS $$
+DECLARE
+  v_deposit deposits%ROWTYPE;
+  v_uid UUID;
+  v_asset_id UUID;
+BEGIN
+  SELECT * INTO v_deposit
+  FROM deposits d
+  WHERE d.id = p_deposit_id
+  FOR UPDATE;
+
+  IF NOT FOUND
+    OR v_deposit.status <> 'pending'
+    OR v_deposit.credited_at IS NOT NULL
+    OR (v_deposit.pending_credited_at IS NOT NULL AND v_deposit.pending_released_at IS NULL) THEN
+    RETURN false;
+  END IF;
+
+  SELECT o.uid, o.asset_id INTO v_uid, v_asset_id FROM deposit_balance_owner(v_deposit) o;
+  IF v_uid IS NULL OR v_asset_id IS NULL THEN
+    RETURN false;
+  END IF;
+
+  PERFORM adjust_pending_balance(v_uid, v_asset_id, v_deposit.amount_human);
+
+  UPDATE deposits d
+  SET pending_credited_at = NOW(),
+      pending_released_at = NULL
+  WHERE d.id = p_deposit_id;
+
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Take a deposit's amount back out of pending balance (credited, orphaned or quarantined).
+-- Returns true if pending balance was released by this call.
+CREATE OR REPLACE FUNCTION release_deposit_pending_balance(
+  p_deposit_id UUID
+) RETURNS BOOLEAN AS $$
+DECLARE
+  v_deposit deposits%ROWTYPE;
+  v_uid UUID;
+  v_asset_id UUID;
+BEGIN
+  SELECT * INTO v_deposit
+  FROM deposits d
+  WHERE d.id = p_deposit_id
+  FOR UPDATE;
+
+  IF NOT FOUND
+    OR v_deposit.pending_credited_at IS NULL
+    OR v_deposit.pending_released_at IS NOT NULL THEN
+    RETURN false;
+  END IF;
+
+  SELECT o.uid, o.asset_id INTO v_uid, v_asset_id FROM deposit_balance_owner(v_deposit) o;
+  IF v_uid IS NOT NULL AND v_asset_id IS NOT NULL THEN
+    PERFORM adjust_pending_balance(v_uid, v_asset_id, -v_deposit.amount_human);
+  END IF;
+
+  UPDATE deposits d
+  SET pending_released_at = NOW()
+  WHERE d.id = p_deposit_id;
+
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 3 — Status changes that end a pending deposit
+-- =====================================================
+
+-- Confirmation worker: deposit reorged out of the canonical chain.
+-- Returns false when the deposit was no longer pending.
+CREATE OR REPLACE FUNCTION mark_deposit_orphaned(
+  p_deposit_id UUID
+) RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE deposits d
+  SET status = 'orphaned',
+      orphaned_at = NOW()
+  WHERE d.id = p_deposit_id
+    AND d.status = 'pending';
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  PERFORM release_deposit_pending_balance(p_deposit_id);
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Confirmation worker: deposit sender on the screening denylist (migration 028).
+-- Returns false when the deposit was no longer pending.
+CREATE OR REPLACE FUNCTION quarantine_deposit(
+  p_deposit_id UUID,
+  p_screening_hits JSONB
+) RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE deposits d
+  SET status = 'quarantined',
+      quarantined_at = NOW(),
+      screening_hits = p_screening_hits
+  WHERE d.id = p_deposit_id
+    AND d.status = 'pending';
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  PERFORM release_deposit_pending_balance(p_deposit_id);
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 4 — confirm_and_credit_deposit moves pending to available
+-- =====================================================
+
+-- Same as migration 030, plus release_deposit_pending_balance in the crediting transaction.
+
+CREATE OR REPLACE FUNCTION confirm_and_credit_deposit(
+  p_deposit_id UUID,
+  p_confirmations INTEGER,
+  p_block_hash TEXT DEFAULT NULL,
+  p_required_confirmations INTEGER DEFAULT NULL,
+  p_confirmation_policy JSONB DEFAULT NULL
+) RETURNS TABLE (
+  outcome TEXT,
+  uid UUID,
+  asset_id UUID,
+  amount_human NUMERIC
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_deposit deposits%ROWTYPE;
+  v_uid UUID;
+  v_asset_id UUID;
+  v_credited BOOLEAN;
+BEGIN
+  SELECT * INTO v_deposit
+  FROM deposits d
+  WHERE d.id = p_deposit_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT 'not_found'::TEXT, NULL::UUID, NULL::UUID, NULL::NUMERIC;
+    RETURN;
+  END IF;
+
+  IF v_deposit.credited_at IS NOT NULL THEN
+    RETURN QUERY SELECT 'already_credited'::TEXT, NULL::UUID, NULL::UUID, v_deposit.amount_human;
+    RETURN;
+  END IF;
+
+  IF v_deposit.status NOT IN ('pending', 'confirmed') THEN
+    RETURN QUERY SELECT 'not_pending'::TEXT, NULL::UUID, NULL::UUID, v_deposit.amount_human;
+    RETURN;
+  END IF;
+
+  SELECT o.uid, o.asset_id INTO v_uid, v_asset_id FROM deposit_balance_owner(v_deposit) o;
+
+  IF v_uid IS NULL THEN
+    RAISE EXCEPTION 'user address % not found for deposit %', v_deposit.to_address, p_deposit_id;
+  END IF;
+
+  IF v_asset_id IS NULL THEN
+    RAISE EXCEPTION 'asset_on_chain % not found for deposit %', v_deposit.asset_on_chain_id, p_deposit_id;
+  END IF;
+
+  IF v_deposit.status = 'pending' THEN
+    UPDATE deposits d
+    SET status = 'confirmed',
+        confirmations = p_confirmations,
+        required_confirmations = COALESCE(p_required_confirmations, d.required_confirmations),
+        confirmation_policy = COALESCE(p_confirmation_policy, d.confirmation_policy),
+        block_hash = COALESCE(p_block_hash, d.block_hash),
+        confirmed_at = NOW()
+    WHERE d.id = p_deposit_id;
+  END IF;
+
+  v_credited := ledger_credit_deposit(p_deposit_id, v_uid, v_asset_id, v_deposit.amount_human);
+  PERFORM release_deposit_pending_balance(p_deposit_id);
+
+  UPDATE deposits d
+  SET credited_at = NOW()
+  WHERE d.id = p_deposit_id;
+
+  RETURN QUERY SELECT
+    CASE WHEN v_credited THEN 'credited' ELSE 'already_credited' END,
+    v_uid,
+    v_asset_id,
+    v_deposit.amount_human;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PART 5 — Comments and grants
+-- =====================================================
+
+COMMENT ON COLUMN user_asset_balance.pending_balance_human IS 'Detected deposits not yet credited (display only; never spendable). Moved to available_balance_human on credit, reversed on orphan / quarantine';
+COMMENT ON COLUMN deposits.pending_credited_at IS 'When the deposit amount was added to pending_balance_human';
+COMMENT ON COLUMN deposits.pending_released_at IS 'When it was taken out again (credited, orphaned or quarantined)';
+
+GRANT EXECUTE ON FUNCTION add_deposit_pending_balance(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION mark_deposit_orphaned(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION quarantine_deposit(UUID, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION confirm_and_credit_deposit(UUID, INTEGER, TEXT, INTEGER, JSONB) TO authenticated;
@@ -0,0 +1,75 @@
+-- =====================================================
+-- Migration: Observed operation wallet transfers
+-- Purpose: Record inbound / outbound transfers of our operation wallets seen by the deposit
+--          scanners, linked to the job that sent them; flag unexplained movements as alerts
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — observed_wallet_transfers
+-- =====================================================
+
+-- The deposit workers record every transfer of a listed asset (or the native coin) that touches
+-- an operation_wallet_addresses row, once its block is past the confirmation threshold:
+--   inbound   to an operation wallet from any other address (consolidations, external funding)
+--   outbound  from an operation wallet to any other address (withdrawals, gas top-ups)
+--   internal  between two operation wallets (hot wallet rebalancing)
+-- The transaction is linked by tx_hash to the consolidation_queue, gas_topup_queue,
+-- withdrawal_queue or hot_wallet_rebalance_queue job that sent it. Transfers without a job are
+-- recorded with alert_status 'open' until someone acknowledges or resolves them.
+
+CREATE TABLE IF NOT EXISTS observed_wallet_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain_id UUID NOT NULL REFERENCES chains(id),
+  asset_on_chain_id UUID NOT NULL REFERENCES asset_on_chain(id),
+  operation_wallet_address_id UUID NOT NULL REFERENCES operation_wallet_addresses(id),
+  direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound', 'internal')),
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  amount_raw TEXT NOT NULL,
+  amount_human NUMERIC(28,18) NOT NULL,
+  block_number BIGINT NOT NULL,
+  block_timestamp TIMESTAMPTZ,
+  job_type TEXT CHECK (job_type IN ('consolidation', 'gas_topup', 'withdrawal', 'hot_wallet_rebalance')),
+  job_id UUID,
+  alert_status TEXT CHECK (alert_status IN ('open', 'acknowledged', 'resolved')),
+  alert_note TEXT,
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (chain_id, tx_hash, log_index),
+  CHECK ((job_type IS NULL) = (job_id IS NULL)),
+  CHECK (job_type IS NOT NULL OR alert_status IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_observed_wallet_transfers_open_alerts
+ON observed_wallet_transfers(created_at)
+WHERE alert_status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_observed_wallet_transfers_wallet
+ON observed_wallet_transfers(operation_wallet_address_id, block_number DESC);
+
+CREATE INDEX IF NOT EXISTS idx_observed_wallet_transfers_job
+ON observed_wallet_transfers(job_type, job_id)
+WHERE job_id IS NOT NULL;
+
+-- Job lookups by tx_hash (withdrawal_queue and hot_wallet_rebalance_queue are indexed already)
+CREATE INDEX IF NOT EXISTS idx_consolidation_queue_tx_hash
+ON consolidation_queue(tx_hash)
+WHERE tx_hash IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_gas_topup_queue_tx_hash
+ON gas_topup_queue(tx_hash)
+WHERE tx_hash IS NOT NULL;
+
+-- =====================================================
+-- PART 2 — Comments
+-- =====================================================
+
+COMMENT ON TABLE observed_wallet_transfers IS 'On-chain transfers touching operation wallets, linked to the job that sent them; unlinked ones are alerts';
+COMMENT ON COLUMN observed_wallet_transfers.operation_wallet_address_id IS 'Our wallet: recipient for inbound, sender for outbound and internal';
+COMMENT ON COLUMN observed_wallet_transfers.direction IS 'inbound | outbound | internal (operation wallet to operation wallet)';
+COMMENT ON COLUMN observed_wallet_transfers.job_type IS 'consolidation | gas_topup | withdrawal | hot_wallet_rebalance; NULL when no job has this tx_hash';
+COMMENT ON COLUMN observed_wallet_transfers.job_id IS 'id in the queue table named by job_type';
+COMMENT ON COLUMN observed_wallet_transfers.alert_status IS 'NULL for explained transfers; open (no job sent this transaction) | acknowledged | resolved';
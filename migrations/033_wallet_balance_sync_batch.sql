@@ -0,0 +1,59 @@
+-- =====================================================
+-- Migration: Batched balance sync writes
+-- Purpose: Store a whole balance sync batch (balances, errors, lock release) in one call
+-- =====================================================
+
+-- =====================================================
+-- PART 1 — record_wallet_balance_syncs RPC
+-- =====================================================
+
+-- The balance sync worker reads a batch of wallet_balances rows in a few RPC calls (Multicall3
+-- on EVM chains) and stores the outcome of every row here at once. p_results is an array of:
+--   {"id": "<wallet_balances.id>", "status": "synced", "balance_raw": "123", "balance_human": "0.000123"}
+--   {"id": "<wallet_balances.id>", "status": "failed", "error": "..."}
+--   {"id": "<wallet_balances.id>", "status": "skipped"}
+-- synced  → balance fields, last_checked, sync_count + 1, errors cleared
+-- failed  → last_error, last_error_at, error_count + 1 (balance untouched)
+-- skipped → only unlocked (e.g. inactive chain)
+-- Every listed row is unlocked (processing_status 'idle'). needs_gas, needs_consolidation and
+-- priorities are never touched.
+
+CREATE OR REPLACE FUNCTION record_wallet_balance_syncs(p_results JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  WITH results AS (
+    SELECT
+      (e->>'id')::UUID AS id,
+      e->>'status' AS status,
+      e->>'balance_raw' AS balance_raw,
+      (e->>'balance_human')::NUMERIC AS balance_human,
+      e->>'error' AS error
+    FROM jsonb_array_elements(p_results) e
+  )
+  UPDATE wallet_balances wb
+  SET
+    on_chain_balance_raw = CASE WHEN r.status = 'synced' THEN r.balance_raw ELSE wb.on_chain_balance_raw END,
+    on_chain_balance_human = CASE WHEN r.status = 'synced' THEN r.balance_human ELSE wb.on_chain_balance_human END,
+    last_checked = CASE WHEN r.status = 'synced' THEN NOW() ELSE wb.last_checked END,
+    sync_count = CASE WHEN r.status = 'synced' THEN COALESCE(wb.sync_count, 0) + 1 ELSE wb.sync_count END,
+    last_error = CASE WHEN r.status = 'synced' THEN NULL WHEN r.status = 'failed' THEN r.error ELSE wb.last_error END,
+    last_error_at = CASE WHEN r.status = 'synced' THEN NULL WHEN r.status = 'failed' THEN NOW() ELSE wb.last_error_at END,
+    error_count = CASE WHEN r.status = 'failed' THEN COALESCE(wb.error_count, 0) + 1 ELSE wb.error_count END,
+    updated_at = CASE WHEN r.status = 'synced' THEN NOW() ELSE wb.updated_at END,
+    processing_status = 'idle',
+    locked_until = NULL,
+    locked_by = NULL,
+    last_processed_at = NOW()
+  FROM results r
+  WHERE wb.id = r.id;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION record_wallet_balance_syncs(JSONB) IS 'Store the outcome (synced / failed / skipped) of a balance sync batch and unlock its rows in one statement';
+
+GRANT EXECUTE ON FUNCTION record_wallet_balance_syncs(JSONB) TO authenticated;
@@ -1,20 +1,40 @@
 import { ethers } from 'ethers';
+import { getEvmProvider, type RpcTarget } from '../shared-clients.js';
 import { logger } from '../../utils/logger.js';
 import { sleepWithBackoff } from '../../utils/sleep.js';
+import type { BalanceQuery, BalanceQueryResult } from '../chain-adapter.js';
+
+/** Multicall3, deployed at the same address on BSC and most EVM chains */
+const MULTICALL3_ADDRESS =
+  process.env.EVM_MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+/** Balance reads per aggregate3 call */
+const MULTICALL_BATCH_SIZE = Math.max(parseInt(process.env.EVM_MULTICALL_BATCH_SIZE || '500', 10), 1);
+/** A failing aggregate3 chunk is split in half down to this size; smaller chunks report the error */
+const MULTICALL_MIN_SPLIT_SIZE = 25;
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)',
+];
 
 export class BscBalanceClient {
   private provider: ethers.JsonRpcProvider;
   private rpcUrl: string;
   private readonly MAX_RETRIES = 3;
+  /** null = not probed yet; false when Multicall3 has no code on this chain */
+  private multicallAvailable: boolean | null = null;
 
   // Standard ERC20 ABI for balanceOf
   private readonly ERC20_ABI = [
     'function balanceOf(address account) view returns (uint256)',
   ];
+  private readonly erc20 = new ethers.Interface(this.ERC20_ABI);
+  private readonly multicall = new ethers.Interface(MULTICALL3_ABI);
 
-  constructor(rpcUrl: string) {
-    this.rpcUrl = rpcUrl;
-    this.provider = new ethers.JsonRpcProvider(rpcUrl);
+  /** Pass the chain row to get failover across its rpc_urls */
+  constructor(rpc: RpcTarget) {
+    this.rpcUrl = typeof rpc === 'string' ? rpc : rpc.rpc_url;
+    this.provider = getEvmProvider(rpc);
   }
 
   /**
@@ -75,6 +95,146 @@ export class BscBalanceClient {
     }, `getTokenBalance(${contractAddress}, ${walletAddress})`);
   }
 
+  /**
+   * Balances of many (address, token) pairs in Multicall3 aggregate3 calls of
+   * MULTICALL_BATCH_SIZE balanceOf / getEthBalance reads each. Falls back to one call per
+   * balance when Multicall3 is not deployed and for single reads that revert inside an
+   * aggregate call. Results are in query order.
+   */
+  async getBalances(queries: BalanceQuery[]): Promise<BalanceQueryResult[]> {
+    if (queries.length === 0) {
+      return [];
+    }
+
+    if (!(await this.hasMulticall())) {
+      return this.getBalancesOneByOne(queries);
+    }
+
+    const results: BalanceQueryResult[] = [];
+    for (let i = 0; i < queries.length; i += MULTICALL_BATCH_SIZE) {
+      const chunk = queries.slice(i, i + MULTICALL_BATCH_SIZE);
+      results.push(...(await this.getBalancesViaMulticall(chunk)));
+    }
+    return results;
+  }
+
+  /**
+   * One aggregate3 call for a chunk of balance reads (retried with backoff). If it still fails,
+   * the chunk is split in half and each half tried again; chunks of MULTICALL_MIN_SPLIT_SIZE or
+   * less report the error for every read, so they are retried with the next batch.
+   */
+  private async getBalancesViaMulticall(queries: BalanceQuery[]): Promise<BalanceQueryResult[]> {
+    const calls = queries.map((query) =>
+      query.contractAddress
+        ? {
+            target: query.contractAddress,
+            allowFailure: true,
+            callData: this.erc20.encodeFunctionData('balanceOf', [query.address]),
+          }
+        : {
+            target: MULTICALL3_ADDRESS,
+            allowFailure: true,
+            callData: this.multicall.encodeFunctionData('getEthBalance', [query.address]),
+          }
+    );
+
+    let returned: Array<{ success: boolean; returnData: string }>;
+    try {
+      const raw = await this.retryWithBackoff(
+        () =>
+          this.provider.call({
+            to: MULTICALL3_ADDRESS,
+            data: this.multicall.encodeFunctionData('aggregate3', [calls]),
+          }),
+        `aggregate3(${queries.length} balances)`
+      );
+      returned = this.multicall.decodeFunctionResult('aggregate3', raw)[0];
+    } catch (error: any) {
+      if (queries.length <= MULTICALL_MIN_SPLIT_SIZE) {
+        logger.warn(
+          { error: error.message, balances: queries.length, rpcUrl: this.rpcUrl },
+          'Multicall balance read failed'
+        );
+        const message: string = error.message ?? String(error);
+        return queries.map(() => ({ balanceRaw: null, error: message }));
+      }
+
+      logger.warn(
+        { error: error.message, balances: queries.length, rpcUrl: this.rpcUrl },
+        'Multicall balance read failed, splitting the chunk in half'
+      );
+      const half = Math.ceil(queries.length / 2);
+      return [
+        ...(await this.getBalancesViaMulticall(queries.slice(0, half))),
+        ...(await this.getBalancesViaMulticall(queries.slice(half))),
+      ];
+    }
+
+    const results: BalanceQueryResult[] = [];
+    for (const [index, query] of queries.entries()) {
+      const entry = returned[index];
+
+      if (entry?.success && entry.returnData.length >= 66) {
+        results.push({ balanceRaw: BigInt(ethers.dataSlice(entry.returnData, 0, 32)).toString(), error: null });
+      } else if (entry?.success && query.contractAddress) {
+        // No code at the token address: same as getTokenBalance's empty result
+        results.push({ balanceRaw: '0', error: null });
+      } else {
+        results.push(...(await this.getBalancesOneByOne([query])));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Per-balance fallback: getNativeBalance / getTokenBalance, errors reported per query
+   */
+  private async getBalancesOneByOne(queries: BalanceQuery[]): Promise<BalanceQueryResult[]> {
+    const results: BalanceQueryResult[] = [];
+
+    for (const query of queries) {
+      try {
+        const balanceRaw = query.contractAddress
+          ? await this.getTokenBalance(query.contractAddress, query.address)
+          : await this.getNativeBalance(query.address);
+        results.push({ balanceRaw, error: null });
+      } catch (error: any) {
+        results.push({ balanceRaw: null, error: error.message ?? String(error) });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Whether Multicall3 is deployed on this chain (getCode, probed once). A failed probe is
+   * treated as unavailable for this call only.
+   */
+  private async hasMulticall(): Promise<boolean> {
+    if (this.multicallAvailable !== null) {
+      return this.multicallAvailable;
+    }
+
+    try {
+      const code = await this.retryWithBackoff(
+        () => this.provider.getCode(MULTICALL3_ADDRESS),
+        'getCode(multicall3)'
+      );
+      this.multicallAvailable = code !== '0x';
+    } catch {
+      return false;
+    }
+
+    if (!this.multicallAvailable) {
+      logger.warn(
+        { multicall: MULTICALL3_ADDRESS, rpcUrl: this.rpcUrl },
+        'Multicall3 not deployed on this chain, balances are read one by one'
+      );
+    }
+    return this.multicallAvailable;
+  }
+
   /**
    * Calculate human-readable amount from raw amount
    */
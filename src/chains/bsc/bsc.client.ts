@@ -1,4 +1,6 @@
 import { ethers } from 'ethers';
+import { getEvmProvider } from '../shared-clients.js';
+import { SYMBOL_SELECTOR, decodeTokenSymbol } from '../token-symbol.js';
 import { logger } from '../../utils/logger.js';
 import { sleep, sleepWithBackoff } from '../../utils/sleep.js';
 
@@ -6,6 +8,12 @@ export interface BscChainConfig {
   chainId: string;
   name: string;
   rpcUrl: string;
+  /** Fallback endpoints (chains.rpc_urls) */
+  rpcUrls?: string[] | null;
+  /** Allowed head lag between endpoints (chains.rpc_max_block_lag) */
+  rpcMaxBlockLag?: number | null;
+  /** WebSocket endpoint for head subscriptions (chains.ws_url) */
+  wsUrl?: string | null;
   confirmationThreshold: number;
 }
 
@@ -16,22 +24,94 @@ export interface ERC20Transfer {
   to: string;
   value: string;
   blockNumber: number;
+  blockHash: string;
   blockTimestamp: number;
   contractAddress: string;
 }
 
+/**
+ * Native BNB value transfer (top-level transaction value or internal CALL value).
+ * Native transfers have no log, so logIndex uses a negative sentinel to stay unique
+ * on (tx_hash, log_index): -1 for the transaction value, -(n + 2) for the n-th internal call.
+ */
+export interface NativeTransfer {
+  transactionHash: string;
+  logIndex: number;
+  from: string;
+  to: string;
+  value: string;
+  blockNumber: number;
+  blockHash: string;
+  blockTimestamp: number;
+  isInternal: boolean;
+}
+
+/** log_index used for a top-level native transfer (transaction value). */
+export const NATIVE_TRANSFER_LOG_INDEX = -1;
+
+/** log_index used for the n-th internal call of a transaction (0-based, depth-first order). */
+export function internalTransferLogIndex(callIndex: number): number {
+  return -(callIndex + 2);
+}
+
 /** Normalize RPC URL: trim and remove trailing slash to avoid SSL/connection issues with some providers (e.g. QuickNode). */
 function normalizeRpcUrl(url: string): string {
   const u = url.trim();
   return u.endsWith('/') ? u.slice(0, -1) : u;
 }
 
-/** Max blocks per eth_getLogs request; public BSC RPCs rate-limit even small ranges (-32005). */
-const ERC20_LOGS_CHUNK_BLOCKS = 5;
-/** Delay before first getLogs and between chunks (ms). */
-const DELAY_BETWEEN_CHUNKS_MS = 3000;
-/** Extra delay before the very first getLogs in a run (ms); public RPC often rate-limits immediately after other calls. */
-const INITIAL_DELAY_BEFORE_FIRST_LOGS_MS = 25000;
+/** Upper bound of the adaptive eth_getLogs block range; shrinks when the provider rejects a range */
+const LOGS_MAX_RANGE_BLOCKS = parseInt(process.env.EVM_LOGS_MAX_RANGE || '2000', 10);
+/** Successful getLogs calls in a row before the range doubles again */
+const LOGS_RANGE_GROW_AFTER = 10;
+/** Recipient topics OR-ed into one filter; more recipients are split over several calls */
+const LOGS_RECIPIENTS_PER_FILTER = parseInt(process.env.EVM_LOGS_RECIPIENTS_PER_FILTER || '500', 10);
+/** Delay between consecutive getLogs calls of one scan (ms), to stay under public RPC rate limits */
+const DELAY_BETWEEN_CHUNKS_MS = parseInt(process.env.EVM_LOGS_CHUNK_DELAY_MS || '1000', 10);
+/** Block timestamps kept in memory (LRU); covers a catch-up batch plus the confirmation window */
+const BLOCK_TIMESTAMP_CACHE_SIZE = 4096;
+/** Token symbols kept in memory (unknown tokens sent to deposit addresses) */
+const TOKEN_SYMBOL_CACHE_SIZE = 10000;
+
+/** Wait before reopening a dropped head WebSocket */
+const WS_RECONNECT_DELAY_MS = 5000;
+/** Head WebSocket silent this long is treated as down and eth_blockNumber polling takes over */
+const WS_HEAD_STALL_MS = 30000;
+
+/** Provider rejected the getLogs query size (block range or result count), not a rate limit */
+function isLogsRangeError(error: any): boolean {
+  const message = `${error?.error?.message ?? ''} ${error?.message ?? ''}`;
+  if (/rate limit/i.test(message)) return false;
+  return /block range|range (is )?too (large|wide|big)|exceed(s|ed)? (the )?max(imum)? (block )?range|too many (results|logs|blocks)|returned more than|response size|limited to a [\d,]+ (block )?range/i.test(
+    message
+  );
+}
+
+/** Node does not offer debug_traceBlockByNumber (method not found / not enabled), not a transient failure */
+function isTraceUnsupportedError(error: any): boolean {
+  if (error?.error?.code === -32601 || error?.code === -32601) return true;
+  const message = `${error?.error?.message ?? ''} ${error?.message ?? ''}`;
+  return /method not found|method .*(does not exist|is not available|not supported|not enabled)|unsupported method|not whitelisted|namespace .*(disabled|not enabled)/i.test(
+    message
+  );
+}
+
+/**
+ * Address filter as getLogs topic groups of at most LOGS_RECIPIENTS_PER_FILTER each.
+ * undefined = no filter ([null]); an empty list means nothing can match ([]).
+ */
+function addressTopicGroups(addresses: Iterable<string> | undefined): Array<string[] | null> {
+  if (addresses === undefined) {
+    return [null];
+  }
+
+  const topics = Array.from(addresses, (address) => ethers.zeroPadValue(address.toLowerCase(), 32));
+  const groups: string[][] = [];
+  for (let i = 0; i < topics.length; i += LOGS_RECIPIENTS_PER_FILTER) {
+    groups.push(topics.slice(i, i + LOGS_RECIPIENTS_PER_FILTER));
+  }
+  return groups;
+}
 
 export class BscClient {
   private provider: ethers.JsonRpcProvider;
@@ -39,10 +119,24 @@ export class BscClient {
   private readonly MAX_RETRIES = 3;
   private readonly ERC20_TRANSFER_TOPIC =
     '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'; // keccak256("Transfer(address,address,uint256)")
+  /** null = not probed yet; false once the node reported debug_traceBlockByNumber as unsupported. */
+  private traceSupported: boolean | null = null;
+  /** Current eth_getLogs block range, adapted to what the provider accepts */
+  private logsRange = LOGS_MAX_RANGE_BLOCKS;
+  private logsRangeSuccesses = 0;
+  /** block number -> timestamp, least recently used first */
+  private blockTimestamps = new Map<number, number>();
+  /** lower-cased contract -> symbol() (null when it has none) */
+  private tokenSymbols = new Map<string, string | null>();
 
   constructor(config: BscChainConfig) {
     this.config = { ...config, rpcUrl: normalizeRpcUrl(config.rpcUrl) };
-    this.provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+    this.provider = getEvmProvider({
+      name: this.config.name,
+      rpc_url: this.config.rpcUrl,
+      rpc_urls: this.config.rpcUrls ?? null,
+      rpc_max_block_lag: this.config.rpcMaxBlockLag ?? null,
+    });
   }
 
   /**
@@ -58,139 +152,489 @@ export class BscClient {
    * Get block by number with timestamp
    */
   async getBlock(blockNumber: number): Promise<ethers.Block | null> {
-    return this.retryWithBackoff(async () => {
+    const block = await this.retryWithBackoff(async () => {
       return await this.provider.getBlock(blockNumber);
     }, `getBlock(${blockNumber})`);
+    if (block) this.cacheBlockTimestamp(block.number, block.timestamp);
+    return block;
+  }
+
+  /**
+   * Get the hash of a block, or null if the node does not have it (yet).
+   * Used by the deposit worker to detect reorgs below its cursor.
+   */
+  async getBlockHash(blockNumber: number): Promise<string | null> {
+    const block = await this.getBlock(blockNumber);
+    return block?.hash ?? null;
+  }
+
+  /**
+   * Get the parent hash of a block, or null if the node does not have it (yet).
+   */
+  async getParentHash(blockNumber: number): Promise<string | null> {
+    const block = await this.getBlock(blockNumber);
+    return block?.parentHash ?? null;
   }
 
   /**
-   * Fetch ERC20 Transfer events for a contract in a block range.
-   * Uses chunked eth_getLogs and delay between chunks to avoid public RPC rate limits (-32005).
+   * Fetch ERC20 Transfer events of several token contracts in a block range with one eth_getLogs
+   * filter per range chunk. When recipients (lower-cased addresses) are given, only transfers to
+   * them are requested (OR-ed `to` topics), so busy tokens don't flood the scan; senders does the
+   * same for the `from` topic. The chunk size adapts: halved when the provider rejects the range, doubled back after a
+   * streak of successful calls.
    */
   async getERC20Transfers(
-    contractAddress: string,
+    contractAddresses: string[] | null,
     fromBlock: number,
-    toBlock: number
+    toBlock: number,
+    recipients?: Iterable<string>,
+    senders?: Iterable<string>
   ): Promise<ERC20Transfer[]> {
-    return this.retryWithBackoff(
-      async () => {
-        const transfers: ERC20Transfer[] = [];
+    if (contractAddresses !== null && contractAddresses.length === 0) {
+      return [];
+    }
+
+    const recipientGroups = addressTopicGroups(recipients);
+    const senderGroups = addressTopicGroups(senders);
+    if (recipientGroups.length === 0 || senderGroups.length === 0) {
+      return [];
+    }
+
+    const filterTopics: Array<Array<string | string[] | null>> = [];
+    for (const recipientTopics of recipientGroups) {
+      for (const senderTopics of senderGroups) {
+        filterTopics.push(
+          recipientTopics
+            ? [this.ERC20_TRANSFER_TOPIC, senderTopics, recipientTopics]
+            : senderTopics
+              ? [this.ERC20_TRANSFER_TOPIC, senderTopics]
+              : [this.ERC20_TRANSFER_TOPIC]
+        );
+      }
+    }
+
+    const logs: ethers.Log[] = [];
+    let calls = 0;
+
+    for (const topics of filterTopics) {
+      let start = fromBlock;
+      while (start <= toBlock) {
+        const end = Math.min(start + this.logsRange - 1, toBlock);
+        const filter: ethers.Filter = {
+          ...(contractAddresses ? { address: contractAddresses } : {}),
+          fromBlock: start,
+          toBlock: end,
+          topics,
+        };
 
+        if (calls++ > 0 && DELAY_BETWEEN_CHUNKS_MS > 0) {
+          await sleep(DELAY_BETWEEN_CHUNKS_MS);
+        }
+
+        let chunk: ethers.Log[];
         try {
-          // Chunk the range to avoid "method eth_getLogs in batch triggered rate limit" (-32005)
-          for (
-            let start = fromBlock;
-            start <= toBlock;
-            start += ERC20_LOGS_CHUNK_BLOCKS
-          ) {
-            const end = Math.min(
-              start + ERC20_LOGS_CHUNK_BLOCKS - 1,
-              toBlock
-            );
-            const filter = {
-              address: contractAddress,
-              fromBlock: start,
-              toBlock: end,
-              topics: [this.ERC20_TRANSFER_TOPIC],
-            };
-
-            logger.debug(
-              { contractAddress, fromBlock: start, toBlock: end },
-              'Fetching ERC20 Transfer events (chunk)'
+          chunk = await this.retryWithBackoff(
+            () => this.provider.getLogs(filter),
+            `getLogs(${start}-${end})`,
+            isLogsRangeError
+          );
+        } catch (error: any) {
+          if (!isLogsRangeError(error) || end === start) {
+            logger.error(
+              { error: error.message, fromBlock: start, toBlock: end },
+              'Failed to fetch ERC20 transfers'
             );
+            throw error;
+          }
+          this.logsRange = Math.max(1, Math.floor((end - start + 1) / 2));
+          this.logsRangeSuccesses = 0;
+          logger.warn(
+            { fromBlock: start, toBlock: end, newRange: this.logsRange, error: error.message },
+            'getLogs range rejected by provider, shrinking'
+          );
+          continue;
+        }
 
-            // Delay before every chunk; use longer initial delay before first getLogs to avoid immediate rate limit
-            if (start === fromBlock) {
-              await sleep(INITIAL_DELAY_BEFORE_FIRST_LOGS_MS);
-            } else {
-              await sleep(DELAY_BETWEEN_CHUNKS_MS);
-            }
+        if (++this.logsRangeSuccesses >= LOGS_RANGE_GROW_AFTER && this.logsRange < LOGS_MAX_RANGE_BLOCKS) {
+          this.logsRange = Math.min(this.logsRange * 2, LOGS_MAX_RANGE_BLOCKS);
+          this.logsRangeSuccesses = 0;
+        }
 
-            const logs = await this.provider.getLogs(filter);
+        logger.debug(
+          { fromBlock: start, toBlock: end, logsFound: chunk.length },
+          'ERC20 logs fetched (chunk)'
+        );
+        logs.push(...chunk);
+        start = end + 1;
+      }
+    }
 
-          logger.debug(
-            {
-              contractAddress,
-              fromBlock: start,
-              toBlock: end,
-              logsFound: logs.length,
-            },
-            'ERC20 logs fetched (chunk)'
-          );
+    const timestamps = await this.getBlockTimestamps(logs.map((log) => log.blockNumber));
+    const transfers: ERC20Transfer[] = [];
 
-          for (const log of logs) {
-            try {
-              if (log.topics.length < 3) {
-                logger.warn(
-                  { log, contractAddress },
-                  'Invalid Transfer log - insufficient topics'
-                );
-                continue;
-              }
-
-              const from = ethers.getAddress(
-                ethers.dataSlice(log.topics[1]!, 12)
-              );
-              const to = ethers.getAddress(
-                ethers.dataSlice(log.topics[2]!, 12)
-              );
-              const value = ethers.getBigInt(log.data).toString();
-
-              const block = await this.getBlock(log.blockNumber);
-              if (!block) {
-                logger.warn(
-                  { blockNumber: log.blockNumber },
-                  'Could not fetch block for timestamp'
-                );
-                continue;
-              }
-
-              transfers.push({
-                transactionHash: log.transactionHash,
-                logIndex: log.index,
-                from,
-                to,
-                value,
-                blockNumber: log.blockNumber,
-                blockTimestamp: block.timestamp,
-                contractAddress,
-              });
-            } catch (parseError: any) {
-              logger.error(
-                {
-                  error: parseError.message,
-                  log,
-                  contractAddress,
-                },
-                'Error parsing Transfer log'
-              );
-            }
-          }
+    for (const log of logs) {
+      // ERC721 Transfer has the same signature with an indexed tokenId (4 topics)
+      if (log.topics.length !== 3) {
+        logger.debug(
+          { txHash: log.transactionHash, contract: log.address, topics: log.topics.length },
+          'Not an ERC20 Transfer log, skipping'
+        );
+        continue;
+      }
 
+      try {
+        transfers.push({
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+          from: ethers.getAddress(ethers.dataSlice(log.topics[1]!, 12)),
+          to: ethers.getAddress(ethers.dataSlice(log.topics[2]!, 12)),
+          value: ethers.getBigInt(log.data).toString(),
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          blockTimestamp: timestamps.get(log.blockNumber)!,
+          contractAddress: ethers.getAddress(log.address),
+        });
+      } catch (parseError: any) {
+        logger.error(
+          { error: parseError.message, log },
+          'Error parsing Transfer log'
+        );
+      }
+    }
+
+    if (transfers.length > 0) {
+      logger.info(
+        {
+          transfersFound: transfers.length,
+          fromBlock,
+          toBlock,
+          contracts: contractAddresses?.length ?? 'any',
+          getLogsCalls: calls,
+        },
+        'Found ERC20 transfers in block range'
+      );
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Timestamps of the given blocks, from the LRU cache or fetched once per block
+   */
+  async getBlockTimestamps(blockNumbers: number[]): Promise<Map<number, number>> {
+    const result = new Map<number, number>();
+
+    for (const blockNumber of new Set(blockNumbers)) {
+      const cached = this.blockTimestamps.get(blockNumber);
+      if (cached !== undefined) {
+        // Re-insert to mark as most recently used
+        this.blockTimestamps.delete(blockNumber);
+        this.blockTimestamps.set(blockNumber, cached);
+        result.set(blockNumber, cached);
+        continue;
+      }
+
+      const block = await this.getBlock(blockNumber);
+      if (!block) {
+        throw new Error(`Block ${blockNumber} not found while reading its timestamp`);
+      }
+      result.set(blockNumber, block.timestamp);
+    }
+
+    return result;
+  }
+
+  /**
+   * First block at or after `time` (binary search over block timestamps), capped at maxBlock.
+   * Used to find where to start backfilling an address created at `time`.
+   */
+  async findBlockAtTime(time: Date, maxBlock: number): Promise<number> {
+    const target = Math.floor(time.getTime() / 1000);
+    let lo = 0;
+    let hi = maxBlock;
+
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      const timestamp = (await this.getBlockTimestamps([mid])).get(mid)!;
+      if (timestamp < target) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    return lo;
+  }
+
+  /**
+   * Follow new head blocks (unconfirmed) until the returned function is called.
+   * Subscribes over chains.ws_url when configured; eth_blockNumber is polled every pollIntervalMs
+   * when there is no WebSocket or while it is down or silent. A dropped WebSocket reconnects.
+   * onHead may see the same or a lower number again (reorgs, endpoint failover).
+   */
+  watchHeads(onHead: (blockNumber: number) => void, pollIntervalMs: number): () => void {
+    let stopped = false;
+    let socket: ethers.WebSocketProvider | null = null;
+    let lastSocketHeadAt = 0;
+    let reconnectTimer: NodeJS.Timeout | null = null;
+    let polling = false;
+
+    const connect = (): void => {
+      if (stopped || !this.config.wsUrl) return;
+
+      const provider = new ethers.WebSocketProvider(this.config.wsUrl);
+      socket = provider;
+
+      const reconnect = (reason: string): void => {
+        if (stopped || socket !== provider) return;
+        socket = null;
+        provider.destroy().catch(() => {});
+        logger.warn(
+          { chain: this.config.name, reason, retryInMs: WS_RECONNECT_DELAY_MS },
+          'Head WebSocket dropped, polling until it reconnects'
+        );
+        reconnectTimer = setTimeout(connect, WS_RECONNECT_DELAY_MS);
+      };
+
+      const websocket = provider.websocket as any;
+      websocket.onclose = () => reconnect('closed');
+      websocket.onerror = (error: any) => reconnect(error?.message ?? 'error');
+
+      provider
+        .on('block', (blockNumber: number) => {
+          lastSocketHeadAt = Date.now();
+          onHead(blockNumber);
+        })
+        .catch((error: any) => reconnect(error.message));
+    };
+
+    const poll = setInterval(() => {
+      const socketAlive =
+        socket !== null && Date.now() - lastSocketHeadAt < Math.max(WS_HEAD_STALL_MS, pollIntervalMs);
+      if (stopped || polling || socketAlive) return;
+
+      polling = true;
+      this.getCurrentBlockNumber()
+        .then(onHead, (error: any) => {
+          logger.warn({ chain: this.config.name, error: error.message }, 'Head poll failed');
+        })
+        .finally(() => {
+          polling = false;
+        });
+    }, pollIntervalMs);
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearInterval(poll);
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      socket?.destroy().catch(() => {});
+      socket = null;
+    };
+  }
+
+  /**
+   * symbol() of a token contract, cached. Null when the contract has no symbol() or it reverts.
+   */
+  async getTokenSymbol(contractAddress: string): Promise<string | null> {
+    const key = contractAddress.toLowerCase();
+    if (this.tokenSymbols.has(key)) {
+      return this.tokenSymbols.get(key)!;
+    }
+
+    let symbol: string | null = null;
+    try {
+      const data = await this.retryWithBackoff(
+        () => this.provider.call({ to: contractAddress, data: SYMBOL_SELECTOR }),
+        `symbol(${contractAddress})`,
+        (error) => error?.code === 'CALL_EXCEPTION'
+      );
+      symbol = decodeTokenSymbol(data);
+    } catch (error: any) {
+      if (error?.code !== 'CALL_EXCEPTION') throw error;
+    }
+
+    if (this.tokenSymbols.size >= TOKEN_SYMBOL_CACHE_SIZE) {
+      const oldest = this.tokenSymbols.keys().next().value;
+      if (oldest !== undefined) this.tokenSymbols.delete(oldest);
+    }
+    this.tokenSymbols.set(key, symbol);
+    return symbol;
+  }
+
+  private cacheBlockTimestamp(blockNumber: number, timestamp: number): void {
+    this.blockTimestamps.delete(blockNumber);
+    this.blockTimestamps.set(blockNumber, timestamp);
+    if (this.blockTimestamps.size > BLOCK_TIMESTAMP_CACHE_SIZE) {
+      const oldest = this.blockTimestamps.keys().next().value;
+      if (oldest !== undefined) this.blockTimestamps.delete(oldest);
+    }
+  }
+
+  /**
+   * Fetch native BNB transfers to the given recipients (lower-cased addresses) by walking blocks,
+   * plus those sent by any of senders. Top-level transfers are checked against their receipt
+   * status; internal transfers come from debug_traceBlockByNumber (callTracer) when the node
+   * exposes it and are skipped otherwise.
+   */
+  async getNativeTransfers(
+    fromBlock: number,
+    toBlock: number,
+    recipients: Set<string>,
+    senders: Set<string> = new Set()
+  ): Promise<NativeTransfer[]> {
+    const transfers: NativeTransfer[] = [];
+
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+      const block = await this.retryWithBackoff(
+        () => this.provider.getBlock(blockNumber, true),
+        `getBlockWithTransactions(${blockNumber})`
+      );
+
+      if (!block || !block.hash) {
+        throw new Error(`Block ${blockNumber} not found while scanning native transfers`);
+      }
+      const blockHash = block.hash;
+      this.cacheBlockTimestamp(blockNumber, block.timestamp);
+
+      for (const tx of block.prefetchedTransactions) {
+        if (
+          !tx.to ||
+          tx.value === 0n ||
+          !(recipients.has(tx.to.toLowerCase()) || senders.has(tx.from.toLowerCase()))
+        ) {
+          continue;
         }
 
-        if (transfers.length > 0) {
-          logger.info(
-            {
-              transfersFound: transfers.length,
-              fromBlock,
-              toBlock,
-              contractAddress,
-              sampleTransfer: transfers[0],
-            },
-            'Found ERC20 transfers in block range'
+        const receipt = await this.retryWithBackoff(
+          () => this.provider.getTransactionReceipt(tx.hash),
+          `getTransactionReceipt(${tx.hash})`
+        );
+        if (!receipt || receipt.status !== 1) {
+          logger.debug(
+            { txHash: tx.hash, status: receipt?.status },
+            'Skipping failed native transfer'
           );
+          continue;
         }
 
-        return transfers;
-      } catch (error: any) {
-        logger.error(
-          { error: error.message, contractAddress, fromBlock, toBlock },
-          'Failed to fetch ERC20 transfers'
+        transfers.push({
+          transactionHash: tx.hash,
+          logIndex: NATIVE_TRANSFER_LOG_INDEX,
+          from: ethers.getAddress(tx.from),
+          to: ethers.getAddress(tx.to),
+          value: tx.value.toString(),
+          blockNumber,
+          blockHash,
+          blockTimestamp: block.timestamp,
+          isInternal: false,
+        });
+      }
+
+      const internal = await this.getInternalNativeTransfers(
+        blockNumber,
+        blockHash,
+        block.timestamp,
+        block.transactions,
+        recipients,
+        senders
+      );
+      transfers.push(...internal);
+    }
+
+    if (transfers.length > 0) {
+      logger.info(
+        { transfersFound: transfers.length, fromBlock, toBlock },
+        'Found native BNB transfers in block range'
+      );
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Internal (contract-initiated) native transfers for one block via callTracer.
+   * Frames that reverted, and everything below them, are ignored.
+   */
+  private async getInternalNativeTransfers(
+    blockNumber: number,
+    blockHash: string,
+    blockTimestamp: number,
+    txHashes: readonly string[],
+    recipients: Set<string>,
+    senders: Set<string>
+  ): Promise<NativeTransfer[]> {
+    if (this.traceSupported === false) {
+      return [];
+    }
+
+    let traces: any[];
+    try {
+      traces = await this.provider.send('debug_traceBlockByNumber', [
+        ethers.toQuantity(blockNumber),
+        { tracer: 'callTracer' },
+      ]);
+      this.traceSupported = true;
+    } catch (error: any) {
+      if (isTraceUnsupportedError(error)) {
+        this.traceSupported = false;
+        logger.warn(
+          { error: error.message, chain: this.config.name },
+          'debug_traceBlockByNumber not available on this RPC - internal native transfers will not be detected'
         );
-        throw error;
+        return [];
       }
-    }, `getERC20Transfers(${contractAddress}, ${fromBlock}-${toBlock})`);
+      // Timeouts, rate limits and node hiccups fail the range so it is retried
+      throw error;
+    }
+
+    const transfers: NativeTransfer[] = [];
+
+    traces.forEach((trace, txIndex) => {
+      const root = trace?.result ?? trace;
+      const txHash: string | undefined = trace?.txHash ?? txHashes[txIndex];
+      if (!root || !txHash || root.error) {
+        return;
+      }
+
+      let callIndex = 0;
+      const walk = (frames: any[] | undefined): void => {
+        for (const frame of frames ?? []) {
+          const index = callIndex++;
+          if (frame.error) {
+            continue;
+          }
+
+          const value = frame.value ? BigInt(frame.value) : 0n;
+          if (
+            frame.type === 'CALL' &&
+            value > 0n &&
+            frame.to &&
+            (recipients.has(String(frame.to).toLowerCase()) ||
+              senders.has(String(frame.from).toLowerCase()))
+          ) {
+            transfers.push({
+              transactionHash: txHash,
+              logIndex: internalTransferLogIndex(index),
+              from: ethers.getAddress(frame.from),
+              to: ethers.getAddress(frame.to),
+              value: value.toString(),
+              blockNumber,
+              blockHash,
+              blockTimestamp,
+              isInternal: true,
+            });
+          }
+
+          walk(frame.calls);
+        }
+      };
+
+      walk(root.calls);
+    });
+
+    return transfers;
   }
 
   /**
@@ -207,10 +651,12 @@ export class BscClient {
 
   /**
    * Retry logic with exponential backoff. Uses longer delay when RPC returns rate limit (-32005).
+   * Errors matching isNonRetryable are rethrown at once (e.g. a getLogs range the caller will split).
    */
   private async retryWithBackoff<T>(
     fn: () => Promise<T>,
-    operation: string
+    operation: string,
+    isNonRetryable: (error: any) => boolean = () => false
   ): Promise<T> {
     let lastError: Error | null = null;
     let lastWasRateLimit = false;
@@ -219,6 +665,9 @@ export class BscClient {
       try {
         return await fn();
       } catch (error: any) {
+        if (isNonRetryable(error)) {
+          throw error;
+        }
         lastError = error;
         lastWasRateLimit =
           String(error?.message ?? '').includes('-32005') ||
@@ -1,15 +1,34 @@
 import { ethers } from 'ethers';
+import { getEvmProvider, type RpcTarget } from '../shared-clients.js';
 import { logger } from '../../utils/logger.js';
 import { sleepWithBackoff } from '../../utils/sleep.js';
+import type {
+  DepositLocator,
+  DepositVerification,
+} from '../../types/deposit-verification.js';
+
+const ERC20_TRANSFER_TOPIC =
+  '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'; // keccak256("Transfer(address,address,uint256)")
+
+/** Node rejected the 'finalized' block tag itself (pre-merge client), not a transient failure */
+function isFinalizedTagUnsupportedError(error: any): boolean {
+  const code = error?.error?.code ?? error?.code;
+  if (code === -32601 || code === -32602) return true;
+  const message = `${error?.error?.message ?? ''} ${error?.message ?? ''}`;
+  return /invalid (block )?tag|unknown block tag|finalized.*not (supported|available)|(not supported|unsupported).*finalized|method not found/i.test(
+    message
+  );
+}
 
 export class BscConfirmationClient {
   private provider: ethers.JsonRpcProvider;
   private rpcUrl: string;
   private readonly MAX_RETRIES = 3;
 
-  constructor(rpcUrl: string) {
-    this.rpcUrl = rpcUrl;
-    this.provider = new ethers.JsonRpcProvider(rpcUrl);
+  /** Pass the chain row to get failover across its rpc_urls */
+  constructor(rpc: RpcTarget) {
+    this.rpcUrl = typeof rpc === 'string' ? rpc : rpc.rpc_url;
+    this.provider = getEvmProvider(rpc);
   }
 
   /**
@@ -21,6 +40,66 @@ export class BscConfirmationClient {
     }, 'getCurrentBlockNumber');
   }
 
+  /**
+   * Latest finalized block (the 'finalized' block tag, fast finality on BSC).
+   * Null when the node does not support the tag; transient errors are thrown.
+   */
+  async getFinalizedBlockNumber(): Promise<number | null> {
+    try {
+      const block = await this.retryWithBackoff(async () => {
+        return await this.provider.getBlock('finalized');
+      }, 'getBlock(finalized)');
+      return block?.number ?? null;
+    } catch (error: any) {
+      if (!isFinalizedTagUnsupportedError(error)) {
+        throw error;
+      }
+      logger.warn(
+        { error: error.message, rpcUrl: this.rpcUrl },
+        'Finalized block not available from node'
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Re-fetch the receipt of a pending deposit and check it is still in the canonical chain.
+   * Token deposits must still carry a Transfer log to the deposit address at the recorded log_index;
+   * native deposits only need a successful receipt.
+   */
+  async verifyDeposit(deposit: DepositLocator): Promise<DepositVerification> {
+    const receipt = await this.retryWithBackoff(async () => {
+      return await this.provider.getTransactionReceipt(deposit.txHash);
+    }, `getTransactionReceipt(${deposit.txHash})`);
+
+    if (!receipt || receipt.status !== 1) {
+      return { status: 'missing', blockNumber: null, blockHash: null };
+    }
+
+    if (deposit.logIndex >= 0) {
+      const log = receipt.logs.find((l) => l.index === deposit.logIndex);
+      const to =
+        log && log.topics[0] === ERC20_TRANSFER_TOPIC && log.topics.length >= 3
+          ? ethers.getAddress(ethers.dataSlice(log.topics[2]!, 12))
+          : null;
+
+      if (!to || to.toLowerCase() !== deposit.toAddress.toLowerCase()) {
+        return { status: 'missing', blockNumber: null, blockHash: null };
+      }
+    }
+
+    const moved =
+      receipt.blockNumber !== deposit.blockNumber ||
+      (deposit.blockHash !== null &&
+        receipt.blockHash.toLowerCase() !== deposit.blockHash.toLowerCase());
+
+    return {
+      status: moved ? 'moved' : 'canonical',
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+    };
+  }
+
   /**
    * Retry logic with exponential backoff
    */
@@ -1,4 +1,4 @@
-import type { ERC20Transfer } from './bsc.client.js';
+import type { ERC20Transfer, NativeTransfer } from './bsc.client.js';
 
 export interface ParsedDeposit {
   txHash: string;
@@ -7,8 +7,9 @@ export interface ParsedDeposit {
   to: string;
   amountRaw: string;
   blockNumber: number;
+  blockHash: string | null;
   blockTimestamp: Date;
-  contractAddress: string;
+  contractAddress: string | null; // null for native BNB
   assetOnChainId: string;
 }
 
@@ -27,12 +28,34 @@ export class BscERC20Parser {
       to: transfer.to,
       amountRaw: transfer.value,
       blockNumber: transfer.blockNumber,
+      blockHash: transfer.blockHash,
       blockTimestamp: new Date(transfer.blockTimestamp * 1000), // Convert to milliseconds
       contractAddress: transfer.contractAddress,
       assetOnChainId,
     };
   }
 
+  /**
+   * Parse native BNB transfer into deposit format
+   */
+  static parseNativeTransfer(
+    transfer: NativeTransfer,
+    assetOnChainId: string
+  ): ParsedDeposit {
+    return {
+      txHash: transfer.transactionHash,
+      logIndex: transfer.logIndex,
+      from: transfer.from,
+      to: transfer.to,
+      amountRaw: transfer.value,
+      blockNumber: transfer.blockNumber,
+      blockHash: transfer.blockHash,
+      blockTimestamp: new Date(transfer.blockTimestamp * 1000), // Convert to milliseconds
+      contractAddress: null,
+      assetOnChainId,
+    };
+  }
+
   /**
    * Calculate human-readable amount from raw amount
    */
@@ -67,7 +90,7 @@ export class BscERC20Parser {
   /**
    * Validate transfer has minimum required fields
    */
-  static isValidTransfer(transfer: ERC20Transfer): boolean {
+  static isValidTransfer(transfer: ERC20Transfer, allowZero = false): boolean {
     return (
       !!transfer.transactionHash &&
       !!transfer.to &&
@@ -76,8 +99,20 @@ export class BscERC20Parser {
       transfer.blockNumber > 0 &&
       this.isValidEthereumAddress(transfer.to) &&
       this.isValidEthereumAddress(transfer.from) &&
-      transfer.value !== '0' // Ignore zero-value transfers
+      (allowZero || transfer.value !== '0') // Zero-value transfers only matter to the poisoning screen
     );
   }
-}
 
+  /**
+   * Validate native transfer has minimum required fields
+   */
+  static isValidNativeTransfer(transfer: NativeTransfer): boolean {
+    return (
+      !!transfer.transactionHash &&
+      transfer.blockNumber > 0 &&
+      this.isValidEthereumAddress(transfer.to) &&
+      this.isValidEthereumAddress(transfer.from) &&
+      transfer.value !== '0'
+    );
+  }
+}
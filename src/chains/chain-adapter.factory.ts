@@ -0,0 +1,15 @@
+import { chainTypeOf, type ChainAdapter, type ChainRow } from './chain-adapter.js';
+import { EvmChainAdapter } from './evm/evm.adapter.js';
+import { TronChainAdapter } from './tron/tron.adapter.js';
+
+/**
+ * Create the adapter for a `chains` row, keyed by chains.chain_type
+ */
+export function createChainAdapter(chain: ChainRow): ChainAdapter {
+  switch (chainTypeOf(chain)) {
+    case 'tron':
+      return new TronChainAdapter(chain);
+    case 'evm':
+      return new EvmChainAdapter(chain);
+  }
+}
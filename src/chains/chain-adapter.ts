@@ -0,0 +1,134 @@
+import type {
+  DepositLocator,
+  DepositVerification,
+} from '../types/deposit-verification.js';
+
+/**
+ * Chain family. Every EVM network (BSC, Ethereum, Polygon, Arbitrum, ...) shares one adapter;
+ * only the `chains` row (rpc_url, chain_id, native_currency_decimals) differs.
+ */
+export type ChainType = 'evm' | 'tron';
+
+/** Columns of `chains` the adapters use */
+export interface ChainRow {
+  id: string;
+  name: string;
+  rpc_url: string;
+  /** Fallback endpoints after rpc_url (migration 021) */
+  rpc_urls?: string[] | null;
+  rpc_max_block_lag?: number | null;
+  /** WebSocket endpoint for head subscriptions (EVM deposit streaming) */
+  ws_url?: string | null;
+  chain_type?: string | null;
+  chain_id?: number | string | null;
+  signer_chain?: string | null;
+  confirmation_threshold?: number | null;
+  native_currency_decimals?: number | null;
+}
+
+/** Asset fields needed to build a transfer */
+export interface TransferAsset {
+  is_native: boolean;
+  contract_address: string | null;
+}
+
+/** Event log of a mined EVM transaction */
+export interface TxLog {
+  address: string;
+  topics: readonly string[];
+  data: string;
+}
+
+/**
+ * Outcome of a confirmation check.
+ * - not_found: not mined yet (or dropped); leave the job as is
+ * - confirming: mined, below the confirmation threshold
+ * - success / failed: final execution result once the threshold is reached
+ */
+export interface TxConfirmationResult {
+  state: 'not_found' | 'confirming' | 'success' | 'failed';
+  blockNumber: number | null;
+  confirmations: number;
+  /** Fee in the native asset's smallest unit (wei / sun), when known */
+  feeRaw: bigint | null;
+  error: string | null;
+  /** EVM receipts only */
+  gasUsed?: bigint;
+  gasPrice?: bigint | null;
+  logs?: readonly TxLog[];
+}
+
+/** Signer service tx_intent (native or token transfer) */
+export type TransferIntent = Record<string, unknown> & { type: string; from: string; to: string };
+
+/** One balance read: native when contractAddress is null */
+export interface BalanceQuery {
+  address: string;
+  contractAddress: string | null;
+}
+
+/** Raw balance, or why this one read failed */
+export type BalanceQueryResult =
+  | { balanceRaw: string; error: null }
+  | { balanceRaw: null; error: string };
+
+export interface ChainBalanceClient {
+  getNativeBalance(address: string): Promise<string>;
+  getTokenBalance(contractAddress: string, walletAddress: string): Promise<string>;
+  /** Many balances in few round trips (EVM Multicall3); results in query order */
+  getBalances?(queries: BalanceQuery[]): Promise<BalanceQueryResult[]>;
+  calculateHumanAmount(amountRaw: string, decimals: number): string;
+}
+
+export interface ChainDepositConfirmationClient {
+  getCurrentBlockNumber(): Promise<number>;
+  /**
+   * Highest final block (EVM 'finalized' tag, TRON solidified block); null when the node does not
+   * support it. Transient RPC errors are thrown, never reported as null.
+   */
+  getFinalizedBlockNumber(): Promise<number | null>;
+  verifyDeposit(deposit: DepositLocator): Promise<DepositVerification>;
+}
+
+/**
+ * Chain Adapter
+ *
+ * One object per `chains` row covering what workers need from a chain:
+ * balances, deposit verification, transaction confirmation, transfer intents and fee estimation.
+ * Create with createChainAdapter() (chain-adapter.factory.ts).
+ */
+export interface ChainAdapter {
+  readonly chainType: ChainType;
+  readonly chain: ChainRow;
+  /** `chain` value sent to the signer service */
+  readonly signerChain: string;
+  readonly balances: ChainBalanceClient;
+  readonly deposits: ChainDepositConfirmationClient;
+
+  getCurrentBlockNumber(): Promise<number>;
+
+  /** Receipt + confirmation depth check for a broadcast transaction */
+  checkTransaction(txHash: string, confirmationThreshold: number): Promise<TxConfirmationResult>;
+
+  /** Signer service intent for a native or token transfer */
+  buildTransferIntent(from: string, to: string, amountRaw: string, asset: TransferAsset): TransferIntent;
+
+  /** Expected network fee of one transfer, in the native asset's smallest unit */
+  estimateTransferFee(asset: TransferAsset): Promise<bigint>;
+}
+
+/**
+ * Chain family of a `chains` row: the chain_type column (migration 020), falling back to the
+ * name heuristic the workers used before it existed.
+ */
+export function chainTypeOf(chain: { name: string; chain_type?: string | null }): ChainType {
+  if (chain.chain_type === 'evm' || chain.chain_type === 'tron') {
+    return chain.chain_type;
+  }
+  return chain.name.toLowerCase().includes('tron') ? 'tron' : 'evm';
+}
+
+/** `chain` value for the signer service: chains.signer_chain, else the chain name */
+export function signerChainOf(chain: { name: string; signer_chain?: string | null }): string {
+  return chain.signer_chain || chain.name.toLowerCase();
+}
@@ -0,0 +1,126 @@
+import { ethers } from 'ethers';
+import { BscClient } from '../bsc/bsc.client.js';
+import { BscBalanceClient } from '../bsc/bsc.balance.client.js';
+import { BscConfirmationClient } from '../bsc/bsc.confirmation.client.js';
+import { getEvmProvider } from '../shared-clients.js';
+import {
+  signerChainOf,
+  type ChainAdapter,
+  type ChainRow,
+  type TransferAsset,
+  type TransferIntent,
+  type TxConfirmationResult,
+} from '../chain-adapter.js';
+
+/** Gas limits used for transfer intents (same as the BSC withdrawal worker) */
+const NATIVE_TRANSFER_GAS_LIMIT = 21000;
+const TOKEN_TRANSFER_GAS_LIMIT = 65000;
+
+/**
+ * EVM Chain Adapter
+ *
+ * Works for any EVM chain row: the BSC clients only depend on the RPC URL.
+ */
+export class EvmChainAdapter implements ChainAdapter {
+  readonly chainType = 'evm' as const;
+  readonly chain: ChainRow;
+  readonly signerChain: string;
+  readonly balances: BscBalanceClient;
+  readonly deposits: BscConfirmationClient;
+  readonly provider: ethers.JsonRpcProvider;
+
+  constructor(chain: ChainRow) {
+    this.chain = chain;
+    this.signerChain = signerChainOf(chain);
+    this.balances = new BscBalanceClient(chain);
+    this.deposits = new BscConfirmationClient(chain);
+    this.provider = getEvmProvider(chain);
+  }
+
+  async getCurrentBlockNumber(): Promise<number> {
+    return this.provider.getBlockNumber();
+  }
+
+  /**
+   * Block scanning client for the EVM deposit worker (Transfer logs, native and internal transfers)
+   */
+  createScanClient(): BscClient {
+    return new BscClient({
+      chainId: this.chain.id,
+      name: this.chain.name,
+      rpcUrl: this.chain.rpc_url,
+      rpcUrls: this.chain.rpc_urls ?? null,
+      rpcMaxBlockLag: this.chain.rpc_max_block_lag ?? null,
+      wsUrl: this.chain.ws_url ?? null,
+      confirmationThreshold: this.chain.confirmation_threshold ?? 1,
+    });
+  }
+
+  /**
+   * getTransactionReceipt; status === 1 = success
+   */
+  async checkTransaction(
+    txHash: string,
+    confirmationThreshold: number
+  ): Promise<TxConfirmationResult> {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+
+    if (!receipt) {
+      return { state: 'not_found', blockNumber: null, confirmations: 0, feeRaw: null, error: null };
+    }
+
+    const currentBlock = await this.provider.getBlockNumber();
+    const mined = {
+      blockNumber: receipt.blockNumber,
+      confirmations: currentBlock - receipt.blockNumber + 1,
+      feeRaw: BigInt(receipt.gasUsed) * BigInt(receipt.gasPrice ?? 0),
+      gasUsed: BigInt(receipt.gasUsed),
+      gasPrice: receipt.gasPrice ?? null,
+      logs: receipt.logs,
+    };
+
+    if (mined.confirmations < confirmationThreshold) {
+      return { state: 'confirming', ...mined, error: null };
+    }
+
+    if (receipt.status === 1) {
+      return { state: 'success', ...mined, error: null };
+    }
+
+    return { state: 'failed', ...mined, error: `Transaction failed on-chain (status=${receipt.status})` };
+  }
+
+  buildTransferIntent(
+    from: string,
+    to: string,
+    amountRaw: string,
+    asset: TransferAsset
+  ): TransferIntent {
+    if (asset.is_native) {
+      return { type: 'native_transfer', from, to, value: amountRaw, gasLimit: NATIVE_TRANSFER_GAS_LIMIT };
+    }
+
+    if (!asset.contract_address) {
+      throw new Error('Token contract address is required for ERC20 transfer');
+    }
+
+    return {
+      type: 'erc20_transfer',
+      from,
+      to,
+      contractAddress: asset.contract_address,
+      amount: amountRaw,
+      gasLimit: TOKEN_TRANSFER_GAS_LIMIT,
+    };
+  }
+
+  /**
+   * gasPrice × standard gas limit
+   */
+  async estimateTransferFee(asset: TransferAsset): Promise<bigint> {
+    const feeData = await this.provider.getFeeData();
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+    const gasLimit = asset.is_native ? NATIVE_TRANSFER_GAS_LIMIT : TOKEN_TRANSFER_GAS_LIMIT;
+    return gasPrice * BigInt(gasLimit);
+  }
+}
@@ -0,0 +1,297 @@
+import { logger } from '../utils/logger.js';
+import { rpcEndpointHeadBlock, rpcEndpointHealthy } from '../control-plane/metrics.js';
+
+/** Consecutive failures that open an endpoint's circuit */
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_BASE_OPEN_MS = 30000;
+const CIRCUIT_MAX_OPEN_MS = 300000; // 5 minutes
+/** Weight of the newest sample in the latency / error-rate moving averages */
+const EWMA_ALPHA = 0.2;
+/** Score penalty per position in the configured list, so the primary wins unless it is clearly worse */
+const PRIORITY_PENALTY_MS = 250;
+const PROBE_INTERVAL_MS = parseInt(process.env.RPC_POOL_PROBE_INTERVAL_MS || '30000', 10);
+const DEFAULT_MAX_BLOCK_LAG = parseInt(process.env.RPC_POOL_MAX_BLOCK_LAG || '20', 10);
+
+export interface RpcEndpoint {
+  url: string;
+  /** URL host, used in logs and metric labels (paths may carry API keys) */
+  host: string;
+  /** Position in the endpoint list (0 = chains.rpc_url) */
+  priority: number;
+  latencyMs: number | null;
+  errorRate: number;
+  consecutiveFailures: number;
+  /** Circuit is open (endpoint skipped) until this time; 0 = closed */
+  openUntil: number;
+  opens: number;
+  headBlock: number | null;
+  /** Head more than maxBlockLag behind the best endpoint at the last probe */
+  lagging: boolean;
+}
+
+/**
+ * RPC Endpoint Pool
+ *
+ * Ordered RPC endpoints of one chain (chains.rpc_url, then chains.rpc_urls) with
+ * per-endpoint latency / error scoring, circuit breaking and a block height agreement check.
+ * execute() runs a request against the best endpoint and fails over to the next ones when it
+ * throws an endpoint-level error. Used by the shared ethers / TronWeb clients, so workers get
+ * failover without code changes.
+ */
+export class RpcEndpointPool {
+  /** Chain name used in logs and metric labels */
+  chain: string;
+  maxBlockLag: number;
+  private endpoints: RpcEndpoint[] = [];
+  private lastProbeAt = 0;
+  private probing = false;
+  private headProbe: ((endpoint: RpcEndpoint) => Promise<number>) | null = null;
+
+  constructor(chain: string, urls: string[], maxBlockLag: number = DEFAULT_MAX_BLOCK_LAG) {
+    this.chain = chain;
+    this.maxBlockLag = maxBlockLag;
+    this.setEndpoints(urls);
+  }
+
+  get urls(): string[] {
+    return this.endpoints.map((e) => e.url);
+  }
+
+  /**
+   * Replace the endpoint list, keeping the stats of endpoints that stay
+   */
+  setEndpoints(urls: string[]): void {
+    const previous = new Map(this.endpoints.map((e) => [e.url, e]));
+    this.endpoints = urls.map((url, priority) => {
+      const existing = previous.get(url);
+      if (existing) {
+        existing.priority = priority;
+        return existing;
+      }
+      return {
+        url,
+        host: hostOf(url),
+        priority,
+        latencyMs: null,
+        errorRate: 0,
+        consecutiveFailures: 0,
+        openUntil: 0,
+        opens: 0,
+        headBlock: null,
+        lagging: false,
+      };
+    });
+  }
+
+  /** Head block probe used by the agreement check (eth_blockNumber / wallet/getnowblock) */
+  setHeadProbe(probe: (endpoint: RpcEndpoint) => Promise<number>): void {
+    this.headProbe = probe;
+  }
+
+  /**
+   * Endpoints to try, best first: healthy ones by score, then half-open ones (circuit timeout
+   * passed), then lagging ones; endpoints with an open circuit only when nothing else is left.
+   */
+  candidates(): RpcEndpoint[] {
+    const now = Date.now();
+    const rank = (e: RpcEndpoint): number => {
+      if (e.openUntil > now) return 3;
+      if (e.lagging) return 2;
+      if (e.openUntil > 0) return 1;
+      return 0;
+    };
+    return [...this.endpoints].sort(
+      (a, b) => rank(a) - rank(b) || this.score(a) - this.score(b)
+    );
+  }
+
+  /**
+   * Run a request with failover. `isEndpointError` decides whether an error means the endpoint
+   * is unhealthy (try the next one) or is a legitimate answer (rethrow as is, e.g. a revert).
+   */
+  async execute<T>(
+    request: (endpoint: RpcEndpoint) => Promise<T>,
+    isEndpointError: (error: any) => boolean = () => true
+  ): Promise<T> {
+    this.maybeProbe();
+
+    let lastError: any = null;
+    for (const endpoint of this.candidates()) {
+      const startMs = Date.now();
+      try {
+        const result = await request(endpoint);
+        this.recordSuccess(endpoint, Date.now() - startMs);
+        return result;
+      } catch (error: any) {
+        if (!isEndpointError(error)) {
+          this.recordSuccess(endpoint, Date.now() - startMs);
+          throw error;
+        }
+        this.recordFailure(endpoint, Date.now() - startMs, error);
+        lastError = error;
+      }
+    }
+    throw lastError ?? new Error(`No RPC endpoints configured for ${this.chain}`);
+  }
+
+  recordSuccess(endpoint: RpcEndpoint, latencyMs: number): void {
+    endpoint.latencyMs =
+      endpoint.latencyMs === null
+        ? latencyMs
+        : endpoint.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA;
+    endpoint.errorRate *= 1 - EWMA_ALPHA;
+    endpoint.consecutiveFailures = 0;
+    if (endpoint.openUntil > 0) {
+      logger.info({ chain: this.chain, endpoint: endpoint.host }, 'RPC endpoint recovered, closing circuit');
+      endpoint.openUntil = 0;
+      endpoint.opens = 0;
+    }
+    this.publish(endpoint);
+  }
+
+  recordFailure(endpoint: RpcEndpoint, latencyMs: number, error: any): void {
+    endpoint.latencyMs =
+      endpoint.latencyMs === null
+        ? latencyMs
+        : endpoint.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA;
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_ALPHA) + EWMA_ALPHA;
+    endpoint.consecutiveFailures++;
+
+    const halfOpen = endpoint.openUntil > 0 && endpoint.openUntil <= Date.now();
+    if (halfOpen || endpoint.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      const openMs = Math.min(CIRCUIT_BASE_OPEN_MS * Math.pow(2, endpoint.opens), CIRCUIT_MAX_OPEN_MS);
+      endpoint.openUntil = Date.now() + openMs;
+      endpoint.opens++;
+      logger.warn(
+        {
+          chain: this.chain,
+          endpoint: endpoint.host,
+          consecutiveFailures: endpoint.consecutiveFailures,
+          openFor: `${openMs}ms`,
+          error: error?.message ?? String(error),
+        },
+        'RPC endpoint failing, opening circuit'
+      );
+    } else {
+      logger.debug(
+        { chain: this.chain, endpoint: endpoint.host, error: error?.message ?? String(error) },
+        'RPC endpoint request failed, failing over'
+      );
+    }
+    this.publish(endpoint);
+  }
+
+  /** Head block seen in a response (e.g. eth_blockNumber passing through) */
+  recordHead(endpoint: RpcEndpoint, block: number): void {
+    endpoint.headBlock = block;
+    rpcEndpointHeadBlock.set({ chain: this.chain, endpoint: endpoint.host }, block);
+  }
+
+  /**
+   * Block height agreement check: probe every endpoint's head and mark those more than
+   * maxBlockLag behind the best one as lagging, so reads don't go to a node that has not seen
+   * the blocks another endpoint just reported. Runs at most every PROBE_INTERVAL_MS, in the
+   * background of a request.
+   */
+  private maybeProbe(): void {
+    if (
+      this.endpoints.length < 2 ||
+      !this.headProbe ||
+      this.probing ||
+      Date.now() - this.lastProbeAt < PROBE_INTERVAL_MS
+    ) {
+      return;
+    }
+    this.probing = true;
+    this.lastProbeAt = Date.now();
+    this.probe()
+      .catch((error: any) => {
+        logger.warn({ chain: this.chain, error: error.message }, 'RPC endpoint probe failed');
+      })
+      .finally(() => {
+        this.probing = false;
+      });
+  }
+
+  private async probe(): Promise<void> {
+    const probe = this.headProbe!;
+    await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        try {
+          this.recordHead(endpoint, await probe(endpoint));
+        } catch {
+          endpoint.headBlock = null;
+        }
+      })
+    );
+
+    const heads = this.endpoints
+      .map((e) => e.headBlock)
+      .filter((h): h is number => h !== null);
+    if (heads.length === 0) return;
+    const best = Math.max(...heads);
+
+    for (const endpoint of this.endpoints) {
+      const lagging = endpoint.headBlock === null || best - endpoint.headBlock > this.maxBlockLag;
+      if (lagging && !endpoint.lagging) {
+        logger.warn(
+          {
+            chain: this.chain,
+            endpoint: endpoint.host,
+            headBlock: endpoint.headBlock,
+            bestHeadBlock: best,
+            maxBlockLag: this.maxBlockLag,
+          },
+          'RPC endpoint disagrees on block height, deprioritizing'
+        );
+      } else if (!lagging && endpoint.lagging) {
+        logger.info({ chain: this.chain, endpoint: endpoint.host }, 'RPC endpoint caught up');
+      }
+      endpoint.lagging = lagging;
+      this.publish(endpoint);
+    }
+  }
+
+  private score(endpoint: RpcEndpoint): number {
+    return (
+      (endpoint.latencyMs ?? 0) * (1 + 4 * endpoint.errorRate) +
+      endpoint.priority * PRIORITY_PENALTY_MS
+    );
+  }
+
+  private publish(endpoint: RpcEndpoint): void {
+    const healthy = endpoint.openUntil <= Date.now() && !endpoint.lagging;
+    rpcEndpointHealthy.set({ chain: this.chain, endpoint: endpoint.host }, healthy ? 1 : 0);
+  }
+}
+
+export function hostOf(url: string): string {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'unknown';
+  }
+}
+
+/** Chain row fields describing its RPC endpoints */
+export interface RpcChainRef {
+  name: string;
+  rpc_url: string;
+  rpc_urls?: string[] | null;
+  rpc_max_block_lag?: number | null;
+}
+
+export function normalizeRpcUrl(url: string): string {
+  const u = url.trim();
+  return u.endsWith('/') ? u.slice(0, -1) : u;
+}
+
+/**
+ * Ordered endpoint list of a chain: rpc_url first (primary), then chains.rpc_urls, without duplicates
+ */
+export function rpcEndpointsOf(chain: { rpc_url: string; rpc_urls?: string[] | null }): string[] {
+  const urls = [chain.rpc_url, ...(chain.rpc_urls ?? [])]
+    .filter((u): u is string => typeof u === 'string' && u.trim().length > 0)
+    .map(normalizeRpcUrl);
+  return Array.from(new Set(urls));
+}
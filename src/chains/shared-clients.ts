@@ -0,0 +1,245 @@
+import { ethers } from 'ethers';
+import { TronWeb, providers } from 'tronweb';
+import { rpcErrorsTotal, rpcRequestDuration, secondsSince } from '../control-plane/metrics.js';
+import {
+  RpcEndpointPool,
+  hostOf,
+  normalizeRpcUrl,
+  rpcEndpointsOf,
+  type RpcChainRef,
+  type RpcEndpoint,
+} from './rpc-pool.js';
+
+/**
+ * Process-wide RPC clients, one per chain (keyed by the primary chains.rpc_url).
+ *
+ * Workers running side by side in the supervisor (index-supervisor.ts) share one ethers provider
+ * and one TronWeb instance per chain instead of each opening its own. Only use the returned
+ * clients for stateless calls: never setAddress / setPrivateKey on a shared TronWeb.
+ *
+ * Requests go through the chain's RpcEndpointPool (rpc-pool.ts): failover across rpc_url and
+ * rpc_urls, endpoint scoring and circuit breaking. Every request is timed into the rpc_* metrics.
+ *
+ * Pass the chain row when you have it so the pool knows all endpoints and the chain name; a bare
+ * URL reuses the pool of the chain whose primary it is, or creates a single-endpoint pool.
+ */
+export type RpcTarget = string | RpcChainRef;
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.RPC_REQUEST_TIMEOUT_MS || '15000', 10);
+
+const pools = new Map<string, RpcEndpointPool>();
+const evmProviders = new Map<string, ethers.JsonRpcProvider>();
+const tronClients = new Map<string, any>();
+
+/** Resolve (and keep up to date) the endpoint pool of a chain */
+function poolFor(target: RpcTarget): RpcEndpointPool {
+  const primary = normalizeRpcUrl(typeof target === 'string' ? target : target.rpc_url);
+  let pool = pools.get(primary);
+
+  if (typeof target === 'string') {
+    if (!pool) {
+      pool = new RpcEndpointPool(hostOf(primary), [primary]);
+      pools.set(primary, pool);
+    }
+    return pool;
+  }
+
+  const urls = rpcEndpointsOf(target);
+  if (!pool) {
+    pool = new RpcEndpointPool(target.name.toLowerCase(), urls);
+    pools.set(primary, pool);
+  } else {
+    pool.chain = target.name.toLowerCase();
+    pool.setEndpoints(urls);
+  }
+  if (target.rpc_max_block_lag) {
+    pool.maxBlockLag = target.rpc_max_block_lag;
+  }
+  return pool;
+}
+
+/** Error raised when an endpoint answered with a JSON-RPC error that means "try another node" */
+class RpcEndpointResponseError extends Error {
+  readonly results: ethers.JsonRpcResult[];
+
+  constructor(message: string, results: ethers.JsonRpcResult[]) {
+    super(message);
+    this.results = results;
+  }
+}
+
+/** Rate limits, overloaded / out-of-sync nodes: the request itself is fine, the node is not */
+function isEndpointRpcError(error: { code?: number; message?: string } | undefined): boolean {
+  if (!error) return false;
+  if (error.code === -32005 || error.code === -32603) return true;
+  return /rate limit|limit exceeded|too many requests|header not found|missing trie node|timeout|timed out|busy|unavailable/i.test(
+    error.message ?? ''
+  );
+}
+
+/**
+ * JsonRpcProvider sending every payload through the chain's endpoint pool
+ */
+class PooledJsonRpcProvider extends ethers.JsonRpcProvider {
+  private readonly pool: RpcEndpointPool;
+  private readonly endpointProviders = new Map<string, ethers.JsonRpcProvider>();
+
+  constructor(pool: RpcEndpointPool) {
+    super(pool.urls[0]);
+    this.pool = pool;
+    pool.setHeadProbe(async (endpoint) => {
+      const [result] = await this.endpointProvider(endpoint.url)._send({
+        method: 'eth_blockNumber',
+        params: [],
+        id: 1,
+        jsonrpc: '2.0',
+      });
+      if (!result || !('result' in result)) throw new Error('eth_blockNumber failed');
+      return Number(result.result);
+    });
+  }
+
+  /** Raw provider of one endpoint; only its _send is used, so it never runs network detection */
+  private endpointProvider(url: string): ethers.JsonRpcProvider {
+    let provider = this.endpointProviders.get(url);
+    if (!provider) {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = REQUEST_TIMEOUT_MS;
+      provider = new ethers.JsonRpcProvider(request);
+      this.endpointProviders.set(url, provider);
+    }
+    return provider;
+  }
+
+  override async _send(
+    payload: ethers.JsonRpcPayload | Array<ethers.JsonRpcPayload>
+  ): Promise<Array<ethers.JsonRpcResult>> {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const method = payloads.length === 1 ? payloads[0]!.method : 'batch';
+
+    try {
+      return await this.pool.execute((endpoint) => this.sendTo(endpoint, payload, method));
+    } catch (error) {
+      // Every endpoint answered with a node-level JSON-RPC error: hand the last answer to ethers
+      // so callers see the same error they got before (e.g. -32005 handling in BscClient)
+      if (error instanceof RpcEndpointResponseError) return error.results;
+      throw error;
+    }
+  }
+
+  private async sendTo(
+    endpoint: RpcEndpoint,
+    payload: ethers.JsonRpcPayload | Array<ethers.JsonRpcPayload>,
+    method: string
+  ): Promise<Array<ethers.JsonRpcResult>> {
+    const labels = { chain: this.pool.chain, endpoint: endpoint.host, method };
+    const startMs = Date.now();
+    let results: Array<ethers.JsonRpcResult>;
+    try {
+      results = await this.endpointProvider(endpoint.url)._send(payload);
+    } catch (error) {
+      rpcRequestDuration.observe(labels, secondsSince(startMs));
+      rpcErrorsTotal.inc(labels);
+      throw error;
+    }
+    rpcRequestDuration.observe(labels, secondsSince(startMs));
+
+    // JSON-RPC errors come back as result entries, not rejections
+    const errors = results
+      .filter((r) => 'error' in r)
+      .map((r) => (r as unknown as ethers.JsonRpcError).error);
+    if (errors.length > 0) rpcErrorsTotal.inc(labels, errors.length);
+    const endpointError = errors.find(isEndpointRpcError);
+    if (endpointError) {
+      throw new RpcEndpointResponseError(endpointError.message ?? 'RPC endpoint error', results);
+    }
+
+    const [first] = results;
+    if (method === 'eth_blockNumber' && first && 'result' in first) {
+      this.pool.recordHead(endpoint, Number(first.result));
+    }
+    return results;
+  }
+}
+
+/** Collapse addresses / hashes in TronGrid-style paths so they don't become label values */
+function tronMethodLabel(url: string): string {
+  return url
+    .split('?')[0]!
+    .split('/')
+    .map((part) => (/^(T[1-9A-HJ-NP-Za-km-z]{33}|(0x)?[0-9a-fA-F]{40,})$/.test(part) ? ':id' : part))
+    .join('/');
+}
+
+/** Network failures, timeouts, 5xx and 429 mean the node is unhealthy; other HTTP errors are answers */
+function isTronEndpointError(error: any): boolean {
+  const status: number | undefined = error?.response?.status;
+  return status === undefined || status >= 500 || status === 429;
+}
+
+/**
+ * Route every request of TronWeb's HTTP providers (full node, solidity node, event server)
+ * through the chain's endpoint pool
+ */
+function poolTronWeb(tronWeb: any, pool: RpcEndpointPool): void {
+  const nodes = new Map<string, any>();
+  const endpointNode = (endpoint: RpcEndpoint, kind: string): any => {
+    const key = `${kind}:${endpoint.url}`;
+    let node = nodes.get(key);
+    if (!node) {
+      node = new providers.HttpProvider(endpoint.url, REQUEST_TIMEOUT_MS);
+      nodes.set(key, node);
+    }
+    return node;
+  };
+
+  pool.setHeadProbe(async (endpoint) => {
+    const block: any = await endpointNode(endpoint, 'fullNode').request('wallet/getnowblock');
+    return block.block_header.raw_data.number;
+  });
+
+  for (const kind of ['fullNode', 'solidityNode', 'eventServer']) {
+    const node = tronWeb[kind];
+    if (!node || typeof node.request !== 'function') continue;
+    node.request = (url: string, payload?: unknown, method?: string) =>
+      pool.execute(async (endpoint) => {
+        const labels = { chain: pool.chain, endpoint: endpoint.host, method: tronMethodLabel(url) };
+        const startMs = Date.now();
+        try {
+          const result = await endpointNode(endpoint, kind).request(url, payload, method);
+          if (url === 'wallet/getnowblock' && result?.block_header) {
+            pool.recordHead(endpoint, result.block_header.raw_data.number);
+          }
+          return result;
+        } catch (error) {
+          rpcErrorsTotal.inc(labels);
+          throw error;
+        } finally {
+          rpcRequestDuration.observe(labels, secondsSince(startMs));
+        }
+      }, isTronEndpointError);
+  }
+}
+
+export function getEvmProvider(target: RpcTarget): ethers.JsonRpcProvider {
+  const pool = poolFor(target);
+  const key = pool.urls[0]!;
+  let provider = evmProviders.get(key);
+  if (!provider) {
+    provider = new PooledJsonRpcProvider(pool);
+    evmProviders.set(key, provider);
+  }
+  return provider;
+}
+
+export function getTronWeb(target: RpcTarget): any {
+  const pool = poolFor(target);
+  const key = pool.urls[0]!;
+  let tronWeb = tronClients.get(key);
+  if (!tronWeb) {
+    tronWeb = new TronWeb({ fullHost: key });
+    poolTronWeb(tronWeb, pool);
+    tronClients.set(key, tronWeb);
+  }
+  return tronWeb;
+}
@@ -0,0 +1,25 @@
+import { ethers } from 'ethers';
+
+/** symbol() selector, shared by ERC20 and TRC20 */
+export const SYMBOL_SELECTOR = '0x95d89b41';
+
+/**
+ * Decode the return data of symbol(): an ABI string, or bytes32 for old tokens (e.g. MKR).
+ * Returns null when the data is neither.
+ */
+export function decodeTokenSymbol(data: string): string | null {
+  const hex = data.startsWith('0x') ? data : `0x${data}`;
+  if (hex.length <= 2) return null;
+
+  try {
+    return ethers.AbiCoder.defaultAbiCoder().decode(['string'], hex)[0] as string;
+  } catch {
+    // not an ABI string
+  }
+
+  try {
+    return ethers.decodeBytes32String(ethers.dataSlice(hex, 0, 32));
+  } catch {
+    return null;
+  }
+}
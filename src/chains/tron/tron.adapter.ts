@@ -0,0 +1,123 @@
+import { getTronWeb } from '../shared-clients.js';
+import { TronClient } from './tron.client.js';
+import { TronBalanceClient } from './tron.balance.client.js';
+import { TronConfirmationClient } from './tron.confirmation.client.js';
+import {
+  signerChainOf,
+  type ChainAdapter,
+  type ChainRow,
+  type TransferAsset,
+  type TransferIntent,
+  type TxConfirmationResult,
+} from '../chain-adapter.js';
+
+/** Resource usage assumed for fee estimation when the account has no staked energy/bandwidth */
+const TRX_TRANSFER_BANDWIDTH = 270;
+const TRC20_TRANSFER_BANDWIDTH = 345;
+const TRC20_TRANSFER_ENERGY = 65000;
+
+/**
+ * TRON Chain Adapter
+ */
+export class TronChainAdapter implements ChainAdapter {
+  readonly chainType = 'tron' as const;
+  readonly chain: ChainRow;
+  readonly signerChain: string;
+  readonly balances: TronBalanceClient;
+  readonly deposits: TronConfirmationClient;
+  readonly tronWeb: any;
+
+  constructor(chain: ChainRow) {
+    this.chain = chain;
+    this.signerChain = signerChainOf(chain);
+    this.balances = new TronBalanceClient(chain);
+    this.deposits = new TronConfirmationClient(chain);
+    this.tronWeb = getTronWeb(chain);
+  }
+
+  async getCurrentBlockNumber(): Promise<number> {
+    const block = await this.tronWeb.trx.getCurrentBlock();
+    return block.block_header.raw_data.number;
+  }
+
+  /**
+   * Block scanning client for the TRON deposit worker (TRC20 events, TRX and internal transfers)
+   */
+  createScanClient(): TronClient {
+    return new TronClient({
+      chainId: this.chain.id,
+      name: this.chain.name,
+      rpcUrl: this.chain.rpc_url,
+      rpcUrls: this.chain.rpc_urls ?? null,
+      rpcMaxBlockLag: this.chain.rpc_max_block_lag ?? null,
+      confirmationThreshold: this.chain.confirmation_threshold ?? 1,
+    });
+  }
+
+  /**
+   * getTransactionInfo; receipt.result undefined or 'SUCCESS' = success
+   */
+  async checkTransaction(
+    txHash: string,
+    confirmationThreshold: number
+  ): Promise<TxConfirmationResult> {
+    const txInfo = await this.tronWeb.trx.getTransactionInfo(txHash);
+
+    if (!txInfo || !txInfo.blockNumber || !txInfo.receipt) {
+      return { state: 'not_found', blockNumber: null, confirmations: 0, feeRaw: null, error: null };
+    }
+
+    const currentBlockNumber = await this.getCurrentBlockNumber();
+    const confirmations = currentBlockNumber - txInfo.blockNumber + 1;
+    const feeRaw = txInfo.fee ? BigInt(txInfo.fee) : null;
+
+    if (confirmations < confirmationThreshold) {
+      return { state: 'confirming', blockNumber: txInfo.blockNumber, confirmations, feeRaw, error: null };
+    }
+
+    const receiptResult = txInfo.receipt.result;
+    if (!receiptResult || receiptResult === 'SUCCESS') {
+      return { state: 'success', blockNumber: txInfo.blockNumber, confirmations, feeRaw, error: null };
+    }
+
+    return {
+      state: 'failed',
+      blockNumber: txInfo.blockNumber,
+      confirmations,
+      feeRaw,
+      error: `Transaction failed on-chain: ${receiptResult}`,
+    };
+  }
+
+  buildTransferIntent(
+    from: string,
+    to: string,
+    amountRaw: string,
+    asset: TransferAsset
+  ): TransferIntent {
+    if (asset.is_native) {
+      return { type: 'send_trx', from, to, amount_sun: amountRaw };
+    }
+
+    if (!asset.contract_address) {
+      throw new Error('Token contract address is required for TRC20 transfer');
+    }
+
+    return { type: 'trc20_transfer', from, to, contract_address: asset.contract_address, amount: amountRaw };
+  }
+
+  /**
+   * Burned TRX for bandwidth (+ energy for TRC20) at current chain parameters, in sun
+   */
+  async estimateTransferFee(asset: TransferAsset): Promise<bigint> {
+    const params: Array<{ key: string; value?: number }> = await this.tronWeb.trx.getChainParameters();
+    const param = (key: string): bigint => BigInt(params.find(p => p.key === key)?.value ?? 0);
+
+    const bandwidthFee = param('getTransactionFee');
+    if (asset.is_native) {
+      return bandwidthFee * BigInt(TRX_TRANSFER_BANDWIDTH);
+    }
+
+    return bandwidthFee * BigInt(TRC20_TRANSFER_BANDWIDTH) + param('getEnergyFee') * BigInt(TRC20_TRANSFER_ENERGY);
+  }
+}
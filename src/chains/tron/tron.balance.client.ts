@@ -1,4 +1,4 @@
-import { TronWeb } from 'tronweb';
+import { getTronWeb, type RpcTarget } from '../shared-clients.js';
 import { logger } from '../../utils/logger.js';
 import { sleepWithBackoff } from '../../utils/sleep.js';
 
@@ -7,11 +7,10 @@ export class TronBalanceClient {
   private rpcUrl: string;
   private readonly MAX_RETRIES = 3;
 
-  constructor(rpcUrl: string) {
-    this.rpcUrl = rpcUrl;
-    this.tronWeb = new TronWeb({
-      fullHost: rpcUrl,
-    });
+  /** Pass the chain row to get failover across its rpc_urls */
+  constructor(rpc: RpcTarget) {
+    this.rpcUrl = typeof rpc === 'string' ? rpc : rpc.rpc_url;
+    this.tronWeb = getTronWeb(rpc);
   }
 
   /**
@@ -1,4 +1,5 @@
-import { TronWeb } from 'tronweb';
+import { getTronWeb } from '../shared-clients.js';
+import { decodeTokenSymbol } from '../token-symbol.js';
 import { logger } from '../../utils/logger.js';
 import { sleepWithBackoff } from '../../utils/sleep.js';
 
@@ -6,6 +7,10 @@ export interface TronChainConfig {
   chainId: string;
   name: string;
   rpcUrl: string;
+  /** Fallback endpoints (chains.rpc_urls) */
+  rpcUrls?: string[] | null;
+  /** Allowed head lag between endpoints (chains.rpc_max_block_lag) */
+  rpcMaxBlockLag?: number | null;
   confirmationThreshold: number;
 }
 
@@ -20,15 +25,61 @@ export interface TRC20Transfer {
   contractAddress: string;
 }
 
+/**
+ * Native TRX transfer (TransferContract or internal call value).
+ * Native transfers have no event, so logIndex uses a negative sentinel to stay unique
+ * on (tx_hash, log_index): -1 for TransferContract, -(n + 2) for the n-th internal transaction.
+ */
+export interface NativeTransfer {
+  transactionHash: string;
+  logIndex: number;
+  from: string;
+  to: string;
+  value: string;
+  blockNumber: number;
+  blockHash: string;
+  blockTimestamp: number;
+  isInternal: boolean;
+}
+
+/** log_index used for a TransferContract (top-level TRX transfer). */
+export const NATIVE_TRANSFER_LOG_INDEX = -1;
+
+/** log_index used for the n-th internal transaction of a transaction (0-based). */
+export function internalTransferLogIndex(internalIndex: number): number {
+  return -(internalIndex + 2);
+}
+
+/** keccak256("Transfer(address,address,uint256)") */
+const TRC20_TRANSFER_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+/** TronGrid caps `limit` at 200 */
+const TRONGRID_PAGE_SIZE = 200;
+const TRONGRID_MAX_PAGES = 500;
+
+/**
+ * 'events' (default): TronGrid event API, walking blocks when it fails.
+ * 'blocks': always walk blocks, for nodes without the /v1 event API.
+ */
+const TRC20_SCAN_MODE = process.env.TRON_TRC20_SCAN_MODE === 'blocks' ? 'blocks' : 'events';
+
+/** Token symbols kept in memory (unknown tokens sent to deposit addresses) */
+const TOKEN_SYMBOL_CACHE_SIZE = 10000;
+
 export class TronClient {
   private tronWeb: any;
   private config: TronChainConfig;
   private readonly MAX_RETRIES = 3;
+  /** contract -> symbol() (null when it has none) */
+  private tokenSymbols = new Map<string, string | null>();
 
   constructor(config: TronChainConfig) {
     this.config = config;
-    this.tronWeb = new TronWeb({
-      fullHost: config.rpcUrl,
+    this.tronWeb = getTronWeb({
+      name: config.name,
+      rpc_url: config.rpcUrl,
+      rpc_urls: config.rpcUrls ?? null,
+      rpc_max_block_lag: config.rpcMaxBlockLag ?? null,
     });
   }
 
@@ -52,151 +103,409 @@ export class TronClient {
   }
 
   /**
-   * Fetch TRC20 Transfer events for a contract in a block range
+   * Get the block ID (hash) of a block, or null if the node does not have it (yet).
+   * Used by the deposit worker to detect reorgs below its cursor.
+   */
+  async getBlockHash(blockNumber: number): Promise<string | null> {
+    const block = await this.getBlockByNumber(blockNumber);
+    return block?.blockID ?? null;
+  }
+
+  /**
+   * Get the parent hash of a block, or null if the node does not have it (yet).
+   */
+  async getParentHash(blockNumber: number): Promise<string | null> {
+    const block = await this.getBlockByNumber(blockNumber);
+    return block?.block_header?.raw_data?.parentHash ?? null;
+  }
+
+  /**
+   * First block at or after `time` (binary search over block timestamps), capped at maxBlock.
+   * Used to find where to start backfilling an address created at `time`.
+   */
+  async findBlockAtTime(time: Date, maxBlock: number): Promise<number> {
+    const target = time.getTime();
+    let lo = 0;
+    let hi = maxBlock;
+
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      const block = await this.getBlockByNumber(mid);
+      if (!block?.block_header) {
+        throw new Error(`Block ${mid} not found while searching block at ${time.toISOString()}`);
+      }
+      if (block.block_header.raw_data.timestamp < target) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    return lo;
+  }
+
+  /**
+   * Follow new head blocks (unconfirmed) by polling wallet/getnowblock every pollIntervalMs until
+   * the returned function is called; TRON full nodes have no head subscription.
+   * onHead may see the same or a lower number again (endpoint failover).
+   */
+  watchHeads(onHead: (blockNumber: number) => void, pollIntervalMs: number): () => void {
+    let polling = false;
+
+    const poll = setInterval(() => {
+      if (polling) return;
+
+      polling = true;
+      this.getCurrentBlockNumber()
+        .then(onHead, (error: any) => {
+          logger.warn({ chain: this.config.name, error: error.message }, 'Head poll failed');
+        })
+        .finally(() => {
+          polling = false;
+        });
+    }, pollIntervalMs);
+
+    return () => clearInterval(poll);
+  }
+
+  /**
+   * Fetch TRC20 Transfer events for a contract in a block range.
+   *
+   * Uses the TronGrid event API (exact block timestamps, every page) and falls back to walking
+   * the blocks when it fails or is not available on the node. Throws rather than returning a
+   * partial list: the deposit worker must not advance its cursor past unscanned blocks.
    */
   async getTRC20Transfers(
     contractAddress: string,
     fromBlock: number,
     toBlock: number
   ): Promise<TRC20Transfer[]> {
-    return this.retryWithBackoff(async () => {
-      const transfers: TRC20Transfer[] = [];
-
-      try {
-        // Get contract instance
-        const contract = await this.tronWeb.contract().at(contractAddress);
-
-        // Fetch Transfer events
-        // TronWeb doesn't have a great event filtering API, so we need to scan blocks
-        // For production, consider using TronGrid API directly
-        const events = await contract.getPastEvents('Transfer', {
-          fromBlock,
-          toBlock,
-        });
+    if (TRC20_SCAN_MODE === 'blocks') {
+      return this.getTRC20TransfersFromBlocks(contractAddress, fromBlock, toBlock);
+    }
 
-        for (const event of events) {
-          const { result, transaction, block, resourceNode } = event;
+    try {
+      return await this.getTRC20TransfersViaTronGrid(contractAddress, fromBlock, toBlock);
+    } catch (error: any) {
+      logger.warn(
+        { error: error.message, contractAddress, fromBlock, toBlock },
+        'TronGrid event scan failed, walking blocks instead'
+      );
+      return this.getTRC20TransfersFromBlocks(contractAddress, fromBlock, toBlock);
+    }
+  }
 
-          if (!result || !transaction) {
-            continue;
-          }
+  /**
+   * TronGrid event API: /v1/contracts/{address}/events bounded by the timestamps of fromBlock
+   * and toBlock, following meta.fingerprint until the last page
+   */
+  /**
+   * TRC20 Transfer logs of any contract to the given recipients (lower-cased base58), by walking
+   * blocks. Used to spot unknown tokens sent to deposit addresses.
+   */
+  async getTRC20TransfersTo(
+    recipients: Set<string>,
+    fromBlock: number,
+    toBlock: number
+  ): Promise<TRC20Transfer[]> {
+    if (recipients.size === 0) {
+      return [];
+    }
+    return this.getTRC20TransfersFromBlocks(null, fromBlock, toBlock, recipients);
+  }
 
-          const transfer: TRC20Transfer = {
-            transactionHash: transaction,
-            logIndex: event.event_index || 0,
-            from: this.tronWeb.address.fromHex(result.from || result._from),
-            to: this.tronWeb.address.fromHex(result.to || result._to),
-            value: (result.value || result._value || '0').toString(),
-            blockNumber: block || fromBlock,
-            blockTimestamp: event.timestamp || Date.now(),
-            contractAddress,
-          };
-
-          transfers.push(transfer);
-        }
+  /**
+   * symbol() of a TRC20 contract, cached. Null when the contract has no symbol() or it reverts.
+   */
+  async getTokenSymbol(contractAddress: string): Promise<string | null> {
+    if (this.tokenSymbols.has(contractAddress)) {
+      return this.tokenSymbols.get(contractAddress)!;
+    }
 
-        return transfers;
-      } catch (error: any) {
-        // If the method doesn't exist or fails, try TronGrid API
-        logger.warn(
-          { error: error.message, contractAddress, fromBlock, toBlock },
-          'Contract event fetching failed, trying TronGrid API'
-        );
+    const contractHex = this.base58ToHex(contractAddress);
+    const result: any = await this.retryWithBackoff(
+      (): Promise<any> =>
+        this.tronWeb.transactionBuilder.triggerConstantContract(
+          contractHex,
+          'symbol()',
+          {},
+          [],
+          contractHex
+        ),
+      `symbol(${contractAddress})`
+    );
+    const data: string | undefined = result?.result?.result ? result.constant_result?.[0] : undefined;
+    const symbol = data ? decodeTokenSymbol(data) : null;
 
-        return await this.getTRC20TransfersViaTronGrid(
-          contractAddress,
-          fromBlock,
-          toBlock
-        );
-      }
-    }, `getTRC20Transfers(${contractAddress}, ${fromBlock}-${toBlock})`);
+    if (this.tokenSymbols.size >= TOKEN_SYMBOL_CACHE_SIZE) {
+      const oldest = this.tokenSymbols.keys().next().value;
+      if (oldest !== undefined) this.tokenSymbols.delete(oldest);
+    }
+    this.tokenSymbols.set(contractAddress, symbol);
+    return symbol;
   }
 
-  /**
-   * Alternative method using TronGrid API
-   */
   private async getTRC20TransfersViaTronGrid(
     contractAddress: string,
     fromBlock: number,
     toBlock: number
   ): Promise<TRC20Transfer[]> {
+    const [first, last] = await Promise.all([
+      this.getBlockByNumber(fromBlock),
+      this.getBlockByNumber(toBlock),
+    ]);
+    if (!first?.block_header || !last?.block_header) {
+      throw new Error(`Block range ${fromBlock}-${toBlock} not available on the node`);
+    }
+
+    const url = `v1/contracts/${contractAddress}/events`;
+    const baseParams: Record<string, string> = {
+      event_name: 'Transfer',
+      min_block_timestamp: String(first.block_header.raw_data.timestamp),
+      max_block_timestamp: String(last.block_header.raw_data.timestamp),
+      order_by: 'block_timestamp,asc',
+      limit: String(TRONGRID_PAGE_SIZE),
+    };
+
     const transfers: TRC20Transfer[] = [];
+    const seen = new Set<string>();
+    let fingerprint: string | undefined;
+    let pages = 0;
+
+    do {
+      if (++pages > TRONGRID_MAX_PAGES) {
+        throw new Error(
+          `TronGrid returned more than ${TRONGRID_MAX_PAGES} pages for ${fromBlock}-${toBlock}, lower BATCH_BLOCK_SIZE`
+        );
+      }
 
-    try {
-      // Use TronGrid event API
-      const url = `${this.config.rpcUrl}/v1/contracts/${contractAddress}/events`;
-      const params = new URLSearchParams({
-        event_name: 'Transfer',
-        min_block_timestamp: (fromBlock * 3000).toString(), // Approximate
-        limit: '200',
-      });
-
-      logger.debug(
-        { url: `${url}?${params}`, fromBlock, toBlock },
-        'Fetching events from TronGrid API'
+      const params = fingerprint ? { ...baseParams, fingerprint } : baseParams;
+      const data: any = await this.retryWithBackoff(
+        () => this.tronWeb.eventServer.request(url, params, 'get'),
+        `getTRC20Events(${contractAddress}, ${fromBlock}-${toBlock}, page ${pages})`
       );
 
-      const response = await fetch(`${url}?${params}`);
-      if (!response.ok) {
-        throw new Error(`TronGrid API error: ${response.statusText}`);
+      if (!data || data.success === false || !Array.isArray(data.data)) {
+        throw new Error(`TronGrid API error: ${data?.error ?? 'unexpected response'}`);
+      }
+
+      for (const event of data.data) {
+        // Timestamps bound the range exactly (one block per slot); the check is a safety net
+        if (event.block_number < fromBlock || event.block_number > toBlock) {
+          continue;
+        }
+
+        const key = `${event.transaction_id}:${event.event_index}`;
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
+        transfers.push({
+          transactionHash: event.transaction_id,
+          logIndex: event.event_index || 0,
+          from: this.tronWeb.address.fromHex(event.result.from),
+          to: this.tronWeb.address.fromHex(event.result.to),
+          value: event.result.value || '0',
+          blockNumber: event.block_number,
+          blockTimestamp: event.block_timestamp,
+          contractAddress,
+        });
       }
 
-      const data = await response.json();
+      fingerprint = data.meta?.fingerprint || undefined;
+    } while (fingerprint);
 
-      logger.debug(
-        { 
-          totalEvents: data.data?.length || 0,
-          fromBlock,
-          toBlock,
-          contractAddress 
-        },
-        'TronGrid API response'
+    if (transfers.length > 0) {
+      logger.info(
+        { transfersFound: transfers.length, pages, fromBlock, toBlock, contractAddress },
+        'Found TRC20 transfers in block range'
       );
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Walk the blocks and decode Transfer logs of the contract from each block's transaction infos
+   * (gettransactioninfobyblocknum). Covers direct transfer / transferFrom calls as well as
+   * transfers made by other contracts; reverted transactions are skipped.
+   */
+  private async getTRC20TransfersFromBlocks(
+    contractAddress: string | null,
+    fromBlock: number,
+    toBlock: number,
+    recipients?: Set<string>
+  ): Promise<TRC20Transfer[]> {
+    // Log addresses are 20-byte hex without the 41 prefix; null = any contract
+    const contractHex = contractAddress
+      ? this.base58ToHex(contractAddress).toLowerCase().replace(/^41/, '')
+      : null;
+    const transfers: TRC20Transfer[] = [];
+
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+      const txInfos: any[] = await this.getTransactionInfosByBlock(blockNumber);
+
+      for (const info of txInfos) {
+        if (info.receipt?.result && info.receipt.result !== 'SUCCESS') {
+          continue;
+        }
 
-      if (data.data && Array.isArray(data.data)) {
-        for (const event of data.data) {
-          // Filter by block range
+        (info.log || []).forEach((log: any, logIndex: number) => {
+          const topics: string[] = log.topics || [];
           if (
-            event.block_number < fromBlock ||
-            event.block_number > toBlock
+            !log.address ||
+            (contractHex !== null && log.address.toLowerCase() !== contractHex) ||
+            topics.length !== 3 ||
+            topics[0]!.toLowerCase() !== TRC20_TRANSFER_TOPIC ||
+            !log.data
           ) {
-            continue;
+            return;
+          }
+
+          const to = this.hexToBase58(`41${topics[2]!.slice(-40)}`);
+          if (recipients && !recipients.has(to.toLowerCase())) {
+            return;
           }
 
-          const transfer: TRC20Transfer = {
-            transactionHash: event.transaction_id,
-            logIndex: event.event_index || 0,
-            from: this.tronWeb.address.fromHex(event.result.from),
-            to: this.tronWeb.address.fromHex(event.result.to),
-            value: event.result.value || '0',
-            blockNumber: event.block_number,
-            blockTimestamp: event.block_timestamp,
-            contractAddress,
-          };
-
-          transfers.push(transfer);
+          transfers.push({
+            transactionHash: info.id,
+            logIndex,
+            from: this.hexToBase58(`41${topics[1]!.slice(-40)}`),
+            to,
+            value: BigInt(`0x${log.data}`).toString(),
+            blockNumber,
+            blockTimestamp: info.blockTimeStamp,
+            contractAddress: contractAddress ?? this.hexToBase58(`41${log.address}`),
+          });
+        });
+      }
+    }
+
+    if (transfers.length > 0) {
+      logger.info(
+        { transfersFound: transfers.length, fromBlock, toBlock, contractAddress: contractAddress ?? 'any' },
+        'Found TRC20 transfers by walking blocks'
+      );
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Transaction infos (receipts, logs, internal transactions) of every transaction in a block
+   */
+  private async getTransactionInfosByBlock(blockNumber: number): Promise<any[]> {
+    const txInfos = await this.retryWithBackoff(
+      () =>
+        this.tronWeb.fullNode.request(
+          'wallet/gettransactioninfobyblocknum',
+          { num: blockNumber },
+          'post'
+        ),
+      `getTransactionInfoByBlockNum(${blockNumber})`
+    );
+    return Array.isArray(txInfos) ? txInfos : [];
+  }
+
+  /**
+   * Fetch native TRX transfers to the given recipients (lower-cased base58) by walking blocks,
+   * plus those sent by any of senders. Covers TransferContract transactions and TRX moved by
+   * internal transactions (gettransactioninfobyblocknum); failed or rejected transfers are skipped.
+   */
+  async getNativeTransfers(
+    fromBlock: number,
+    toBlock: number,
+    recipients: Set<string>,
+    senders: Set<string> = new Set()
+  ): Promise<NativeTransfer[]> {
+    const transfers: NativeTransfer[] = [];
+
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+      const block = await this.getBlockByNumber(blockNumber);
+      if (!block?.block_header) {
+        throw new Error(`Block ${blockNumber} not found while scanning native transfers`);
+      }
+
+      const blockHash: string = block.blockID;
+      const blockTimestamp: number = block.block_header.raw_data.timestamp;
+
+      for (const tx of block.transactions || []) {
+        const contract = tx.raw_data?.contract?.[0];
+        if (contract?.type !== 'TransferContract') {
+          continue;
+        }
+
+        const value = contract.parameter?.value;
+        if (!value?.to_address || !value.amount) {
+          continue;
+        }
+
+        const to = this.hexToBase58(value.to_address);
+        const from = this.hexToBase58(value.owner_address);
+        if (!recipients.has(to.toLowerCase()) && !senders.has(from.toLowerCase())) {
+          continue;
         }
 
-        if (transfers.length > 0) {
-          logger.info(
-            { 
-              transfersFound: transfers.length,
-              fromBlock,
-              toBlock,
-              contractAddress,
-              sampleTransfer: transfers[0]
-            },
-            'Found TRC20 transfers in block range'
-          );
+        if (tx.ret?.[0]?.contractRet && tx.ret[0].contractRet !== 'SUCCESS') {
+          continue;
         }
+
+        transfers.push({
+          transactionHash: tx.txID,
+          logIndex: NATIVE_TRANSFER_LOG_INDEX,
+          from,
+          to,
+          value: String(value.amount),
+          blockNumber,
+          blockHash,
+          blockTimestamp,
+          isInternal: false,
+        });
       }
-    } catch (error: any) {
-      logger.error(
-        { error: error.message, contractAddress, fromBlock, toBlock },
-        'Failed to fetch events from TronGrid'
+
+      const txInfos = await this.getTransactionInfosByBlock(blockNumber);
+
+      for (const info of txInfos) {
+        (info.internal_transactions || []).forEach((itx: any, index: number) => {
+          if (itx.rejected) {
+            return;
+          }
+
+          // callValueInfo entries with tokenId are TRC10 transfers, not TRX
+          const callValue = (itx.callValueInfo || [])
+            .filter((v: any) => !v.tokenId && v.callValue)
+            .reduce((sum: bigint, v: any) => sum + BigInt(v.callValue), 0n);
+          if (callValue === 0n || !itx.transferTo_address) {
+            return;
+          }
+
+          const to = this.hexToBase58(itx.transferTo_address);
+          const from = this.hexToBase58(itx.caller_address);
+          if (!recipients.has(to.toLowerCase()) && !senders.has(from.toLowerCase())) {
+            return;
+          }
+
+          transfers.push({
+            transactionHash: info.id,
+            logIndex: internalTransferLogIndex(index),
+            from,
+            to,
+            value: callValue.toString(),
+            blockNumber,
+            blockHash,
+            blockTimestamp,
+            isInternal: true,
+          });
+        });
+      }
+    }
+
+    if (transfers.length > 0) {
+      logger.info(
+        { transfersFound: transfers.length, fromBlock, toBlock },
+        'Found native TRX transfers in block range'
       );
-      // Return empty array rather than throwing
-      return [];
     }
 
     return transfers;
@@ -1,17 +1,31 @@
-import { TronWeb } from 'tronweb';
+import { getTronWeb, type RpcTarget } from '../shared-clients.js';
 import { logger } from '../../utils/logger.js';
 import { sleepWithBackoff } from '../../utils/sleep.js';
+import type {
+  DepositLocator,
+  DepositVerification,
+} from '../../types/deposit-verification.js';
+
+const TRC20_TRANSFER_TOPIC =
+  'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'; // keccak256("Transfer(address,address,uint256)")
+
+/** Node does not serve the solidity API (no solidity node behind it), not a transient failure */
+function isSolidityApiUnsupportedError(error: any): boolean {
+  const status = error?.response?.status ?? error?.status;
+  if (status === 404 || status === 405 || status === 501) return true;
+  const message = `${error?.message ?? ''} ${typeof error === 'string' ? error : ''}`;
+  return /status code (404|405|501)|not (supported|implemented)|unsupported/i.test(message);
+}
 
 export class TronConfirmationClient {
   private tronWeb: any;
   private rpcUrl: string;
   private readonly MAX_RETRIES = 3;
 
-  constructor(rpcUrl: string) {
-    this.rpcUrl = rpcUrl;
-    this.tronWeb = new TronWeb({
-      fullHost: rpcUrl,
-    });
+  /** Pass the chain row to get failover across its rpc_urls */
+  constructor(rpc: RpcTarget) {
+    this.rpcUrl = typeof rpc === 'string' ? rpc : rpc.rpc_url;
+    this.tronWeb = getTronWeb(rpc);
   }
 
   /**
@@ -24,6 +38,87 @@ export class TronConfirmationClient {
     }, 'getCurrentBlockNumber');
   }
 
+  /**
+   * Latest solidified (irreversible) block, from the solidity node.
+   * Null when the node does not serve the solidity API; transient errors are thrown.
+   */
+  async getFinalizedBlockNumber(): Promise<number | null> {
+    try {
+      const block = await this.retryWithBackoff(async () => {
+        return await this.tronWeb.trx.getConfirmedCurrentBlock();
+      }, 'getConfirmedCurrentBlock');
+      return block?.block_header?.raw_data?.number ?? null;
+    } catch (error: any) {
+      if (!isSolidityApiUnsupportedError(error)) {
+        throw error;
+      }
+      logger.warn(
+        { error: error.message, rpcUrl: this.rpcUrl },
+        'Solidified block not available from node'
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Re-fetch the transaction info of a pending deposit and check it is still in the canonical chain.
+   * Token deposits must still carry a Transfer log to the deposit address at the recorded event index;
+   * internal TRX deposits must still have their (non-rejected) internal transaction.
+   */
+  async verifyDeposit(deposit: DepositLocator): Promise<DepositVerification> {
+    const missing: DepositVerification = {
+      status: 'missing',
+      blockNumber: null,
+      blockHash: null,
+    };
+
+    const info = await this.retryWithBackoff(async () => {
+      return await this.tronWeb.trx.getTransactionInfo(deposit.txHash);
+    }, `getTransactionInfo(${deposit.txHash})`);
+
+    // Unknown transactions come back as an empty object
+    if (!info?.id || !info.blockNumber) {
+      return missing;
+    }
+
+    if (info.result === 'FAILED' || (info.receipt?.result && info.receipt.result !== 'SUCCESS')) {
+      return missing;
+    }
+
+    if (deposit.logIndex >= 0) {
+      const log = info.log?.[deposit.logIndex];
+      const toHex: string | undefined = log?.topics?.[2];
+      if (!log || log.topics?.[0] !== TRC20_TRANSFER_TOPIC || !toHex) {
+        return missing;
+      }
+
+      const to = this.tronWeb.address.fromHex('41' + toHex.slice(-40));
+      if (to !== deposit.toAddress) {
+        return missing;
+      }
+    } else if (deposit.logIndex < -1) {
+      const internal = info.internal_transactions?.[-deposit.logIndex - 2];
+      if (!internal || internal.rejected) {
+        return missing;
+      }
+    }
+
+    const block = await this.retryWithBackoff(async () => {
+      return await this.tronWeb.trx.getBlock(info.blockNumber);
+    }, `getBlock(${info.blockNumber})`);
+    const blockHash: string | null = block?.blockID ?? null;
+
+    const moved =
+      info.blockNumber !== deposit.blockNumber ||
+      (deposit.blockHash !== null && blockHash !== null && blockHash !== deposit.blockHash);
+
+    return {
+      status: moved ? 'moved' : 'canonical',
+      blockNumber: info.blockNumber,
+      blockHash,
+    };
+  }
+
   /**
    * Retry logic with exponential backoff
    */
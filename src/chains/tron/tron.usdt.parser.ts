@@ -1,4 +1,4 @@
-import type { TRC20Transfer } from './tron.client.js';
+import type { NativeTransfer, TRC20Transfer } from './tron.client.js';
 
 export interface ParsedDeposit {
   txHash: string;
@@ -7,8 +7,9 @@ export interface ParsedDeposit {
   to: string;
   amountRaw: string;
   blockNumber: number;
+  blockHash: string | null; // not available from TronGrid events
   blockTimestamp: Date;
-  contractAddress: string;
+  contractAddress: string | null; // null for native TRX
   assetOnChainId: string;
 }
 
@@ -27,12 +28,34 @@ export class TronTRC20TransferParser {
       to: transfer.to,
       amountRaw: transfer.value,
       blockNumber: transfer.blockNumber,
+      blockHash: null,
       blockTimestamp: new Date(transfer.blockTimestamp),
       contractAddress: transfer.contractAddress,
       assetOnChainId,
     };
   }
 
+  /**
+   * Parse native TRX transfer into deposit format
+   */
+  static parseNativeTransfer(
+    transfer: NativeTransfer,
+    assetOnChainId: string
+  ): ParsedDeposit {
+    return {
+      txHash: transfer.transactionHash,
+      logIndex: transfer.logIndex,
+      from: transfer.from,
+      to: transfer.to,
+      amountRaw: transfer.value,
+      blockNumber: transfer.blockNumber,
+      blockHash: transfer.blockHash,
+      blockTimestamp: new Date(transfer.blockTimestamp),
+      contractAddress: null,
+      assetOnChainId,
+    };
+  }
+
   /**
    * Calculate human-readable amount from raw amount
    */
@@ -79,5 +102,17 @@ export class TronTRC20TransferParser {
       this.isValidTronAddress(transfer.from)
     );
   }
-}
 
+  /**
+   * Validate native transfer has minimum required fields
+   */
+  static isValidNativeTransfer(transfer: NativeTransfer): boolean {
+    return (
+      !!transfer.transactionHash &&
+      transfer.blockNumber > 0 &&
+      this.isValidTronAddress(transfer.to) &&
+      this.isValidTronAddress(transfer.from) &&
+      transfer.value !== '0'
+    );
+  }
+}
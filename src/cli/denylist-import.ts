@@ -0,0 +1,182 @@
+import 'dotenv/config';
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { getSupabaseClient } from '../config/supabase.js';
+import { ScreeningService } from '../services/screening.service.js';
+import type { DenylistEntryInput } from '../types/screening.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Denylist import CLI
+ *
+ * Bulk loads a sanctions / denylist export into screening_denylist (migration 028):
+ *
+ *   npm run import:denylist -- --file sdn.csv --source ofac_sdn --replace
+ *   npm run import:denylist -- --file internal.json --source manual --chain bsc
+ *
+ * CSV: header row with an `address` column and optional `chain` and `reason` columns; without
+ * a header, the first column of every line is the address.
+ * JSON: an array of addresses, or of { address, chain?, reason? } objects.
+ * A row's chain (chains.name) overrides --chain; no chain = denied on every chain.
+ * --replace deactivates entries of the source that are no longer in the list.
+ */
+
+const USAGE = `Usage:
+  import:denylist --file <path> --source <name> [--format csv|json] [--chain <name>] [--replace]`;
+
+interface RawEntry {
+  address: string;
+  chain?: string | undefined;
+  reason?: string | undefined;
+}
+
+/** Split one CSV line, honouring double-quoted fields */
+function splitCsvLine(line: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]!;
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function parseCsv(content: string): RawEntry[] {
+  const lines = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith('#'));
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = splitCsvLine(lines[0]!).map((name) => name.toLowerCase());
+  const addressColumn = header.indexOf('address');
+  if (addressColumn === -1) {
+    return lines.map((line) => ({ address: splitCsvLine(line)[0] ?? '' }));
+  }
+
+  const chainColumn = header.indexOf('chain');
+  const reasonColumn = header.indexOf('reason');
+  return lines.slice(1).map((line) => {
+    const fields = splitCsvLine(line);
+    return {
+      address: fields[addressColumn] ?? '',
+      chain: chainColumn === -1 ? undefined : fields[chainColumn] || undefined,
+      reason: reasonColumn === -1 ? undefined : fields[reasonColumn] || undefined,
+    };
+  });
+}
+
+function parseJson(content: string): RawEntry[] {
+  const parsed: unknown = JSON.parse(content);
+  if (!Array.isArray(parsed)) {
+    throw new Error('JSON denylist must be an array');
+  }
+
+  return parsed.map((item: any) => {
+    if (typeof item === 'string') {
+      return { address: item };
+    }
+    if (!item || typeof item.address !== 'string') {
+      throw new Error(`JSON denylist entry without an address: ${JSON.stringify(item)}`);
+    }
+    return {
+      address: item.address,
+      chain: typeof item.chain === 'string' ? item.chain : undefined,
+      reason: typeof item.reason === 'string' ? item.reason : undefined,
+    };
+  });
+}
+
+/** chains.name (lower-cased) -> chains.id */
+async function loadChainIds(): Promise<Map<string, string>> {
+  const { data, error } = await getSupabaseClient().from('chains').select('id, name');
+
+  if (error) {
+    throw new Error(`Failed to load chains: ${error.message}`);
+  }
+  return new Map((data ?? []).map((row: { id: string; name: string }) => [row.name.toLowerCase(), row.id]));
+}
+
+async function main(): Promise<number> {
+  const { values } = parseArgs({
+    options: {
+      file: { type: 'string' },
+      source: { type: 'string' },
+      format: { type: 'string' },
+      chain: { type: 'string' },
+      replace: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!values.file || !values.source) {
+    logger.error(USAGE);
+    return 1;
+  }
+
+  const format = values.format ?? (extname(values.file).toLowerCase() === '.json' ? 'json' : 'csv');
+  if (format !== 'csv' && format !== 'json') {
+    logger.error(USAGE);
+    return 1;
+  }
+
+  const content = await readFile(values.file, 'utf8');
+  const raw = format === 'json' ? parseJson(content) : parseCsv(content);
+
+  const chainIds = await loadChainIds();
+  const chainIdOf = (name: string | undefined): string | null => {
+    if (!name) return null;
+    const id = chainIds.get(name.toLowerCase());
+    if (!id) {
+      throw new Error(`Chain ${name} not found`);
+    }
+    return id;
+  };
+
+  const defaultChainId = chainIdOf(values.chain);
+  const entries: DenylistEntryInput[] = raw
+    .filter((entry) => entry.address.trim().length > 0)
+    .map((entry) => ({
+      address: entry.address,
+      chainId: entry.chain ? chainIdOf(entry.chain) : defaultChainId,
+      reason: entry.reason ?? null,
+    }));
+
+  if (entries.length === 0 && values.replace) {
+    // An empty export would deactivate the whole source
+    logger.error({ file: values.file }, 'No addresses in the list, refusing to replace');
+    return 1;
+  }
+
+  const result = await new ScreeningService().importEntries(values.source, entries, values.replace);
+  logger.info({ file: values.file, format, ...result }, 'Denylist imported');
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error: any) => {
+    logger.error({ error: error.message }, 'Denylist import failed');
+    process.exit(1);
+  });
@@ -0,0 +1,202 @@
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { getSupabaseClient } from '../config/supabase.js';
+import { getEvmProvider, getTronWeb } from '../chains/shared-clients.js';
+import { chainTypeOf } from '../chains/chain-adapter.js';
+import { DepositRescanService } from '../services/deposit-rescan.service.js';
+import type { DepositOutcome, DepositRescanJob } from '../types/deposit-rescan.js';
+import { logger } from '../utils/logger.js';
+import { sleep } from '../utils/sleep.js';
+
+/**
+ * Deposit rescan CLI
+ *
+ * Queues a targeted rescan (deposit_rescan_jobs) that the chain's deposit worker runs next to
+ * its live scan, and reports what it found. For "my deposit never arrived" tickets:
+ *
+ *   npm run rescan:deposits -- enqueue --chain bsc --tx 0xabc... --reason "TICKET-123" --wait
+ *   npm run rescan:deposits -- enqueue --chain tron --from 61000000 --to 61000500 \
+ *       --address TXyz... --asset <asset_on_chain_id> --wait
+ *   npm run rescan:deposits -- status <job id>
+ *   npm run rescan:deposits -- cancel <job id>
+ *
+ * --tx rescans the block of that transaction; --address / --asset may be repeated.
+ */
+
+const USAGE = `Usage:
+  rescan:deposits enqueue --chain <name> (--tx <hash> | --from <block> --to <block>)
+                          [--address <addr>]... [--asset <asset_on_chain_id>]... [--reason <text>] [--wait]
+  rescan:deposits status <job id>
+  rescan:deposits cancel <job id>`;
+
+const WAIT_POLL_MS = 5000;
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+const OUTCOME_LABELS: Record<DepositOutcome, string> = {
+  inserted: 'Recovered deposit',
+  revived: 'Recovered deposit',
+  existing: 'Already recorded',
+  suspicious: 'Held as suspicious transfer (see suspicious_transfers)',
+};
+
+interface ChainRow {
+  id: string;
+  name: string;
+  chain_type: string | null;
+  rpc_url: string;
+  rpc_urls: string[] | null;
+  rpc_max_block_lag: number | null;
+}
+
+async function loadChain(name: string): Promise<ChainRow> {
+  const { data, error } = await getSupabaseClient()
+    .from('chains')
+    .select('id, name, chain_type, rpc_url, rpc_urls, rpc_max_block_lag')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load chain ${name}: ${error.message}`);
+  }
+  if (!data) {
+    throw new Error(`Chain ${name} not found`);
+  }
+  return data;
+}
+
+/** Block of a transaction, so a ticket's tx hash is enough to rescan */
+async function blockOfTransaction(chain: ChainRow, txHash: string): Promise<number> {
+  if (chainTypeOf(chain) === 'tron') {
+    const info = await getTronWeb(chain).trx.getTransactionInfo(txHash);
+    if (!info?.blockNumber) {
+      throw new Error(`Transaction ${txHash} not found on ${chain.name} (or not yet in a block)`);
+    }
+    return info.blockNumber;
+  }
+
+  const receipt = await getEvmProvider(chain).getTransactionReceipt(txHash);
+  if (!receipt) {
+    throw new Error(`Transaction ${txHash} not found on ${chain.name} (or not yet in a block)`);
+  }
+  return receipt.blockNumber;
+}
+
+function printJob(job: DepositRescanJob): void {
+  logger.info(
+    {
+      jobId: job.id,
+      status: job.status,
+      range: `${job.from_block}-${job.to_block}`,
+      nextBlock: job.next_block,
+      addresses: job.addresses ?? 'all',
+      assets: job.asset_on_chain_ids ?? 'all',
+      reason: job.reason,
+      depositsFound: job.deposits_found,
+      depositsInserted: job.deposits_inserted,
+      error: job.error_message,
+    },
+    'Deposit rescan job'
+  );
+
+  for (const found of job.report) {
+    logger.info(found, OUTCOME_LABELS[found.outcome]);
+  }
+}
+
+async function waitForJob(service: DepositRescanService, jobId: string): Promise<DepositRescanJob> {
+  let lastNextBlock = -1;
+  for (;;) {
+    const job = await service.get(jobId);
+    if (!job) {
+      throw new Error(`Rescan job ${jobId} disappeared`);
+    }
+    if (TERMINAL_STATUSES.has(job.status)) {
+      return job;
+    }
+    if (job.next_block !== lastNextBlock) {
+      lastNextBlock = job.next_block;
+      logger.info(
+        { jobId, status: job.status, nextBlock: job.next_block, toBlock: job.to_block },
+        'Waiting for deposit worker...'
+      );
+    }
+    await sleep(WAIT_POLL_MS);
+  }
+}
+
+async function main(): Promise<number> {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      chain: { type: 'string' },
+      tx: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      address: { type: 'string', multiple: true },
+      asset: { type: 'string', multiple: true },
+      reason: { type: 'string' },
+      wait: { type: 'boolean', default: false },
+    },
+  });
+
+  const [command, jobId] = positionals;
+  const service = new DepositRescanService();
+
+  if ((command === 'status' || command === 'cancel') && jobId) {
+    if (command === 'cancel') {
+      const cancelled = await service.cancel(jobId);
+      logger.info({ jobId, cancelled }, cancelled ? 'Rescan job cancelled' : 'Rescan job not pending or running');
+    }
+    const job = await service.get(jobId);
+    if (!job) {
+      logger.error({ jobId }, 'Rescan job not found');
+      return 1;
+    }
+    printJob(job);
+    return 0;
+  }
+
+  if (command !== 'enqueue' || !values.chain || (!values.tx && (!values.from || !values.to))) {
+    logger.error(USAGE);
+    return 1;
+  }
+
+  const chain = await loadChain(values.chain);
+  let fromBlock: number;
+  let toBlock: number;
+  if (values.tx) {
+    fromBlock = toBlock = await blockOfTransaction(chain, values.tx);
+  } else {
+    fromBlock = parseInt(values.from!, 10);
+    toBlock = parseInt(values.to!, 10);
+    if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock)) {
+      logger.error(USAGE);
+      return 1;
+    }
+  }
+
+  const job = await service.enqueue({
+    chainId: chain.id,
+    fromBlock,
+    toBlock,
+    addresses: values.address ?? null,
+    assetOnChainIds: values.asset ?? null,
+    reason: values.reason ?? (values.tx ? `tx ${values.tx}` : null),
+    requestedBy: `cli:${process.env.USER ?? 'unknown'}`,
+  });
+
+  if (!values.wait) {
+    logger.info({ jobId: job.id }, `Queued; check with: npm run rescan:deposits -- status ${job.id}`);
+    return 0;
+  }
+
+  const finished = await waitForJob(service, job.id);
+  printJob(finished);
+  return finished.status === 'completed' ? 0 : 1;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error: any) => {
+    logger.error({ error: error.message }, 'Deposit rescan command failed');
+    process.exit(1);
+  });
@@ -0,0 +1,80 @@
+import { createServer, type Server } from 'node:http';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { queueDepth, registerCollector, renderMetrics } from './metrics.js';
+
+/** Non-terminal statuses counted as queue depth */
+const QUEUE_STATUSES: Record<string, string[]> = {
+  deposits: ['pending'],
+  gas_topup_queue: ['pending', 'processing', 'confirming'],
+  consolidation_queue: ['pending', 'processing', 'confirming'],
+  withdrawal_queue: ['pending', 'processing', 'confirming'],
+};
+
+/** Queue counts are shared by all scrapes within this window */
+const QUEUE_DEPTH_CACHE_MS = 15000;
+
+let server: Server | null = null;
+let queueDepthCollectedAt = 0;
+
+/**
+ * Count rows per queue and status (head-only count queries).
+ * A failed count leaves the previous value in place.
+ */
+async function collectQueueDepths(): Promise<void> {
+  if (Date.now() - queueDepthCollectedAt < QUEUE_DEPTH_CACHE_MS) return;
+  queueDepthCollectedAt = Date.now();
+
+  const supabase = getSupabaseClient();
+  const counts = Object.entries(QUEUE_STATUSES).flatMap(([table, statuses]) =>
+    statuses.map(async (status) => {
+      const { count, error } = await supabase
+        .from(table)
+        .select('id', { count: 'exact', head: true })
+        .eq('status', status);
+
+      if (error) {
+        logger.warn({ table, status, error: error.message }, 'Metrics: queue depth query failed');
+        return;
+      }
+      queueDepth.set({ queue: table, status }, count ?? 0);
+    })
+  );
+  await Promise.all(counts);
+}
+
+/**
+ * Start the Prometheus /metrics endpoint when METRICS_PORT is set. Safe to call more than once:
+ * every worker calls it from WorkerRuntime.register(), one server is started per process.
+ */
+export function startMetricsServer(): void {
+  const port = parseInt(process.env.METRICS_PORT || '', 10);
+  if (server || !port) return;
+
+  registerCollector(collectQueueDepths);
+
+  server = createServer((req, res) => {
+    if (req.method !== 'GET' || (req.url ?? '').split('?')[0] !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    renderMetrics()
+      .then((body) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(body);
+      })
+      .catch((error: any) => {
+        logger.error({ error: error.message }, 'Metrics: render failed');
+        res.writeHead(500).end();
+      });
+  });
+
+  server.on('error', (error: any) => {
+    logger.error({ port, error: error.message }, 'Metrics server error');
+  });
+  server.listen(port, process.env.METRICS_HOST || '0.0.0.0', () => {
+    logger.info({ port }, 'Metrics server listening on /metrics');
+  });
+  // Never keep a stopping worker process alive
+  server.unref();
+}
@@ -0,0 +1,237 @@
+/**
+ * In-process Prometheus metrics.
+ *
+ * Counters, gauges and histograms kept in memory and rendered in the Prometheus text format by
+ * the /metrics endpoint (metrics-server.ts). Recording is always on and cheap; nothing is exposed
+ * unless METRICS_PORT is set.
+ */
+
+type Labels = Record<string, string | number | null | undefined>;
+
+const METRIC_PREFIX = 'coinsensei_';
+
+/** Seconds; covers fast RPC reads up to slow signer / getLogs calls */
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function labelKey(labels: Labels): string {
+  return JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map((k) => [k, String(labels[k] ?? '')])
+  );
+}
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(pairs: Array<[string, string]>): string {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+abstract class Metric {
+  readonly name: string;
+  readonly help: string;
+  abstract readonly type: 'counter' | 'gauge' | 'histogram';
+
+  constructor(name: string, help: string) {
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    registry.push(this);
+  }
+
+  abstract samples(): string[];
+
+  render(): string {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join(
+      '\n'
+    );
+  }
+}
+
+class Counter extends Metric {
+  readonly type = 'counter' as const;
+  private values: Map<string, { labels: Array<[string, string]>; value: number }> = new Map();
+
+  inc(labels: Labels = {}, value: number = 1): void {
+    if (value <= 0) return;
+    const key = labelKey(labels);
+    const entry = this.values.get(key);
+    if (entry) {
+      entry.value += value;
+    } else {
+      this.values.set(key, { labels: JSON.parse(key), value });
+    }
+  }
+
+  samples(): string[] {
+    return Array.from(this.values.values()).map(
+      (e) => `${this.name}${formatLabels(e.labels)} ${e.value}`
+    );
+  }
+}
+
+class Gauge extends Metric {
+  readonly type = 'gauge' as const;
+  private values: Map<string, { labels: Array<[string, string]>; value: number }> = new Map();
+
+  set(labels: Labels, value: number): void {
+    const key = labelKey(labels);
+    this.values.set(key, { labels: JSON.parse(key), value });
+  }
+
+  /** Drop all series, for gauges rebuilt on every scrape */
+  reset(): void {
+    this.values.clear();
+  }
+
+  samples(): string[] {
+    return Array.from(this.values.values()).map(
+      (e) => `${this.name}${formatLabels(e.labels)} ${e.value}`
+    );
+  }
+}
+
+class Histogram extends Metric {
+  readonly type = 'histogram' as const;
+  private readonly buckets: number[];
+  private values: Map<
+    string,
+    { labels: Array<[string, string]>; counts: number[]; sum: number; count: number }
+  > = new Map();
+
+  constructor(name: string, help: string, buckets: number[] = DEFAULT_BUCKETS) {
+    super(name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels: Labels, seconds: number): void {
+    const key = labelKey(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: JSON.parse(key), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) entry!.counts[i]!++;
+    });
+    entry.sum += seconds;
+    entry.count++;
+  }
+
+  samples(): string[] {
+    const lines: string[] = [];
+    for (const e of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels([...e.labels, ['le', String(bound)]])} ${e.counts[i]}`
+        );
+      });
+      lines.push(`${this.name}_bucket${formatLabels([...e.labels, ['le', '+Inf']])} ${e.count}`);
+      lines.push(`${this.name}_sum${formatLabels(e.labels)} ${e.sum}`);
+      lines.push(`${this.name}_count${formatLabels(e.labels)} ${e.count}`);
+    }
+    return lines;
+  }
+}
+
+const registry: Metric[] = [];
+const collectors: Array<() => Promise<void>> = [];
+
+// ---------------------------------------------------------------------------
+// Worker cycles (WorkerRuntime.logExecution)
+// ---------------------------------------------------------------------------
+
+export const workerCyclesTotal = new Counter(
+  'worker_cycles_total',
+  'Worker loop cycles by outcome (success, fail, skip)'
+);
+export const workerJobsTotal = new Counter(
+  'worker_jobs_total',
+  'Jobs claimed / processed / succeeded / failed per worker type'
+);
+export const workerCycleDuration = new Histogram(
+  'worker_cycle_duration_seconds',
+  'Duration of one worker loop cycle'
+);
+export const workerLastCycleTimestamp = new Gauge(
+  'worker_last_cycle_timestamp_seconds',
+  'Unix time of the last finished worker cycle'
+);
+
+// ---------------------------------------------------------------------------
+// Chain RPC (chains/shared-clients.ts, chains/rpc-pool.ts)
+// ---------------------------------------------------------------------------
+
+export const rpcRequestDuration = new Histogram(
+  'rpc_request_duration_seconds',
+  'Chain RPC request latency per chain and method'
+);
+export const rpcErrorsTotal = new Counter(
+  'rpc_errors_total',
+  'Chain RPC requests that failed (transport error or JSON-RPC error) per chain and method'
+);
+export const rpcEndpointHealthy = new Gauge(
+  'rpc_endpoint_healthy',
+  '1 when the endpoint circuit is closed and its head is within the allowed lag, else 0'
+);
+export const rpcEndpointHeadBlock = new Gauge(
+  'rpc_endpoint_head_block',
+  'Latest head block reported by each RPC endpoint'
+);
+
+// ---------------------------------------------------------------------------
+// Signer service (services/signer.service.ts)
+// ---------------------------------------------------------------------------
+
+export const signerRequestDuration = new Histogram(
+  'signer_request_duration_seconds',
+  'Signer service /api/sign latency by chain and outcome'
+);
+
+// ---------------------------------------------------------------------------
+// Deposit scanners
+// ---------------------------------------------------------------------------
+
+export const depositScannerBlockLag = new Gauge(
+  'deposit_scanner_block_lag',
+  'Blocks between the chain head and the last block processed by the deposit scanner'
+);
+export const depositScannerLastBlock = new Gauge(
+  'deposit_scanner_last_processed_block',
+  'Last block processed by the deposit scanner'
+);
+export const operationWalletTransfersTotal = new Counter(
+  'operation_wallet_transfers_total',
+  'Transfers touching operation wallets seen by the deposit scanner, by linked job type or unexplained'
+);
+
+// ---------------------------------------------------------------------------
+// Queues (collected on scrape)
+// ---------------------------------------------------------------------------
+
+export const queueDepth = new Gauge(
+  'queue_depth',
+  'Rows per non-terminal status in deposits and the job queues'
+);
+
+/**
+ * Register an async callback run before each scrape (e.g. gauges read from the database)
+ */
+export function registerCollector(collector: () => Promise<void>): void {
+  collectors.push(collector);
+}
+
+/** Milliseconds since start as seconds, for histogram observations */
+export function secondsSince(startMs: number): number {
+  return (Date.now() - startMs) / 1000;
+}
+
+/**
+ * Run collectors and render every metric in the Prometheus text exposition format
+ */
+export async function renderMetrics(): Promise<string> {
+  await Promise.all(collectors.map((collect) => collect().catch(() => {})));
+  return registry.map((metric) => metric.render()).join('\n\n') + '\n';
+}
@@ -0,0 +1,95 @@
+import { TronDepositWorker } from '../workers/deposit/tron.deposit.worker.js';
+import { BscDepositWorker } from '../workers/deposit/bsc.deposit.worker.js';
+import { ConfirmationWorker } from '../workers/confirmation/confirmation.worker.js';
+import { BalanceSyncWorker } from '../workers/balance-sync/balance-sync.worker.js';
+import { RuleExecutionWorker } from '../workers/rule-execution/rule-execution.worker.js';
+import { TronGasTopupWorker } from '../workers/gas-topup/tron-gas-topup.worker.js';
+import { BscGasTopupWorker } from '../workers/gas-topup/bsc-gas-topup.worker.js';
+import { GasConfirmationWorker } from '../workers/gas-confirmation/gas-confirmation.worker.js';
+import { TronConsolidationWorker } from '../workers/consolidation/tron-consolidation.worker.js';
+import { BscConsolidationWorker } from '../workers/consolidation/bsc-consolidation.worker.js';
+import { ConsolidationConfirmationWorker } from '../workers/consolidation-confirmation/consolidation-confirmation.worker.js';
+import { WithdrawalEnqueueWorker } from '../workers/withdrawal-enqueue/withdrawal-enqueue.worker.js';
+import { TronWithdrawalWorker } from '../workers/withdrawal/tron-withdrawal.worker.js';
+import { BscWithdrawalWorker } from '../workers/withdrawal/bsc-withdrawal.worker.js';
+import { WithdrawalConfirmationWorker } from '../workers/withdrawal-confirmation/withdrawal-confirmation.worker.js';
+import { WithdrawalRiskEngineWorker } from '../workers/withdrawal-risk-engine/withdrawal-risk-engine.worker.js';
+import { HotWalletRebalanceWorker } from '../workers/hot-wallet-rebalance/hot-wallet-rebalance.worker.js';
+
+/** Lifecycle every worker class implements (see the index-*.ts entry points) */
+export interface SupervisedWorker {
+  initialize(): Promise<void>;
+  /** Runs the worker loop; resolves once stop() has been called and the loop exited */
+  start(): Promise<void>;
+  stop(): void;
+  shutdown(): Promise<void>;
+}
+
+interface WorkerRegistration {
+  /** EVM workers take the chains.name they run for (`bsc-withdrawal:polygon`) */
+  chainScoped: boolean;
+  create(chainName: string): SupervisedWorker;
+}
+
+/**
+ * Workers the supervisor can run, keyed by the same names as the package.json start:* scripts.
+ */
+export const WORKER_REGISTRY: Record<string, WorkerRegistration> = {
+  'tron-deposit': { chainScoped: false, create: () => new TronDepositWorker() },
+  'bsc-deposit': { chainScoped: true, create: (chain) => new BscDepositWorker(chain) },
+  confirmation: { chainScoped: false, create: () => new ConfirmationWorker() },
+  'balance-sync': { chainScoped: false, create: () => new BalanceSyncWorker() },
+  'rule-execution': { chainScoped: false, create: () => new RuleExecutionWorker() },
+  'tron-gas-topup': { chainScoped: false, create: () => new TronGasTopupWorker() },
+  'bsc-gas-topup': { chainScoped: true, create: (chain) => new BscGasTopupWorker(chain) },
+  'gas-confirmation': { chainScoped: false, create: () => new GasConfirmationWorker() },
+  'tron-consolidation': { chainScoped: false, create: () => new TronConsolidationWorker() },
+  'bsc-consolidation': { chainScoped: true, create: (chain) => new BscConsolidationWorker(chain) },
+  'consolidation-confirmation': {
+    chainScoped: false,
+    create: () => new ConsolidationConfirmationWorker(),
+  },
+  'withdrawal-enqueue': { chainScoped: false, create: () => new WithdrawalEnqueueWorker() },
+  'tron-withdrawal': { chainScoped: false, create: () => new TronWithdrawalWorker() },
+  'bsc-withdrawal': { chainScoped: true, create: (chain) => new BscWithdrawalWorker(chain) },
+  'withdrawal-confirmation': {
+    chainScoped: false,
+    create: () => new WithdrawalConfirmationWorker(),
+  },
+  'risk-engine': { chainScoped: false, create: () => new WithdrawalRiskEngineWorker() },
+  'hot-wallet-rebalance': { chainScoped: false, create: () => new HotWalletRebalanceWorker() },
+};
+
+export interface WorkerSpec {
+  /** Normalized spec, unique per supervised worker (e.g. `bsc-withdrawal:polygon`) */
+  name: string;
+  registryKey: string;
+  chainName: string | null;
+}
+
+/**
+ * Parse `<registry key>[:<chain name>]`. Chain-scoped workers default to EVM_CHAIN_NAME / 'bsc'.
+ * Returns null for unknown workers or a chain on a worker that is not chain-scoped.
+ */
+export function parseWorkerSpec(spec: string): WorkerSpec | null {
+  const [rawKey, rawChain] = spec.trim().split(':', 2);
+  const registryKey = (rawKey ?? '').trim();
+  const registration = WORKER_REGISTRY[registryKey];
+  if (!registration) return null;
+
+  if (!registration.chainScoped) {
+    if (rawChain) return null;
+    return { name: registryKey, registryKey, chainName: null };
+  }
+
+  const chainName = rawChain?.trim() || process.env.EVM_CHAIN_NAME || 'bsc';
+  return { name: `${registryKey}:${chainName}`, registryKey, chainName };
+}
+
+export function createWorker(spec: WorkerSpec): SupervisedWorker {
+  const registration = WORKER_REGISTRY[spec.registryKey];
+  if (!registration) {
+    throw new Error(`Unknown worker: ${spec.registryKey}`);
+  }
+  return registration.create(spec.chainName ?? '');
+}
@@ -1,6 +1,13 @@
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../config/supabase.js';
 import { logger } from '../utils/logger.js';
+import {
+  workerCycleDuration,
+  workerCyclesTotal,
+  workerJobsTotal,
+  workerLastCycleTimestamp,
+} from './metrics.js';
+import { startMetricsServer } from './metrics-server.js';
 
 export type WorkerStatusStatus = 'starting' | 'running' | 'paused' | 'stopped';
 export type WorkerHealthStatus = 'healthy' | 'degraded' | 'paused' | 'unknown';
@@ -20,6 +27,7 @@ export type WorkerDomain =
   | 'deposits_confirm'
   | 'gas'
   | 'consolidation'
+  | 'treasury'
   | 'withdrawals'
   | 'orchestration';
 
@@ -38,6 +46,7 @@ export const WORKER_TYPE_TO_DOMAIN: Record<string, WorkerDomain> = {
   gas_topup_confirmation: 'gas',
   consolidation_execute: 'consolidation',
   consolidation_confirmation: 'consolidation',
+  hot_wallet_rebalance: 'treasury',
   withdrawal_risk_engine: 'withdrawals',
   withdrawal_enqueue: 'withdrawals',
   withdrawal_execute: 'withdrawals',
@@ -91,8 +100,10 @@ export class WorkerRuntime {
 
   /**
    * Register worker on startup: insert or update worker_status (status=starting, health_status=unknown).
+   * Also starts the process /metrics endpoint when METRICS_PORT is set.
    */
   async register(): Promise<void> {
+    startMetricsServer();
     const now = new Date().toISOString();
     const { error } = await this.supabase.from('worker_status').upsert(
       {
@@ -265,6 +276,8 @@ export class WorkerRuntime {
    * Log one execution cycle and optionally increment worker_status counters.
    */
   async logExecution(entry: ExecutionLogEntry): Promise<void> {
+    this.recordMetrics(entry);
+
     const row = {
       worker_id: this.identity.workerId,
       worker_type: this.identity.workerType,
@@ -315,6 +328,28 @@ export class WorkerRuntime {
     }
   }
 
+  /**
+   * Mirror one execution cycle into the Prometheus metrics
+   */
+  private recordMetrics(entry: ExecutionLogEntry): void {
+    const labels = {
+      worker_type: this.identity.workerType,
+      chain_id: this.identity.chainId ?? '',
+    };
+    workerCyclesTotal.inc({ ...labels, status: entry.status });
+    workerJobsTotal.inc({ ...labels, outcome: 'claimed' }, entry.jobsClaimed ?? 0);
+    workerJobsTotal.inc({ ...labels, outcome: 'processed' }, entry.jobsProcessed ?? 0);
+    workerJobsTotal.inc({ ...labels, outcome: 'success' }, entry.jobsSuccess ?? 0);
+    workerJobsTotal.inc({ ...labels, outcome: 'failed' }, entry.jobsFailed ?? 0);
+    if (entry.durationMs !== undefined) {
+      workerCycleDuration.observe(
+        { worker_type: this.identity.workerType },
+        entry.durationMs / 1000
+      );
+    }
+    workerLastCycleTimestamp.set(labels, Math.floor(Date.now() / 1000));
+  }
+
   /**
    * Set health_status for admin interpretation.
    */
@@ -374,8 +409,8 @@ const DEFAULT_HEARTBEAT_MS = 30_000;
 /**
  * Incident mode permission matrix (STEP-3).
  * NORMAL: all allowed.
- * DEGRADED: balances, deposits allowed; gas blocked unless degraded_gas_allowed; consolidation, withdrawals, orchestration blocked.
- * EMERGENCY: balances, deposits_listen allowed; deposits_confirm (crediting) blocked; gas, consolidation, withdrawals, orchestration blocked.
+ * DEGRADED: balances, deposits allowed; gas blocked unless degraded_gas_allowed; consolidation, treasury, withdrawals, orchestration blocked.
+ * EMERGENCY: balances, deposits_listen allowed; deposits_confirm (crediting) blocked; gas, consolidation, treasury, withdrawals, orchestration blocked.
  */
 export function isDomainAllowedByIncidentMode(
   domain: WorkerDomain,
@@ -386,22 +421,26 @@ export function isDomainAllowedByIncidentMode(
     if (domain === 'balances' || domain === 'deposits_listen' || domain === 'deposits_confirm')
       return true;
     if (domain === 'gas') return config.degraded_gas_allowed === true;
-    return false; // consolidation, withdrawals, orchestration blocked
+    return false; // consolidation, treasury, withdrawals, orchestration blocked
   }
   // emergency
   if (domain === 'balances' || domain === 'deposits_listen') return true;
-  return false; // deposits_confirm, gas, consolidation, withdrawals, orchestration blocked
+  return false; // deposits_confirm, gas, consolidation, treasury, withdrawals, orchestration blocked
 }
 
 /**
  * Create identity for a worker: worker_id unique per process, worker_type canonical, chain_id optional.
+ * Chain-scoped workers get a chain suffix so several chains of one worker_type can share a
+ * process (supervisor) without overwriting each other's worker_status row.
  */
 export function workerIdentity(
   workerType: string,
   chainId: string | null = null
 ): WorkerIdentity {
   return {
-    workerId: `${workerType}_${process.pid}`,
+    workerId: chainId
+      ? `${workerType}_${chainId.slice(0, 8)}_${process.pid}`
+      : `${workerType}_${process.pid}`,
     workerType,
     chainId,
   };
@@ -0,0 +1,309 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { sleep } from '../utils/sleep.js';
+import {
+  createWorker,
+  parseWorkerSpec,
+  type SupervisedWorker,
+  type WorkerSpec,
+} from './worker-registry.js';
+
+type ManagedState = 'starting' | 'running' | 'backoff' | 'stopping' | 'stopped';
+
+interface ManagedWorker {
+  spec: WorkerSpec;
+  state: ManagedState;
+  instance: SupervisedWorker | null;
+  /** start() promise of the current instance; settles when its loop exits */
+  loop: Promise<void> | null;
+  /** Consecutive failed runs, drives the restart backoff */
+  failures: number;
+  startedAt: number;
+  restartTimer: ReturnType<typeof setTimeout> | null;
+}
+
+/** worker_configs key listing the workers to run: { "workers": ["tron-deposit", "bsc-withdrawal:polygon"] } */
+const SUPERVISOR_CONFIG_KEY = 'supervisor_workers';
+
+/**
+ * Worker Supervisor
+ *
+ * Runs several workers in one process. They share the Supabase client and the per-rpc_url
+ * ethers/TronWeb clients (chains/shared-clients.ts). Each worker is started, stopped and
+ * restarted on its own: a worker whose initialize() throws or whose loop exits without being
+ * asked to is shut down and recreated after an exponential backoff, without touching the others.
+ *
+ * The worker list comes from SUPERVISOR_WORKERS (comma separated) or, when unset, from
+ * worker_configs.supervisor_workers. The list is re-read every RECONCILE_INTERVAL_MS, so workers
+ * can be added or removed without restarting the process.
+ */
+export class WorkerSupervisor {
+  private supabase: SupabaseClient;
+  private workers: Map<string, ManagedWorker> = new Map();
+  private isRunning = false;
+  private readonly RECONCILE_INTERVAL_MS = parseInt(
+    process.env.SUPERVISOR_RECONCILE_INTERVAL_MS || '60000',
+    10
+  );
+  private readonly RESTART_BASE_DELAY_MS = 5000;
+  private readonly RESTART_MAX_DELAY_MS = 300000; // 5 minutes
+  /** A run lasting longer than this resets the backoff */
+  private readonly STABLE_RUN_MS = 300000;
+  private readonly STOP_TIMEOUT_MS = 30000;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Start the configured workers and keep reconciling the list until stopAll()
+   */
+  async start(): Promise<void> {
+    if (this.isRunning) {
+      logger.warn('Worker Supervisor already running');
+      return;
+    }
+    this.isRunning = true;
+    logger.info(
+      { reconcileInterval: `${this.RECONCILE_INTERVAL_MS}ms` },
+      'Starting Worker Supervisor'
+    );
+
+    while (this.isRunning) {
+      try {
+        await this.reconcile();
+      } catch (error: any) {
+        logger.error({ error: error.message }, 'Error reconciling supervised workers');
+      }
+      await sleep(this.RECONCILE_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Stop every worker and wait for their loops to exit
+   */
+  async stopAll(): Promise<void> {
+    this.isRunning = false;
+    await Promise.all(
+      Array.from(this.workers.keys()).map((name) => this.stopWorker(name))
+    );
+    logger.info('Worker Supervisor stopped');
+  }
+
+  /** Supervised workers and their state, for logs / health output */
+  getStatus(): Array<{ name: string; state: ManagedState; failures: number }> {
+    return Array.from(this.workers.values()).map((w) => ({
+      name: w.spec.name,
+      state: w.state,
+      failures: w.failures,
+    }));
+  }
+
+  /**
+   * Start workers that were added to the list and stop those that were removed.
+   * Keeps the current set when the list cannot be loaded.
+   */
+  private async reconcile(): Promise<void> {
+    const desired = await this.loadWorkerSpecs();
+    if (!desired) return;
+
+    for (const [name, spec] of desired) {
+      if (!this.workers.has(name)) {
+        this.workers.set(name, {
+          spec,
+          state: 'stopped',
+          instance: null,
+          loop: null,
+          failures: 0,
+          startedAt: 0,
+          restartTimer: null,
+        });
+        void this.startWorker(name);
+      }
+    }
+
+    for (const name of Array.from(this.workers.keys())) {
+      if (!desired.has(name)) {
+        await this.stopWorker(name);
+      }
+    }
+  }
+
+  /**
+   * Worker list from SUPERVISOR_WORKERS, else worker_configs. Unknown entries are skipped.
+   */
+  private async loadWorkerSpecs(): Promise<Map<string, WorkerSpec> | null> {
+    let entries: string[];
+
+    if (process.env.SUPERVISOR_WORKERS) {
+      entries = process.env.SUPERVISOR_WORKERS.split(',');
+    } else {
+      const { data, error } = await this.supabase
+        .from('worker_configs')
+        .select('value')
+        .eq('key', SUPERVISOR_CONFIG_KEY)
+        .maybeSingle();
+
+      if (error) {
+        logger.error({ error: error.message }, 'Failed to load supervisor worker list');
+        return null;
+      }
+      const value = data?.value as { workers?: unknown } | unknown[] | undefined;
+      const list = Array.isArray(value) ? value : value?.workers;
+      entries = Array.isArray(list) ? list.filter((e): e is string => typeof e === 'string') : [];
+    }
+
+    const specs = new Map<string, WorkerSpec>();
+    for (const entry of entries) {
+      if (!entry.trim()) continue;
+      const spec = parseWorkerSpec(entry);
+      if (!spec) {
+        logger.warn({ worker: entry }, 'Unknown worker in supervisor list, skipping');
+        continue;
+      }
+      specs.set(spec.name, spec);
+    }
+
+    if (specs.size === 0) {
+      logger.warn('Supervisor worker list is empty');
+    }
+    return specs;
+  }
+
+  /**
+   * Create a fresh instance, initialize it and run its loop in the background
+   */
+  private async startWorker(name: string): Promise<void> {
+    const managed = this.workers.get(name);
+    if (!managed || managed.state === 'starting' || managed.state === 'running') return;
+
+    managed.restartTimer = null;
+    managed.state = 'starting';
+    managed.startedAt = Date.now();
+
+    let instance: SupervisedWorker;
+    try {
+      instance = createWorker(managed.spec);
+      managed.instance = instance;
+      await instance.initialize();
+    } catch (error: any) {
+      logger.error(
+        { worker: name, error: error.message },
+        'Supervised worker failed to initialize'
+      );
+      await this.handleWorkerExit(managed);
+      return;
+    }
+
+    // stopWorker() may have been called while initialize() was running
+    if (managed.state !== 'starting') {
+      await this.shutdownInstance(managed, instance);
+      return;
+    }
+
+    managed.state = 'running';
+    logger.info({ worker: name, failures: managed.failures }, 'Supervised worker started');
+
+    managed.loop = instance.start().then(
+      () => {
+        if (managed.instance === instance && managed.state === 'running') {
+          logger.error({ worker: name }, 'Supervised worker loop exited unexpectedly');
+          return this.handleWorkerExit(managed);
+        }
+      },
+      (error: any) => {
+        if (managed.instance === instance && managed.state === 'running') {
+          logger.error(
+            { worker: name, error: error?.message ?? String(error) },
+            'Supervised worker crashed'
+          );
+          return this.handleWorkerExit(managed);
+        }
+      }
+    );
+  }
+
+  /**
+   * Shut down a failed instance and schedule a restart with exponential backoff
+   */
+  private async handleWorkerExit(managed: ManagedWorker): Promise<void> {
+    const failed = managed.instance;
+    managed.instance = null;
+    managed.loop = null;
+    if (failed) {
+      await this.shutdownInstance(managed, failed);
+    }
+
+    if (!this.isRunning || managed.state === 'stopping' || managed.state === 'stopped') {
+      return;
+    }
+
+    if (Date.now() - managed.startedAt >= this.STABLE_RUN_MS) {
+      managed.failures = 0;
+    }
+    const delayMs = Math.min(
+      this.RESTART_BASE_DELAY_MS * Math.pow(2, managed.failures),
+      this.RESTART_MAX_DELAY_MS
+    );
+    managed.failures++;
+    managed.state = 'backoff';
+
+    logger.warn(
+      { worker: managed.spec.name, failures: managed.failures, restartIn: `${delayMs}ms` },
+      'Restarting supervised worker after backoff'
+    );
+    managed.restartTimer = setTimeout(() => {
+      void this.startWorker(managed.spec.name);
+    }, delayMs);
+  }
+
+  /**
+   * Stop one worker and remove it from the supervised set
+   */
+  private async stopWorker(name: string): Promise<void> {
+    const managed = this.workers.get(name);
+    if (!managed) return;
+
+    if (managed.restartTimer) {
+      clearTimeout(managed.restartTimer);
+      managed.restartTimer = null;
+    }
+    managed.state = 'stopping';
+
+    const instance = managed.instance;
+    const loop = managed.loop;
+    if (instance) {
+      await this.shutdownInstance(managed, instance);
+    }
+    if (loop) {
+      const exited = await Promise.race([
+        loop.then(() => true),
+        sleep(this.STOP_TIMEOUT_MS).then(() => false),
+      ]);
+      if (!exited) {
+        logger.warn({ worker: name }, 'Supervised worker loop did not exit before timeout');
+      }
+    }
+
+    managed.instance = null;
+    managed.loop = null;
+    managed.state = 'stopped';
+    this.workers.delete(name);
+    logger.info({ worker: name }, 'Supervised worker stopped');
+  }
+
+  private async shutdownInstance(
+    managed: ManagedWorker,
+    instance: SupervisedWorker
+  ): Promise<void> {
+    try {
+      await instance.shutdown();
+    } catch (error: any) {
+      logger.warn(
+        { worker: managed.spec.name, error: error.message },
+        'Supervised worker shutdown failed'
+      );
+    }
+  }
+}
@@ -4,7 +4,7 @@ import { logger } from './utils/logger.js';
 
 logger.info('🚀 Starting BSC Consolidation Worker...');
 
-const worker = new BscConsolidationWorker();
+const worker = new BscConsolidationWorker(process.env.EVM_CHAIN_NAME || 'bsc');
 
 async function startWorker() {
   try {
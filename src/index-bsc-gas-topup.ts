@@ -7,7 +7,7 @@ import { logger } from './utils/logger.js';
 async function main() {
   logger.info('🚀 Starting BSC Gas Top-Up Worker...');
 
-  const worker = new BscGasTopupWorker();
+  const worker = new BscGasTopupWorker(process.env.EVM_CHAIN_NAME || 'bsc');
 
   try {
     await worker.initialize();
@@ -4,7 +4,7 @@ import { logger } from './utils/logger.js';
 
 logger.info('🚀 Starting BSC Withdrawal Worker...');
 
-const worker = new BscWithdrawalWorker();
+const worker = new BscWithdrawalWorker(process.env.EVM_CHAIN_NAME || 'bsc');
 
 async function startWorker() {
   try {
@@ -8,7 +8,7 @@ async function main() {
   logger.info('🚀 Starting BSC Deposit Worker...');
 
   // Create and initialize BSC deposit worker
-  const bscWorker = new BscDepositWorker();
+  const bscWorker = new BscDepositWorker(process.env.EVM_CHAIN_NAME || 'bsc');
 
   try {
     // Initialize worker (load config, assets, addresses)
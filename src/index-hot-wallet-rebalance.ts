@@ -0,0 +1,29 @@
+import 'dotenv/config';
+import { HotWalletRebalanceWorker } from './workers/hot-wallet-rebalance/hot-wallet-rebalance.worker.js';
+import { logger } from './utils/logger.js';
+
+logger.info('🚀 Starting Hot Wallet Rebalance Worker...');
+
+const worker = new HotWalletRebalanceWorker();
+
+async function startWorker() {
+  try {
+    await worker.initialize();
+    worker.start();
+  } catch (error: any) {
+    logger.error({ error: error.message }, 'Failed to start Hot Wallet Rebalance Worker');
+    process.exit(1);
+  }
+}
+
+async function handleShutdown() {
+  logger.info('Shutting down Hot Wallet Rebalance Worker...');
+  await worker.shutdown();
+  process.exit(0);
+}
+
+process.on('SIGINT', handleShutdown);
+process.on('SIGTERM', handleShutdown);
+
+startWorker();
+
@@ -0,0 +1,37 @@
+import 'dotenv/config';
+import { WorkerSupervisor } from './control-plane/worker-supervisor.js';
+import { logger } from './utils/logger.js';
+
+logger.info('🚀 Starting CoinSensei Worker Supervisor...');
+
+const supervisor = new WorkerSupervisor();
+
+// One worker's stray promise or callback must not take down the others; the supervisor
+// restarts workers whose loop actually exits.
+process.on('unhandledRejection', (reason: any) => {
+  logger.error(
+    { error: reason?.message ?? String(reason), stack: reason?.stack },
+    'Unhandled rejection in supervised worker'
+  );
+});
+
+process.on('uncaughtException', (error: Error) => {
+  logger.error(
+    { error: error.message, stack: error.stack },
+    'Uncaught exception in supervised worker'
+  );
+});
+
+async function handleShutdown() {
+  logger.info('Shutting down Worker Supervisor...');
+  await supervisor.stopAll();
+  process.exit(0);
+}
+
+process.on('SIGINT', handleShutdown);
+process.on('SIGTERM', handleShutdown);
+
+supervisor.start().catch((error: any) => {
+  logger.error({ error: error.message, stack: error.stack }, 'Fatal error in Worker Supervisor');
+  process.exit(1);
+});
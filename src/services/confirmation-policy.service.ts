@@ -0,0 +1,116 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import type {
+  AppliedConfirmationPolicy,
+  DepositConfirmationPolicyTier,
+} from '../types/confirmation-policy.js';
+
+/** Decimal places amounts are compared at (NUMERIC(28,18) columns) */
+const AMOUNT_SCALE = 18;
+
+/** Decimal amount → integer scaled by AMOUNT_SCALE, so tiers compare without float math */
+function scaledAmount(amount: string | number): bigint {
+  let text = String(amount).trim();
+  if (/e/i.test(text)) {
+    text = Number(text).toFixed(AMOUNT_SCALE);
+  }
+  const negative = text.startsWith('-');
+  const [integerPart = '0', fractionalPart = ''] = text.replace(/^[-+]/, '').split('.');
+  const fraction = fractionalPart.slice(0, AMOUNT_SCALE).padEnd(AMOUNT_SCALE, '0');
+  const value = BigInt(integerPart || '0') * 10n ** BigInt(AMOUNT_SCALE) + BigInt(fraction || '0');
+  return negative ? -value : value;
+}
+
+/**
+ * Confirmation Policy Service
+ *
+ * Amount-tiered confirmation requirements per asset_on_chain (deposit_confirmation_policies,
+ * migration 029). A deposit gets the enabled tier with the highest min_amount_human not above its
+ * amount; assets without tiers (or amounts below the lowest tier) use chains.confirmation_threshold.
+ */
+export class ConfirmationPolicyService {
+  private supabase: SupabaseClient;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Enabled tiers of the given assets, highest min_amount_human first
+   */
+  async loadTiers(assetOnChainIds: string[]): Promise<Map<string, DepositConfirmationPolicyTier[]>> {
+    const tiers = new Map<string, DepositConfirmationPolicyTier[]>();
+    if (assetOnChainIds.length === 0) {
+      return tiers;
+    }
+
+    const { data, error } = await this.supabase
+      .from('deposit_confirmation_policies')
+      .select('id, asset_on_chain_id, min_amount_human::text, confirmations, require_finality')
+      .in('asset_on_chain_id', assetOnChainIds)
+      .eq('is_enabled', true);
+
+    if (error) {
+      throw new Error(`Failed to load confirmation policies: ${error.message}`);
+    }
+
+    for (const row of (data ?? []) as DepositConfirmationPolicyTier[]) {
+      const list = tiers.get(row.asset_on_chain_id) ?? [];
+      list.push(row);
+      tiers.set(row.asset_on_chain_id, list);
+    }
+    for (const list of tiers.values()) {
+      list.sort((a, b) => {
+        const diff = scaledAmount(b.min_amount_human) - scaledAmount(a.min_amount_human);
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+      });
+    }
+
+    return tiers;
+  }
+
+  /**
+   * Enabled tiers of the given assets that ask for fewer confirmations than the chain threshold.
+   * The polling scanners record deposits only at the threshold, so these tiers only take effect
+   * with DEPOSIT_STREAMING=true.
+   */
+  async tiersBelowThreshold(
+    assetOnChainIds: string[],
+    chainThreshold: number
+  ): Promise<DepositConfirmationPolicyTier[]> {
+    const tiers = await this.loadTiers(assetOnChainIds);
+    return Array.from(tiers.values())
+      .flat()
+      .filter((t) => t.confirmations !== null && t.confirmations < chainThreshold);
+  }
+
+  /**
+   * Policy for a deposit of amountHuman, given its asset's tiers (from loadTiers)
+   */
+  resolve(
+    tiers: DepositConfirmationPolicyTier[] | undefined,
+    amountHuman: string | number,
+    chainThreshold: number
+  ): AppliedConfirmationPolicy {
+    const amount = scaledAmount(amountHuman);
+    const tier = tiers?.find((t) => scaledAmount(t.min_amount_human) <= amount);
+
+    if (!tier) {
+      return {
+        policy_id: null,
+        min_amount_human: null,
+        confirmations: chainThreshold,
+        require_finality: false,
+        source: 'chain_default',
+      };
+    }
+
+    return {
+      policy_id: tier.id,
+      min_amount_human: tier.min_amount_human,
+      confirmations: tier.confirmations ?? chainThreshold,
+      require_finality: tier.require_finality,
+      source: 'tier',
+    };
+  }
+}
@@ -0,0 +1,119 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { PendingBalanceService } from './pending-balance.service.js';
+
+/** asset_on_chain fields the minimum deposit rules read */
+export interface DepositMinimumConfig {
+  id: string;
+  decimals: number;
+  /** Selected as min_deposit_human::text so the decimal stays exact */
+  min_deposit_human?: string | null;
+  aggregate_dust?: boolean | null;
+}
+
+export type NewDepositStatus = 'pending' | 'below_minimum';
+
+/** Decimal string → raw integer units; digits past `decimals` are dropped */
+function toRawAmount(human: string, decimals: number): bigint {
+  const [integerPart = '0', fractionalPart = ''] = human.trim().split('.');
+  const fraction = fractionalPart.slice(0, decimals).padEnd(decimals, '0');
+  return BigInt(integerPart || '0') * 10n ** BigInt(decimals) + BigInt(fraction || '0');
+}
+
+/**
+ * Deposit Dust Service
+ *
+ * Minimum deposit amounts per asset (asset_on_chain.min_deposit_human, migration 026). Deposits
+ * below the minimum are recorded with status 'below_minimum', which the confirmation worker
+ * never credits. With asset_on_chain.aggregate_dust, the below-minimum deposits of a deposit
+ * address are released to 'pending' together once their sum reaches the minimum; the
+ * confirmation worker then re-verifies and credits each of them as usual.
+ */
+export class DepositDustService {
+  private supabase: SupabaseClient;
+  private pendingBalances: PendingBalanceService;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+    this.pendingBalances = new PendingBalanceService();
+  }
+
+  /** Minimum in raw units, null when the asset has none */
+  minimumRaw(asset: DepositMinimumConfig): bigint | null {
+    if (!asset.min_deposit_human) return null;
+    const minimum = toRawAmount(asset.min_deposit_human, asset.decimals);
+    return minimum > 0n ? minimum : null;
+  }
+
+  /** Status a newly detected deposit of amountRaw is recorded with */
+  initialStatus(amountRaw: string, asset: DepositMinimumConfig): NewDepositStatus {
+    const minimum = this.minimumRaw(asset);
+    return minimum !== null && BigInt(amountRaw) < minimum ? 'below_minimum' : 'pending';
+  }
+
+  /**
+   * Release the below-minimum deposits of a deposit address to 'pending' once their sum reaches
+   * the asset minimum (aggregate_dust only), adding each to pending balance. Returns the number
+   * of deposits released.
+   */
+  async releaseAggregatedDust(
+    chainId: string,
+    asset: DepositMinimumConfig,
+    toAddress: string
+  ): Promise<number> {
+    const minimum = this.minimumRaw(asset);
+    if (!asset.aggregate_dust || minimum === null) {
+      return 0;
+    }
+
+    const { data, error } = await this.supabase
+      .from('deposits')
+      .select('id, amount_raw')
+      .eq('chain_id', chainId)
+      .eq('asset_on_chain_id', asset.id)
+      .eq('to_address', toAddress)
+      .eq('status', 'below_minimum');
+
+    if (error) {
+      throw new Error(`Failed to load below-minimum deposits: ${error.message}`);
+    }
+
+    const rows: Array<{ id: string; amount_raw: string }> = data ?? [];
+    const total = rows.reduce((sum, row) => sum + BigInt(row.amount_raw), 0n);
+    if (total < minimum) {
+      return 0;
+    }
+
+    const { data: released, error: releaseError } = await this.supabase
+      .from('deposits')
+      .update({
+        status: 'pending',
+        dust_released_at: new Date().toISOString(),
+      })
+      .in('id', rows.map((row) => row.id))
+      .eq('status', 'below_minimum')
+      .select('id');
+
+    if (releaseError) {
+      throw new Error(`Failed to release aggregated dust deposits: ${releaseError.message}`);
+    }
+
+    for (const row of released ?? []) {
+      await this.pendingBalances.addDeposit(row.id);
+    }
+
+    logger.info(
+      {
+        toAddress,
+        assetOnChainId: asset.id,
+        deposits: released?.length ?? 0,
+        totalRaw: total.toString(),
+        minimumRaw: minimum.toString(),
+      },
+      'Dust deposits reached the minimum, released for crediting'
+    );
+
+    return released?.length ?? 0;
+  }
+}
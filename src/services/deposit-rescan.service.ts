@@ -0,0 +1,254 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import type {
+  DepositRescanJob,
+  DepositRescanRequest,
+  FoundDeposit,
+} from '../types/deposit-rescan.js';
+
+/** A running job whose worker stopped updating it for this long can be taken over */
+const STALE_RUNNING_MS = 5 * 60 * 1000;
+/** Failed batches before a job is marked failed */
+const MAX_ATTEMPTS = 5;
+/** Findings kept in deposit_rescan_jobs.report; counters keep counting past it */
+const MAX_REPORT_ENTRIES = 500;
+
+/**
+ * Deposit Rescan Service
+ *
+ * Queue of targeted deposit rescans (deposit_rescan_jobs, migration 023). Jobs are created by
+ * the rescan CLI or by deposit workers backfilling new addresses, and run by the deposit worker
+ * of the chain batch by batch: claim → recordProgress per batch → completed / failed.
+ * Progress (next_block) is stored after every batch, so a restarted worker resumes the job.
+ */
+export class DepositRescanService {
+  private supabase: SupabaseClient;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Queue a rescan of [fromBlock, toBlock]
+   */
+  async enqueue(request: DepositRescanRequest): Promise<DepositRescanJob> {
+    if (request.fromBlock < 0 || request.toBlock < request.fromBlock) {
+      throw new Error(`Invalid block range ${request.fromBlock}-${request.toBlock}`);
+    }
+
+    const { data, error } = await this.supabase
+      .from('deposit_rescan_jobs')
+      .insert({
+        chain_id: request.chainId,
+        from_block: request.fromBlock,
+        to_block: request.toBlock,
+        next_block: request.fromBlock,
+        addresses: request.addresses?.length ? request.addresses : null,
+        asset_on_chain_ids: request.assetOnChainIds?.length ? request.assetOnChainIds : null,
+        reason: request.reason ?? null,
+        requested_by: request.requestedBy ?? null,
+        status: 'pending',
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to enqueue deposit rescan: ${error.message}`);
+    }
+
+    logger.info(
+      {
+        jobId: data.id,
+        chainId: request.chainId,
+        fromBlock: request.fromBlock,
+        toBlock: request.toBlock,
+        addresses: request.addresses?.length ?? 'all',
+        assets: request.assetOnChainIds?.length ?? 'all',
+        reason: request.reason ?? null,
+      },
+      'Deposit rescan queued'
+    );
+
+    return data as DepositRescanJob;
+  }
+
+  /**
+   * Claim the oldest pending job of a chain, or a running one whose worker went away.
+   * Claims are optimistic (status + updated_at must still match), so two workers never run
+   * the same job.
+   */
+  async claimNext(chainId: string, workerId: string): Promise<DepositRescanJob | null> {
+    const staleBefore = new Date(Date.now() - STALE_RUNNING_MS).toISOString();
+
+    const { data: candidates, error } = await this.supabase
+      .from('deposit_rescan_jobs')
+      .select('*')
+      .eq('chain_id', chainId)
+      .or(`status.eq.pending,and(status.eq.running,updated_at.lt.${staleBefore})`)
+      .order('created_at', { ascending: true })
+      .limit(5);
+
+    if (error) {
+      throw new Error(`Failed to load deposit rescan jobs: ${error.message}`);
+    }
+
+    for (const candidate of (candidates ?? []) as DepositRescanJob[]) {
+      const { data: claimed, error: claimError } = await this.supabase
+        .from('deposit_rescan_jobs')
+        .update({
+          status: 'running',
+          claimed_by: workerId,
+          started_at: candidate.started_at ?? new Date().toISOString(),
+        })
+        .eq('id', candidate.id)
+        .eq('status', candidate.status)
+        .eq('updated_at', candidate.updated_at)
+        .select('*')
+        .maybeSingle();
+
+      if (claimError) {
+        throw new Error(`Failed to claim deposit rescan job: ${claimError.message}`);
+      }
+      if (!claimed) {
+        continue; // taken by another worker in the meantime
+      }
+
+      logger.info(
+        {
+          jobId: claimed.id,
+          fromBlock: claimed.from_block,
+          toBlock: claimed.to_block,
+          nextBlock: claimed.next_block,
+          resumedFrom: candidate.status === 'running' ? candidate.claimed_by : null,
+        },
+        'Deposit rescan job claimed'
+      );
+      return claimed as DepositRescanJob;
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a scanned batch: advance next_block, count and report the deposits found, and complete
+   * the job after its last block. Returns the job to continue with, or null when it completed or
+   * was cancelled meanwhile.
+   */
+  async recordProgress(
+    job: DepositRescanJob,
+    nextBlock: number,
+    found: FoundDeposit[]
+  ): Promise<DepositRescanJob | null> {
+    const done = nextBlock > job.to_block;
+    const inserted = found.filter((f) => f.outcome === 'inserted' || f.outcome === 'revived').length;
+    const report = [...job.report, ...found].slice(0, MAX_REPORT_ENTRIES);
+
+    const { data, error } = await this.supabase
+      .from('deposit_rescan_jobs')
+      .update({
+        next_block: nextBlock,
+        deposits_found: job.deposits_found + found.length,
+        deposits_inserted: job.deposits_inserted + inserted,
+        report,
+        error_message: null,
+        ...(done ? { status: 'completed', completed_at: new Date().toISOString() } : {}),
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to record deposit rescan progress: ${error.message}`);
+    }
+
+    if (!data) {
+      logger.info({ jobId: job.id }, 'Deposit rescan job no longer running (cancelled), dropping it');
+      return null;
+    }
+
+    if (done) {
+      logger.info(
+        {
+          jobId: job.id,
+          fromBlock: job.from_block,
+          toBlock: job.to_block,
+          depositsFound: data.deposits_found,
+          depositsInserted: data.deposits_inserted,
+          reason: job.reason,
+        },
+        'Deposit rescan job completed'
+      );
+      return null;
+    }
+
+    return data as DepositRescanJob;
+  }
+
+  /**
+   * Record a failed batch. The job is retried from next_block until MAX_ATTEMPTS, or failed at
+   * once when `terminal` (e.g. invalid filters). Returns the job to retry, or null.
+   */
+  async recordFailure(
+    job: DepositRescanJob,
+    message: string,
+    terminal: boolean = false
+  ): Promise<DepositRescanJob | null> {
+    const attempts = job.attempts + 1;
+    const failed = terminal || attempts >= MAX_ATTEMPTS;
+
+    const { data, error } = await this.supabase
+      .from('deposit_rescan_jobs')
+      .update({
+        attempts,
+        error_message: message,
+        ...(failed ? { status: 'failed', completed_at: new Date().toISOString() } : {}),
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to record deposit rescan failure: ${error.message}`);
+    }
+
+    logger.warn(
+      { jobId: job.id, attempts, error: message, failed },
+      failed ? 'Deposit rescan job failed' : 'Deposit rescan batch failed, will retry'
+    );
+
+    return failed || !data ? null : (data as DepositRescanJob);
+  }
+
+  async get(jobId: string): Promise<DepositRescanJob | null> {
+    const { data, error } = await this.supabase
+      .from('deposit_rescan_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load deposit rescan job: ${error.message}`);
+    }
+    return data as DepositRescanJob | null;
+  }
+
+  /**
+   * Cancel a pending or running job; the worker drops it after its current batch
+   */
+  async cancel(jobId: string): Promise<boolean> {
+    const { data, error } = await this.supabase
+      .from('deposit_rescan_jobs')
+      .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .in('status', ['pending', 'running'])
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to cancel deposit rescan job: ${error.message}`);
+    }
+    return (data ?? []).length > 0;
+  }
+}
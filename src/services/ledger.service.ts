@@ -0,0 +1,131 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import type { AppliedConfirmationPolicy } from '../types/confirmation-policy.js';
+
+/**
+ * Result of confirm_and_credit_deposit.
+ * - credited: confirmed (if still pending) and credited by this call
+ * - already_credited: credited before; at most credited_at was stamped
+ * - not_pending: orphaned / quarantined / below_minimum meanwhile, nothing changed
+ * - not_found: no such deposit
+ */
+export interface DepositCreditResult {
+  outcome: 'credited' | 'already_credited' | 'not_pending' | 'not_found';
+  uid: string | null;
+  assetId: string | null;
+  amountHuman: string | null;
+}
+
+/**
+ * Ledger Service
+ *
+ * Thin client over the double-entry ledger RPCs (migration 016). Every posting is
+ * balanced and idempotent on its reference, so callers may retry freely.
+ * All amounts are human-unit decimal strings; no JS math on balances.
+ */
+export class LedgerService {
+  private supabase: SupabaseClient;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Confirm a deposit, post its credit (Dr custody / Cr user, user_asset_balance) and set
+   * credited_at in one database transaction (confirm_and_credit_deposit, migration 030).
+   * Never credits a deposit twice; safe to retry.
+   */
+  async confirmAndCreditDeposit(
+    depositId: string,
+    confirmations: number,
+    blockHash: string | null,
+    policy: AppliedConfirmationPolicy | null
+  ): Promise<DepositCreditResult> {
+    const { data, error } = await this.supabase.rpc('confirm_and_credit_deposit', {
+      p_deposit_id: depositId,
+      p_confirmations: confirmations,
+      p_block_hash: blockHash,
+      p_required_confirmations: policy?.confirmations ?? null,
+      p_confirmation_policy: policy,
+    });
+
+    if (error) {
+      throw new Error(`Failed to confirm and credit deposit: ${error.message}`);
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    if (!row) {
+      throw new Error('confirm_and_credit_deposit returned no row');
+    }
+
+    return {
+      outcome: row.outcome,
+      uid: row.uid ?? null,
+      assetId: row.asset_id ?? null,
+      amountHuman: row.amount_human != null ? String(row.amount_human) : null,
+    };
+  }
+
+  /**
+   * Record the withdrawal debit (Dr user / Cr withdrawals_clearing). Balance is not touched:
+   * it was debited when the request was submitted.
+   */
+  async postWithdrawalDebit(withdrawalRequestId: string): Promise<void> {
+    const { error } = await this.supabase.rpc('ledger_post_withdrawal_debit', {
+      p_withdrawal_request_id: withdrawalRequestId,
+    });
+
+    if (error) {
+      throw new Error(`Failed to post withdrawal debit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a confirmed withdrawal leaving custody (Dr withdrawals_clearing / Cr custody)
+   */
+  async postWithdrawalSettlement(
+    withdrawalRequestId: string,
+    withdrawalQueueId: string
+  ): Promise<void> {
+    const { error } = await this.supabase.rpc('ledger_post_withdrawal_settlement', {
+      p_withdrawal_request_id: withdrawalRequestId,
+      p_withdrawal_queue_id: withdrawalQueueId,
+    });
+
+    if (error) {
+      throw new Error(`Failed to post withdrawal settlement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a network fee paid by an operation wallet (Dr network_fees / Cr custody), in the native asset
+   *
+   * @param referenceType - e.g. 'withdrawal_queue'
+   * @param referenceId - Job the fee belongs to (one fee per job)
+   */
+  async postNetworkFee(
+    referenceType: string,
+    referenceId: string,
+    nativeAssetId: string,
+    feeHuman: string,
+    txHash: string | null
+  ): Promise<void> {
+    const { error } = await this.supabase.rpc('ledger_post_network_fee', {
+      p_reference_type: referenceType,
+      p_reference_id: referenceId,
+      p_asset_id: nativeAssetId,
+      p_amount: feeHuman,
+      p_tx_hash: txHash,
+    });
+
+    if (error) {
+      throw new Error(`Failed to post network fee: ${error.message}`);
+    }
+
+    logger.debug(
+      { referenceType, referenceId, fee: feeHuman, txHash },
+      'Network fee posted to ledger'
+    );
+  }
+}
@@ -0,0 +1,167 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import type {
+  ObservedWalletTransferInput,
+  OperationJobLink,
+  OperationJobType,
+  OperationTransferDirection,
+} from '../types/operation-transfer.js';
+
+/** Queues whose jobs send transactions from operation wallets, checked in this order */
+const JOB_QUEUES: Array<[OperationJobType, string]> = [
+  ['consolidation', 'consolidation_queue'],
+  ['gas_topup', 'gas_topup_queue'],
+  ['withdrawal', 'withdrawal_queue'],
+  ['hot_wallet_rebalance', 'hot_wallet_rebalance_queue'],
+];
+
+/** What record() did with a transfer: linked to a job, recorded as an alert, or seen before */
+export type ObservedTransferOutcome = OperationJobType | 'unexplained' | 'existing';
+
+/**
+ * Direction of a transfer seen from our side, with the operation wallet it is booked on
+ * (recipient for inbound, sender otherwise). Null when neither address is an operation wallet.
+ *
+ * @param operationWallets - lower-cased address -> operation_wallet_addresses.id
+ */
+export function operationTransferDirection(
+  from: string,
+  to: string,
+  operationWallets: Map<string, string>
+): { direction: OperationTransferDirection; operationWalletAddressId: string } | null {
+  const fromWallet = operationWallets.get(from.toLowerCase());
+  const toWallet = operationWallets.get(to.toLowerCase());
+
+  if (fromWallet && toWallet) {
+    return { direction: 'internal', operationWalletAddressId: fromWallet };
+  }
+  if (fromWallet) {
+    return { direction: 'outbound', operationWalletAddressId: fromWallet };
+  }
+  if (toWallet) {
+    return { direction: 'inbound', operationWalletAddressId: toWallet };
+  }
+  return null;
+}
+
+/**
+ * Operation Transfer Service
+ *
+ * Ledger of observed chain activity on our own wallets (observed_wallet_transfers, migration
+ * 032). The deposit workers hand over every confirmed transfer touching an operation wallet;
+ * it is linked by tx_hash to the consolidation, gas top-up, withdrawal or hot wallet rebalance
+ * job that sent it. A transfer no job explains is recorded with alert_status 'open'.
+ */
+export class OperationTransferService {
+  private supabase: SupabaseClient;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Job that broadcast a transaction, null when none of the queues has its tx_hash
+   */
+  async findJob(txHash: string): Promise<OperationJobLink | null> {
+    for (const [jobType, table] of JOB_QUEUES) {
+      const { data, error } = await this.supabase
+        .from(table)
+        .select('id')
+        .eq('tx_hash', txHash)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        throw new Error(`Failed to look up ${table} by tx_hash: ${error.message}`);
+      }
+
+      const job = data?.[0];
+      if (job) {
+        return { jobType, jobId: job.id };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a transfer touching an operation wallet. Returns null when it does not touch one.
+   *
+   * @param operationWallets - lower-cased address -> operation_wallet_addresses.id
+   */
+  async record(
+    input: ObservedWalletTransferInput,
+    operationWallets: Map<string, string>
+  ): Promise<ObservedTransferOutcome | null> {
+    const side = operationTransferDirection(input.fromAddress, input.toAddress, operationWallets);
+    if (!side) {
+      return null;
+    }
+
+    const { data: existing, error: fetchError } = await this.supabase
+      .from('observed_wallet_transfers')
+      .select('id')
+      .eq('chain_id', input.chainId)
+      .eq('tx_hash', input.txHash)
+      .eq('log_index', input.logIndex)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Failed to check observed wallet transfer: ${fetchError.message}`);
+    }
+
+    if (existing) {
+      return 'existing';
+    }
+
+    const job = await this.findJob(input.txHash);
+
+    const { error } = await this.supabase
+      .from('observed_wallet_transfers')
+      .insert({
+        chain_id: input.chainId,
+        asset_on_chain_id: input.assetOnChainId,
+        operation_wallet_address_id: side.operationWalletAddressId,
+        direction: side.direction,
+        tx_hash: input.txHash,
+        log_index: input.logIndex,
+        from_address: input.fromAddress,
+        to_address: input.toAddress,
+        amount_raw: input.amountRaw,
+        amount_human: input.amountHuman,
+        block_number: input.blockNumber,
+        block_timestamp: input.blockTimestamp?.toISOString() ?? null,
+        job_type: job?.jobType ?? null,
+        job_id: job?.jobId ?? null,
+        alert_status: job ? null : 'open',
+      });
+
+    if (error) {
+      if (error.code === '23505') return 'existing'; // recorded by another scan meanwhile
+      throw new Error(`Failed to record observed wallet transfer: ${error.message}`);
+    }
+
+    if (!job) {
+      logger.warn(
+        {
+          txHash: input.txHash,
+          logIndex: input.logIndex,
+          direction: side.direction,
+          from: input.fromAddress,
+          to: input.toAddress,
+          assetOnChainId: input.assetOnChainId,
+          amount: input.amountHuman,
+        },
+        'Unexplained operation wallet transfer, alert opened'
+      );
+      return 'unexplained';
+    }
+
+    logger.debug(
+      { txHash: input.txHash, direction: side.direction, jobType: job.jobType, jobId: job.jobId },
+      'Operation wallet transfer linked to job'
+    );
+    return job.jobType;
+  }
+}
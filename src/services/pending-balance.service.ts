@@ -0,0 +1,73 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import type { ScreeningHit } from '../types/screening.js';
+
+/**
+ * Pending Balance Service
+ *
+ * In-flight deposits shown as user_asset_balance.pending_balance_human (migration 031). The
+ * deposit workers add a deposit's amount when it is recorded as 'pending'; the amount leaves
+ * pending again in the same transaction that credits it (confirm_and_credit_deposit), orphans
+ * it or quarantines it. Each deposit is added and released at most once.
+ */
+export class PendingBalanceService {
+  private supabase: SupabaseClient;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Add a pending deposit to its owner's pending balance. Display only: failures are logged and
+   * never fail deposit detection. Returns true when this call added it.
+   */
+  async addDeposit(depositId: string): Promise<boolean> {
+    const { data, error } = await this.supabase.rpc('add_deposit_pending_balance', {
+      p_deposit_id: depositId,
+    });
+
+    if (error) {
+      logger.warn(
+        { depositId, error: error.message },
+        'Failed to add deposit to pending balance'
+      );
+      return false;
+    }
+
+    return data === true;
+  }
+
+  /**
+   * Move a pending deposit to 'orphaned' and reverse its pending balance.
+   * Returns false when the deposit was no longer pending.
+   */
+  async orphanDeposit(depositId: string): Promise<boolean> {
+    const { data, error } = await this.supabase.rpc('mark_deposit_orphaned', {
+      p_deposit_id: depositId,
+    });
+
+    if (error) {
+      throw new Error(`Failed to mark deposit orphaned: ${error.message}`);
+    }
+
+    return data === true;
+  }
+
+  /**
+   * Move a pending deposit to 'quarantined' with its screening hits and reverse its pending
+   * balance. Returns false when the deposit was no longer pending.
+   */
+  async quarantineDeposit(depositId: string, hits: ScreeningHit[]): Promise<boolean> {
+    const { data, error } = await this.supabase.rpc('quarantine_deposit', {
+      p_deposit_id: depositId,
+      p_screening_hits: hits,
+    });
+
+    if (error) {
+      throw new Error(`Failed to quarantine deposit: ${error.message}`);
+    }
+
+    return data === true;
+  }
+}
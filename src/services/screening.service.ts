@@ -0,0 +1,118 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import type {
+  DenylistEntryInput,
+  DenylistImportResult,
+  ScreeningHit,
+} from '../types/screening.js';
+
+/** Rows per upsert of a bulk import */
+const IMPORT_CHUNK_SIZE = 500;
+
+/**
+ * Screening Service
+ *
+ * Sanctions / denylist screening of counterparties against the locally loaded
+ * screening_denylist table (migration 028). Matching is on the lower-cased address, scoped to
+ * the chain or to entries without a chain. Lists are loaded with the denylist import CLI.
+ */
+export class ScreeningService {
+  private supabase: SupabaseClient;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Active denylist entries matching any of the addresses on a chain. Throws when the lookup
+   * fails: callers must not treat an unscreened counterparty as clean.
+   */
+  async screen(chainId: string, addresses: string[]): Promise<ScreeningHit[]> {
+    const keys = Array.from(
+      new Set(addresses.filter((a) => !!a).map((a) => a.toLowerCase()))
+    );
+    if (keys.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await this.supabase
+      .from('screening_denylist')
+      .select('id, address, source, reason')
+      .in('address_key', keys)
+      .eq('is_active', true)
+      .or(`chain_id.is.null,chain_id.eq.${chainId}`);
+
+    if (error) {
+      throw new Error(`Failed to screen addresses: ${error.message}`);
+    }
+
+    return (data ?? []).map((row: { id: string; address: string; source: string; reason: string | null }) => ({
+      entry_id: row.id,
+      address: row.address,
+      source: row.source,
+      reason: row.reason,
+    }));
+  }
+
+  /**
+   * Bulk load a list into the denylist (upsert on source + address). With replace, entries of
+   * the source that are not in the list are deactivated, so a full list export can be
+   * re-imported as is.
+   */
+  async importEntries(
+    source: string,
+    entries: DenylistEntryInput[],
+    replace: boolean
+  ): Promise<DenylistImportResult> {
+    const startedAt = new Date().toISOString();
+
+    // One row per address: a batch may not upsert the same key twice
+    const byKey = new Map<string, DenylistEntryInput>();
+    for (const entry of entries) {
+      const address = entry.address.trim();
+      if (address) byKey.set(address.toLowerCase(), { ...entry, address });
+    }
+    const rows = Array.from(byKey.values()).map((entry) => ({
+      address: entry.address,
+      chain_id: entry.chainId ?? null,
+      source,
+      reason: entry.reason ?? null,
+      is_active: true,
+      updated_at: startedAt,
+    }));
+
+    let upserted = 0;
+    for (let i = 0; i < rows.length; i += IMPORT_CHUNK_SIZE) {
+      const chunk = rows.slice(i, i + IMPORT_CHUNK_SIZE);
+      const { error } = await this.supabase
+        .from('screening_denylist')
+        .upsert(chunk, { onConflict: 'source,address_key' });
+
+      if (error) {
+        throw new Error(`Failed to import denylist entries: ${error.message}`);
+      }
+      upserted += chunk.length;
+    }
+
+    let deactivated = 0;
+    if (replace) {
+      const { data, error } = await this.supabase
+        .from('screening_denylist')
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq('source', source)
+        .eq('is_active', true)
+        .lt('updated_at', startedAt)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to deactivate removed denylist entries: ${error.message}`);
+      }
+      deactivated = data?.length ?? 0;
+    }
+
+    logger.info({ source, upserted, deactivated, replace }, 'Denylist import finished');
+
+    return { source, upserted, deactivated };
+  }
+}
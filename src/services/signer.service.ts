@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { secondsSince, signerRequestDuration } from '../control-plane/metrics.js';
 import type { SignerRequest, SignerResponse } from '../types/gas-topup-queue.js';
 
 /**
@@ -35,6 +36,7 @@ export class SignerService {
    * @returns Signed transaction (signed_tx)
    */
   async signTransaction(request: SignerRequest): Promise<SignerResponse> {
+    const startMs = Date.now();
     try {
       logger.debug(
         {
@@ -167,6 +169,10 @@ export class SignerService {
           'Transaction signed successfully'
         );
 
+        signerRequestDuration.observe(
+          { chain: request.chain, outcome: 'success' },
+          secondsSince(startMs)
+        );
         return result;
       } catch (fetchError: any) {
         clearTimeout(timeoutId);
@@ -188,6 +194,10 @@ export class SignerService {
         throw fetchFailureError;
       }
     } catch (error: any) {
+      signerRequestDuration.observe(
+        { chain: request.chain, outcome: error.errorType || 'error' },
+        secondsSince(startMs)
+      );
       // Do NOT log sensitive payloads
       logger.error(
         {
@@ -0,0 +1,212 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import type { SuspiciousFinding, SuspiciousTransferInput } from '../types/suspicious-transfer.js';
+
+/** Leading and trailing address characters a lookalike shares with the address it imitates */
+const MATCH_CHARS = parseInt(process.env.POISONING_MATCH_CHARS || '4', 10);
+/** Without a deposit minimum, new-sender amounts below 10^-DUST_DECIMALS of a whole unit are dust */
+const DUST_DECIMALS = parseInt(process.env.POISONING_DUST_DECIMALS || '4', 10);
+/** Earlier senders of a deposit address read for the first-time / lookalike checks */
+const PRIOR_SENDERS_LIMIT = 1000;
+
+/** Characters used to imitate Latin capitals in token symbols (Cyrillic, Greek, currency signs) */
+const SYMBOL_HOMOGLYPHS: Record<string, string> = {
+  А: 'A', В: 'B', С: 'C', Е: 'E', Н: 'H', І: 'I', Ј: 'J', К: 'K', М: 'M', О: 'O', Р: 'P', Ѕ: 'S',
+  Т: 'T', Х: 'X', У: 'Y', Α: 'A', Β: 'B', Ε: 'E', Η: 'H', Ι: 'I', Κ: 'K', Μ: 'M', Ν: 'N', Ο: 'O',
+  Ρ: 'P', Τ: 'T', Χ: 'X', Υ: 'Y', Ζ: 'Z', '₮': 'T', '₿': 'B', '฿': 'B',
+};
+
+/** Address characters compared by the lookalike check: lower-cased, without 0x / TRON's leading T */
+function addressBody(address: string): string {
+  const lower = address.toLowerCase();
+  if (lower.startsWith('0x')) return lower.slice(2);
+  if (lower.startsWith('t')) return lower.slice(1);
+  return lower;
+}
+
+/**
+ * A candidate that `address` imitates: same first and last MATCH_CHARS characters, different
+ * address. Null when none.
+ */
+export function findLookalike(address: string, candidates: Iterable<string>): string | null {
+  const body = addressBody(address);
+  const prefix = body.slice(0, MATCH_CHARS);
+  const suffix = body.slice(-MATCH_CHARS);
+
+  for (const candidate of candidates) {
+    const other = addressBody(candidate);
+    if (other !== body && other.startsWith(prefix) && other.endsWith(suffix)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Raw amount below which a first-time sender's transfer is dust. Assets with a deposit minimum
+ * only treat zero as dust (smaller amounts become below_minimum deposits); assets without one
+ * use 10^(decimals - DUST_DECIMALS) raw units, 0.0001 of a unit by default.
+ */
+export function dustThresholdRaw(decimals: number, minimumRaw: bigint | null): bigint {
+  if (minimumRaw !== null) return 1n;
+  return 10n ** BigInt(Math.max(decimals - DUST_DECIMALS, 0));
+}
+
+/** Symbol as compared for fake tokens: NFKC, upper case, homoglyphs folded, letters and digits only */
+export function normalizeTokenSymbol(symbol: string): string {
+  return Array.from(symbol.normalize('NFKC').toUpperCase())
+    .map((char) => SYMBOL_HOMOGLYPHS[char] ?? char)
+    .join('')
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Suspicious Transfer Service
+ *
+ * Holds inbound transfers that look like address poisoning (lookalike senders, dust from
+ * first-time senders) or fake tokens in suspicious_transfers (migration 027) instead of deposits.
+ * A held transfer stays out of deposits until a reviewer sets review_status = 'dismissed';
+ * rescanning its block then records it as a normal deposit.
+ */
+export class SuspiciousTransferService {
+  private supabase: SupabaseClient;
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Lower-cased senders of earlier deposits to a deposit address
+   */
+  async priorSenders(chainId: string, toAddress: string): Promise<Set<string>> {
+    const { data, error } = await this.supabase
+      .from('deposits')
+      .select('from_address')
+      .eq('chain_id', chainId)
+      .eq('to_address', toAddress)
+      .order('created_at', { ascending: false })
+      .limit(PRIOR_SENDERS_LIMIT);
+
+    if (error) {
+      throw new Error(`Failed to load prior deposit senders: ${error.message}`);
+    }
+
+    return new Set((data ?? []).map((row: { from_address: string }) => row.from_address.toLowerCase()));
+  }
+
+  /**
+   * Screen an inbound transfer of a listed asset. Senders that deposited to the address before
+   * are trusted; a new sender is flagged when it resembles the recipient, an earlier sender or
+   * one of ownAddresses, or when it sends less than dustRaw (see dustThresholdRaw). Other amounts
+   * below the asset minimum are left to the below_minimum path, so aggregate_dust still counts them.
+   */
+  async screen(
+    chainId: string,
+    transfer: { from: string; to: string; amountRaw: string },
+    dustRaw: bigint,
+    ownAddresses: Iterable<string>
+  ): Promise<SuspiciousFinding | null> {
+    const senders = await this.priorSenders(chainId, transfer.to);
+    if (senders.has(transfer.from.toLowerCase())) {
+      return null;
+    }
+
+    const resembles = findLookalike(transfer.from, [transfer.to, ...senders, ...ownAddresses]);
+    if (resembles) {
+      return { reason: 'lookalike_address', details: { resembles } };
+    }
+
+    if (BigInt(transfer.amountRaw) < dustRaw) {
+      return { reason: 'dust_from_new_sender', details: { dustThresholdRaw: dustRaw.toString() } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalized symbols of our assets (assets.symbol), to recognise fake tokens imitating them
+   */
+  async assetSymbols(assetIds: string[]): Promise<Set<string>> {
+    if (assetIds.length === 0) {
+      return new Set();
+    }
+
+    const { data, error } = await this.supabase
+      .from('assets')
+      .select('id, symbol')
+      .in('id', assetIds);
+
+    if (error) {
+      throw new Error(`Failed to load asset symbols: ${error.message}`);
+    }
+
+    return new Set(
+      (data ?? [])
+        .map((row: { symbol: string | null }) => normalizeTokenSymbol(row.symbol ?? ''))
+        .filter((symbol) => symbol.length > 0)
+    );
+  }
+
+  /**
+   * Record a suspicious transfer for review (idempotent on chain, tx_hash, log_index).
+   * Returns false when a reviewer already dismissed it: the caller records it as a deposit.
+   */
+  async hold(input: SuspiciousTransferInput): Promise<boolean> {
+    const { data: existing, error: fetchError } = await this.supabase
+      .from('suspicious_transfers')
+      .select('id, review_status')
+      .eq('chain_id', input.chainId)
+      .eq('tx_hash', input.txHash)
+      .eq('log_index', input.logIndex)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Failed to check suspicious transfer: ${fetchError.message}`);
+    }
+
+    if (existing) {
+      return existing.review_status !== 'dismissed';
+    }
+
+    const { error } = await this.supabase
+      .from('suspicious_transfers')
+      .insert({
+        chain_id: input.chainId,
+        asset_on_chain_id: input.assetOnChainId,
+        token_address: input.tokenAddress,
+        token_symbol: input.tokenSymbol ?? null,
+        tx_hash: input.txHash,
+        log_index: input.logIndex,
+        from_address: input.fromAddress,
+        to_address: input.toAddress,
+        amount_raw: input.amountRaw,
+        block_number: input.blockNumber,
+        block_timestamp: input.blockTimestamp?.toISOString() ?? null,
+        reason: input.reason,
+        details: input.details ?? null,
+        review_status: 'pending',
+      });
+
+    if (error) {
+      if (error.code === '23505') return true; // held by another scan meanwhile
+      throw new Error(`Failed to record suspicious transfer: ${error.message}`);
+    }
+
+    logger.warn(
+      {
+        txHash: input.txHash,
+        logIndex: input.logIndex,
+        from: input.fromAddress,
+        to: input.toAddress,
+        token: input.tokenAddress ?? 'native',
+        amountRaw: input.amountRaw,
+        reason: input.reason,
+        details: input.details ?? null,
+      },
+      'Suspicious inbound transfer held for review'
+    );
+
+    return true;
+  }
+}
@@ -0,0 +1,272 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+
+const REFUND_RETRY_INTERVAL_MS = parseInt(process.env.WITHDRAWAL_REFUND_RETRY_INTERVAL_MS || '60000', 10);
+const REFUND_RETRY_BATCH_SIZE = 50;
+
+/**
+ * Signer error types raised before anything is signed. Every other failure once the send step
+ * started (timeouts, network errors, signing_failed, missing txHash) may have been broadcast.
+ */
+export const PRE_BROADCAST_ERROR_TYPES: ReadonlySet<string> = new Set([
+  'unauthorized',
+  'vault_unavailable',
+  'derivation_failed',
+]);
+
+/** True when a withdrawal failure is known to have happened before anything was broadcast */
+export function isPreBroadcastFailure(error: any, sendAttempted: boolean): boolean {
+  return !sendAttempted || PRE_BROADCAST_ERROR_TYPES.has(error?.errorType);
+}
+
+export interface RefundResult {
+  refundId: string;
+  alreadyRefunded: boolean;
+  uid: string;
+  assetId: string;
+  amountHuman: string;
+}
+
+/**
+ * Withdrawal Refund Service
+ *
+ * Returns a user's debited funds when a withdrawal terminally fails, via the
+ * refund_withdrawal_request RPC (migration 015). The RPC records the refund in
+ * withdrawal_refunds and credits user_asset_balance in one transaction, and is
+ * idempotent per withdrawal_request: calling it again returns the existing refund.
+ *
+ * Only call this when no funds left the hot wallet (never broadcast, or reverted on-chain).
+ * Refunds that fail are kept as withdrawal_requests.refund_status = 'due' and retried by
+ * retryDueRefunds until refunded_at is set.
+ */
+export class WithdrawalRefundService {
+  private supabase: SupabaseClient;
+  private readonly refundedBy: string;
+  private lastRetryAt = 0;
+
+  constructor(refundedBy: string) {
+    this.supabase = getSupabaseClient();
+    this.refundedBy = refundedBy;
+  }
+
+  /**
+   * Refund a failed withdrawal request
+   *
+   * @param withdrawalRequestId - withdrawal_requests.id
+   * @param withdrawalQueueId - Execution job that failed (for audit), if any
+   * @param reason - Failure reason stored on the refund row
+   */
+  async refund(
+    withdrawalRequestId: string,
+    withdrawalQueueId: string | null,
+    reason: string
+  ): Promise<RefundResult> {
+    const { data, error } = await this.supabase.rpc('refund_withdrawal_request', {
+      p_withdrawal_request_id: withdrawalRequestId,
+      p_withdrawal_queue_id: withdrawalQueueId,
+      p_reason: reason,
+      p_refunded_by: this.refundedBy,
+    });
+
+    if (error) {
+      throw new Error(`Failed to refund withdrawal request: ${error.message}`);
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    if (!row) {
+      throw new Error('refund_withdrawal_request returned no row');
+    }
+
+    const result: RefundResult = {
+      refundId: row.refund_id,
+      alreadyRefunded: row.already_refunded,
+      uid: row.uid,
+      assetId: row.asset_id,
+      amountHuman: String(row.amount_human),
+    };
+
+    if (result.alreadyRefunded) {
+      logger.debug(
+        { withdrawalRequestId, refundId: result.refundId },
+        'Withdrawal request already refunded, skipping'
+      );
+    } else {
+      logger.info(
+        {
+          withdrawalRequestId,
+          withdrawalQueueId,
+          refundId: result.refundId,
+          uid: result.uid,
+          amount: result.amountHuman,
+          reason,
+        },
+        '💸 Failed withdrawal refunded to user balance'
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Settle a request whose execution terminally failed in a withdrawal worker. Refunds only when
+   * the failure is known to be pre-broadcast and no job of the request has recorded a tx_hash
+   * (read fresh, not from the job loaded before the attempt); otherwise holds it for manual review.
+   */
+  async settleFailedExecution(
+    withdrawalRequestId: string,
+    withdrawalQueueId: string,
+    reason: string,
+    preBroadcast: boolean
+  ): Promise<void> {
+    let broadcast = !preBroadcast;
+
+    if (!broadcast) {
+      const { data, error } = await this.supabase
+        .from('withdrawal_queue')
+        .select('id')
+        .eq('withdrawal_request_id', withdrawalRequestId)
+        .not('tx_hash', 'is', null)
+        .limit(1);
+
+      if (error) {
+        logger.error(
+          { error: error.message, withdrawalRequestId },
+          'Failed to check withdrawal jobs for a tx_hash - holding refund'
+        );
+      }
+      broadcast = !!error || (data?.length ?? 0) > 0;
+    }
+
+    if (broadcast) {
+      await this.holdForReview(withdrawalRequestId, withdrawalQueueId, reason);
+      return;
+    }
+
+    await this.refundOrRetry(withdrawalRequestId, withdrawalQueueId, reason);
+  }
+
+  /**
+   * Mark a request's refund 'due' and try it now; a failed attempt is retried by retryDueRefunds.
+   * Returns true when the refund went through.
+   */
+  async refundOrRetry(
+    withdrawalRequestId: string,
+    withdrawalQueueId: string | null,
+    reason: string
+  ): Promise<boolean> {
+    const { error } = await this.supabase
+      .from('withdrawal_requests')
+      .update({
+        refund_status: 'due',
+        refund_reason: reason,
+        refund_queue_id: withdrawalQueueId,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', withdrawalRequestId);
+
+    if (error) {
+      logger.error(
+        { error: error.message, withdrawalRequestId },
+        'Failed to mark withdrawal refund due'
+      );
+    }
+
+    return this.attemptRefund(withdrawalRequestId, withdrawalQueueId, reason);
+  }
+
+  /**
+   * Park a failed request whose broadcast outcome is unknown. Nothing is refunded; once the chain
+   * shows no transfer, set refund_status = 'due' and the next retry sweep refunds it.
+   */
+  async holdForReview(
+    withdrawalRequestId: string,
+    withdrawalQueueId: string | null,
+    reason: string
+  ): Promise<void> {
+    const { error } = await this.supabase
+      .from('withdrawal_requests')
+      .update({
+        refund_status: 'manual_review',
+        refund_reason: reason,
+        refund_queue_id: withdrawalQueueId,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', withdrawalRequestId);
+
+    if (error) {
+      logger.error(
+        { error: error.message, withdrawalRequestId },
+        'Failed to hold withdrawal refund for manual review'
+      );
+    }
+
+    logger.warn(
+      { withdrawalRequestId, withdrawalQueueId, reason },
+      'Failed withdrawal may have been broadcast - refund held for manual review'
+    );
+  }
+
+  /**
+   * Retry refunds still 'due' (runs at most every REFUND_RETRY_INTERVAL_MS).
+   * Returns the number of refunds that went through.
+   */
+  async retryDueRefunds(): Promise<number> {
+    if (Date.now() - this.lastRetryAt < REFUND_RETRY_INTERVAL_MS) {
+      return 0;
+    }
+    this.lastRetryAt = Date.now();
+
+    const { data, error } = await this.supabase
+      .from('withdrawal_requests')
+      .select('id, refund_reason, refund_queue_id')
+      .eq('refund_status', 'due')
+      .is('refunded_at', null)
+      .order('updated_at', { ascending: true })
+      .limit(REFUND_RETRY_BATCH_SIZE);
+
+    if (error) {
+      logger.error({ error: error.message }, 'Failed to fetch due withdrawal refunds');
+      return 0;
+    }
+
+    let refunded = 0;
+    for (const row of data || []) {
+      const ok = await this.attemptRefund(
+        row.id,
+        row.refund_queue_id ?? null,
+        row.refund_reason ?? 'Refund retry'
+      );
+      if (ok) refunded++;
+    }
+
+    if (refunded > 0) {
+      logger.info({ refunded, due: data?.length ?? 0 }, 'Retried due withdrawal refunds');
+    }
+
+    return refunded;
+  }
+
+  private async attemptRefund(
+    withdrawalRequestId: string,
+    withdrawalQueueId: string | null,
+    reason: string
+  ): Promise<boolean> {
+    try {
+      await this.refund(withdrawalRequestId, withdrawalQueueId, reason);
+      return true;
+    } catch (refundError: any) {
+      logger.error(
+        { error: refundError.message, withdrawalRequestId, withdrawalQueueId },
+        'Failed to refund failed withdrawal - will be retried'
+      );
+
+      await this.supabase
+        .from('withdrawal_requests')
+        .update({ refund_last_error: refundError.message, updated_at: new Date().toISOString() })
+        .eq('id', withdrawalRequestId);
+
+      return false;
+    }
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Confirmation Policy Types
+ * Shared interfaces for amount-tiered deposit confirmation policies (migration 029)
+ */
+
+/** One amount tier of an asset's confirmation policy */
+export interface DepositConfirmationPolicyTier {
+  id: string;
+  asset_on_chain_id: string;
+  /** Tier applies to deposits of at least this amount; selected as ::text to stay exact */
+  min_amount_human: string;
+  /** Blocks to wait; NULL = chains.confirmation_threshold */
+  confirmations: number | null;
+  /** Also wait until the deposit block is final (finalized / solidified) */
+  require_finality: boolean;
+}
+
+/** Policy applied to a deposit, stored on deposits.confirmation_policy for audit */
+export interface AppliedConfirmationPolicy {
+  /** deposit_confirmation_policies.id; null = chain default */
+  policy_id: string | null;
+  min_amount_human: string | null;
+  confirmations: number;
+  require_finality: boolean;
+  source: 'tier' | 'chain_default';
+  /** Finality was required but the node could not report it; confirmed on depth alone */
+  finality_unavailable?: true;
+}
@@ -0,0 +1,58 @@
+/**
+ * Deposit Rescan Types
+ * Shared interfaces for targeted deposit rescans (migration 023)
+ */
+
+export type DepositRescanStatus = 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+/**
+ * What a scan did with a transfer to a monitored address: processDeposit's result, or
+ * 'suspicious' when it was held in suspicious_transfers instead (migration 027)
+ */
+export type DepositOutcome = 'inserted' | 'revived' | 'existing' | 'suspicious';
+
+export interface DepositRescanJob {
+  id: string;
+  chain_id: string;
+  from_block: number;
+  to_block: number;
+  addresses: string[] | null;
+  asset_on_chain_ids: string[] | null;
+  reason: string | null;
+  requested_by: string | null;
+  status: DepositRescanStatus;
+  next_block: number;
+  claimed_by: string | null;
+  deposits_found: number;
+  deposits_inserted: number;
+  report: FoundDeposit[];
+  attempts: number;
+  error_message: string | null;
+  started_at: string | null;
+  completed_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+/** A deposit to a monitored address seen by a scan, and what processDeposit did with it */
+export interface FoundDeposit {
+  tx_hash: string;
+  log_index: number;
+  to_address: string;
+  asset_on_chain_id: string;
+  amount_raw: string;
+  block_number: number;
+  outcome: DepositOutcome;
+}
+
+export interface DepositRescanRequest {
+  chainId: string;
+  fromBlock: number;
+  toBlock: number;
+  /** Only these recipient addresses; omit for every monitored address */
+  addresses?: string[] | null;
+  /** Only these asset_on_chain ids; omit for every active asset */
+  assetOnChainIds?: string[] | null;
+  reason?: string | null;
+  requestedBy?: string | null;
+}
@@ -0,0 +1,30 @@
+/**
+ * Deposit Verification Types
+ * Shared between the chain confirmation clients and the confirmation worker
+ */
+
+/**
+ * Where a pending deposit was originally seen.
+ * log_index follows the deposit workers' convention: >= 0 for token Transfer events,
+ * -1 for a top-level native transfer, -(n + 2) for the n-th internal native transfer.
+ */
+export interface DepositLocator {
+  txHash: string;
+  logIndex: number;
+  blockNumber: number;
+  blockHash: string | null;
+  toAddress: string;
+}
+
+/**
+ * canonical: transfer is in the canonical chain at the recorded block
+ * moved:     transfer was re-included in a different block (blockNumber/blockHash are the new location)
+ * missing:   transaction is gone, failed, or no longer carries the transfer (reorged out)
+ */
+export type DepositVerificationStatus = 'canonical' | 'moved' | 'missing';
+
+export interface DepositVerification {
+  status: DepositVerificationStatus;
+  blockNumber: number | null;
+  blockHash: string | null;
+}
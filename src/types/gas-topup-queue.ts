@@ -59,7 +59,7 @@ export interface SignerRequest {
   wallet_group_id: string;
   derivation_index: number;
   unsigned_tx?: any; // BSC: hex string (for EVM chains)
-  tx_intent?: { type: string; from: string; to: string; amount_sun: string }; // TRON: transaction intent
+  tx_intent?: { type: string; from: string; to: string; [key: string]: unknown }; // Intent-based signing (send_trx, trc20_transfer, native_transfer, erc20_transfer)
 }
 
 export interface SignerResponse {
@@ -0,0 +1,44 @@
+/**
+ * Hot Wallet Rebalance Types
+ * Shared interfaces for treasury → hot wallet refills (migration 018)
+ */
+
+export type HotWalletRebalanceStatus =
+  | 'pending'
+  | 'processing'
+  | 'confirming'
+  | 'reconcile'
+  | 'confirmed'
+  | 'failed';
+
+export interface HotWalletThreshold {
+  id: string;
+  operation_wallet_address_id: string;
+  asset_on_chain_id: string;
+  min_balance_human: string | number;
+  target_balance_human: string | number;
+  is_active: boolean;
+}
+
+export interface HotWalletRebalanceJob {
+  id: string;
+  chain_id: string;
+  asset_on_chain_id: string;
+  threshold_id: string | null;
+  source_operation_wallet_address_id: string;
+  target_operation_wallet_address_id: string;
+  to_address: string;
+  amount_raw: string;
+  amount_human: string;
+  status: HotWalletRebalanceStatus;
+  tx_hash: string | null;
+  retry_count: number;
+  max_retries: number;
+  error_message: string | null;
+  network_fee_raw: string | null;
+  scheduled_at: string;
+  processed_at: string | null;
+  confirmed_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
@@ -0,0 +1,58 @@
+/**
+ * Operation Transfer Types
+ * Shared interfaces for observed operation wallet transfers (migration 032)
+ */
+
+/**
+ * inbound   to an operation wallet from any other address
+ * outbound  from an operation wallet to any other address
+ * internal  between two operation wallets
+ */
+export type OperationTransferDirection = 'inbound' | 'outbound' | 'internal';
+
+/** Queue whose job sent a transaction */
+export type OperationJobType = 'consolidation' | 'gas_topup' | 'withdrawal' | 'hot_wallet_rebalance';
+
+export type OperationTransferAlertStatus = 'open' | 'acknowledged' | 'resolved';
+
+export interface OperationJobLink {
+  jobType: OperationJobType;
+  jobId: string;
+}
+
+export interface ObservedWalletTransfer {
+  id: string;
+  chain_id: string;
+  asset_on_chain_id: string;
+  operation_wallet_address_id: string;
+  direction: OperationTransferDirection;
+  tx_hash: string;
+  log_index: number;
+  from_address: string;
+  to_address: string;
+  amount_raw: string;
+  amount_human: string;
+  block_number: number;
+  block_timestamp: string | null;
+  job_type: OperationJobType | null;
+  job_id: string | null;
+  alert_status: OperationTransferAlertStatus | null;
+  alert_note: string | null;
+  reviewed_by: string | null;
+  reviewed_at: string | null;
+  created_at: string;
+}
+
+/** A transfer touching an operation wallet, as seen by a deposit worker */
+export interface ObservedWalletTransferInput {
+  chainId: string;
+  assetOnChainId: string;
+  txHash: string;
+  logIndex: number;
+  fromAddress: string;
+  toAddress: string;
+  amountRaw: string;
+  amountHuman: string;
+  blockNumber: number;
+  blockTimestamp?: Date | null;
+}
@@ -0,0 +1,41 @@
+/**
+ * Screening Types
+ * Shared interfaces for sanctions / denylist screening of counterparties (migration 028)
+ */
+
+export interface DenylistEntry {
+  id: string;
+  address: string;
+  /** lower(address), what screening matches on */
+  address_key: string;
+  /** NULL = the address is denied on every chain */
+  chain_id: string | null;
+  /** List the entry came from, e.g. 'ofac_sdn', 'manual' */
+  source: string;
+  reason: string | null;
+  is_active: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+/** One entry of a bulk import */
+export interface DenylistEntryInput {
+  address: string;
+  chainId?: string | null;
+  reason?: string | null;
+}
+
+export interface DenylistImportResult {
+  source: string;
+  upserted: number;
+  /** Entries of the source missing from the list, deactivated by a replace import */
+  deactivated: number;
+}
+
+/** A screened address found on the denylist */
+export interface ScreeningHit {
+  entry_id: string;
+  address: string;
+  source: string;
+  reason: string | null;
+}
@@ -0,0 +1,59 @@
+/**
+ * Suspicious Transfer Types
+ * Shared interfaces for address-poisoning / fake-token detection (migration 027)
+ */
+
+/**
+ * lookalike_address    sender shares the first and last characters of a known counterparty
+ * dust_from_new_sender dust (zero, or tiny without an asset minimum) from an address that never deposited here
+ * fake_token           token contract we don't list, with the symbol of one of our assets
+ */
+export type SuspiciousTransferReason = 'lookalike_address' | 'dust_from_new_sender' | 'fake_token';
+
+export type SuspiciousTransferReviewStatus = 'pending' | 'dismissed' | 'confirmed';
+
+export interface SuspiciousTransfer {
+  id: string;
+  chain_id: string;
+  asset_on_chain_id: string | null;
+  token_address: string | null;
+  token_symbol: string | null;
+  tx_hash: string;
+  log_index: number;
+  from_address: string;
+  to_address: string;
+  amount_raw: string;
+  block_number: number;
+  block_timestamp: string | null;
+  reason: SuspiciousTransferReason;
+  details: Record<string, unknown> | null;
+  review_status: SuspiciousTransferReviewStatus;
+  reviewed_by: string | null;
+  reviewed_at: string | null;
+  created_at: string;
+}
+
+/** Why a transfer was flagged by the deposit screening */
+export interface SuspiciousFinding {
+  reason: SuspiciousTransferReason;
+  details: Record<string, unknown>;
+}
+
+/** A transfer a deposit worker wants to hold for review */
+export interface SuspiciousTransferInput {
+  chainId: string;
+  /** Listed asset the transfer is in; null for fake tokens */
+  assetOnChainId: string | null;
+  /** Token contract; null for native transfers */
+  tokenAddress: string | null;
+  tokenSymbol?: string | null;
+  txHash: string;
+  logIndex: number;
+  fromAddress: string;
+  toAddress: string;
+  amountRaw: string;
+  blockNumber: number;
+  blockTimestamp?: Date | null;
+  reason: SuspiciousTransferReason;
+  details?: Record<string, unknown> | null;
+}
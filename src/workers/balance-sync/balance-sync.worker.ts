@@ -1,7 +1,7 @@
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
-import { TronBalanceClient } from '../../chains/tron/tron.balance.client.js';
-import { BscBalanceClient } from '../../chains/bsc/bsc.balance.client.js';
+import { createChainAdapter } from '../../chains/chain-adapter.factory.js';
+import type { BalanceQueryResult, ChainBalanceClient } from '../../chains/chain-adapter.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import {
@@ -10,6 +10,11 @@ import {
   defaultHeartbeatIntervalMs,
 } from '../../control-plane/worker-runtime.js';
 
+/** wallet_balances rows locked per batch; EVM balances of a batch are read via Multicall3 */
+const BATCH_SIZE = Math.max(parseInt(process.env.BALANCE_SYNC_BATCH_SIZE || '200', 10), 1);
+/** Ids per .in() lookup, to keep PostgREST URLs short */
+const LOOKUP_CHUNK_SIZE = 200;
+
 interface WalletBalance {
   id: string;
   wallet_id: string;
@@ -43,18 +48,34 @@ interface Chain {
 }
 
 interface WalletAddress {
-  wallet_id: string;
+  id: string;
   address: string;
   chain_id: string;
 }
 
+/** A locked row with what is needed to read and store its balance */
+interface RowContext {
+  row: WalletBalance;
+  asset: AssetOnChain;
+  chain: Pick<Chain, 'id' | 'name' | 'is_active'>;
+  address: string;
+  walletType: 'user' | 'operation';
+}
+
+/** Outcome of one locked row; a batch's outcomes are stored at once (record_wallet_balance_syncs) */
+type SyncOutcome =
+  | { id: string; status: 'synced'; balance_raw: string; balance_human: string }
+  | { id: string; status: 'failed'; error: string }
+  | { id: string; status: 'skipped' };
+
 export class BalanceSyncWorker {
   private supabase: SupabaseClient;
   private runtime: WorkerRuntime;
   private chainClients: Map<string, any> = new Map();
   private isRunning: boolean = false;
   private stopHeartbeat: (() => void) | null = null;
-  private readonly BATCH_SIZE = 50;
+  private outcomes: SyncOutcome[] = [];
+  private readonly BATCH_SIZE = BATCH_SIZE;
   private readonly LOCK_DURATION_SECONDS = 120; // 2 minutes
   private readonly SYNC_INTERVAL_MS = 30000; // 30 seconds
 
@@ -92,7 +113,7 @@ export class BalanceSyncWorker {
   private async initializeChainClients(): Promise<void> {
     const { data: chains, error } = await this.supabase
       .from('chains')
-      .select('id, name, rpc_url, is_active')
+      .select('id, name, rpc_url, rpc_urls, rpc_max_block_lag, chain_type, is_active')
       .eq('is_active', true);
 
     if (error) {
@@ -100,24 +121,7 @@ export class BalanceSyncWorker {
     }
 
     for (const chain of chains || []) {
-      let client: any;
-
-      switch (chain.name.toLowerCase()) {
-        case 'tron':
-          client = new TronBalanceClient(chain.rpc_url);
-          break;
-        case 'bsc':
-        case 'ethereum':
-        case 'polygon':
-          client = new BscBalanceClient(chain.rpc_url);
-          break;
-        default:
-          logger.warn(
-            { chainName: chain.name },
-            'Unsupported chain for balance sync, skipping'
-          );
-          continue;
-      }
+      const client = createChainAdapter(chain).balances;
 
       this.chainClients.set(chain.id, {
         client,
@@ -133,16 +137,21 @@ export class BalanceSyncWorker {
   }
 
   /**
-   * Process a batch of wallet balances
+   * Process a batch of wallet balances: one grouped balance read per chain (Multicall3 on EVM
+   * chains), then all rows are stored and unlocked in one call. Returns the number of rows locked.
    */
-  async processBatch(): Promise<void> {
+  async processBatch(): Promise<number> {
+    let lockedCount = 0;
+    this.outcomes = [];
+
     try {
       // Step 1: Select and lock rows
       const lockedRows = await this.selectAndLockRows();
+      lockedCount = lockedRows.length;
 
       if (lockedRows.length === 0) {
         logger.debug('No wallet balances to process');
-        return;
+        return 0;
       }
 
       logger.info(
@@ -150,13 +159,23 @@ export class BalanceSyncWorker {
         'Processing batch of wallet balances'
       );
 
-      // Step 2: Process each locked row
-      for (const row of lockedRows) {
-        await this.processWalletBalance(row);
+      // Step 2: Resolve asset, chain and address of every row
+      const contexts = await this.loadRowContexts(lockedRows);
+
+      // Step 3: Read and store balances, chain by chain
+      const byChain = new Map<string, RowContext[]>();
+      for (const context of contexts) {
+        const group = byChain.get(context.asset.chain_id) ?? [];
+        group.push(context);
+        byChain.set(context.asset.chain_id, group);
+      }
+
+      for (const [chainId, group] of byChain) {
+        await this.syncChainBalances(chainId, group);
       }
 
       logger.info(
-        { processed: lockedRows.length },
+        { processed: lockedRows.length, chains: byChain.size },
         'Batch processing complete'
       );
     } catch (error: any) {
@@ -165,7 +184,35 @@ export class BalanceSyncWorker {
         'Error processing batch'
       );
       // Don't throw - continue to next cycle
+    } finally {
+      // Step 4: Store every row's outcome and unlock it
+      await this.storeOutcomes();
     }
+
+    return lockedCount;
+  }
+
+  /**
+   * Write the batch's outcomes in one RPC. On failure the rows stay locked until locked_until
+   * passes and are picked up again by a later batch.
+   */
+  private async storeOutcomes(): Promise<void> {
+    if (this.outcomes.length === 0) {
+      return;
+    }
+
+    const { error } = await this.supabase.rpc('record_wallet_balance_syncs', {
+      p_results: this.outcomes,
+    });
+
+    if (error) {
+      logger.error(
+        { error: error.message, rows: this.outcomes.length },
+        'Failed to store balance sync batch'
+      );
+    }
+
+    this.outcomes = [];
   }
 
   /**
@@ -261,34 +308,62 @@ export class BalanceSyncWorker {
   }
 
   /**
-   * Process a single wallet balance row
+   * Asset, chain and wallet address of each locked row, loaded for the whole batch at once.
+   * wallet_balances.wallet_id can reference either user_wallet_addresses.id or
+   * operation_wallet_addresses.id (user wallets win). Rows that cannot be synced get their
+   * error recorded (or, on an inactive chain, are just unlocked) and are left out.
    */
-  private async processWalletBalance(row: WalletBalance): Promise<void> {
+  private async loadRowContexts(rows: WalletBalance[]): Promise<RowContext[]> {
+    let assets: Map<string, AssetOnChain>;
+    let chains: Map<string, Pick<Chain, 'id' | 'name' | 'is_active'>>;
+    let userWallets: Map<string, WalletAddress>;
+    let operationWallets: Map<string, WalletAddress>;
+
     try {
-      // Load asset configuration
-      const { data: assetOnChain, error: assetError } = await this.supabase
-        .from('asset_on_chain')
-        .select('id, chain_id, asset_id, contract_address, decimals, is_native')
-        .eq('id', row.asset_on_chain_id)
-        .maybeSingle();
-
-      if (assetError || !assetOnChain) {
-        throw new Error(
-          `Failed to load asset: ${assetError?.message || 'not found'}`
-        );
+      assets = await this.fetchByIds<AssetOnChain>(
+        'asset_on_chain',
+        'id, chain_id, asset_id, contract_address, decimals, is_native',
+        rows.map((r) => r.asset_on_chain_id)
+      );
+      chains = await this.fetchByIds<Pick<Chain, 'id' | 'name' | 'is_active'>>(
+        'chains',
+        'id, name, is_active',
+        Array.from(assets.values(), (a) => a.chain_id)
+      );
+      // CRITICAL: Balance sync must handle BOTH user and operation wallets
+      const walletIds = rows.map((r) => r.wallet_id);
+      userWallets = await this.fetchByIds<WalletAddress>(
+        'user_wallet_addresses',
+        'id, address, chain_id',
+        walletIds,
+        true
+      );
+      operationWallets = await this.fetchByIds<WalletAddress>(
+        'operation_wallet_addresses',
+        'id, address, chain_id',
+        walletIds.filter((id) => !userWallets.has(id)),
+        true
+      );
+    } catch (error: any) {
+      for (const row of rows) {
+        this.failRow(row.id, error.message);
       }
+      return [];
+    }
 
-      // Load chain configuration
-      const { data: chain, error: chainError } = await this.supabase
-        .from('chains')
-        .select('id, name, is_active')
-        .eq('id', assetOnChain.chain_id)
-        .maybeSingle();
+    const contexts: RowContext[] = [];
 
-      if (chainError || !chain) {
-        throw new Error(
-          `Failed to load chain: ${chainError?.message || 'not found'}`
-        );
+    for (const row of rows) {
+      const asset = assets.get(row.asset_on_chain_id);
+      if (!asset) {
+        this.failRow(row.id, 'Failed to load asset: not found');
+        continue;
+      }
+
+      const chain = chains.get(asset.chain_id);
+      if (!chain) {
+        this.failRow(row.id, 'Failed to load chain: not found');
+        continue;
       }
 
       // Skip if chain is not active
@@ -297,128 +372,202 @@ export class BalanceSyncWorker {
           { walletBalanceId: row.id, chainName: chain.name },
           'Chain is not active, skipping'
         );
-        await this.releaseLock(row.id, false);
-        return;
+        this.outcomes.push({ id: row.id, status: 'skipped' });
+        continue;
       }
 
-      // Load wallet address for this chain
-      // wallet_balances.wallet_id can reference either user_wallet_addresses.id or operation_wallet_addresses.id
-      // CRITICAL: Balance sync must handle BOTH user and operation wallets
-      let walletAddress: { address: string; chain_id: string; is_active: boolean } | null = null;
-      let walletType: 'user' | 'operation' | null = null;
-
-      // Try user_wallet_addresses first
-      const { data: userWalletAddress, error: userAddressError } = await this.supabase
-        .from('user_wallet_addresses')
-        .select('address, chain_id, is_active')
-        .eq('id', row.wallet_id)
-        .eq('chain_id', assetOnChain.chain_id)
-        .eq('is_active', true)
-        .maybeSingle();
-
-      if (userAddressError) {
-        // Database error - log but continue to try operation_wallet_addresses
-        logger.debug(
-          { error: userAddressError.message, walletId: row.wallet_id },
-          'Error querying user_wallet_addresses, trying operation_wallet_addresses'
-        );
-      } else if (userWalletAddress) {
-        walletAddress = userWalletAddress;
-        walletType = 'user';
-        logger.debug(
-          { walletId: row.wallet_id, walletType: 'user' },
-          'Found wallet in user_wallet_addresses'
+      const userWallet = userWallets.get(row.wallet_id);
+      const operationWallet = operationWallets.get(row.wallet_id);
+      const wallet =
+        userWallet?.chain_id === asset.chain_id
+          ? userWallet
+          : operationWallet?.chain_id === asset.chain_id
+            ? operationWallet
+            : null;
+
+      if (!wallet) {
+        this.failRow(
+          row.id,
+          `Wallet address not found in user_wallet_addresses or operation_wallet_addresses: wallet_id=${row.wallet_id}, chain_id=${asset.chain_id}`
         );
+        continue;
       }
 
-      // If not found in user_wallet_addresses, try operation_wallet_addresses
-      if (!walletAddress) {
-        const { data: operationWalletAddress, error: operationAddressError } = await this.supabase
-          .from('operation_wallet_addresses')
-          .select('address, chain_id, is_active')
-          .eq('id', row.wallet_id)
-          .eq('chain_id', assetOnChain.chain_id)
-          .eq('is_active', true)
-          .maybeSingle();
-
-        if (operationAddressError) {
-          // Both queries failed - this is an error
-          throw new Error(
-            `Failed to load wallet address from both tables: wallet_id=${row.wallet_id}, chain_id=${assetOnChain.chain_id}, user_error=${userAddressError?.message || 'not found'}, operation_error=${operationAddressError.message}`
-          );
-        } else if (operationWalletAddress) {
-          walletAddress = operationWalletAddress;
-          walletType = 'operation';
-          logger.debug(
-            { walletId: row.wallet_id, walletType: 'operation' },
-            'Found wallet in operation_wallet_addresses'
-          );
-        }
+      contexts.push({
+        row,
+        asset,
+        chain,
+        address: wallet.address,
+        walletType: wallet === userWallet ? 'user' : 'operation',
+      });
+    }
+
+    return contexts;
+  }
+
+  /**
+   * Rows of a table by id, in chunks of LOOKUP_CHUNK_SIZE ids per query
+   */
+  private async fetchByIds<T extends { id: string }>(
+    table: string,
+    columns: string,
+    ids: string[],
+    activeOnly: boolean = false
+  ): Promise<Map<string, T>> {
+    const unique = Array.from(new Set(ids));
+    const rows = new Map<string, T>();
+
+    for (let i = 0; i < unique.length; i += LOOKUP_CHUNK_SIZE) {
+      let query = this.supabase
+        .from(table)
+        .select(columns)
+        .in('id', unique.slice(i, i + LOOKUP_CHUNK_SIZE));
+      if (activeOnly) {
+        query = query.eq('is_active', true);
       }
 
-      if (!walletAddress) {
-        throw new Error(
-          `Wallet address not found in user_wallet_addresses or operation_wallet_addresses: wallet_id=${row.wallet_id}, chain_id=${assetOnChain.chain_id}`
-        );
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to load ${table}: ${error.message}`);
       }
 
-      logger.debug(
-        { walletId: row.wallet_id, walletType, address: walletAddress.address },
-        'Loaded wallet address'
-      );
+      for (const row of (data ?? []) as unknown as T[]) {
+        rows.set(row.id, row);
+      }
+    }
+
+    return rows;
+  }
 
-      // Get chain client
-      const chainClient = this.chainClients.get(assetOnChain.chain_id);
-      if (!chainClient) {
-        throw new Error(`No client for chain ${chain.name}`);
+  /**
+   * Read the balances of one chain's rows and store each. Clients with getBalances (EVM:
+   * Multicall3) read them all in a few calls; the others one row at a time.
+   */
+  private async syncChainBalances(chainId: string, contexts: RowContext[]): Promise<void> {
+    const chainClient = this.chainClients.get(chainId);
+    if (!chainClient) {
+      for (const context of contexts) {
+        this.failRow(context.row.id, `No client for chain ${context.chain.name}`);
       }
+      return;
+    }
 
-      // Fetch on-chain balance (data-driven: native or token)
-      const { balanceRaw, balanceHuman } = await this.fetchOnChainBalance(
-        chainClient.client,
-        assetOnChain,
-        walletAddress.address
-      );
+    const client: ChainBalanceClient = chainClient.client;
 
-      // Update wallet_balances (balance fields only)
-      await this.updateBalance(row.id, balanceRaw, balanceHuman);
+    if (!client.getBalances) {
+      for (const context of contexts) {
+        try {
+          const { balanceRaw } = await this.fetchOnChainBalance(
+            client,
+            context.asset,
+            context.address
+          );
+          this.completeRow(client, context, balanceRaw);
+        } catch (error: any) {
+          this.failRow(context.row.id, error.message);
+        }
+      }
+      return;
+    }
 
-      // Release lock after successful sync
-      await this.releaseLock(row.id, true);
+    const readable: RowContext[] = [];
+    for (const context of contexts) {
+      if (!context.asset.is_native && !context.asset.contract_address) {
+        this.failRow(context.row.id, 'Contract address is null for non-native asset');
+      } else {
+        readable.push(context);
+      }
+    }
 
-      logger.info(
-        {
-          walletBalanceId: row.id,
-          walletId: row.wallet_id,
-          walletType, // 'user' or 'operation'
-          chain: chain.name,
-          assetType: assetOnChain.is_native ? 'Native' : 'Token',
-          assetId: assetOnChain.asset_id,
-          balanceHuman,
-        },
-        'Wallet balance synced successfully'
+    let results: BalanceQueryResult[];
+    try {
+      results = await client.getBalances(
+        readable.map((context) => ({
+          address: context.address,
+          contractAddress: context.asset.is_native ? null : context.asset.contract_address,
+        }))
       );
     } catch (error: any) {
-      logger.error(
-        {
-          error: error.message,
-          walletBalanceId: row.id,
-        },
-        'Error processing wallet balance'
-      );
+      for (const context of readable) {
+        this.failRow(context.row.id, error.message);
+      }
+      return;
+    }
+
+    logger.debug(
+      { chain: chainClient.name, balances: readable.length },
+      'Fetched balances in batch'
+    );
+
+    for (const [index, context] of readable.entries()) {
+      const result = results[index];
+      if (!result || result.error !== null) {
+        this.failRow(context.row.id, result?.error ?? 'No balance returned');
+        continue;
+      }
 
-      // Record error and release lock
-      await this.recordError(row.id, error.message);
+      try {
+        this.completeRow(client, context, result.balanceRaw);
+      } catch (error: any) {
+        this.failRow(context.row.id, error.message);
+      }
     }
   }
 
+  /**
+   * Queue a row's fetched balance (stored and unlocked with the batch)
+   */
+  private completeRow(
+    client: ChainBalanceClient,
+    context: RowContext,
+    balanceRaw: string
+  ): void {
+    // Calculate human-readable amount using decimals from asset_on_chain
+    const balanceHuman = client.calculateHumanAmount(balanceRaw, context.asset.decimals);
+
+    this.outcomes.push({
+      id: context.row.id,
+      status: 'synced',
+      balance_raw: balanceRaw,
+      balance_human: balanceHuman,
+    });
+
+    logger.info(
+      {
+        walletBalanceId: context.row.id,
+        walletId: context.row.wallet_id,
+        walletType: context.walletType, // 'user' or 'operation'
+        chain: context.chain.name,
+        assetType: context.asset.is_native ? 'Native' : 'Token',
+        assetId: context.asset.asset_id,
+        balanceHuman,
+      },
+      'Wallet balance synced successfully'
+    );
+  }
+
+  /**
+   * Log a row's failure and queue its error (recorded and unlocked with the batch)
+   */
+  private failRow(walletBalanceId: string, errorMessage: string): void {
+    logger.error(
+      {
+        error: errorMessage,
+        walletBalanceId,
+      },
+      'Error processing wallet balance'
+    );
+
+    this.outcomes.push({ id: walletBalanceId, status: 'failed', error: errorMessage });
+  }
+
   /**
    * Fetch on-chain balance for an asset (DATA-DRIVEN)
    * Handles both native assets (TRX, BNB) and token assets (USDT, etc.)
    * based on asset_on_chain.is_native flag
    */
   private async fetchOnChainBalance(
-    client: any,
+    client: ChainBalanceClient,
     asset: AssetOnChain,
     walletAddress: string
   ): Promise<{ balanceRaw: string; balanceHuman: string }> {
@@ -471,115 +620,6 @@ export class BalanceSyncWorker {
     return { balanceRaw, balanceHuman };
   }
 
-  /**
-   * Update wallet_balances with new on-chain balance
-   * ONLY updates balance-related fields, does NOT touch lock/status fields
-   */
-  private async updateBalance(
-    walletBalanceId: string,
-    balanceRaw: string,
-    balanceHuman: string
-  ): Promise<void> {
-    // First get current sync_count
-    const { data: currentRow } = await this.supabase
-      .from('wallet_balances')
-      .select('sync_count')
-      .eq('id', walletBalanceId)
-      .maybeSingle();
-
-    const newSyncCount = (currentRow?.sync_count || 0) + 1;
-
-    // ONLY update balance-related fields
-    // DO NOT touch: needs_gas, needs_consolidation, locks, priorities, processing_status
-    const { error } = await this.supabase
-      .from('wallet_balances')
-      .update({
-        on_chain_balance_raw: balanceRaw,
-        on_chain_balance_human: balanceHuman,
-        last_checked: new Date().toISOString(),
-        sync_count: newSyncCount,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', walletBalanceId);
-
-    if (error) {
-      throw new Error(`Failed to update balance: ${error.message}`);
-    }
-  }
-
-  /**
-   * Release lock after processing (success or failure)
-   */
-  private async releaseLock(
-    walletBalanceId: string,
-    success: boolean
-  ): Promise<void> {
-    const updateData: any = {
-      processing_status: 'idle',
-      locked_until: null,
-      locked_by: null,
-      last_processed_at: new Date().toISOString(),
-    };
-
-    // On success, clear error fields
-    if (success) {
-      updateData.last_error = null;
-      updateData.last_error_at = null;
-    }
-
-    const { error } = await this.supabase
-      .from('wallet_balances')
-      .update(updateData)
-      .eq('id', walletBalanceId);
-
-    if (error) {
-      logger.error(
-        { error: error.message, walletBalanceId },
-        'Failed to release lock'
-      );
-    }
-  }
-
-  /**
-   * Record error and release lock
-   */
-  private async recordError(
-    walletBalanceId: string,
-    errorMessage: string
-  ): Promise<void> {
-    // Get current error_count
-    const { data: currentRow } = await this.supabase
-      .from('wallet_balances')
-      .select('error_count')
-      .eq('id', walletBalanceId)
-      .maybeSingle();
-
-    const newErrorCount = (currentRow?.error_count || 0) + 1;
-
-    const { error } = await this.supabase
-      .from('wallet_balances')
-      .update({
-        last_error: errorMessage,
-        last_error_at: new Date().toISOString(),
-        error_count: newErrorCount,
-      })
-      .eq('id', walletBalanceId);
-
-    if (error) {
-      logger.error(
-        {
-          error: error.message,
-          walletBalanceId,
-        },
-        'Failed to record error'
-      );
-    }
-
-    // Release lock separately
-    await this.releaseLock(walletBalanceId, false);
-  }
-
-
   /**
    * Start the worker loop
    */
@@ -600,6 +640,7 @@ export class BalanceSyncWorker {
 
     while (this.isRunning) {
       const cycleStart = Date.now();
+      let batchFull = false;
       try {
         const inMaintenance = await this.runtime.checkMaintenance();
         if (inMaintenance) {
@@ -628,7 +669,8 @@ export class BalanceSyncWorker {
           continue;
         }
 
-        await this.processBatch();
+        const processed = await this.processBatch();
+        batchFull = processed >= this.BATCH_SIZE;
         await this.runtime.logExecution({
           executionType: 'cycle',
           status: 'success',
@@ -647,7 +689,10 @@ export class BalanceSyncWorker {
         });
       }
 
-      await sleep(this.SYNC_INTERVAL_MS);
+      // A full batch means more rows are due: go straight on to the next one
+      if (!batchFull) {
+        await sleep(this.SYNC_INTERVAL_MS);
+      }
     }
 
     this.stopHeartbeat?.();
@@ -1,10 +1,16 @@
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
-import { TronConfirmationClient } from '../../chains/tron/tron.confirmation.client.js';
-import { BscConfirmationClient } from '../../chains/bsc/bsc.confirmation.client.js';
+import { createChainAdapter } from '../../chains/chain-adapter.factory.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import { env } from '../../config/env.js';
+import { LedgerService } from '../../services/ledger.service.js';
+import { ConfirmationPolicyService } from '../../services/confirmation-policy.service.js';
+import { ScreeningService } from '../../services/screening.service.js';
+import { PendingBalanceService } from '../../services/pending-balance.service.js';
+import type { DepositVerification } from '../../types/deposit-verification.js';
+import type { AppliedConfirmationPolicy } from '../../types/confirmation-policy.js';
+import type { ScreeningHit } from '../../types/screening.js';
 import {
   WorkerRuntime,
   workerIdentity,
@@ -15,6 +21,7 @@ interface ChainConfig {
   id: string;
   name: string;
   rpc_url: string;
+  chain_type: string | null;
   confirmation_threshold: number;
   is_active: boolean;
 }
@@ -25,9 +32,11 @@ interface PendingDeposit {
   asset_on_chain_id: string;
   tx_hash: string;
   log_index: number;
+  from_address: string;
   to_address: string;
   amount_human: string;
   block_number: number;
+  block_hash: string | null;
   first_seen_block: number;
   confirmations: number;
   status: string;
@@ -35,18 +44,13 @@ interface PendingDeposit {
   confirmed_at: string | null;
 }
 
-interface AssetOnChain {
-  id: string;
-  asset_id: string;
-}
-
-interface UserWalletAddress {
-  uid: string;
-}
-
 export class ConfirmationWorker {
   private supabase: SupabaseClient;
   private runtime: WorkerRuntime;
+  private ledger: LedgerService;
+  private screening: ScreeningService;
+  private policies: ConfirmationPolicyService;
+  private pendingBalances: PendingBalanceService;
   private chains: Map<string, ChainConfig> = new Map();
   private clients: Map<string, any> = new Map();
   private isRunning: boolean = false;
@@ -58,6 +62,10 @@ export class ConfirmationWorker {
     this.runtime = new WorkerRuntime(
       workerIdentity('deposit_confirmation', null)
     );
+    this.ledger = new LedgerService();
+    this.screening = new ScreeningService();
+    this.policies = new ConfirmationPolicyService();
+    this.pendingBalances = new PendingBalanceService();
   }
 
   /**
@@ -88,7 +96,7 @@ export class ConfirmationWorker {
   private async loadActiveChains(): Promise<void> {
     const { data, error } = await this.supabase
       .from('chains')
-      .select('id, name, rpc_url, confirmation_threshold, is_active')
+      .select('id, name, rpc_url, rpc_urls, rpc_max_block_lag, chain_type, confirmation_threshold, is_active')
       .eq('is_active', true);
 
     if (error) {
@@ -113,24 +121,7 @@ export class ConfirmationWorker {
    */
   private async initializeChainClients(): Promise<void> {
     for (const [chainId, config] of this.chains.entries()) {
-      let client: any;
-
-      switch (config.name.toLowerCase()) {
-        case 'tron':
-          client = new TronConfirmationClient(config.rpc_url);
-          break;
-        case 'bsc':
-        case 'ethereum':
-        case 'polygon':
-          client = new BscConfirmationClient(config.rpc_url);
-          break;
-        default:
-          logger.warn(
-            { chainName: config.name },
-            'Unsupported chain for confirmation worker, skipping'
-          );
-          continue;
-      }
+      const client = createChainAdapter(config).deposits;
 
       this.clients.set(chainId, client);
       logger.debug(
@@ -187,42 +178,68 @@ export class ConfirmationWorker {
         'Fetched current block number'
       );
 
-      // Fetch pending deposits for this chain
-      const { data: pendingDeposits, error } = await this.supabase
-        .from('deposits')
-        .select('*')
-        .eq('chain_id', chainId)
-        .eq('status', 'pending')
-        .order('block_number', { ascending: true })
-        .limit(this.BATCH_SIZE);
-
-      if (error) {
-        throw new Error(
-          `Failed to fetch pending deposits for ${chainConfig.name}: ${error.message}`
+      // Fetched at most once per cycle, and only when a tier requires finality. A transient RPC
+      // error rejects it for the cycle: finality deposits then wait for the next cycle.
+      let finalized: Promise<number | null> | null = null;
+      const finalizedBlock = (): Promise<number | null> =>
+        (finalized ??= client.getFinalizedBlockNumber().then((block: number | null) => {
+          if (block === null) {
+            logger.warn(
+              { chainId, chainName: chainConfig.name },
+              'Node cannot report the finalized block - finality tiers fall back to their confirmation depth'
+            );
+          }
+          return block;
+        }));
+
+      // Page through all pending deposits: old ones waiting on finality or a high tier must not
+      // hold back newer deposits behind a fixed-size window
+      let after: PendingDeposit | null = null;
+      let processed = 0;
+
+      for (;;) {
+        const pendingDeposits = await this.fetchPendingDeposits(chainConfig, after);
+        if (pendingDeposits.length === 0) {
+          break;
+        }
+
+        logger.info(
+          {
+            chainId,
+            chainName: chainConfig.name,
+            pendingCount: pendingDeposits.length,
+            processed,
+            currentBlock,
+          },
+          'Processing pending deposits'
         );
+
+        const tiers = await this.policies.loadTiers(
+          Array.from(new Set(pendingDeposits.map((d) => d.asset_on_chain_id)))
+        );
+
+        // Process each deposit
+        for (const deposit of pendingDeposits) {
+          const policy = this.policies.resolve(
+            tiers.get(deposit.asset_on_chain_id),
+            deposit.amount_human,
+            chainConfig.confirmation_threshold
+          );
+          await this.processDeposit(deposit, chainConfig, client, currentBlock, policy, finalizedBlock);
+        }
+
+        processed += pendingDeposits.length;
+        if (pendingDeposits.length < this.BATCH_SIZE) {
+          break;
+        }
+        after = pendingDeposits[pendingDeposits.length - 1]!;
       }
 
-      if (!pendingDeposits || pendingDeposits.length === 0) {
+      if (processed === 0) {
         logger.debug(
           { chainId, chainName: chainConfig.name },
           'No pending deposits for this chain'
         );
-        return;
-      }
-
-      logger.info(
-        {
-          chainId,
-          chainName: chainConfig.name,
-          pendingCount: pendingDeposits.length,
-          currentBlock,
-        },
-        'Processing pending deposits'
-      );
-
-      // Process each deposit
-      for (const deposit of pendingDeposits) {
-        await this.processDeposit(deposit, chainConfig, currentBlock);
       }
     } catch (error: any) {
       logger.error(
@@ -238,12 +255,49 @@ export class ConfirmationWorker {
   }
 
   /**
-   * Process a single pending deposit
+   * One page of a chain's pending deposits, oldest block first, after the given deposit (keyset on
+   * block_number, id, so deposits leaving 'pending' meanwhile never shift the page)
+   */
+  private async fetchPendingDeposits(
+    chainConfig: ChainConfig,
+    after: PendingDeposit | null
+  ): Promise<PendingDeposit[]> {
+    let query = this.supabase
+      .from('deposits')
+      .select('*')
+      .eq('chain_id', chainConfig.id)
+      .eq('status', 'pending');
+
+    if (after) {
+      query = query.or(
+        `block_number.gt.${after.block_number},and(block_number.eq.${after.block_number},id.gt.${after.id})`
+      );
+    }
+
+    const { data, error } = await query
+      .order('block_number', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(this.BATCH_SIZE);
+
+    if (error) {
+      throw new Error(
+        `Failed to fetch pending deposits for ${chainConfig.name}: ${error.message}`
+      );
+    }
+
+    return (data ?? []) as PendingDeposit[];
+  }
+
+  /**
+   * Process a single pending deposit under its confirmation policy
    */
   private async processDeposit(
     deposit: PendingDeposit,
     chainConfig: ChainConfig,
-    currentBlock: number
+    client: any,
+    currentBlock: number,
+    policy: AppliedConfirmationPolicy,
+    finalizedBlock: () => Promise<number | null>
   ): Promise<void> {
     try {
       // Reorg safety: If current block < deposit block, skip
@@ -270,20 +324,67 @@ export class ConfirmationWorker {
           blockNumber: deposit.block_number,
           currentBlock,
           confirmations,
-          threshold: chainConfig.confirmation_threshold,
+          required: policy.confirmations,
+          requireFinality: policy.require_finality,
         },
         'Calculated confirmations'
       );
 
       // Update confirmations count
-      if (confirmations < chainConfig.confirmation_threshold) {
+      if (confirmations < policy.confirmations) {
         // Not enough confirmations yet, just update count
-        await this.updateConfirmationCount(deposit.id, confirmations);
+        await this.updateConfirmationCount(deposit.id, confirmations, policy.confirmations);
+        return;
+      }
+
+      if (policy.require_finality) {
+        const finalized = await finalizedBlock();
+        if (finalized === null) {
+          // Confirmation depth is met; recorded on the applied policy for audit
+          policy = { ...policy, finality_unavailable: true };
+        } else if (deposit.block_number > finalized) {
+          logger.debug(
+            { depositId: deposit.id, blockNumber: deposit.block_number, finalized },
+            'Deposit block not final yet'
+          );
+          await this.updateConfirmationCount(deposit.id, confirmations, policy.confirmations);
+          return;
+        }
+      }
+
+      // Enough confirmations - re-verify against the canonical chain before crediting
+      const verification: DepositVerification = await client.verifyDeposit({
+        txHash: deposit.tx_hash,
+        logIndex: deposit.log_index,
+        blockNumber: deposit.block_number,
+        blockHash: deposit.block_hash,
+        toAddress: deposit.to_address,
+      });
+
+      if (verification.status === 'missing') {
+        await this.markDepositOrphaned(deposit);
+        return;
+      }
+
+      if (verification.status === 'moved') {
+        await this.relocateDeposit(deposit, verification, currentBlock);
+        return;
+      }
+
+      // Sanctions screening: a denylisted sender is quarantined instead of credited
+      const hits = await this.screening.screen(deposit.chain_id, [deposit.from_address]);
+      if (hits.length > 0) {
+        await this.quarantineDeposit(deposit, hits);
         return;
       }
 
       // Enough confirmations - confirm and credit
-      await this.confirmAndCreditDeposit(deposit, chainConfig, confirmations);
+      await this.confirmAndCreditDeposit(
+        deposit,
+        policy,
+        confirmations,
+        verification.blockHash
+      );
     } catch (error: any) {
       logger.error(
         {
@@ -302,11 +403,12 @@ export class ConfirmationWorker {
    */
   private async updateConfirmationCount(
     depositId: string,
-    confirmations: number
+    confirmations: number,
+    requiredConfirmations: number
   ): Promise<void> {
     const { error } = await this.supabase
       .from('deposits')
-      .update({ confirmations })
+      .update({ confirmations, required_confirmations: requiredConfirmations })
       .eq('id', depositId);
 
     if (error) {
@@ -324,271 +426,138 @@ export class ConfirmationWorker {
   }
 
   /**
-   * Confirm deposit and credit user balance (ATOMIC OPERATION)
+   * Deposit was reorged out of the canonical chain: move it to 'orphaned' so it is never credited.
+   * Its pending balance is reversed in the same transaction. If the transfer is re-included
+   * later, the deposit worker picks it up again on rescan.
    */
-  private async confirmAndCreditDeposit(
-    deposit: PendingDeposit,
-    chainConfig: ChainConfig,
-    confirmations: number
-  ): Promise<void> {
-    try {
-      // IDEMPOTENCY CHECK: Re-fetch deposit to ensure it hasn't been credited
-      const { data: currentDeposit, error: fetchError } = await this.supabase
-        .from('deposits')
-        .select('id, status, credited_at, confirmed_at')
-        .eq('id', deposit.id)
-        .maybeSingle();
-
-      if (fetchError) {
-        throw new Error(`Failed to re-fetch deposit: ${fetchError.message}`);
-      }
-
-      if (!currentDeposit) {
-        logger.warn(
-          { depositId: deposit.id },
-          'Deposit not found during confirmation, skipping'
-        );
-        return;
-      }
-
-      // CRITICAL: Skip if already credited (idempotency)
-      if (currentDeposit.credited_at) {
-        logger.debug(
-          { depositId: deposit.id, txHash: deposit.tx_hash },
-          'Deposit already credited, skipping'
-        );
-        return;
-      }
-
-      // CRITICAL: Skip if already confirmed by another worker
-      if (currentDeposit.status === 'confirmed') {
-        logger.debug(
-          { depositId: deposit.id, txHash: deposit.tx_hash },
-          'Deposit already confirmed, checking if needs crediting'
-        );
-        
-        // If confirmed but not credited, credit now
-        if (!currentDeposit.credited_at) {
-          await this.creditDepositBalance(deposit);
-        }
-        return;
-      }
-
-      // Get user uid from to_address
-      const { data: userAddress, error: userError } = await this.supabase
-        .from('user_wallet_addresses')
-        .select('uid')
-        .eq('address', deposit.to_address)
-        .eq('chain_id', deposit.chain_id)
-        .maybeSingle();
-
-      if (userError) {
-        throw new Error(`Failed to fetch user address: ${userError.message}`);
-      }
-
-      if (!userAddress) {
-        logger.error(
-          {
-            depositId: deposit.id,
-            toAddress: deposit.to_address,
-          },
-          'User address not found for deposit'
-        );
-        return;
-      }
-
-      // Get asset_id from asset_on_chain
-      const { data: assetOnChain, error: assetError } = await this.supabase
-        .from('asset_on_chain')
-        .select('asset_id')
-        .eq('id', deposit.asset_on_chain_id)
-        .maybeSingle();
+  private async markDepositOrphaned(deposit: PendingDeposit): Promise<void> {
+    // Safety: only applies if still pending
+    if (!(await this.pendingBalances.orphanDeposit(deposit.id))) {
+      return;
+    }
 
-      if (assetError) {
-        throw new Error(`Failed to fetch asset: ${assetError.message}`);
-      }
+    logger.warn(
+      {
+        depositId: deposit.id,
+        txHash: deposit.tx_hash,
+        logIndex: deposit.log_index,
+        blockNumber: deposit.block_number,
+        blockHash: deposit.block_hash,
+      },
+      'Deposit no longer in canonical chain, marked as ORPHANED'
+    );
+  }
 
-      if (!assetOnChain) {
-        logger.error(
-          { depositId: deposit.id, assetOnChainId: deposit.asset_on_chain_id },
-          'Asset not found for deposit'
-        );
-        return;
-      }
+  /**
+   * Deposit sender is on the screening denylist: move it to 'quarantined' so it is never
+   * credited, and reverse its pending balance. Compliance releases or rejects it by hand.
+   */
+  private async quarantineDeposit(deposit: PendingDeposit, hits: ScreeningHit[]): Promise<void> {
+    // Safety: only applies if still pending
+    if (!(await this.pendingBalances.quarantineDeposit(deposit.id, hits))) {
+      return;
+    }
 
-      // Step 1: Mark as confirmed
-      const { error: confirmError } = await this.supabase
-        .from('deposits')
-        .update({
-          status: 'confirmed',
-          confirmations,
-          confirmed_at: new Date().toISOString(),
-        })
-        .eq('id', deposit.id)
-        .eq('status', 'pending'); // Safety: only update if still pending
+    logger.warn(
+      {
+        depositId: deposit.id,
+        txHash: deposit.tx_hash,
+        from: deposit.from_address,
+        to: deposit.to_address,
+        amount: deposit.amount_human,
+        sources: hits.map((hit) => hit.source),
+      },
+      'Deposit sender on screening denylist, marked as QUARANTINED'
+    );
+  }
 
-      if (confirmError) {
-        throw new Error(`Failed to confirm deposit: ${confirmError.message}`);
-      }
+  /**
+   * Deposit transaction was re-included in a different block: record the new location and
+   * restart the confirmation count from there.
+   */
+  private async relocateDeposit(
+    deposit: PendingDeposit,
+    verification: DepositVerification,
+    currentBlock: number
+  ): Promise<void> {
+    if (verification.blockNumber === null) {
+      throw new Error('Relocated deposit has no block number');
+    }
 
-      logger.info(
-        {
-          depositId: deposit.id,
-          txHash: deposit.tx_hash,
-          confirmations,
-          threshold: chainConfig.confirmation_threshold,
-        },
-        'Deposit marked as CONFIRMED'
-      );
+    const confirmations = Math.max(currentBlock - verification.blockNumber + 1, 0);
 
-      // Step 2: Credit balance via Postgres RPC (NO JS MATH)
-      const { error: creditError } = await this.supabase.rpc(
-        'credit_user_asset_balance',
-        {
-          p_uid: userAddress.uid,
-          p_asset_id: assetOnChain.asset_id,
-          p_amount: deposit.amount_human,
-        }
-      );
+    const { error } = await this.supabase
+      .from('deposits')
+      .update({
+        block_number: verification.blockNumber,
+        block_hash: verification.blockHash,
+        confirmations,
+      })
+      .eq('id', deposit.id)
+      .eq('status', 'pending');
 
-      if (creditError) {
-        logger.error(
-          {
-            error: creditError.message,
-            depositId: deposit.id,
-            uid: userAddress.uid,
-            amount: deposit.amount_human,
-          },
-          'Failed to credit balance - deposit confirmed but balance not credited'
-        );
-        // Don't throw - deposit is confirmed, balance credit can be retried
-        return;
-      }
+    if (error) {
+      throw new Error(`Failed to relocate deposit: ${error.message}`);
+    }
 
-      // Step 3: Mark as credited
-      const { error: creditedError } = await this.supabase
-        .from('deposits')
-        .update({
-          credited_at: new Date().toISOString(),
-        })
-        .eq('id', deposit.id);
+    logger.warn(
+      {
+        depositId: deposit.id,
+        txHash: deposit.tx_hash,
+        oldBlock: deposit.block_number,
+        newBlock: verification.blockNumber,
+        newBlockHash: verification.blockHash,
+        confirmations,
+      },
+      'Deposit re-included in a different block (reorg), confirmation count restarted'
+    );
+  }
 
-      if (creditedError) {
-        logger.error(
-          { error: creditedError.message, depositId: deposit.id },
-          'Failed to update credited_at timestamp'
-        );
-        // Don't throw - balance was credited successfully
-      }
+  /**
+   * Confirm deposit and credit user balance in one database transaction
+   * (confirm_and_credit_deposit). The applied confirmation policy is recorded on the deposit.
+   */
+  private async confirmAndCreditDeposit(
+    deposit: PendingDeposit,
+    policy: AppliedConfirmationPolicy,
+    confirmations: number,
+    blockHash: string | null
+  ): Promise<void> {
+    const result = await this.ledger.confirmAndCreditDeposit(
+      deposit.id,
+      confirmations,
+      blockHash ?? deposit.block_hash,
+      policy
+    );
 
+    if (result.outcome === 'credited') {
       logger.info(
         {
           depositId: deposit.id,
           txHash: deposit.tx_hash,
-          uid: userAddress.uid,
-          amount: deposit.amount_human,
+          uid: result.uid,
+          amount: result.amountHuman,
           confirmations,
+          required: policy.confirmations,
+          policy: policy.source,
         },
         '✅ Deposit confirmed and balance credited successfully'
       );
-    } catch (error: any) {
-      logger.error(
-        {
-          error: error.message,
-          stack: error.stack,
-          depositId: deposit.id,
-          txHash: deposit.tx_hash,
-        },
-        'Error confirming and crediting deposit'
-      );
-      throw error;
+      return;
     }
-  }
-
-  /**
-   * Credit balance for an already-confirmed deposit (retry scenario)
-   */
-  private async creditDepositBalance(deposit: PendingDeposit): Promise<void> {
-    try {
-      // Get user uid
-      const { data: userAddress, error: userError } = await this.supabase
-        .from('user_wallet_addresses')
-        .select('uid')
-        .eq('address', deposit.to_address)
-        .eq('chain_id', deposit.chain_id)
-        .maybeSingle();
-
-      if (userError || !userAddress) {
-        logger.error(
-          { depositId: deposit.id, toAddress: deposit.to_address },
-          'User address not found'
-        );
-        return;
-      }
-
-      // Get asset_id
-      const { data: assetOnChain, error: assetError } = await this.supabase
-        .from('asset_on_chain')
-        .select('asset_id')
-        .eq('id', deposit.asset_on_chain_id)
-        .maybeSingle();
-
-      if (assetError || !assetOnChain) {
-        logger.error(
-          { depositId: deposit.id, assetOnChainId: deposit.asset_on_chain_id },
-          'Asset not found'
-        );
-        return;
-      }
-
-      // Credit balance
-      const { error: creditError } = await this.supabase.rpc(
-        'credit_user_asset_balance',
-        {
-          p_uid: userAddress.uid,
-          p_asset_id: assetOnChain.asset_id,
-          p_amount: deposit.amount_human,
-        }
-      );
-
-      if (creditError) {
-        logger.error(
-          {
-            error: creditError.message,
-            depositId: deposit.id,
-            uid: userAddress.uid,
-          },
-          'Failed to credit balance (retry)'
-        );
-        return;
-      }
-
-      // Mark as credited
-      const { error: creditedError } = await this.supabase
-        .from('deposits')
-        .update({ credited_at: new Date().toISOString() })
-        .eq('id', deposit.id);
 
-      if (creditedError) {
-        logger.error(
-          { error: creditedError.message, depositId: deposit.id },
-          'Failed to update credited_at'
-        );
-      }
-
-      logger.info(
-        { depositId: deposit.id, uid: userAddress.uid },
-        'Balance credited for previously confirmed deposit'
-      );
-    } catch (error: any) {
-      logger.error(
-        {
-          error: error.message,
-          depositId: deposit.id,
-        },
-        'Error crediting deposit balance'
+    if (result.outcome === 'already_credited') {
+      logger.debug(
+        { depositId: deposit.id, txHash: deposit.tx_hash },
+        'Deposit already credited, skipping'
       );
+      return;
     }
+
+    logger.warn(
+      { depositId: deposit.id, txHash: deposit.tx_hash, outcome: result.outcome },
+      'Deposit no longer pending (orphaned, quarantined or removed), not crediting'
+    );
   }
 
   /**
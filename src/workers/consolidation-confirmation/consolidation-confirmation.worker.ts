@@ -3,15 +3,14 @@ import { getSupabaseClient } from '../../config/supabase.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import type { ConsolidationJob } from '../../types/consolidation-queue.js';
-import { ethers } from 'ethers';
+import { getEvmProvider, getTronWeb } from '../../chains/shared-clients.js';
+import { chainTypeOf } from '../../chains/chain-adapter.js';
 import {
   WorkerRuntime,
   workerIdentity,
   defaultHeartbeatIntervalMs,
 } from '../../control-plane/worker-runtime.js';
 
-let TronWeb: any;
-
 interface ChainConfig {
   id: string;
   name: string;
@@ -62,7 +61,7 @@ export class ConsolidationConfirmationWorker {
 
     // Store chain configs and initialize blockchain clients
     for (const chain of chains) {
-      const chainType = chain.name.toLowerCase().includes('tron') ? 'tron' : 'evm';
+      const chainType = chainTypeOf(chain);
       
       this.chains.set(chain.id, {
         id: chain.id,
@@ -75,11 +74,9 @@ export class ConsolidationConfirmationWorker {
 
       // Initialize blockchain clients based on chain type
       if (chainType === 'tron') {
-        const { TronWeb: TronWebImport } = await import('tronweb');
-        TronWeb = TronWebImport;
-        this.tronClients.set(chain.id, new TronWeb({ fullHost: chain.rpc_url }));
+        this.tronClients.set(chain.id, getTronWeb(chain));
       } else {
-        this.evmClients.set(chain.id, new ethers.JsonRpcProvider(chain.rpc_url));
+        this.evmClients.set(chain.id, getEvmProvider(chain));
       }
     }
 
@@ -1,6 +1,7 @@
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
 import { SignerService } from '../../services/signer.service.js';
+import { signerChainOf } from '../../chains/chain-adapter.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import type {
@@ -24,8 +25,14 @@ export class BscConsolidationWorker {
   private readonly MAX_RETRIES = 8;
   private readonly LOCK_DURATION_MINUTES = 10;
   private chainId: string = '';
+  private readonly chainName: string;
+  private signerChain: string = 'bsc';
 
-  constructor() {
+  /**
+   * @param chainName - chains.name of the EVM chain to serve (any chain_type = 'evm' row)
+   */
+  constructor(chainName: string = 'bsc') {
+    this.chainName = chainName;
     this.supabase = getSupabaseClient();
     this.signerService = new SignerService('bsc-consolidation-worker');
   }
@@ -39,16 +46,17 @@ export class BscConsolidationWorker {
 
     const { data: chain, error } = await this.supabase
       .from('chains')
-      .select('id, name')
-      .eq('name', 'bsc')
+      .select('id, name, signer_chain')
+      .eq('name', this.chainName)
       .eq('is_active', true)
       .maybeSingle();
 
     if (error || !chain) {
-      throw new Error(`Failed to load BSC chain config: ${error?.message}`);
+      throw new Error(`Failed to load ${this.chainName} chain config: ${error?.message}`);
     }
 
     this.chainId = chain.id;
+    this.signerChain = signerChainOf(chain);
     this.runtime = new WorkerRuntime(
       workerIdentity('consolidation_execute', this.chainId)
     );
@@ -365,7 +373,7 @@ export class BscConsolidationWorker {
     logger.debug({ jobId: job.id }, 'Requesting transaction from signer service');
 
     const signerResult = await this.signerService.signTransaction({
-      chain: 'bsc',
+      chain: this.signerChain,
       wallet_group_id: sourceWallet.wallet_group_id,
       derivation_index: sourceWallet.derivation_index,
       tx_intent: txIntent,
@@ -1,20 +1,56 @@
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
-import { TronClient, type TronChainConfig } from '../../chains/tron/tron.client.js';
+import { TronClient } from '../../chains/tron/tron.client.js';
+import { createChainAdapter } from '../../chains/chain-adapter.factory.js';
+import { TronChainAdapter } from '../../chains/tron/tron.adapter.js';
 import { TronTRC20TransferParser, type ParsedDeposit } from '../../chains/tron/tron.usdt.parser.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import { env } from '../../config/env.js';
+import {
+  depositScannerBlockLag,
+  depositScannerLastBlock,
+  operationWalletTransfersTotal,
+} from '../../control-plane/metrics.js';
+import { DepositRescanService } from '../../services/deposit-rescan.service.js';
+import { DepositDustService, type NewDepositStatus } from '../../services/deposit-dust.service.js';
+import { PendingBalanceService } from '../../services/pending-balance.service.js';
+import { OperationTransferService } from '../../services/operation-transfer.service.js';
+import { ConfirmationPolicyService } from '../../services/confirmation-policy.service.js';
+import {
+  SuspiciousTransferService,
+  dustThresholdRaw,
+  normalizeTokenSymbol,
+} from '../../services/suspicious-transfer.service.js';
+import type { DepositOutcome, DepositRescanJob, FoundDeposit } from '../../types/deposit-rescan.js';
 import {
   WorkerRuntime,
   workerIdentity,
   defaultHeartbeatIntervalMs,
 } from '../../control-plane/worker-runtime.js';
 
+/** How often user_wallet_addresses / asset_on_chain are polled for changes */
+const WATCH_REFRESH_INTERVAL_MS = parseInt(process.env.DEPOSIT_WATCH_REFRESH_MS || '30000', 10);
+/** Rows are re-read this far behind the watermark: a row can commit after a later one was seen */
+const WATCH_WATERMARK_OVERLAP_MS = 60000;
+const WATCH_PAGE_SIZE = 1000;
+/** Backfill starts this long before an address's created_at (clock skew between DB and chain) */
+const BACKFILL_MARGIN_MS = 5 * 60 * 1000;
+/** Streaming mode: deposits are inserted as soon as their block shows up at the head */
+const STREAMING_ENABLED = process.env.DEPOSIT_STREAMING === 'true';
+/** Head poll interval of the stream (no WebSocket, or while it is down) */
+const STREAM_POLL_INTERVAL_MS = parseInt(process.env.DEPOSIT_STREAM_POLL_MS || '3000', 10);
+/** The stream never trails the head by more than this; skipped blocks are left to the polling scan */
+const STREAM_MAX_LAG_BLOCKS = 20;
+/** Look for unlisted tokens imitating our assets in the blocks the chain frontier newly covers */
+const FAKE_TOKEN_SCAN_ENABLED = process.env.DEPOSIT_FAKE_TOKEN_SCAN !== 'false';
+
 interface ChainConfig {
   id: string;
   name: string;
   rpc_url: string;
+  rpc_urls: string[] | null;
+  rpc_max_block_lag: number | null;
   confirmation_threshold: number;
   is_active: boolean;
 }
@@ -22,21 +58,80 @@ interface ChainConfig {
 interface AssetOnChainConfig {
   id: string;
   chain_id: string;
-  contract_address: string;
+  contract_address: string | null;
   decimals: number;
   is_active: boolean;
+  is_native: boolean;
   asset_id: string;
+  /** Block a newly listed asset is first scanned from (its listing block) */
+  scan_start_block?: number | null;
+  /** Deposits below this are recorded as below_minimum and not credited (NULL = no minimum) */
+  min_deposit_human?: string | null;
+  aggregate_dust?: boolean | null;
+  updated_at?: string | null;
 }
 
 interface UserWalletAddress {
   address: string;
   chain_id: string;
   uid: string; // Correct column name in actual schema
+  created_at?: string | null;
+  updated_at?: string | null;
+}
+
+/** Latest updated_at among rows, or current when none is later */
+function latestUpdatedAt(
+  rows: Array<{ updated_at?: string | null }>,
+  current: string | null
+): string | null {
+  let latest = current;
+  for (const row of rows) {
+    if (row.updated_at && (!latest || Date.parse(row.updated_at) > Date.parse(latest))) {
+      latest = row.updated_at;
+    }
+  }
+  return latest;
 }
 
 interface WorkerState {
   chain_id: string;
   last_processed_block: number;
+  last_processed_block_hash: string | null;
+}
+
+/** Scan cursor of one asset: a worker_chain_state row with asset_on_chain_id set */
+interface AssetCursor {
+  asset_on_chain_id: string;
+  last_processed_block: number;
+  last_processed_block_hash: string | null;
+  consecutive_failures: number;
+}
+
+/** Contract address of a token, 'native' for the native asset (logs and metric labels) */
+function assetLabel(asset: AssetOnChainConfig): string {
+  return asset.contract_address ?? 'native';
+}
+
+/** Assets that share a cursor position, lowest cursor first */
+function groupByCursor(
+  assets: AssetOnChainConfig[],
+  cursors: Map<string, AssetCursor>
+): Array<{ cursor: AssetCursor; assets: AssetOnChainConfig[] }> {
+  const groups = new Map<number, { cursor: AssetCursor; assets: AssetOnChainConfig[] }>();
+  for (const asset of assets) {
+    const cursor = cursors.get(asset.id);
+    if (!cursor) continue;
+    const group = groups.get(cursor.last_processed_block);
+    if (!group) {
+      groups.set(cursor.last_processed_block, { cursor, assets: [asset] });
+    } else {
+      group.assets.push(asset);
+      if (!group.cursor.last_processed_block_hash) group.cursor = cursor;
+    }
+  }
+  return Array.from(groups.values()).sort(
+    (a, b) => a.cursor.last_processed_block - b.cursor.last_processed_block
+  );
 }
 
 export class TronDepositWorker {
@@ -45,12 +140,36 @@ export class TronDepositWorker {
   private tronClient: TronClient | null = null;
   private chainConfig: ChainConfig | null = null;
   private activeAssets: AssetOnChainConfig[] = [];
+  private nativeAsset: AssetOnChainConfig | null = null;
+  private operationAddresses: Set<string> = new Set();
+  /** lower-cased operation wallet address -> operation_wallet_addresses.id */
+  private operationWalletIds: Map<string, string> = new Map();
   private userAddressMap: Map<string, UserWalletAddress> = new Map();
+  private addressWatermark: string | null = null;
+  private assetWatermark: string | null = null;
+  private lastWatchRefreshAt = 0;
+  private rescanService: DepositRescanService;
+  private dustService: DepositDustService;
+  private pendingBalances: PendingBalanceService;
+  private operationTransfers: OperationTransferService;
+  private suspiciousService: SuspiciousTransferService;
+  /** Normalized symbols of the listed assets, for the fake-token check */
+  private assetSymbols: Set<string> = new Set();
+  private rescanJob: DepositRescanJob | null = null;
+  private stopStream: (() => void) | null = null;
+  private streamHead = 0;
+  private streamedBlock: number | null = null;
+  private streamBusy = false;
   private isRunning: boolean = false;
   private stopHeartbeat: (() => void) | null = null;
 
   constructor() {
     this.supabase = getSupabaseClient();
+    this.rescanService = new DepositRescanService();
+    this.dustService = new DepositDustService();
+    this.pendingBalances = new PendingBalanceService();
+    this.operationTransfers = new OperationTransferService();
+    this.suspiciousService = new SuspiciousTransferService();
   }
 
   /**
@@ -66,19 +185,27 @@ export class TronDepositWorker {
     );
     await this.runtime.register();
 
-    // Load active TRC20 assets
+    // Load active TRC20 assets and native TRX
     await this.loadActiveAssets();
 
     // Load user wallet addresses
     await this.loadUserAddresses();
 
+    // Load operation wallet addresses (gas top-up senders)
+    await this.loadOperationAddresses();
+
     // Initialize last processed block if needed
     await this.initializeWorkerState();
 
+    if (!STREAMING_ENABLED) {
+      await this.warnIneffectiveTiers();
+    }
+
     logger.info(
       {
         chain: this.chainConfig?.name,
         assets: this.activeAssets.length,
+        nativeAsset: this.nativeAsset?.id ?? null,
         userAddresses: this.userAddressMap.size,
       },
       'TRON deposit worker initialized successfully'
@@ -91,7 +218,7 @@ export class TronDepositWorker {
   private async loadChainConfig(): Promise<void> {
     const { data, error } = await this.supabase
       .from('chains')
-      .select('id, name, rpc_url, confirmation_threshold, is_active')
+      .select('id, name, rpc_url, rpc_urls, rpc_max_block_lag, chain_type, confirmation_threshold, is_active')
       .eq('name', 'tron')
       .eq('is_active', true)
       .single();
@@ -100,17 +227,13 @@ export class TronDepositWorker {
       throw new Error(`Failed to load TRON chain config: ${error?.message}`);
     }
 
-    this.chainConfig = data;
-
-    // Initialize TRON client
-    const tronConfig: TronChainConfig = {
-      chainId: data.id,
-      name: data.name,
-      rpcUrl: data.rpc_url,
-      confirmationThreshold: data.confirmation_threshold,
-    };
+    const adapter = createChainAdapter(data);
+    if (!(adapter instanceof TronChainAdapter)) {
+      throw new Error(`Chain ${data.name} is not a TRON chain`);
+    }
 
-    this.tronClient = new TronClient(tronConfig);
+    this.chainConfig = data;
+    this.tronClient = adapter.createScanClient();
 
     logger.info(
       {
@@ -123,7 +246,7 @@ export class TronDepositWorker {
   }
 
   /**
-   * Load active TRC20 assets from database
+   * Load active TRC20 assets and the native TRX asset from database
    */
   private async loadActiveAssets(): Promise<void> {
     if (!this.chainConfig) {
@@ -132,21 +255,27 @@ export class TronDepositWorker {
 
     const { data, error } = await this.supabase
       .from('asset_on_chain')
-      .select('id, chain_id, contract_address, decimals, is_active, asset_id')
+      .select('id, chain_id, contract_address, decimals, is_active, is_native, asset_id, scan_start_block, min_deposit_human::text, aggregate_dust, updated_at')
       .eq('chain_id', this.chainConfig.id)
-      .eq('is_active', true)
-      .not('contract_address', 'is', null);
+      .eq('is_active', true);
 
     if (error) {
       throw new Error(`Failed to load active assets: ${error.message}`);
     }
 
-    this.activeAssets = data || [];
+    const assets: AssetOnChainConfig[] = data || [];
+    this.activeAssets = assets.filter((a) => !a.is_native && !!a.contract_address);
+    this.nativeAsset = assets.find((a) => a.is_native) ?? null;
+    this.assetWatermark = latestUpdatedAt(assets, null);
+    this.assetSymbols = await this.suspiciousService.assetSymbols(
+      Array.from(new Set(assets.map((a) => a.asset_id)))
+    );
 
     logger.info(
       {
         count: this.activeAssets.length,
         assets: this.activeAssets.map((a) => a.contract_address),
+        nativeAsset: this.nativeAsset?.id ?? null,
       },
       'Loaded active TRC20 assets'
     );
@@ -177,6 +306,7 @@ export class TronDepositWorker {
     for (const addr of data || []) {
       this.userAddressMap.set(addr.address.toLowerCase(), addr);
     }
+    this.addressWatermark = latestUpdatedAt(data || [], null);
 
     logger.info(
       { count: this.userAddressMap.size },
@@ -185,7 +315,378 @@ export class TronDepositWorker {
   }
 
   /**
-   * Initialize worker state in database if not exists
+   * Load operation wallet addresses for TRON chain.
+   * Native transfers from these wallets may be gas top-ups, which must not be credited as deposits;
+   * every confirmed transfer touching them is recorded in observed_wallet_transfers.
+   */
+  private async loadOperationAddresses(): Promise<void> {
+    if (!this.chainConfig) {
+      throw new Error('Chain config not loaded');
+    }
+
+    const { data, error } = await this.supabase
+      .from('operation_wallet_addresses')
+      .select('id, address')
+      .eq('chain_id', this.chainConfig.id);
+
+    if (error) {
+      throw new Error(`Failed to load operation addresses: ${error.message}`);
+    }
+
+    this.operationWalletIds = new Map(
+      (data || []).map((w) => [w.address.toLowerCase(), w.id])
+    );
+    this.operationAddresses = new Set(this.operationWalletIds.keys());
+
+    logger.info(
+      { count: this.operationAddresses.size },
+      'Loaded operation wallet addresses'
+    );
+  }
+
+  /**
+   * Pick up user_wallet_addresses and asset_on_chain rows changed since the last refresh
+   * (updated_at watermark), at most every WATCH_REFRESH_INTERVAL_MS. New addresses are queued
+   * for a backfill from their creation block; new assets get their own cursor (loadAssetCursors).
+   */
+  private async refreshWatchSet(): Promise<void> {
+    if (Date.now() - this.lastWatchRefreshAt < WATCH_REFRESH_INTERVAL_MS) {
+      return;
+    }
+    this.lastWatchRefreshAt = Date.now();
+
+    await this.refreshAssets();
+    await this.refreshUserAddresses();
+  }
+
+  private async refreshAssets(): Promise<void> {
+    const rows = await this.fetchChangedRows<AssetOnChainConfig>(
+      'asset_on_chain',
+      'id, chain_id, contract_address, decimals, is_active, is_native, asset_id, scan_start_block, min_deposit_human::text, aggregate_dust, updated_at',
+      this.assetWatermark
+    );
+    if (rows.length === 0) {
+      return;
+    }
+
+    const assetsById = new Map(this.activeAssets.map((a) => [a.id, a]));
+    if (this.nativeAsset) assetsById.set(this.nativeAsset.id, this.nativeAsset);
+    const before = new Set(assetsById.keys());
+
+    for (const row of rows) {
+      if (row.is_active) {
+        assetsById.set(row.id, row);
+      } else {
+        assetsById.delete(row.id);
+      }
+    }
+
+    const assets = Array.from(assetsById.values());
+    this.activeAssets = assets.filter((a) => !a.is_native && !!a.contract_address);
+    this.nativeAsset = assets.find((a) => a.is_native) ?? null;
+    this.assetWatermark = latestUpdatedAt(rows, this.assetWatermark);
+    this.assetSymbols = await this.suspiciousService.assetSymbols(
+      Array.from(new Set(assets.map((a) => a.asset_id)))
+    );
+
+    const added = assets.filter((a) => !before.has(a.id));
+    const removed = Array.from(before).filter((id) => !assetsById.has(id));
+    if (added.length > 0 || removed.length > 0) {
+      logger.info(
+        {
+          added: added.map((a) => a.contract_address ?? 'native'),
+          removed,
+          assets: this.activeAssets.length,
+        },
+        'Deposit asset set updated'
+      );
+    }
+  }
+
+  private async refreshUserAddresses(): Promise<void> {
+    const rows = await this.fetchChangedRows<UserWalletAddress>(
+      'user_wallet_addresses',
+      '*',
+      this.addressWatermark
+    );
+
+    const added = rows.filter((row) => !this.userAddressMap.has(row.address.toLowerCase()));
+
+    // Queue the backfill before the addresses count as known: if it throws, the next refresh
+    // sees them as new again and retries
+    if (added.length > 0) {
+      await this.queueAddressBackfill(added);
+    }
+
+    for (const row of rows) {
+      this.userAddressMap.set(row.address.toLowerCase(), row);
+    }
+    this.addressWatermark = latestUpdatedAt(rows, this.addressWatermark);
+  }
+
+  /**
+   * Rows of a chain-scoped table with updated_at at or after the watermark (minus the overlap),
+   * oldest first; all rows when there is no watermark yet
+   */
+  private async fetchChangedRows<T>(
+    table: string,
+    columns: string,
+    watermark: string | null
+  ): Promise<T[]> {
+    if (!this.chainConfig) {
+      throw new Error('Chain config not loaded');
+    }
+
+    const since = watermark
+      ? new Date(Date.parse(watermark) - WATCH_WATERMARK_OVERLAP_MS).toISOString()
+      : null;
+    const rows: T[] = [];
+
+    for (let offset = 0; ; offset += WATCH_PAGE_SIZE) {
+      let query = this.supabase
+        .from(table)
+        .select(columns)
+        .eq('chain_id', this.chainConfig.id)
+        .order('updated_at', { ascending: true })
+        .range(offset, offset + WATCH_PAGE_SIZE - 1);
+      if (since) {
+        query = query.gte('updated_at', since);
+      }
+
+      const { data, error } = await query;
+      if (error) {
+        throw new Error(`Failed to poll ${table} changes: ${error.message}`);
+      }
+
+      rows.push(...((data ?? []) as unknown as T[]));
+      if (!data || data.length < WATCH_PAGE_SIZE) {
+        return rows;
+      }
+    }
+  }
+
+  /**
+   * Queue a backfill rescan for addresses added after startup: blocks from their creation up to
+   * the chain frontier were scanned without them. Later blocks are covered by the live scan.
+   */
+  private async queueAddressBackfill(added: UserWalletAddress[]): Promise<void> {
+    if (!this.tronClient || !this.chainConfig || !this.runtime) {
+      throw new Error('Worker not initialized');
+    }
+
+    const state = await this.getWorkerState();
+    const createdAt = Math.min(
+      ...added.map((a) => (a.created_at ? Date.parse(a.created_at) : Date.now()))
+    );
+    const fromBlock = await this.tronClient.findBlockAtTime(
+      new Date(createdAt - BACKFILL_MARGIN_MS),
+      state.last_processed_block + 1
+    );
+
+    logger.info(
+      {
+        addresses: added.map((a) => a.address),
+        fromBlock,
+        toBlock: state.last_processed_block,
+      },
+      'New deposit addresses picked up'
+    );
+
+    if (fromBlock <= state.last_processed_block) {
+      await this.rescanService.enqueue({
+        chainId: this.chainConfig.id,
+        fromBlock,
+        toBlock: state.last_processed_block,
+        addresses: added.map((a) => a.address),
+        reason: 'address_backfill',
+        requestedBy: this.runtime.workerId,
+      });
+    }
+  }
+
+  /**
+   * Run one batch of a deposit rescan job (deposit_rescan_jobs), claiming the next job when
+   * none is active. Runs after the live scan and never moves worker_chain_state; only blocks the
+   * live scan already passed are rescanned. Returns true when the job has more blocks ready.
+   */
+  private async runRescanStep(): Promise<boolean> {
+    if (!this.chainConfig || !this.runtime) {
+      throw new Error('Worker not initialized');
+    }
+
+    if (!this.rescanJob) {
+      this.rescanJob = await this.rescanService.claimNext(this.chainConfig.id, this.runtime.workerId);
+      if (!this.rescanJob) {
+        return false;
+      }
+    }
+
+    const job = this.rescanJob;
+    const filterError = this.rescanFilterError(job);
+    if (filterError) {
+      this.rescanJob = await this.rescanService.recordFailure(job, filterError, true);
+      return false;
+    }
+
+    const state = await this.getWorkerState();
+    const lastBlock = Math.min(job.to_block, state.last_processed_block);
+    if (job.next_block > lastBlock) {
+      return false; // waiting for the live scan to pass the rest of the range
+    }
+
+    const fromBlock = job.next_block;
+    const toBlock = Math.min(lastBlock, fromBlock + env.worker.batchBlockSize - 1);
+
+    try {
+      const assetIds = job.asset_on_chain_ids ? new Set(job.asset_on_chain_ids) : null;
+      const recipients = job.addresses
+        ? new Set(job.addresses.map((a) => a.toLowerCase()))
+        : new Set(this.userAddressMap.keys());
+      const tokens = this.activeAssets.filter((a) => !assetIds || assetIds.has(a.id));
+      const found: FoundDeposit[] = [];
+
+      for (const asset of tokens) {
+        found.push(...(await this.processAssetDeposits(asset, fromBlock, toBlock, recipients)));
+      }
+      if (this.nativeAsset && (!assetIds || assetIds.has(this.nativeAsset.id))) {
+        found.push(
+          ...(await this.processNativeDeposits(this.nativeAsset, fromBlock, toBlock, recipients))
+        );
+      }
+
+      logger.info(
+        { jobId: job.id, fromBlock, toBlock, found: found.length, remainingBlocks: job.to_block - toBlock },
+        'Deposit rescan batch scanned'
+      );
+
+      this.rescanJob = await this.rescanService.recordProgress(job, toBlock + 1, found);
+    } catch (error: any) {
+      this.rescanJob = await this.rescanService.recordFailure(job, error.message);
+      return false;
+    }
+
+    return this.rescanJob !== null;
+  }
+
+  /**
+   * Streaming mode (DEPOSIT_STREAMING=true): follow new heads and record deposits of unconfirmed
+   * blocks as 'pending' right away; the confirmation worker counts their confirmations and
+   * re-verifies them at the threshold. The polling scan stays the backstop for anything the
+   * stream misses (drops, restarts, skipped blocks) and never depends on it.
+   */
+  private startStreaming(): void {
+    if (!this.tronClient) {
+      throw new Error('Worker not initialized');
+    }
+
+    this.stopStream = this.tronClient.watchHeads((blockNumber) => {
+      if (blockNumber <= this.streamHead) return;
+      this.streamHead = blockNumber;
+      void this.processStreamHeads();
+    }, STREAM_POLL_INTERVAL_MS);
+
+    logger.info({ pollIntervalMs: STREAM_POLL_INTERVAL_MS }, 'Streaming deposit detection started');
+  }
+
+  /**
+   * Scan the blocks between the last streamed block and the latest head, for every active asset.
+   * One run at a time; heads arriving meanwhile are picked up by the running loop.
+   */
+  private async processStreamHeads(): Promise<void> {
+    if (this.streamBusy) return;
+    this.streamBusy = true;
+
+    try {
+      while (this.isRunning && (this.streamedBlock === null || this.streamedBlock < this.streamHead)) {
+        const head = this.streamHead;
+        const fromBlock =
+          this.streamedBlock === null
+            ? head
+            : Math.max(this.streamedBlock + 1, head - STREAM_MAX_LAG_BLOCKS + 1);
+        const toBlock = Math.min(head, fromBlock + env.worker.batchBlockSize - 1);
+        const assets = this.nativeAsset ? [...this.activeAssets, this.nativeAsset] : [...this.activeAssets];
+
+        // Paused ranges stay unstreamed; the next head after resume picks them up
+        if (!(await this.streamAllowed())) {
+          logger.debug({ fromBlock, toBlock }, 'Streaming paused by maintenance or incident mode');
+          break;
+        }
+
+        const failed = await this.scanAssetGroup(assets, fromBlock, toBlock, false);
+        if (failed.size > 0) {
+          logger.warn(
+            { fromBlock, toBlock, failed: Object.fromEntries(failed) },
+            'Streaming scan failed for some assets, leaving them to the polling scan'
+          );
+        }
+
+        this.streamedBlock = toBlock;
+      }
+    } catch (error: any) {
+      logger.warn({ error: error.message, head: this.streamHead }, 'Streaming deposit scan failed');
+    } finally {
+      this.streamBusy = false;
+    }
+  }
+
+  /** Streaming honours the same maintenance window and incident mode pause as the polling loop */
+  private async streamAllowed(): Promise<boolean> {
+    if (!this.runtime) return false;
+    if (await this.runtime.checkMaintenance()) return false;
+    return this.runtime.checkIncidentModeAllowed();
+  }
+
+  /** Rescan filters naming addresses or assets this worker does not monitor */
+  private rescanFilterError(job: DepositRescanJob): string | null {
+    const unknownAddresses = (job.addresses ?? []).filter(
+      (a) => !this.userAddressMap.has(a.toLowerCase())
+    );
+    if (unknownAddresses.length > 0) {
+      return `Not monitored deposit addresses on ${this.chainConfig!.name}: ${unknownAddresses.join(', ')}`;
+    }
+
+    const knownAssets = new Set(this.activeAssets.map((a) => a.id));
+    if (this.nativeAsset) knownAssets.add(this.nativeAsset.id);
+    const unknownAssets = (job.asset_on_chain_ids ?? []).filter((id) => !knownAssets.has(id));
+    if (unknownAssets.length > 0) {
+      return `Not active assets on ${this.chainConfig!.name}: ${unknownAssets.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Confirmation tiers below chains.confirmation_threshold never apply in polling-only mode:
+   * deposits are recorded once they already have the threshold's confirmations.
+   */
+  private async warnIneffectiveTiers(): Promise<void> {
+    const threshold = this.chainConfig!.confirmation_threshold;
+    const assetIds = this.activeAssets.map((a) => a.id);
+    if (this.nativeAsset) assetIds.push(this.nativeAsset.id);
+
+    try {
+      const tiers = await new ConfirmationPolicyService().tiersBelowThreshold(assetIds, threshold);
+      if (tiers.length > 0) {
+        logger.warn(
+          {
+            chain: this.chainConfig!.name,
+            confirmationThreshold: threshold,
+            tiers: tiers.map((t) => ({
+              id: t.id,
+              assetOnChainId: t.asset_on_chain_id,
+              confirmations: t.confirmations,
+            })),
+          },
+          'Confirmation tiers below the chain threshold have no effect without DEPOSIT_STREAMING=true'
+        );
+      }
+    } catch (error: any) {
+      logger.warn({ error: error.message }, 'Could not check confirmation tiers against the chain threshold');
+    }
+  }
+
+  /**
+   * Initialize the chain frontier row (worker_chain_state with no asset) if not exists
    */
   private async initializeWorkerState(): Promise<void> {
     if (!this.chainConfig || !this.tronClient) {
@@ -196,6 +697,7 @@ export class TronDepositWorker {
       .from('worker_chain_state')
       .select('chain_id, last_processed_block')
       .eq('chain_id', this.chainConfig.id)
+      .is('asset_on_chain_id', null)
       .maybeSingle();
 
     if (!existingState) {
@@ -215,121 +717,422 @@ export class TronDepositWorker {
       if (error) {
         throw new Error(`Failed to initialize worker state: ${error.message}`);
       }
-
-      logger.info(
-        { startBlock, currentBlock },
-        'Initialized worker state'
-      );
-    } else {
-      logger.info(
-        { lastProcessedBlock: existingState.last_processed_block },
-        'Worker state already exists'
-      );
+
+      logger.info(
+        { startBlock, currentBlock },
+        'Initialized worker state'
+      );
+    } else {
+      logger.info(
+        { lastProcessedBlock: existingState.last_processed_block },
+        'Worker state already exists'
+      );
+    }
+  }
+
+  /**
+   * Get the chain frontier row: the highest block scanned by any asset. Rescans and address
+   * backfills run up to it; per-asset cursors are loaded by loadAssetCursors.
+   */
+  private async getWorkerState(): Promise<WorkerState> {
+    if (!this.chainConfig) {
+      throw new Error('Chain config not loaded');
+    }
+
+    const { data, error } = await this.supabase
+      .from('worker_chain_state')
+      .select('chain_id, last_processed_block, last_processed_block_hash')
+      .eq('chain_id', this.chainConfig.id)
+      .is('asset_on_chain_id', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to get worker state: ${error.message}`);
+    }
+
+    if (!data) {
+      throw new Error('Worker state not found - run initialization first');
+    }
+
+    return data;
+  }
+
+  /**
+   * Move the chain frontier (highest block scanned by any asset) forward; never moves it back
+   */
+  private async advanceFrontier(blockNumber: number): Promise<void> {
+    if (!this.chainConfig) {
+      throw new Error('Chain config not loaded');
+    }
+
+    const { error } = await this.supabase
+      .from('worker_chain_state')
+      .update({
+        last_processed_block: blockNumber,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('chain_id', this.chainConfig.id)
+      .is('asset_on_chain_id', null)
+      .lt('last_processed_block', blockNumber);
+
+    if (error) {
+      throw new Error(`Failed to update worker state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Per-asset cursors of the given assets, creating missing ones: a newly listed asset starts
+   * at asset_on_chain.scan_start_block when set, otherwise at the chain frontier
+   */
+  private async loadAssetCursors(
+    assets: AssetOnChainConfig[]
+  ): Promise<Map<string, AssetCursor>> {
+    if (!this.chainConfig) {
+      throw new Error('Chain config not loaded');
+    }
+
+    const { data, error } = await this.supabase
+      .from('worker_chain_state')
+      .select('asset_on_chain_id, last_processed_block, last_processed_block_hash, consecutive_failures')
+      .eq('chain_id', this.chainConfig.id)
+      .in('asset_on_chain_id', assets.map((a) => a.id));
+
+    if (error) {
+      throw new Error(`Failed to load asset scan cursors: ${error.message}`);
+    }
+
+    const cursors = new Map<string, AssetCursor>(
+      (data ?? []).map((row: AssetCursor) => [row.asset_on_chain_id, row])
+    );
+    const missing = assets.filter((a) => !cursors.has(a.id));
+    if (missing.length === 0) {
+      return cursors;
+    }
+
+    const frontier = (await this.getWorkerState()).last_processed_block;
+    for (const asset of missing) {
+      const startBlock =
+        asset.scan_start_block != null ? Math.max(asset.scan_start_block - 1, 0) : frontier;
+
+      const { error: insertError } = await this.supabase
+        .from('worker_chain_state')
+        .insert({
+          chain_id: this.chainConfig.id,
+          asset_on_chain_id: asset.id,
+          last_processed_block: startBlock,
+          updated_at: new Date().toISOString(),
+        });
+
+      if (insertError) {
+        // Created by another instance in the meantime: picked up next cycle
+        if (insertError.code === '23505') continue;
+        throw new Error(`Failed to initialize asset scan cursor: ${insertError.message}`);
+      }
+
+      cursors.set(asset.id, {
+        asset_on_chain_id: asset.id,
+        last_processed_block: startBlock,
+        last_processed_block_hash: null,
+        consecutive_failures: 0,
+      });
+
+      logger.info(
+        {
+          asset: assetLabel(asset),
+          startBlock,
+          fromListingBlock: asset.scan_start_block != null,
+        },
+        'Initialized asset scan cursor'
+      );
+    }
+
+    return cursors;
+  }
+
+  /**
+   * Scan TRON deposits. Every active asset has its own cursor (a worker_chain_state row per
+   * asset_on_chain); assets at the same cursor are scanned together. An asset whose scan fails
+   * keeps its cursor and is retried next cycle while the others advance.
+   * Returns true when confirmed blocks are left after this cycle (catching up).
+   */
+  async scanDeposits(): Promise<boolean> {
+    if (!this.tronClient || !this.chainConfig) {
+      throw new Error('Worker not initialized');
+    }
+
+    const assets = this.nativeAsset ? [...this.activeAssets, this.nativeAsset] : [...this.activeAssets];
+    if (assets.length === 0) {
+      logger.debug('No active assets to scan');
+      return false;
+    }
+
+    try {
+      // Get current block and calculate safe block
+      const currentBlock = await this.tronClient.getCurrentBlockNumber();
+      const safeBlock =
+        currentBlock - this.chainConfig.confirmation_threshold;
+
+      const cursors = await this.loadAssetCursors(assets);
+      const previousFrontier = FAKE_TOKEN_SCAN_ENABLED
+        ? (await this.getWorkerState()).last_processed_block
+        : 0;
+      let behind = false;
+
+      for (const group of groupByCursor(assets, cursors)) {
+        const fromBlock = group.cursor.last_processed_block + 1;
+        if (fromBlock > safeBlock) {
+          logger.debug(
+            { fromBlock, safeBlock, currentBlock, assets: group.assets.map(assetLabel) },
+            'No new confirmed blocks to process'
+          );
+          continue;
+        }
+
+        // Limit batch size to avoid overload
+        const toBlock = Math.min(
+          safeBlock,
+          fromBlock + env.worker.batchBlockSize - 1
+        );
+
+        // Reorg check: the first block of the range must build on the block we last processed
+        if (await this.detectReorg(group.assets, group.cursor, fromBlock)) {
+          behind = true;
+          continue;
+        }
+
+        logger.info(
+          { fromBlock, toBlock, currentBlock, safeBlock, assets: group.assets.map(assetLabel) },
+          'Scanning block range for deposits'
+        );
+
+        const failed = await this.scanAssetGroup(group.assets, fromBlock, toBlock, true);
+
+        for (const [assetId, message] of failed) {
+          await this.recordAssetFailure(
+            group.assets.find((a) => a.id === assetId)!,
+            cursors.get(assetId)!,
+            message
+          );
+        }
+
+        // Advance the cursors of the assets scanned successfully
+        const scanned = group.assets.filter((a) => !failed.has(a.id));
+        if (scanned.length === 0) {
+          continue;
+        }
+
+        const toBlockHash = await this.tronClient.getBlockHash(toBlock);
+        await this.advanceAssetCursors(scanned, toBlock, toBlockHash);
+        for (const asset of scanned) {
+          cursors.set(asset.id, {
+            asset_on_chain_id: asset.id,
+            last_processed_block: toBlock,
+            last_processed_block_hash: toBlockHash,
+            consecutive_failures: 0,
+          });
+        }
+
+        logger.info(
+          {
+            processedBlocks: toBlock - fromBlock + 1,
+            lastBlock: toBlock,
+            assets: scanned.map(assetLabel),
+          },
+          'Successfully processed block range'
+        );
+
+        if (toBlock < safeBlock) {
+          behind = true;
+        }
+      }
+
+      let frontier = 0;
+      for (const asset of assets) {
+        const cursor = cursors.get(asset.id);
+        if (!cursor) continue;
+        this.recordScannerPosition(currentBlock, asset, cursor.last_processed_block);
+        frontier = Math.max(frontier, cursor.last_processed_block);
+      }
+      await this.advanceFrontier(frontier);
+
+      if (FAKE_TOKEN_SCAN_ENABLED && frontier > previousFrontier) {
+        await this.scanUnknownTokens(previousFrontier + 1, frontier);
+      }
+
+      return behind;
+    } catch (error: any) {
+      logger.error(
+        { error: error.message, stack: error.stack },
+        'Error scanning deposits'
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Scan one block range for a group of assets at the same cursor, one asset at a time.
+   * Returns the assets that failed, with their error.
+   *
+   * @param observeOperations - also record transfers of operation wallets (confirmed ranges only)
+   */
+  private async scanAssetGroup(
+    assets: AssetOnChainConfig[],
+    fromBlock: number,
+    toBlock: number,
+    observeOperations: boolean
+  ): Promise<Map<string, string>> {
+    const failed = new Map<string, string>();
+
+    for (const asset of assets) {
+      try {
+        if (asset.is_native) {
+          await this.processNativeDeposits(asset, fromBlock, toBlock, undefined, observeOperations);
+        } else {
+          await this.processAssetDeposits(asset, fromBlock, toBlock, undefined, observeOperations);
+        }
+      } catch (error: any) {
+        failed.set(asset.id, error.message);
+      }
     }
+
+    return failed;
   }
 
   /**
-   * Get current worker state
+   * Move the cursors of assets that scanned a range successfully, clearing their error state
    */
-  private async getWorkerState(): Promise<WorkerState> {
+  private async advanceAssetCursors(
+    assets: AssetOnChainConfig[],
+    blockNumber: number,
+    blockHash: string | null
+  ): Promise<void> {
     if (!this.chainConfig) {
       throw new Error('Chain config not loaded');
     }
 
-    const { data, error } = await this.supabase
+    const { error } = await this.supabase
       .from('worker_chain_state')
-      .select('chain_id, last_processed_block')
+      .update({
+        last_processed_block: blockNumber,
+        last_processed_block_hash: blockHash,
+        consecutive_failures: 0,
+        last_error: null,
+        updated_at: new Date().toISOString(),
+      })
       .eq('chain_id', this.chainConfig.id)
-      .maybeSingle();
+      .in('asset_on_chain_id', assets.map((a) => a.id));
 
     if (error) {
-      throw new Error(`Failed to get worker state: ${error.message}`);
-    }
-
-    if (!data) {
-      throw new Error('Worker state not found - run initialization first');
+      throw new Error(`Failed to update asset scan cursors: ${error.message}`);
     }
-
-    return data;
   }
 
   /**
-   * Update worker state with new last processed block
+   * Keep an asset's cursor where it is and record the error on its row
    */
-  private async updateWorkerState(blockNumber: number): Promise<void> {
+  private async recordAssetFailure(
+    asset: AssetOnChainConfig,
+    cursor: AssetCursor,
+    message: string
+  ): Promise<void> {
     if (!this.chainConfig) {
       throw new Error('Chain config not loaded');
     }
 
+    cursor.consecutive_failures++;
+
+    logger.error(
+      {
+        asset: assetLabel(asset),
+        lastProcessedBlock: cursor.last_processed_block,
+        consecutiveFailures: cursor.consecutive_failures,
+        error: message,
+      },
+      'Asset deposit scan failed, holding its cursor'
+    );
+
     const { error } = await this.supabase
       .from('worker_chain_state')
       .update({
-        last_processed_block: blockNumber,
-        updated_at: new Date().toISOString(),
+        consecutive_failures: cursor.consecutive_failures,
+        last_error: message,
+        last_error_at: new Date().toISOString(),
       })
-      .eq('chain_id', this.chainConfig.id);
+      .eq('chain_id', this.chainConfig.id)
+      .eq('asset_on_chain_id', asset.id);
 
     if (error) {
-      throw new Error(`Failed to update worker state: ${error.message}`);
+      throw new Error(`Failed to record asset scan failure: ${error.message}`);
     }
   }
 
+  /** Block lag / cursor gauges for the /metrics endpoint */
+  private recordScannerPosition(
+    currentBlock: number,
+    asset: AssetOnChainConfig,
+    lastProcessedBlock: number
+  ): void {
+    const labels = { chain: this.chainConfig!.name.toLowerCase(), asset: assetLabel(asset) };
+    depositScannerBlockLag.set(labels, Math.max(0, currentBlock - lastProcessedBlock));
+    depositScannerLastBlock.set(labels, lastProcessedBlock);
+  }
+
   /**
-   * Scan TRON deposits for all active assets
+   * Compare the parent hash of the next block to scan with the stored hash of the last processed block.
+   * On mismatch the chain was reorganised below the cursor: rewind the group's cursors by
+   * confirmation_threshold blocks so the affected range is rescanned. Returns true when rewound.
    */
-  async scanDeposits(): Promise<void> {
+  private async detectReorg(
+    assets: AssetOnChainConfig[],
+    cursor: AssetCursor,
+    fromBlock: number
+  ): Promise<boolean> {
     if (!this.tronClient || !this.chainConfig) {
       throw new Error('Worker not initialized');
     }
 
-    try {
-      // Get current block and calculate safe block
-      const currentBlock = await this.tronClient.getCurrentBlockNumber();
-      const safeBlock =
-        currentBlock - this.chainConfig.confirmation_threshold;
-
-      // Get last processed block
-      const state = await this.getWorkerState();
-      const fromBlock = state.last_processed_block + 1;
-
-      if (fromBlock > safeBlock) {
-        logger.debug(
-          { fromBlock, safeBlock, currentBlock },
-          'No new confirmed blocks to process'
-        );
-        return;
-      }
+    // No stored hash yet (fresh cursor or pre-upgrade row): nothing to compare against
+    if (!cursor.last_processed_block_hash) {
+      return false;
+    }
 
-      // Limit batch size to avoid overload
-      const toBlock = Math.min(
-        safeBlock,
-        fromBlock + env.worker.batchBlockSize - 1
-      );
+    const parentHash = await this.tronClient.getParentHash(fromBlock);
+    if (!parentHash || parentHash.toLowerCase() === cursor.last_processed_block_hash.toLowerCase()) {
+      return false;
+    }
 
-      logger.info(
-        { fromBlock, toBlock, currentBlock, safeBlock },
-        'Scanning block range for deposits'
-      );
+    const rewindTo = Math.max(
+      cursor.last_processed_block - this.chainConfig.confirmation_threshold,
+      0
+    );
 
-      // Process each active asset
-      for (const asset of this.activeAssets) {
-        await this.processAssetDeposits(asset, fromBlock, toBlock);
-      }
+    logger.warn(
+      {
+        lastProcessedBlock: cursor.last_processed_block,
+        storedHash: cursor.last_processed_block_hash,
+        parentHash,
+        rewindTo,
+        assets: assets.map(assetLabel),
+      },
+      'Parent hash mismatch (chain reorg), rewinding TRON deposit cursors'
+    );
 
-      // Update worker state after successful processing
-      await this.updateWorkerState(toBlock);
+    const { error } = await this.supabase
+      .from('worker_chain_state')
+      .update({
+        last_processed_block: rewindTo,
+        last_processed_block_hash: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('chain_id', this.chainConfig.id)
+      .in('asset_on_chain_id', assets.map((a) => a.id))
+      .eq('last_processed_block', cursor.last_processed_block);
 
-      logger.info(
-        { processedBlocks: toBlock - fromBlock + 1, lastBlock: toBlock },
-        'Successfully processed block range'
-      );
-    } catch (error: any) {
-      logger.error(
-        { error: error.message, stack: error.stack },
-        'Error scanning deposits'
-      );
-      throw error;
+    if (error) {
+      throw new Error(`Failed to rewind worker state: ${error.message}`);
     }
+
+    return true;
   }
 
   /**
@@ -338,12 +1141,20 @@ export class TronDepositWorker {
   private async processAssetDeposits(
     asset: AssetOnChainConfig,
     fromBlock: number,
-    toBlock: number
-  ): Promise<void> {
+    toBlock: number,
+    recipients?: Set<string>,
+    observeOperations: boolean = false
+  ): Promise<FoundDeposit[]> {
     if (!this.tronClient) {
       throw new Error('TRON client not initialized');
     }
 
+    const found: FoundDeposit[] = [];
+
+    if (!asset.contract_address) {
+      throw new Error(`Asset ${asset.id} has no contract address`);
+    }
+
     try {
       // Fetch TRC20 Transfer events
       const transfers = await this.tronClient.getTRC20Transfers(
@@ -373,6 +1184,16 @@ export class TronDepositWorker {
         // Parse transfer
         const parsed = TronTRC20TransferParser.parseTransfer(transfer, asset.id);
 
+        // The event scan returns every transfer of the contract, operation wallets' included
+        if (observeOperations) {
+          await this.observeOperationTransfer(parsed, asset);
+        }
+
+        // Rescan: only the requested addresses
+        if (recipients && !recipients.has(parsed.to.toLowerCase())) {
+          continue;
+        }
+
         logger.debug(
           {
             txHash: parsed.txHash,
@@ -397,6 +1218,16 @@ export class TronDepositWorker {
           continue;
         }
 
+        if (await this.holdIfSuspicious(parsed, asset)) {
+          found.push(this.foundDeposit(parsed, asset, 'suspicious'));
+          continue;
+        }
+
+        if (parsed.amountRaw === '0') {
+          logger.debug({ txHash: parsed.txHash, to: parsed.to }, 'Zero-value transfer, skipping');
+          continue;
+        }
+
         logger.info(
           {
             txHash: parsed.txHash,
@@ -407,8 +1238,11 @@ export class TronDepositWorker {
         );
 
         // Process the deposit
-        await this.processDeposit(parsed, asset, userAddress);
+        const outcome = await this.processDeposit(parsed, asset, userAddress);
+        found.push(this.foundDeposit(parsed, asset, outcome));
       }
+
+      return found;
     } catch (error: any) {
       logger.error(
         {
@@ -423,6 +1257,270 @@ export class TronDepositWorker {
     }
   }
 
+  /**
+   * Process native TRX deposits (transaction value and internal transfers)
+   */
+  private async processNativeDeposits(
+    asset: AssetOnChainConfig,
+    fromBlock: number,
+    toBlock: number,
+    recipients: Set<string> = new Set(this.userAddressMap.keys()),
+    observeOperations: boolean = false
+  ): Promise<FoundDeposit[]> {
+    if (!this.tronClient) {
+      throw new Error('TRON client not initialized');
+    }
+
+    const found: FoundDeposit[] = [];
+
+    try {
+      // Operation wallets: transfers to and from them as well, for observed_wallet_transfers
+      const transfers = await this.tronClient.getNativeTransfers(
+        fromBlock,
+        toBlock,
+        observeOperations ? new Set([...recipients, ...this.operationAddresses]) : recipients,
+        observeOperations ? this.operationAddresses : new Set()
+      );
+
+      for (const transfer of transfers) {
+        if (!TronTRC20TransferParser.isValidNativeTransfer(transfer)) {
+          logger.warn({ transfer }, 'Invalid native transfer, skipping');
+          continue;
+        }
+
+        if (observeOperations) {
+          await this.observeOperationTransfer(
+            TronTRC20TransferParser.parseNativeTransfer(transfer, asset.id),
+            asset
+          );
+        }
+
+        const userAddress = this.userAddressMap.get(transfer.to.toLowerCase());
+        if (!userAddress) {
+          continue;
+        }
+
+        if (await this.isGasTopupTransfer(transfer.from, transfer.transactionHash)) {
+          logger.debug(
+            { txHash: transfer.transactionHash, to: transfer.to },
+            'Native transfer is a gas top-up, skipping'
+          );
+          continue;
+        }
+
+        const parsed = TronTRC20TransferParser.parseNativeTransfer(transfer, asset.id);
+
+        if (await this.holdIfSuspicious(parsed, asset)) {
+          found.push(this.foundDeposit(parsed, asset, 'suspicious'));
+          continue;
+        }
+
+        logger.info(
+          {
+            txHash: parsed.txHash,
+            to: parsed.to,
+            amount: parsed.amountRaw,
+            internal: transfer.isInternal,
+          },
+          '✅ Found native TRX deposit to monitored address!'
+        );
+
+        const outcome = await this.processDeposit(parsed, asset, userAddress);
+        found.push(this.foundDeposit(parsed, asset, outcome));
+      }
+
+      return found;
+    } catch (error: any) {
+      logger.error(
+        { error: error.message, fromBlock, toBlock },
+        'Error processing native deposits'
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Record a confirmed transfer touching an operation wallet in observed_wallet_transfers,
+   * linked to the job that sent it or flagged as an alert. Zero-value transfers are ignored
+   * (spoofed transferFrom calls can name any sender). Failures are logged and never fail the
+   * deposit scan.
+   */
+  private async observeOperationTransfer(
+    transfer: ParsedDeposit,
+    asset: AssetOnChainConfig
+  ): Promise<void> {
+    if (!this.chainConfig) {
+      throw new Error('Chain config not loaded');
+    }
+    if (transfer.amountRaw === '0') {
+      return;
+    }
+
+    try {
+      const outcome = await this.operationTransfers.record(
+        {
+          chainId: this.chainConfig.id,
+          assetOnChainId: asset.id,
+          txHash: transfer.txHash,
+          logIndex: transfer.logIndex,
+          fromAddress: transfer.from,
+          toAddress: transfer.to,
+          amountRaw: transfer.amountRaw,
+          amountHuman: TronTRC20TransferParser.calculateHumanAmount(transfer.amountRaw, asset.decimals),
+          blockNumber: transfer.blockNumber,
+          blockTimestamp: transfer.blockTimestamp,
+        },
+        this.operationWalletIds
+      );
+
+      if (outcome && outcome !== 'existing') {
+        operationWalletTransfersTotal.inc({ chain: this.chainConfig.name.toLowerCase(), outcome });
+      }
+    } catch (error: any) {
+      logger.warn(
+        { error: error.message, txHash: transfer.txHash, logIndex: transfer.logIndex, asset: asset.id },
+        'Failed to record operation wallet transfer'
+      );
+    }
+  }
+
+  /**
+   * Whether a native transfer is one of our own gas top-ups (sent from an operation wallet).
+   */
+  private async isGasTopupTransfer(from: string, txHash: string): Promise<boolean> {
+    if (!this.operationAddresses.has(from.toLowerCase())) {
+      return false;
+    }
+
+    const { data, error } = await this.supabase
+      .from('gas_topup_queue')
+      .select('id')
+      .eq('tx_hash', txHash)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check gas top-up transaction: ${error.message}`);
+    }
+
+    return (data?.length ?? 0) > 0;
+  }
+
+  /**
+   * Screen a transfer of a listed asset for address poisoning and hold it in
+   * suspicious_transfers when flagged. Returns true when it must not be recorded as a deposit
+   * (held, or still under review); false for clean transfers and dismissed ones.
+   */
+  private async holdIfSuspicious(
+    deposit: ParsedDeposit,
+    asset: AssetOnChainConfig
+  ): Promise<boolean> {
+    if (!this.chainConfig) {
+      throw new Error('Chain config not loaded');
+    }
+
+    // Sweeps and gas top-ups from our own wallets
+    if (this.operationAddresses.has(deposit.from.toLowerCase())) {
+      return false;
+    }
+
+    const finding = await this.suspiciousService.screen(
+      this.chainConfig.id,
+      deposit,
+      dustThresholdRaw(asset.decimals, this.dustService.minimumRaw(asset)),
+      this.operationAddresses
+    );
+    if (!finding) {
+      return false;
+    }
+
+    return this.suspiciousService.hold({
+      chainId: this.chainConfig.id,
+      assetOnChainId: asset.id,
+      tokenAddress: deposit.contractAddress,
+      txHash: deposit.txHash,
+      logIndex: deposit.logIndex,
+      fromAddress: deposit.from,
+      toAddress: deposit.to,
+      amountRaw: deposit.amountRaw,
+      blockNumber: deposit.blockNumber,
+      blockTimestamp: deposit.blockTimestamp,
+      reason: finding.reason,
+      details: finding.details,
+    });
+  }
+
+  /**
+   * Hold transfers of unlisted tokens to monitored addresses whose symbol imitates one of our
+   * assets (fake tokens). Best effort: errors are logged and the range is not retried.
+   */
+  private async scanUnknownTokens(fromBlock: number, toBlock: number): Promise<void> {
+    if (!this.tronClient || !this.chainConfig) {
+      throw new Error('Worker not initialized');
+    }
+
+    try {
+      const listed = new Set(this.activeAssets.map((a) => a.contract_address!.toLowerCase()));
+      const transfers = await this.tronClient.getTRC20TransfersTo(
+        new Set(this.userAddressMap.keys()),
+        fromBlock,
+        toBlock
+      );
+
+      for (const transfer of transfers) {
+        if (listed.has(transfer.contractAddress.toLowerCase()) || !TronTRC20TransferParser.isValidTransfer(transfer)) {
+          continue;
+        }
+        if (!this.userAddressMap.has(transfer.to.toLowerCase())) {
+          continue;
+        }
+
+        const symbol = await this.tronClient.getTokenSymbol(transfer.contractAddress);
+        const imitates = symbol ? normalizeTokenSymbol(symbol) : '';
+        if (!this.assetSymbols.has(imitates)) {
+          continue;
+        }
+
+        await this.suspiciousService.hold({
+          chainId: this.chainConfig.id,
+          assetOnChainId: null,
+          tokenAddress: transfer.contractAddress,
+          tokenSymbol: symbol,
+          txHash: transfer.transactionHash,
+          logIndex: transfer.logIndex,
+          fromAddress: transfer.from,
+          toAddress: transfer.to,
+          amountRaw: transfer.value,
+          blockNumber: transfer.blockNumber,
+          blockTimestamp: new Date(transfer.blockTimestamp),
+          reason: 'fake_token',
+          details: { imitates },
+        });
+      }
+    } catch (error: any) {
+      logger.error(
+        { error: error.message, fromBlock, toBlock },
+        'Error scanning unknown token transfers'
+      );
+    }
+  }
+
+  /** Report entry for a deposit handled by processDeposit */
+  private foundDeposit(
+    deposit: ParsedDeposit,
+    asset: AssetOnChainConfig,
+    outcome: DepositOutcome
+  ): FoundDeposit {
+    return {
+      tx_hash: deposit.txHash,
+      log_index: deposit.logIndex,
+      to_address: deposit.to,
+      asset_on_chain_id: asset.id,
+      amount_raw: deposit.amountRaw,
+      block_number: deposit.blockNumber,
+      outcome,
+    };
+  }
+
   /**
    * Process a single deposit: insert to DB and credit user balance
    */
@@ -430,7 +1528,7 @@ export class TronDepositWorker {
     deposit: ParsedDeposit,
     asset: AssetOnChainConfig,
     userAddress: UserWalletAddress
-  ): Promise<void> {
+  ): Promise<DepositOutcome> {
     if (!this.chainConfig) {
       throw new Error('Chain config not loaded');
     }
@@ -439,7 +1537,7 @@ export class TronDepositWorker {
       // Check if deposit already exists (idempotency)
       const { data: existingDeposit, error: checkError } = await this.supabase
         .from('deposits')
-        .select('id')
+        .select('id, status')
         .eq('tx_hash', deposit.txHash)
         .eq('log_index', deposit.logIndex)
         .maybeSingle();
@@ -452,12 +1550,25 @@ export class TronDepositWorker {
         throw new Error(`Failed to check existing deposit: ${checkError.message}`);
       }
 
+      const status = this.dustService.initialStatus(deposit.amountRaw, asset);
+
+      // Orphaned by a reorg and now seen again in the canonical chain: back to pending
+      if (existingDeposit?.status === 'orphaned') {
+        await this.reviveOrphanedDeposit(existingDeposit.id, deposit, status);
+        if (status === 'pending') {
+          await this.pendingBalances.addDeposit(existingDeposit.id);
+        } else {
+          await this.dustService.releaseAggregatedDust(this.chainConfig.id, asset, deposit.to);
+        }
+        return 'revived';
+      }
+
       if (existingDeposit) {
         logger.debug(
           { txHash: deposit.txHash, logIndex: deposit.logIndex },
           'Deposit already processed, skipping'
         );
-        return;
+        return 'existing';
       }
 
       // Calculate human-readable amount
@@ -466,8 +1577,9 @@ export class TronDepositWorker {
         asset.decimals
       );
 
-      // Insert deposit with PENDING status (confirmation worker will handle crediting)
-      const { error: depositError } = await this.supabase
+      // Insert deposit as PENDING (confirmation worker will handle crediting), or as
+      // BELOW_MINIMUM when under the asset's min_deposit_human (never credited on its own)
+      const { data: inserted, error: depositError } = await this.supabase
         .from('deposits')
         .insert({
           chain_id: this.chainConfig.id,
@@ -479,11 +1591,14 @@ export class TronDepositWorker {
           amount_raw: deposit.amountRaw,
           amount_human: amountHuman,
           block_number: deposit.blockNumber,
+          block_hash: deposit.blockHash,
           block_timestamp: deposit.blockTimestamp.toISOString(),
-          status: 'pending',
+          status,
           confirmations: 0,
           first_seen_block: deposit.blockNumber,
-        });
+        })
+        .select('id')
+        .single();
 
       if (depositError) {
         // Check if it's a unique constraint violation (race condition)
@@ -492,7 +1607,7 @@ export class TronDepositWorker {
             { txHash: deposit.txHash, logIndex: deposit.logIndex },
             'Deposit inserted by another worker instance, skipping'
           );
-          return;
+          return 'existing';
         }
         throw new Error(`Failed to insert deposit: ${depositError.message}`);
       }
@@ -502,12 +1617,22 @@ export class TronDepositWorker {
           txHash: deposit.txHash,
           toAddress: deposit.to,
           amount: amountHuman,
-          asset: asset.contract_address,
+          asset: asset.contract_address ?? 'native',
           blockNumber: deposit.blockNumber,
-          status: 'pending',
+          status,
         },
-        'Deposit detected and recorded as PENDING'
+        status === 'pending'
+          ? 'Deposit detected and recorded as PENDING'
+          : 'Deposit below minimum, recorded as BELOW_MINIMUM (not credited)'
       );
+
+      if (status === 'pending') {
+        await this.pendingBalances.addDeposit(inserted.id);
+      } else {
+        await this.dustService.releaseAggregatedDust(this.chainConfig.id, asset, deposit.to);
+      }
+
+      return 'inserted';
     } catch (error: any) {
       logger.error(
         {
@@ -526,6 +1651,43 @@ export class TronDepositWorker {
    * This deposit listener only detects and records deposits as PENDING
    */
 
+  /**
+   * Re-open a deposit that the confirmation worker orphaned after a reorg, at its new location
+   */
+  private async reviveOrphanedDeposit(
+    depositId: string,
+    deposit: ParsedDeposit,
+    status: NewDepositStatus
+  ): Promise<void> {
+    const { error } = await this.supabase
+      .from('deposits')
+      .update({
+        block_number: deposit.blockNumber,
+        block_hash: deposit.blockHash,
+        block_timestamp: deposit.blockTimestamp.toISOString(),
+        status,
+        confirmations: 0,
+        orphaned_at: null,
+      })
+      .eq('id', depositId)
+      .eq('status', 'orphaned');
+
+    if (error) {
+      throw new Error(`Failed to revive orphaned deposit: ${error.message}`);
+    }
+
+    logger.info(
+      {
+        depositId,
+        txHash: deposit.txHash,
+        logIndex: deposit.logIndex,
+        blockNumber: deposit.blockNumber,
+        status,
+      },
+      'Orphaned deposit seen again in canonical chain, reset'
+    );
+  }
+
   /**
    * Start the worker loop
    */
@@ -542,8 +1704,13 @@ export class TronDepositWorker {
     );
     logger.info('Starting TRON deposit worker loop');
 
+    if (STREAMING_ENABLED) {
+      this.startStreaming();
+    }
+
     while (this.isRunning) {
       const cycleStart = Date.now();
+      let behind = false;
       try {
         const inMaintenance = await this.runtime.checkMaintenance();
         if (inMaintenance) {
@@ -572,7 +1739,10 @@ export class TronDepositWorker {
           continue;
         }
 
-        await this.scanDeposits();
+        await this.refreshWatchSet();
+        behind = await this.scanDeposits();
+        const rescanPending = await this.runRescanStep();
+        behind = behind || rescanPending;
         await this.runtime.logExecution({
           executionType: 'cycle',
           status: 'success',
@@ -591,9 +1761,14 @@ export class TronDepositWorker {
         });
       }
 
-      await sleep(env.worker.scanIntervalMs);
+      // Catching up: scan the next range right away
+      if (!behind) {
+        await sleep(env.worker.scanIntervalMs);
+      }
     }
 
+    this.stopStream?.();
+    this.stopStream = null;
     this.stopHeartbeat?.();
     await this.runtime.setStopped();
   }
@@ -619,6 +1794,7 @@ export class TronDepositWorker {
     logger.info('Reloading worker configuration');
     await this.loadActiveAssets();
     await this.loadUserAddresses();
+    await this.loadOperationAddresses();
     logger.info('Worker configuration reloaded');
   }
 }
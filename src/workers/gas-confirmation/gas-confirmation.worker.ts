@@ -3,6 +3,8 @@ import { getSupabaseClient } from '../../config/supabase.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import type { GasTopupJob } from '../../types/gas-topup-queue.js';
+import { getEvmProvider, getTronWeb } from '../../chains/shared-clients.js';
+import { chainTypeOf, type ChainType } from '../../chains/chain-adapter.js';
 import {
   WorkerRuntime,
   workerIdentity,
@@ -14,6 +16,7 @@ interface ChainConfig {
   name: string;
   rpc_url: string;
   confirmation_threshold: number;
+  chain_type: ChainType;
 }
 
 export class GasConfirmationWorker {
@@ -62,15 +65,14 @@ export class GasConfirmationWorker {
         name: chain.name,
         rpc_url: chain.rpc_url,
         confirmation_threshold: chain.confirmation_threshold || 1,
+        chain_type: chainTypeOf(chain),
       });
 
       // Initialize blockchain clients based on chain type
-      if (chain.name.toLowerCase() === 'tron') {
-        const { TronWeb } = await import('tronweb');
-        this.tronClients.set(chain.id, new TronWeb({ fullHost: chain.rpc_url }));
-      } else if (chain.name.toLowerCase() === 'bsc' || chain.name.toLowerCase().includes('bsc')) {
-        const { ethers } = await import('ethers');
-        this.bscClients.set(chain.id, new ethers.JsonRpcProvider(chain.rpc_url));
+      if (chainTypeOf(chain) === 'tron') {
+        this.tronClients.set(chain.id, getTronWeb(chain));
+      } else {
+        this.bscClients.set(chain.id, getEvmProvider(chain));
       }
     }
 
@@ -183,15 +185,10 @@ export class GasConfirmationWorker {
     );
 
     // Confirm transaction based on chain type
-    if (chainConfig.name.toLowerCase() === 'tron') {
+    if (chainConfig.chain_type === 'tron') {
       await this.confirmTronTransaction(job, chainConfig);
-    } else if (chainConfig.name.toLowerCase() === 'bsc' || chainConfig.name.toLowerCase().includes('bsc')) {
-      await this.confirmBscTransaction(job, chainConfig);
     } else {
-      logger.warn(
-        { jobId: job.id, chain: chainConfig.name },
-        'Unsupported chain type for confirmation'
-      );
+      await this.confirmBscTransaction(job, chainConfig);
     }
   }
 
@@ -2,6 +2,8 @@ import { ethers } from 'ethers';
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
 import { SignerService } from '../../services/signer.service.js';
+import { signerChainOf } from '../../chains/chain-adapter.js';
+import { getEvmProvider } from '../../chains/shared-clients.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import type { GasTopupJob, OperationWalletAddress } from '../../types/gas-topup-queue.js';
@@ -28,12 +30,20 @@ export class BscGasTopupWorker {
   private readonly CONFIRM_RETRY_DELAY_MS = 20000; // 20 seconds - FIX 2
   private rpcUrl: string = '';
   private chainId: string = '';
+  private evmChainId: number = 0; // chains.chain_id - required, signed into every transaction
   
   // Nonce race protection - per-funder locks (in-process, for single-worker deployments)
   // For multi-worker deployments, use Postgres advisory locks (see acquireEvmFunderLock)
   private nonceLocks: Map<string, Promise<void>> = new Map();
 
-  constructor() {
+  private readonly chainName: string;
+  private signerChain: string = 'bsc';
+
+  /**
+   * @param chainName - chains.name of the EVM chain to serve (any chain_type = 'evm' row)
+   */
+  constructor(chainName: string = 'bsc') {
+    this.chainName = chainName;
     this.supabase = getSupabaseClient();
     this.signerService = new SignerService('bsc-gas-worker');
   }
@@ -51,18 +61,19 @@ export class BscGasTopupWorker {
     // Load BSC chain configuration
     const { data: chain, error } = await this.supabase
       .from('chains')
-      .select('id, name, rpc_url')
-      .eq('name', 'bsc')
+      .select('id, name, rpc_url, rpc_urls, rpc_max_block_lag, signer_chain')
+      .eq('name', this.chainName)
       .eq('is_active', true)
       .maybeSingle();
 
     if (error || !chain) {
-      throw new Error(`Failed to load BSC chain config: ${error?.message}`);
+      throw new Error(`Failed to load ${this.chainName} chain config: ${error?.message}`);
     }
 
     this.rpcUrl = chain.rpc_url;
     this.chainId = chain.id;
-    this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+    this.signerChain = signerChainOf(chain);
+    this.provider = getEvmProvider(chain);
     this.runtime = new WorkerRuntime(
       workerIdentity('gas_topup_execute', this.chainId)
     );
@@ -75,18 +86,21 @@ export class BscGasTopupWorker {
       .eq('id', chain.id)
       .maybeSingle();
 
-    if (chainConfig?.chain_id) {
-      const chainId = typeof chainConfig.chain_id === 'number' 
-        ? chainConfig.chain_id 
-        : parseInt(chainConfig.chain_id.toString(), 10);
-      
-      if (!Number.isInteger(chainId)) {
-        throw new Error(`Invalid BSC_CHAIN_ID: ${chainConfig.chain_id}`);
-      }
-      
-      logger.info({ chainId }, 'BSC chain ID validated');
+    if (!chainConfig?.chain_id) {
+      throw new Error(`chains.chain_id is not set for ${this.chainName} - refusing to sign without a chain ID`);
     }
 
+    const evmChainId = typeof chainConfig.chain_id === 'number'
+      ? chainConfig.chain_id
+      : parseInt(chainConfig.chain_id.toString(), 10);
+
+    if (!Number.isInteger(evmChainId) || evmChainId <= 0) {
+      throw new Error(`Invalid chains.chain_id for ${this.chainName}: ${chainConfig.chain_id}`);
+    }
+
+    this.evmChainId = evmChainId;
+    logger.info({ chainId: evmChainId }, 'EVM chain ID validated');
+
     // Check signer service health
     const signerHealthy = await this.signerService.healthCheck();
     if (!signerHealthy) {
@@ -149,7 +163,7 @@ export class BscGasTopupWorker {
       const { data: chain } = await this.supabase
         .from('chains')
         .select('id')
-        .eq('name', 'bsc')
+        .eq('name', this.chainName)
         .maybeSingle();
 
       if (!chain) {
@@ -746,21 +760,10 @@ export class BscGasTopupWorker {
         );
       }
 
-      // BSC-SPECIFIC: chainId must come from config/env (NOT hardcoded)
-      // Load chain config to get chainId (numeric)
-      const { data: chain } = await this.supabase
-        .from('chains')
-        .select('name, chain_id')
-        .eq('id', job.chain_id)
-        .maybeSingle();
-
-      // Use chain_id from database if available, otherwise default based on name
-      let chainId: number;
-      if (chain?.chain_id) {
-        chainId = parseInt(chain.chain_id.toString(), 10);
-      } else {
-        // Fallback: 56 = BSC Mainnet, 97 = BSC Testnet
-        chainId = chain?.name === 'bsc' ? 56 : 97;
+      // chainId comes from chains.chain_id, validated at startup (NOT hardcoded)
+      const chainId = this.evmChainId;
+      if (!chainId) {
+        throw new Error(`chains.chain_id is not loaded for ${this.chainName}`);
       }
 
       const transaction: ethers.TransactionRequest = {
@@ -819,7 +822,7 @@ export class BscGasTopupWorker {
       }).unsignedSerialized;
 
       const signedResult = await this.signerService.signTransaction({
-        chain: 'bsc',
+        chain: this.signerChain,
         wallet_group_id: fundingWallet.wallet_group_id,
         derivation_index: fundingWallet.derivation_index,
         unsigned_tx: unsignedTxHex, // Send as hex string
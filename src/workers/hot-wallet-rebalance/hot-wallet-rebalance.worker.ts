@@ -0,0 +1,928 @@
+import { SupabaseClient } from '@supabase/supabase-js';
+import { ethers } from 'ethers';
+import { getSupabaseClient } from '../../config/supabase.js';
+import { logger } from '../../utils/logger.js';
+import { sleep } from '../../utils/sleep.js';
+import { SignerService } from '../../services/signer.service.js';
+import { LedgerService } from '../../services/ledger.service.js';
+import { isPreBroadcastFailure } from '../../services/withdrawal-refund.service.js';
+import { createChainAdapter } from '../../chains/chain-adapter.factory.js';
+import type { ChainAdapter } from '../../chains/chain-adapter.js';
+import type { OperationWalletAddress } from '../../types/consolidation-queue.js';
+import type {
+  HotWalletRebalanceJob,
+  HotWalletThreshold,
+} from '../../types/hot-wallet-rebalance.js';
+import {
+  WorkerRuntime,
+  workerIdentity,
+  defaultHeartbeatIntervalMs,
+} from '../../control-plane/worker-runtime.js';
+
+const POLL_INTERVAL_MS = parseInt(
+  process.env.HOT_WALLET_REBALANCE_INTERVAL_MS || '30000',
+  10
+);
+
+/** Queue statuses that still hold treasury funds (same set the partial unique index covers) */
+const ACTIVE_JOB_STATUSES = ['pending', 'processing', 'confirming', 'reconcile'];
+
+interface ChainConfig {
+  id: string;
+  name: string;
+  adapter: ChainAdapter;
+  confirmation_threshold: number;
+  native_currency_decimals: number;
+}
+
+interface AssetOnChain {
+  id: string;
+  chain_id: string;
+  asset_id: string;
+  contract_address: string | null;
+  decimals: number;
+  is_native: boolean;
+}
+
+/**
+ * Hot Wallet Rebalance Worker
+ *
+ * Refills hot operation wallets from treasury operation wallets, per hot_wallet_thresholds:
+ * 1) plan:    hot wallet balance < min → queue (target - balance) from a treasury wallet that can cover it
+ * 2) execute: lock treasury balance, sign + broadcast through the signer service → 'confirming'
+ * 3) confirm: ChainAdapter.checkTransaction (same TRON/EVM rules as the other confirmation workers)
+ *             → 'confirmed' / 'failed', post network fee to the ledger, release treasury lock
+ *
+ * Handles every active chain in one process.
+ */
+export class HotWalletRebalanceWorker {
+  private supabase: SupabaseClient;
+  private runtime: WorkerRuntime;
+  private signerService: SignerService;
+  private ledger: LedgerService;
+  private isRunning: boolean = false;
+  private stopHeartbeat: (() => void) | null = null;
+  private readonly BATCH_SIZE = 10;
+  private readonly MAX_RETRIES = 5;
+  private chains: Map<string, ChainConfig> = new Map();
+  private nativeAssets: Map<string, AssetOnChain | null> = new Map();
+
+  constructor() {
+    this.supabase = getSupabaseClient();
+    this.runtime = new WorkerRuntime(workerIdentity('hot_wallet_rebalance', null));
+    this.signerService = new SignerService('hot-wallet-rebalance-worker');
+    this.ledger = new LedgerService();
+  }
+
+  /**
+   * Initialize worker - load chain configurations and create RPC clients
+   */
+  async initialize(): Promise<void> {
+    logger.info('Initializing Hot Wallet Rebalance Worker...');
+
+    await this.runtime.register();
+
+    const { data: chains, error } = await this.supabase
+      .from('chains')
+      .select('*')
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(`Failed to load chain configs: ${error.message}`);
+    }
+
+    if (!chains || chains.length === 0) {
+      throw new Error('No active chains found');
+    }
+
+    for (const chain of chains) {
+      const adapter = createChainAdapter(chain);
+      this.chains.set(chain.id, {
+        id: chain.id,
+        name: chain.name,
+        adapter,
+        confirmation_threshold: chain.confirmation_threshold || 1,
+        native_currency_decimals:
+          chain.native_currency_decimals ?? (adapter.chainType === 'tron' ? 6 : 18),
+      });
+    }
+
+    logger.info(
+      {
+        workerId: this.runtime.workerId,
+        chains: Array.from(this.chains.values()).map(c => ({ name: c.name, type: c.adapter.chainType })),
+        pollInterval: `${POLL_INTERVAL_MS}ms`,
+      },
+      'Hot Wallet Rebalance Worker initialized successfully'
+    );
+  }
+
+  /**
+   * One cycle: plan new refills, execute pending jobs, confirm broadcast jobs
+   */
+  async processCycle(): Promise<void> {
+    await this.planRefills();
+    await this.executePendingJobs();
+    await this.confirmInFlightJobs();
+  }
+
+  // =====================================================
+  // PLAN
+  // =====================================================
+
+  /**
+   * Queue a refill for every active threshold whose hot wallet is below its minimum
+   */
+  private async planRefills(): Promise<void> {
+    const { data: thresholds, error } = await this.supabase
+      .from('hot_wallet_thresholds')
+      .select('*')
+      .eq('is_active', true);
+
+    if (error) {
+      logger.error({ error: error.message }, 'Failed to load hot wallet thresholds');
+      return;
+    }
+
+    for (const threshold of (thresholds || []) as HotWalletThreshold[]) {
+      try {
+        await this.planRefill(threshold);
+      } catch (error: any) {
+        logger.error(
+          { error: error.message, thresholdId: threshold.id },
+          'Error planning hot wallet refill'
+        );
+      }
+    }
+  }
+
+  private async planRefill(threshold: HotWalletThreshold): Promise<void> {
+    const hotWallet = await this.loadOperationWallet(threshold.operation_wallet_address_id);
+    if (!hotWallet || hotWallet.role !== 'hot') {
+      return;
+    }
+
+    const chainConfig = this.chains.get(hotWallet.chain_id);
+    if (!chainConfig) {
+      return;
+    }
+
+    const asset = await this.loadAsset(threshold.asset_on_chain_id);
+    if (!asset) {
+      return;
+    }
+
+    // One active refill per hot wallet and asset
+    const { data: activeJobs, error: activeError } = await this.supabase
+      .from('hot_wallet_rebalance_queue')
+      .select('id')
+      .eq('target_operation_wallet_address_id', hotWallet.id)
+      .eq('asset_on_chain_id', asset.id)
+      .in('status', ACTIVE_JOB_STATUSES)
+      .limit(1);
+
+    if (activeError) {
+      throw new Error(`Failed to check active refills: ${activeError.message}`);
+    }
+
+    if (activeJobs && activeJobs.length > 0) {
+      return;
+    }
+
+    const { data: balance, error: balanceError } = await this.supabase
+      .from('wallet_balances')
+      .select('on_chain_balance_raw, last_checked')
+      .eq('wallet_id', hotWallet.id)
+      .eq('asset_on_chain_id', asset.id)
+      .maybeSingle();
+
+    if (balanceError) {
+      throw new Error(`Failed to load hot wallet balance: ${balanceError.message}`);
+    }
+
+    if (!balance) {
+      logger.debug(
+        { hotWallet: hotWallet.address, assetOnChainId: asset.id },
+        'No wallet_balances row for hot wallet - skipping refill check'
+      );
+      return;
+    }
+
+    // A refill confirmed after the last balance sync is not reflected yet - wait for balance sync
+    if (await this.hasUnsyncedRefill(hotWallet.id, asset.id, balance.last_checked)) {
+      return;
+    }
+
+    const balanceRaw = BigInt(balance.on_chain_balance_raw || '0');
+    const minRaw = BigInt(this.decimalToRaw(String(threshold.min_balance_human), asset.decimals));
+    if (balanceRaw >= minRaw) {
+      return;
+    }
+
+    const targetRaw = BigInt(this.decimalToRaw(String(threshold.target_balance_human), asset.decimals));
+    const amountRaw = targetRaw - balanceRaw;
+    if (amountRaw <= 0n) {
+      return;
+    }
+
+    const treasury = await this.selectTreasuryWallet(chainConfig, asset, amountRaw);
+    if (!treasury) {
+      logger.warn(
+        {
+          chain: chainConfig.name,
+          hotWallet: hotWallet.address,
+          assetOnChainId: asset.id,
+          amountRaw: amountRaw.toString(),
+        },
+        'No treasury wallet can cover hot wallet refill'
+      );
+      return;
+    }
+
+    const amountHuman = ethers.formatUnits(amountRaw, asset.decimals);
+    const { data: job, error: insertError } = await this.supabase
+      .from('hot_wallet_rebalance_queue')
+      .insert({
+        chain_id: chainConfig.id,
+        asset_on_chain_id: asset.id,
+        threshold_id: threshold.id,
+        source_operation_wallet_address_id: treasury.id,
+        target_operation_wallet_address_id: hotWallet.id,
+        to_address: hotWallet.address,
+        amount_raw: amountRaw.toString(),
+        amount_human: amountHuman,
+        status: 'pending',
+        max_retries: this.MAX_RETRIES,
+        scheduled_at: new Date().toISOString(),
+      })
+      .select('id')
+      .single();
+
+    if (insertError) {
+      // 23505: another instance queued the same refill first
+      if (insertError.code === '23505') {
+        return;
+      }
+      throw new Error(`Failed to queue hot wallet refill: ${insertError.message}`);
+    }
+
+    logger.info(
+      {
+        jobId: job.id,
+        chain: chainConfig.name,
+        from: treasury.address,
+        to: hotWallet.address,
+        amount: amountHuman,
+        balanceRaw: balanceRaw.toString(),
+        minRaw: minRaw.toString(),
+      },
+      '🏦 Hot wallet refill queued'
+    );
+  }
+
+  /**
+   * True if a refill of this hot wallet/asset was confirmed after the balance was last synced.
+   * A balance that was never synced has no prior refill to wait for.
+   */
+  private async hasUnsyncedRefill(
+    hotWalletId: string,
+    assetOnChainId: string,
+    lastChecked: string | null
+  ): Promise<boolean> {
+    if (!lastChecked) {
+      return false;
+    }
+
+    const { data, error } = await this.supabase
+      .from('hot_wallet_rebalance_queue')
+      .select('id')
+      .eq('target_operation_wallet_address_id', hotWalletId)
+      .eq('asset_on_chain_id', assetOnChainId)
+      .eq('status', 'confirmed')
+      .gt('confirmed_at', lastChecked)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to check recent refills: ${error.message}`);
+    }
+
+    return !!data && data.length > 0;
+  }
+
+  /**
+   * Pick the active treasury wallet with the largest available balance that covers amountRaw.
+   * Available = on-chain balance - amounts of its active refill jobs. Token refills also need
+   * a non-zero native balance for gas.
+   */
+  private async selectTreasuryWallet(
+    chainConfig: ChainConfig,
+    asset: AssetOnChain,
+    amountRaw: bigint
+  ): Promise<OperationWalletAddress | null> {
+    const { data: treasuries, error } = await this.supabase
+      .from('operation_wallet_addresses')
+      .select('*')
+      .eq('chain_id', chainConfig.id)
+      .eq('role', 'treasury')
+      .eq('is_active', true);
+
+    if (error) {
+      throw new Error(`Failed to load treasury wallets: ${error.message}`);
+    }
+
+    if (!treasuries || treasuries.length === 0) {
+      return null;
+    }
+
+    const nativeAsset = await this.getNativeAsset(chainConfig.id);
+    const assetIds = [asset.id];
+    if (!asset.is_native && nativeAsset) {
+      assetIds.push(nativeAsset.id);
+    }
+
+    // Token refills are paid for in the native asset
+    const feeRaw = asset.is_native ? 0n : await chainConfig.adapter.estimateTransferFee(asset);
+
+    const treasuryIds = treasuries.map(t => t.id);
+    const { data: balances, error: balanceError } = await this.supabase
+      .from('wallet_balances')
+      .select('wallet_id, asset_on_chain_id, on_chain_balance_raw')
+      .in('wallet_id', treasuryIds)
+      .in('asset_on_chain_id', assetIds);
+
+    if (balanceError) {
+      throw new Error(`Failed to load treasury balances: ${balanceError.message}`);
+    }
+
+    const { data: inFlight, error: inFlightError } = await this.supabase
+      .from('hot_wallet_rebalance_queue')
+      .select('source_operation_wallet_address_id, amount_raw')
+      .in('source_operation_wallet_address_id', treasuryIds)
+      .eq('asset_on_chain_id', asset.id)
+      .in('status', ACTIVE_JOB_STATUSES);
+
+    if (inFlightError) {
+      throw new Error(`Failed to load in-flight refills: ${inFlightError.message}`);
+    }
+
+    let best: { wallet: OperationWalletAddress; available: bigint } | null = null;
+
+    for (const treasury of treasuries as OperationWalletAddress[]) {
+      const assetBalance = (balances || []).find(
+        b => b.wallet_id === treasury.id && b.asset_on_chain_id === asset.id
+      );
+      if (!assetBalance) {
+        continue;
+      }
+
+      const reserved = (inFlight || [])
+        .filter(j => j.source_operation_wallet_address_id === treasury.id)
+        .reduce((sum, j) => sum + BigInt(j.amount_raw), 0n);
+      const available = BigInt(assetBalance.on_chain_balance_raw || '0') - reserved;
+
+      if (available < amountRaw) {
+        continue;
+      }
+
+      if (!asset.is_native) {
+        const nativeBalance = nativeAsset
+          ? (balances || []).find(
+              b => b.wallet_id === treasury.id && b.asset_on_chain_id === nativeAsset.id
+            )
+          : undefined;
+        if (!nativeBalance || BigInt(nativeBalance.on_chain_balance_raw || '0') < feeRaw) {
+          continue;
+        }
+      }
+
+      if (!best || available > best.available) {
+        best = { wallet: treasury, available };
+      }
+    }
+
+    return best ? best.wallet : null;
+  }
+
+  // =====================================================
+  // EXECUTE
+  // =====================================================
+
+  /**
+   * Claim and broadcast due pending jobs
+   */
+  private async executePendingJobs(): Promise<void> {
+    const { data: jobs, error } = await this.supabase
+      .from('hot_wallet_rebalance_queue')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('scheduled_at', new Date().toISOString())
+      .order('scheduled_at', { ascending: true })
+      .limit(this.BATCH_SIZE);
+
+    if (error) {
+      logger.error({ error: error.message }, 'Failed to fetch pending refill jobs');
+      return;
+    }
+
+    for (const job of (jobs || []) as HotWalletRebalanceJob[]) {
+      const { data: claimed, error: claimError } = await this.supabase
+        .from('hot_wallet_rebalance_queue')
+        .update({ status: 'processing', updated_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('status', 'pending')
+        .select('id');
+
+      if (claimError || !claimed || claimed.length === 0) {
+        continue;
+      }
+
+      await this.executeJob(job);
+    }
+  }
+
+  private async executeJob(job: HotWalletRebalanceJob): Promise<void> {
+    let balanceLocked = false;
+    let sendAttempted = false;
+
+    try {
+      const chainConfig = this.chains.get(job.chain_id);
+      if (!chainConfig) {
+        throw Object.assign(new Error('Chain configuration not found'), { isRetryable: false });
+      }
+
+      const treasury = await this.loadOperationWallet(job.source_operation_wallet_address_id);
+      if (!treasury || treasury.role !== 'treasury') {
+        throw Object.assign(new Error('Treasury wallet not found or inactive'), { isRetryable: false });
+      }
+
+      const asset = await this.loadAsset(job.asset_on_chain_id);
+      if (!asset) {
+        throw Object.assign(new Error('Asset configuration not found'), { isRetryable: false });
+      }
+
+      balanceLocked = await this.lockTreasuryBalance(treasury.id, asset.id);
+      if (!balanceLocked) {
+        logger.debug(
+          { jobId: job.id, treasury: treasury.address },
+          'Treasury balance busy - refill stays pending'
+        );
+        await this.supabase
+          .from('hot_wallet_rebalance_queue')
+          .update({ status: 'pending', updated_at: new Date().toISOString() })
+          .eq('id', job.id);
+        return;
+      }
+
+      let txIntent;
+      try {
+        txIntent = chainConfig.adapter.buildTransferIntent(
+          treasury.address,
+          job.to_address,
+          job.amount_raw,
+          asset
+        );
+      } catch (error: any) {
+        throw Object.assign(error, { isRetryable: false });
+      }
+
+      logger.info(
+        {
+          jobId: job.id,
+          chain: chainConfig.name,
+          from: treasury.address,
+          to: job.to_address,
+          amount: job.amount_human,
+          txType: txIntent.type,
+        },
+        'Executing hot wallet refill'
+      );
+
+      // From here on a failure may come after the refill was broadcast
+      sendAttempted = true;
+      const signerResult = await this.signerService.signTransaction({
+        chain: chainConfig.adapter.signerChain,
+        wallet_group_id: treasury.wallet_group_id,
+        derivation_index: treasury.derivation_index,
+        tx_intent: txIntent,
+      });
+
+      const txHash =
+        signerResult.tx_hash ||
+        (signerResult as any).txHash ||
+        (signerResult as any).tx_id ||
+        (signerResult as any).txid;
+
+      if (!txHash) {
+        throw new Error('Signer service did not return txHash');
+      }
+
+      const { error: updateError } = await this.supabase
+        .from('hot_wallet_rebalance_queue')
+        .update({
+          status: 'confirming',
+          tx_hash: txHash,
+          processed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', job.id);
+
+      if (updateError) {
+        throw new Error(`Refill broadcast as ${txHash} but not recorded: ${updateError.message}`);
+      }
+
+      logger.info({ jobId: job.id, txHash }, 'Hot wallet refill broadcasted');
+
+      // Treasury lock is held until the confirmation step finalizes the job
+    } catch (error: any) {
+      if (balanceLocked) {
+        await this.releaseTreasuryLock(job.source_operation_wallet_address_id, job.asset_on_chain_id);
+      }
+      await this.handleJobError(job, error, sendAttempted);
+    }
+  }
+
+  /**
+   * Retry pre-broadcast failures with exponential backoff, or fail the job once retries are
+   * exhausted. Anything that may have been broadcast is parked as 'reconcile' - a retry would
+   * sign a second transfer.
+   */
+  private async handleJobError(
+    job: HotWalletRebalanceJob,
+    error: any,
+    sendAttempted: boolean
+  ): Promise<void> {
+    if (!isPreBroadcastFailure(error, sendAttempted)) {
+      logger.error(
+        { jobId: job.id, error: error.message },
+        'Hot wallet refill outcome unknown - parked for manual reconciliation'
+      );
+
+      const { error: updateError } = await this.supabase
+        .from('hot_wallet_rebalance_queue')
+        .update({
+          status: 'reconcile',
+          error_message: error.message,
+          processed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', job.id);
+
+      if (updateError) {
+        logger.error(
+          { jobId: job.id, error: updateError.message },
+          'Failed to park hot wallet refill for reconciliation'
+        );
+      }
+      return;
+    }
+
+    const retryCount = job.retry_count + 1;
+    const maxRetries = job.max_retries || this.MAX_RETRIES;
+    const isRetryable = error.isRetryable !== false && retryCount < maxRetries;
+
+    const baseBackoffMs = 30000;
+    const maxBackoffMs = 15 * 60 * 1000;
+    const backoffMs = Math.min(Math.pow(2, retryCount) * baseBackoffMs, maxBackoffMs);
+
+    logger.error(
+      { jobId: job.id, error: error.message, retryCount, maxRetries, isRetryable },
+      'Hot wallet refill job error'
+    );
+
+    const updates: any = {
+      retry_count: retryCount,
+      error_message: error.message,
+      updated_at: new Date().toISOString(),
+    };
+
+    if (isRetryable) {
+      updates.status = 'pending';
+      updates.scheduled_at = new Date(Date.now() + backoffMs).toISOString();
+    } else {
+      updates.status = 'failed';
+      updates.processed_at = new Date().toISOString();
+    }
+
+    await this.supabase.from('hot_wallet_rebalance_queue').update(updates).eq('id', job.id);
+  }
+
+  // =====================================================
+  // CONFIRM
+  // =====================================================
+
+  /**
+   * Check broadcast jobs and finalize those that reached the confirmation threshold
+   */
+  private async confirmInFlightJobs(): Promise<void> {
+    const { data: jobs, error } = await this.supabase
+      .from('hot_wallet_rebalance_queue')
+      .select('*')
+      .eq('status', 'confirming')
+      .not('tx_hash', 'is', null)
+      .order('processed_at', { ascending: true })
+      .limit(this.BATCH_SIZE);
+
+    if (error) {
+      logger.error({ error: error.message }, 'Failed to fetch refill jobs for confirmation');
+      return;
+    }
+
+    for (const job of (jobs || []) as HotWalletRebalanceJob[]) {
+      const chainConfig = this.chains.get(job.chain_id);
+      if (!chainConfig) {
+        logger.error({ jobId: job.id, chainId: job.chain_id }, 'Chain configuration not found for job');
+        continue;
+      }
+
+      try {
+        const result = await chainConfig.adapter.checkTransaction(
+          job.tx_hash!,
+          chainConfig.confirmation_threshold
+        );
+
+        if (result.state === 'success' || result.state === 'failed') {
+          await this.finalizeJob(job, chainConfig, result.state, result.feeRaw, result.error);
+        } else {
+          logger.debug(
+            { jobId: job.id, txHash: job.tx_hash, state: result.state, confirmations: result.confirmations },
+            'Hot wallet refill not final yet'
+          );
+        }
+      } catch (error: any) {
+        // Leave in confirming state for retry
+        logger.error(
+          { error: error.message, jobId: job.id, txHash: job.tx_hash },
+          'Error confirming hot wallet refill'
+        );
+      }
+    }
+  }
+
+  /**
+   * Mark job confirmed / failed, release the treasury lock, post the network fee
+   */
+  private async finalizeJob(
+    job: HotWalletRebalanceJob,
+    chainConfig: ChainConfig,
+    outcome: 'success' | 'failed',
+    feeRaw: bigint | null,
+    reason: string | null
+  ): Promise<void> {
+    const now = new Date().toISOString();
+    const updates: any =
+      outcome === 'success'
+        ? { status: 'confirmed', confirmed_at: now, error_message: null }
+        : { status: 'failed', error_message: reason };
+    updates.network_fee_raw = feeRaw !== null ? feeRaw.toString() : null;
+    updates.updated_at = now;
+
+    const { error } = await this.supabase
+      .from('hot_wallet_rebalance_queue')
+      .update(updates)
+      .eq('id', job.id)
+      .eq('status', 'confirming');
+
+    if (error) {
+      logger.error({ error: error.message, jobId: job.id }, 'Failed to finalize hot wallet refill');
+      return;
+    }
+
+    await this.releaseTreasuryLock(job.source_operation_wallet_address_id, job.asset_on_chain_id);
+    await this.recordNetworkFee(job, chainConfig, feeRaw);
+
+    if (outcome === 'success') {
+      logger.info(
+        { jobId: job.id, txHash: job.tx_hash, chain: chainConfig.name, amount: job.amount_human },
+        '✅ Hot wallet refill confirmed'
+      );
+    } else {
+      logger.error(
+        { jobId: job.id, txHash: job.tx_hash, chain: chainConfig.name, errorMessage: reason },
+        '❌ Hot wallet refill failed on-chain'
+      );
+    }
+  }
+
+  /**
+   * Post the refill's network fee to the ledger. The refill itself moves funds between
+   * custody wallets and needs no ledger entry.
+   */
+  private async recordNetworkFee(
+    job: HotWalletRebalanceJob,
+    chainConfig: ChainConfig,
+    feeRaw: bigint | null
+  ): Promise<void> {
+    if (!feeRaw || feeRaw <= 0n) {
+      return;
+    }
+
+    try {
+      const nativeAsset = await this.getNativeAsset(chainConfig.id);
+      if (!nativeAsset) {
+        logger.warn(
+          { jobId: job.id, chain: chainConfig.name },
+          'No native asset configured for chain - network fee not posted to ledger'
+        );
+        return;
+      }
+
+      const feeHuman = ethers.formatUnits(feeRaw, chainConfig.native_currency_decimals);
+      await this.ledger.postNetworkFee(
+        'hot_wallet_rebalance_queue',
+        job.id,
+        nativeAsset.asset_id,
+        feeHuman,
+        job.tx_hash
+      );
+    } catch (error: any) {
+      logger.error(
+        { error: error.message, jobId: job.id, feeRaw: feeRaw.toString() },
+        'Failed to post network fee to ledger'
+      );
+    }
+  }
+
+  // =====================================================
+  // HELPERS
+  // =====================================================
+
+  private async loadOperationWallet(id: string): Promise<OperationWalletAddress | null> {
+    const { data, error } = await this.supabase
+      .from('operation_wallet_addresses')
+      .select('*')
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load operation wallet: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  private async loadAsset(id: string): Promise<AssetOnChain | null> {
+    const { data, error } = await this.supabase
+      .from('asset_on_chain')
+      .select('id, chain_id, asset_id, contract_address, decimals, is_native')
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load asset: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * The chain's native asset_on_chain row (cached)
+   */
+  private async getNativeAsset(chainId: string): Promise<AssetOnChain | null> {
+    if (this.nativeAssets.has(chainId)) {
+      return this.nativeAssets.get(chainId) ?? null;
+    }
+
+    const { data, error } = await this.supabase
+      .from('asset_on_chain')
+      .select('id, chain_id, asset_id, contract_address, decimals, is_native')
+      .eq('chain_id', chainId)
+      .eq('is_native', true)
+      .eq('is_active', true)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load native asset: ${error.message}`);
+    }
+
+    this.nativeAssets.set(chainId, data ?? null);
+    return data ?? null;
+  }
+
+  /**
+   * Lock the treasury's wallet_balances row (idle → rebalancing) for the life of the job
+   */
+  private async lockTreasuryBalance(walletId: string, assetOnChainId: string): Promise<boolean> {
+    const { data, error } = await this.supabase
+      .from('wallet_balances')
+      .update({ processing_status: 'rebalancing' })
+      .eq('wallet_id', walletId)
+      .eq('asset_on_chain_id', assetOnChainId)
+      .eq('processing_status', 'idle')
+      .select('id');
+
+    if (error) {
+      logger.error({ error: error.message, walletId }, 'Failed to lock treasury balance');
+      return false;
+    }
+
+    return !!data && data.length > 0;
+  }
+
+  private async releaseTreasuryLock(walletId: string, assetOnChainId: string): Promise<void> {
+    try {
+      await this.supabase
+        .from('wallet_balances')
+        .update({
+          processing_status: 'idle',
+          last_processed_at: new Date().toISOString(),
+        })
+        .eq('wallet_id', walletId)
+        .eq('asset_on_chain_id', assetOnChainId)
+        .eq('processing_status', 'rebalancing');
+    } catch (error: any) {
+      logger.error({ error: error.message, walletId }, 'Error releasing treasury balance lock');
+    }
+  }
+
+  /**
+   * Exact decimal string → smallest-unit integer string (truncates extra fractional digits)
+   */
+  private decimalToRaw(value: string, decimals: number): string {
+    const [integerPart = '0', fractionalPart = ''] = value.trim().split('.');
+    const paddedFractional = fractionalPart.padEnd(decimals, '0').slice(0, decimals);
+    return BigInt((integerPart || '0') + paddedFractional).toString();
+  }
+
+  /**
+   * Start the worker loop
+   */
+  async start(): Promise<void> {
+    if (this.isRunning) {
+      logger.warn('Hot Wallet Rebalance Worker already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.stopHeartbeat = this.runtime.startHeartbeat(defaultHeartbeatIntervalMs());
+    logger.info({ workerId: this.runtime.workerId }, 'Starting Hot Wallet Rebalance Worker loop');
+
+    while (this.isRunning) {
+      const cycleStart = Date.now();
+      try {
+        const inMaintenance = await this.runtime.checkMaintenance();
+        if (inMaintenance) {
+          await this.runtime.setPaused();
+          await this.runtime.logExecution({
+            executionType: 'cycle',
+            status: 'skip',
+            durationMs: Date.now() - cycleStart,
+            metadata: { reason: 'maintenance' },
+          });
+          await sleep(POLL_INTERVAL_MS);
+          continue;
+        }
+
+        const incidentAllowed = await this.runtime.checkIncidentModeAllowed();
+        if (!incidentAllowed) {
+          await this.runtime.setPaused();
+          const config = await this.runtime.getIncidentConfig();
+          await this.runtime.logExecution({
+            executionType: 'cycle',
+            status: 'skip',
+            durationMs: Date.now() - cycleStart,
+            metadata: { reason: 'incident_mode', mode: config.mode },
+          });
+          await sleep(POLL_INTERVAL_MS);
+          continue;
+        }
+
+        await this.processCycle();
+        await this.runtime.logExecution({
+          executionType: 'cycle',
+          status: 'success',
+          durationMs: Date.now() - cycleStart,
+        });
+      } catch (error: any) {
+        logger.error({ error: error.message }, 'Error in Hot Wallet Rebalance Worker loop');
+        await this.runtime.logExecution({
+          executionType: 'cycle',
+          status: 'fail',
+          durationMs: Date.now() - cycleStart,
+          errorMessage: error?.message ?? String(error),
+        });
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+
+    this.stopHeartbeat?.();
+    await this.runtime.setStopped();
+  }
+
+  /**
+   * Stop the worker loop
+   */
+  stop(): void {
+    logger.info({ workerId: this.runtime.workerId }, 'Stopping Hot Wallet Rebalance Worker');
+    this.isRunning = false;
+  }
+
+  /** Graceful shutdown: stop loop and update worker_status to stopped. Call from signal handler before process.exit(). */
+  async shutdown(): Promise<void> {
+    this.stop();
+    await this.runtime.setStopped();
+  }
+}
@@ -1,15 +1,19 @@
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
+import { WithdrawalRefundService } from '../../services/withdrawal-refund.service.js';
+import { LedgerService } from '../../services/ledger.service.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import { ethers } from 'ethers';
+import { createChainAdapter } from '../../chains/chain-adapter.factory.js';
+import type { ChainAdapter, TxLog } from '../../chains/chain-adapter.js';
 import {
   WorkerRuntime,
   workerIdentity,
   defaultHeartbeatIntervalMs,
 } from '../../control-plane/worker-runtime.js';
 
-let TronWeb: any;
+const ERC20_TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
 
 interface WithdrawalJob {
   id: string;
@@ -31,25 +35,29 @@ interface WithdrawalJob {
   scheduled_at: string;
   processed_at: string | null;
   created_at: string;
+  batch_id?: string | null;
+  batch_index?: number | null;
 }
 
 interface ChainConfig {
   id: string;
   name: string;
-  rpc_url: string;
+  adapter: ChainAdapter;
   confirmation_threshold: number;
   block_time_seconds: number;
+  native_currency_decimals: number;
 }
 
 export class WithdrawalConfirmationWorker {
   private supabase: SupabaseClient;
   private runtime: WorkerRuntime;
+  private refundService: WithdrawalRefundService;
+  private ledger: LedgerService;
+  private nativeAssetIds: Map<string, string> = new Map();
   private isRunning: boolean = false;
   private stopHeartbeat: (() => void) | null = null;
   private readonly BATCH_SIZE = 10;
   private chains: Map<string, ChainConfig> = new Map();
-  private tronClients: Map<string, any> = new Map();
-  private evmClients: Map<string, any> = new Map();
   private defaultPollInterval: number = 10000; // 10 seconds default
 
   constructor() {
@@ -57,6 +65,8 @@ export class WithdrawalConfirmationWorker {
     this.runtime = new WorkerRuntime(
       workerIdentity('withdrawal_confirmation', null)
     );
+    this.refundService = new WithdrawalRefundService(this.runtime.workerId);
+    this.ledger = new LedgerService();
   }
 
   /**
@@ -80,26 +90,19 @@ export class WithdrawalConfirmationWorker {
       throw new Error('No active chains found');
     }
 
-    // Store chain configs and initialize blockchain clients
+    // Store chain configs with their chain adapter (receipt checks)
     for (const chain of chains) {
-      const chainType = chain.name.toLowerCase().includes('tron') ? 'tron' : 'evm';
+      const adapter = createChainAdapter(chain);
 
       this.chains.set(chain.id, {
         id: chain.id,
         name: chain.name,
-        rpc_url: chain.rpc_url,
+        adapter,
         confirmation_threshold: chain.confirmation_threshold || 1,
         block_time_seconds: chain.block_time_seconds || 3,
+        native_currency_decimals:
+          chain.native_currency_decimals ?? (adapter.chainType === 'tron' ? 6 : 18),
       });
-
-      // Initialize blockchain clients based on chain type
-      if (chainType === 'tron') {
-        const { TronWeb: TronWebImport } = await import('tronweb');
-        TronWeb = TronWebImport;
-        this.tronClients.set(chain.id, new TronWeb({ fullHost: chain.rpc_url }));
-      } else {
-        this.evmClients.set(chain.id, new ethers.JsonRpcProvider(chain.rpc_url));
-      }
     }
 
     // Calculate average block time for idle sleep
@@ -181,7 +184,7 @@ export class WithdrawalConfirmationWorker {
   }
 
   /**
-   * Process a single job for confirmation
+   * Process a single job for confirmation (ChainAdapter.checkTransaction: TRON and EVM receipt rules)
    */
   private async processJob(job: WithdrawalJob, chainConfig: ChainConfig): Promise<void> {
     logger.debug(
@@ -195,32 +198,13 @@ export class WithdrawalConfirmationWorker {
       'Checking withdrawal transaction confirmation'
     );
 
-    // Determine chain type and confirm accordingly
-    const chainType = chainConfig.name.toLowerCase().includes('tron') ? 'tron' : 'evm';
-
-    if (chainType === 'tron') {
-      await this.confirmTronTransaction(job, chainConfig);
-    } else {
-      await this.confirmEvmTransaction(job, chainConfig);
-    }
-  }
-
-  /**
-   * Confirm TRON transaction
-   */
-  private async confirmTronTransaction(job: WithdrawalJob, chainConfig: ChainConfig): Promise<void> {
     try {
-      const tronWeb = this.tronClients.get(chainConfig.id);
-      if (!tronWeb) {
-        logger.error({ jobId: job.id }, 'TRON client not initialized');
-        return;
-      }
-
-      // Get transaction info
-      const txInfo = await tronWeb.trx.getTransactionInfo(job.tx_hash);
+      const result = await chainConfig.adapter.checkTransaction(
+        job.tx_hash!,
+        chainConfig.confirmation_threshold
+      );
 
-      // A) Transaction not found or no blockNumber
-      if (!txInfo || !txInfo.blockNumber) {
+      if (result.state === 'not_found') {
         logger.debug(
           { jobId: job.id, txHash: job.tx_hash },
           'Transaction not yet mined - leaving in confirming state'
@@ -228,158 +212,126 @@ export class WithdrawalConfirmationWorker {
         return;
       }
 
-      // B) Check receipt
-      if (!txInfo.receipt) {
-        logger.debug(
-          { jobId: job.id, txHash: job.tx_hash },
-          'Transaction receipt not available - leaving in confirming state'
-        );
-        return;
-      }
-
-      // Get current block
-      const currentBlock = await tronWeb.trx.getCurrentBlock();
-      const currentBlockNumber = currentBlock.block_header.raw_data.number;
-
-      // C) Check confirmations
-      const confirmations = currentBlockNumber - txInfo.blockNumber + 1;
-
       logger.debug(
         {
           jobId: job.id,
           txHash: job.tx_hash,
-          txBlock: txInfo.blockNumber,
-          currentBlock: currentBlockNumber,
-          confirmations,
+          txBlock: result.blockNumber,
+          confirmations: result.confirmations,
           required: chainConfig.confirmation_threshold,
         },
-        'TRON withdrawal transaction confirmation status'
+        'Withdrawal transaction confirmation status'
       );
 
-      if (confirmations < chainConfig.confirmation_threshold) {
+      if (result.state === 'confirming') {
         logger.debug(
           {
             jobId: job.id,
-            confirmations,
-            remaining: chainConfig.confirmation_threshold - confirmations,
+            confirmations: result.confirmations,
+            remaining: chainConfig.confirmation_threshold - result.confirmations,
           },
           'Waiting for more confirmations'
         );
         return;
       }
 
-      // D) Transaction confirmed - check execution result
-      const receiptResult = txInfo.receipt.result;
-      let isSuccess = false;
-
-      // TRON: undefined or 'SUCCESS' = success
-      if (!receiptResult || receiptResult === 'SUCCESS') {
-        isSuccess = true;
-      } else {
-        isSuccess = false;
-      }
-
-      logger.debug(
-        {
-          jobId: job.id,
-          txHash: job.tx_hash,
-          receiptResult,
-          isSuccess,
-        },
-        'TRON withdrawal transaction result'
-      );
-
-      if (isSuccess) {
-        await this.finalizeSuccess(job, chainConfig, confirmations, txInfo.blockNumber, txInfo.fee);
+      const isSuccess = result.state === 'success';
+
+      if (isSuccess && job.batch_id && !(await this.isBatchItemPaid(job, result.logs ?? []))) {
+        // Multi-send succeeded but this item's Transfer is missing: nothing reached the recipient
+        await this.finalizeFailure(job, chainConfig, 'Batch item transfer not found in multi-send receipt', result.feeRaw);
+      } else if (isSuccess) {
+        await this.finalizeSuccess(
+          job,
+          chainConfig,
+          result.confirmations,
+          result.blockNumber!,
+          result.feeRaw,
+          result.gasUsed,
+          result.gasPrice
+        );
       } else {
-        const errorMessage = `Transaction failed on-chain: ${receiptResult || 'UNKNOWN'}`;
         logger.error(
-          {
-            jobId: job.id,
-            txHash: job.tx_hash,
-            receipt: txInfo.receipt,
-          },
+          { jobId: job.id, txHash: job.tx_hash, error: result.error },
           'Withdrawal transaction failed on-chain'
         );
-        await this.finalizeFailure(job, chainConfig, errorMessage);
+        await this.finalizeFailure(
+          job,
+          chainConfig,
+          result.error || 'Transaction failed on-chain',
+          result.feeRaw
+        );
+      }
+
+      if (job.batch_id) {
+        await this.finalizeBatch(job.batch_id, isSuccess ? 'confirmed' : 'failed');
       }
     } catch (error: any) {
       logger.error(
         { error: error.message, jobId: job.id, txHash: job.tx_hash },
-        'Error confirming TRON withdrawal transaction'
+        'Error confirming withdrawal transaction'
       );
       // Do not update job - leave in confirming state for retry
     }
   }
 
   /**
-   * Confirm EVM transaction (BSC, etc.)
+   * Check that a multi-send receipt carries this item's token Transfer to job.to_address.
+   * Items with identical recipient and amount are matched by batch_index order.
    */
-  private async confirmEvmTransaction(job: WithdrawalJob, chainConfig: ChainConfig): Promise<void> {
-    try {
-      const provider = this.evmClients.get(chainConfig.id);
-      if (!provider) {
-        logger.error({ jobId: job.id }, 'EVM client not initialized');
-        return;
-      }
-
-      const receipt = await provider.getTransactionReceipt(job.tx_hash!);
-
-      if (!receipt) {
-        logger.debug(
-          { jobId: job.id, txHash: job.tx_hash },
-          'Transaction receipt not found - leaving in confirming state'
-        );
-        return; // Not yet mined
-      }
+  private async isBatchItemPaid(job: WithdrawalJob, logs: readonly TxLog[]): Promise<boolean> {
+    const { data: asset, error: assetError } = await this.supabase
+      .from('asset_on_chain')
+      .select('contract_address')
+      .eq('id', job.asset_on_chain_id)
+      .maybeSingle();
+
+    if (assetError || !asset?.contract_address) {
+      throw new Error(`Failed to load batch token contract: ${assetError?.message ?? 'not found'}`);
+    }
 
-      // Get current block number
-      const currentBlock = await provider.getBlockNumber();
+    const { data: siblings, error: siblingsError } = await this.supabase
+      .from('withdrawal_queue')
+      .select('id, to_address, amount_raw, batch_index')
+      .eq('batch_id', job.batch_id!)
+      .order('batch_index', { ascending: true });
 
-      // Calculate confirmations
-      const confirmations = currentBlock - receipt.blockNumber + 1;
+    if (siblingsError) {
+      throw new Error(`Failed to load batch items: ${siblingsError.message}`);
+    }
 
-      logger.debug(
-        {
-          jobId: job.id,
-          txHash: job.tx_hash,
-          txBlock: receipt.blockNumber,
-          currentBlock,
-          confirmations,
-          required: chainConfig.confirmation_threshold,
-        },
-        'EVM withdrawal transaction confirmation status'
-      );
+    const to = job.to_address.toLowerCase();
+    const amount = BigInt(job.amount_raw);
+    const sameTransfer = (siblings || []).filter(
+      s => s.to_address.toLowerCase() === to && BigInt(s.amount_raw) === amount
+    );
+    const position = sameTransfer.findIndex(s => s.id === job.id);
+
+    const token = asset.contract_address.toLowerCase();
+    const matchingLogs = logs.filter(
+      log =>
+        log.address.toLowerCase() === token &&
+        log.topics[0] === ERC20_TRANSFER_TOPIC &&
+        log.topics.length === 3 &&
+        ethers.getAddress(ethers.dataSlice(log.topics[2]!, 12)).toLowerCase() === to &&
+        BigInt(log.data) === amount
+    );
 
-      if (confirmations < chainConfig.confirmation_threshold) {
-        logger.debug(
-          {
-            jobId: job.id,
-            confirmations,
-            remaining: chainConfig.confirmation_threshold - confirmations,
-          },
-          'Waiting for more confirmations'
-        );
-        return;
-      }
+    return position >= 0 && matchingLogs.length > position;
+  }
 
-      // D) Transaction confirmed - check execution result
-      const isSuccess = receipt.status === 1;
+  /**
+   * Mark a multi-send batch finalized once its (shared) transaction is final
+   */
+  private async finalizeBatch(batchId: string, status: 'confirmed' | 'failed'): Promise<void> {
+    const { error } = await this.supabase
+      .from('withdrawal_batches')
+      .update({ status, finalized_at: new Date().toISOString() })
+      .eq('id', batchId)
+      .eq('status', 'confirming');
 
-      if (isSuccess) {
-        const gasUsed = Number(receipt.gasUsed);
-        const gasPrice = receipt.gasPrice ? Number(receipt.gasPrice) : null;
-        await this.finalizeSuccess(job, chainConfig, confirmations, receipt.blockNumber, gasUsed, gasPrice);
-      } else {
-        const errorMessage = `Transaction failed on-chain (status=${receipt.status})`;
-        await this.finalizeFailure(job, chainConfig, errorMessage);
-      }
-    } catch (error: any) {
-      logger.error(
-        { error: error.message, jobId: job.id, txHash: job.tx_hash },
-        'Error confirming EVM withdrawal transaction'
-      );
-      // Do not update job - leave in confirming state for retry
+    if (error) {
+      logger.error({ error: error.message, batchId }, 'Failed to finalize withdrawal batch');
     }
   }
 
@@ -391,8 +343,9 @@ export class WithdrawalConfirmationWorker {
     chainConfig: ChainConfig,
     confirmations: number,
     blockNumber: number,
-    gasUsed?: number,
-    gasPrice?: number | null
+    feeRaw: bigint | null,
+    gasUsed?: bigint,
+    gasPrice?: bigint | null
   ): Promise<void> {
     try {
       logger.info(
@@ -403,8 +356,8 @@ export class WithdrawalConfirmationWorker {
           chain: chainConfig.name,
           confirmations,
           blockNumber,
-          gasUsed: gasUsed || null,
-          gasPrice: gasPrice || null,
+          gasUsed: gasUsed?.toString() ?? null,
+          gasPrice: gasPrice?.toString() ?? null,
         },
         '✅ Withdrawal transaction confirmed successfully'
       );
@@ -455,7 +408,18 @@ export class WithdrawalConfirmationWorker {
         );
       }
 
-      // 3) Release hot wallet balance lock
+      // 3) Ledger: funds left custody, plus the network fee paid by the hot wallet
+      try {
+        await this.ledger.postWithdrawalSettlement(job.withdrawal_request_id, job.id);
+      } catch (ledgerError: any) {
+        logger.error(
+          { error: ledgerError.message, jobId: job.id, withdrawalRequestId: job.withdrawal_request_id },
+          'Failed to post withdrawal settlement to ledger'
+        );
+      }
+      await this.recordNetworkFee(job, chainConfig, feeRaw);
+
+      // 4) Release hot wallet balance lock
       await this.releaseHotWalletLock(job.operation_wallet_address_id, job.asset_on_chain_id);
 
       logger.info(
@@ -481,7 +445,8 @@ export class WithdrawalConfirmationWorker {
   private async finalizeFailure(
     job: WithdrawalJob,
     chainConfig: ChainConfig,
-    reason: string
+    reason: string,
+    feeRaw: bigint | null = null
   ): Promise<void> {
     try {
       logger.error(
@@ -529,7 +494,14 @@ export class WithdrawalConfirmationWorker {
         );
       }
 
-      // 3) Release hot wallet balance lock
+      // 3) Refund the user: the transaction reverted, so no funds left the hot wallet
+      //    (a failed attempt stays 'due' and is retried by the withdrawal workers)
+      await this.refundService.refundOrRetry(job.withdrawal_request_id, job.id, reason);
+
+      // 4) Ledger: a reverted transaction still pays gas
+      await this.recordNetworkFee(job, chainConfig, feeRaw);
+
+      // 5) Release hot wallet balance lock
       await this.releaseHotWalletLock(job.operation_wallet_address_id, job.asset_on_chain_id);
 
       logger.info(
@@ -548,6 +520,70 @@ export class WithdrawalConfirmationWorker {
     }
   }
 
+  /**
+   * Post the network fee of a withdrawal job to the ledger (Dr network_fees / Cr custody, native asset)
+   */
+  private async recordNetworkFee(
+    job: WithdrawalJob,
+    chainConfig: ChainConfig,
+    feeRaw: bigint | null
+  ): Promise<void> {
+    if (!feeRaw || feeRaw <= 0n) {
+      return;
+    }
+
+    try {
+      const nativeAssetId = await this.getNativeAssetId(chainConfig.id);
+      if (!nativeAssetId) {
+        logger.warn(
+          { jobId: job.id, chain: chainConfig.name },
+          'No native asset configured for chain - network fee not posted to ledger'
+        );
+        return;
+      }
+
+      // Items of a multi-send batch share one fee: post it once, against the batch
+      const feeHuman = ethers.formatUnits(feeRaw, chainConfig.native_currency_decimals);
+      if (job.batch_id) {
+        await this.ledger.postNetworkFee('withdrawal_batches', job.batch_id, nativeAssetId, feeHuman, job.tx_hash);
+      } else {
+        await this.ledger.postNetworkFee('withdrawal_queue', job.id, nativeAssetId, feeHuman, job.tx_hash);
+      }
+    } catch (error: any) {
+      logger.error(
+        { error: error.message, jobId: job.id, feeRaw: feeRaw.toString() },
+        'Failed to post network fee to ledger'
+      );
+    }
+  }
+
+  /**
+   * asset_id of the chain's native asset (cached)
+   */
+  private async getNativeAssetId(chainId: string): Promise<string | null> {
+    const cached = this.nativeAssetIds.get(chainId);
+    if (cached) {
+      return cached;
+    }
+
+    const { data, error } = await this.supabase
+      .from('asset_on_chain')
+      .select('asset_id')
+      .eq('chain_id', chainId)
+      .eq('is_native', true)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load native asset: ${error.message}`);
+    }
+
+    if (data?.asset_id) {
+      this.nativeAssetIds.set(chainId, data.asset_id);
+    }
+    return data?.asset_id ?? null;
+  }
+
   /**
    * Release hot wallet balance lock
    */
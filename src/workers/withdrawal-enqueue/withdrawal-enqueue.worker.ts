@@ -1,5 +1,6 @@
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
+import { LedgerService } from '../../services/ledger.service.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import {
@@ -48,19 +49,33 @@ interface AssetOnChain {
   contract_address: string | null;
 }
 
+interface HotWalletBalance {
+  wallet_id: string;
+  asset_on_chain_id: string;
+  on_chain_balance_raw: string | null;
+  processing_status: string | null;
+  locked_until: string | null;
+}
+
+/** Withdrawal queue statuses whose amount is still committed against the hot wallet balance */
+const IN_FLIGHT_QUEUE_STATUSES = ['pending', 'processing', 'confirming'];
+
 export class WithdrawalEnqueueWorker {
   private supabase: SupabaseClient;
   private runtime: WorkerRuntime;
+  private ledger: LedgerService;
   private isRunning: boolean = false;
   private stopHeartbeat: (() => void) | null = null;
   private readonly POLL_INTERVAL_MS = 10000; // 10 seconds
   private readonly BATCH_SIZE = 10;
+  private readonly WAITING_LIQUIDITY_RECHECK_MS = 60000; // 1 minute
 
   constructor() {
     this.supabase = getSupabaseClient();
     this.runtime = new WorkerRuntime(
       workerIdentity('withdrawal_enqueue', null)
     );
+    this.ledger = new LedgerService();
   }
 
   /**
@@ -118,13 +133,20 @@ export class WithdrawalEnqueueWorker {
   }
 
   /**
-   * Pick approved withdrawal requests that haven't been queued yet
+   * Pick approved withdrawal requests that haven't been queued yet, plus requests waiting for
+   * hot wallet liquidity whose last check is older than WAITING_LIQUIDITY_RECHECK_MS
    */
   private async pickApprovedRequests(): Promise<WithdrawalRequest[]> {
+    const recheckBefore = new Date(
+      Date.now() - this.WAITING_LIQUIDITY_RECHECK_MS
+    ).toISOString();
+
     const { data: requests, error } = await this.supabase
       .from('withdrawal_requests')
       .select('*')
-      .eq('status', 'approved')
+      .or(
+        `status.eq.approved,and(status.eq.waiting_liquidity,updated_at.lt.${recheckBefore})`
+      )
       .is('queued_at', null)
       .order('created_at', { ascending: true })
       .limit(this.BATCH_SIZE);
@@ -209,22 +231,23 @@ export class WithdrawalEnqueueWorker {
         );
       }
 
-      // 3. Select hot wallet (round-robin)
-      const hotWallet = await this.selectHotWallet(request.chain_id);
-      if (!hotWallet) {
-        throw new Error(`No active hot wallet found for chain_id: ${request.chain_id}`);
-      }
-
-      // 4. Validate decimals
+      // 3. Validate decimals
       if (assetOnChain.decimals === undefined || assetOnChain.decimals === null) {
         throw new Error(
           `Asset on chain ${assetOnChain.id} has invalid decimals: ${assetOnChain.decimals}`
         );
       }
 
-      // 5. Calculate raw amount
+      // 4. Calculate raw amount
       const amountRaw = this.calculateRawAmount(amountHuman, assetOnChain.decimals);
 
+      // 5. Select a hot wallet that can cover the amount and gas (round-robin among those)
+      const hotWallet = await this.selectHotWallet(chainConfig, assetOnChain, amountRaw);
+      if (!hotWallet) {
+        await this.markWaitingLiquidity(request, amountHuman);
+        return;
+      }
+
       logger.info(
         {
           requestId: request.id,
@@ -281,7 +304,17 @@ export class WithdrawalEnqueueWorker {
         // Note: Job is already in queue, so this is a soft error
       }
 
-      // 8. Update hot wallet last_used_at
+      // 8. Ledger: record the user debit (balance was debited at submission; idempotent per request)
+      try {
+        await this.ledger.postWithdrawalDebit(request.id);
+      } catch (ledgerError: any) {
+        logger.error(
+          { error: ledgerError.message, requestId: request.id },
+          'Failed to post withdrawal debit to ledger - will be posted at finalization'
+        );
+      }
+
+      // 9. Update hot wallet last_used_at
       const { error: updateWalletError } = await this.supabase
         .from('operation_wallet_addresses')
         .update({
@@ -386,25 +419,229 @@ export class WithdrawalEnqueueWorker {
   }
 
   /**
-   * Select hot wallet using round-robin strategy (last_used_at ASC)
+   * Select a hot wallet using round-robin (last_used_at ASC) among wallets that can cover the withdrawal.
+   *
+   * A wallet qualifies when its wallet_balances row for the asset is not locked, and after subtracting
+   * in-flight withdrawal_queue jobs (pending/processing/confirming) it still holds:
+   * - the asset amount, and
+   * - native gas for this job plus every in-flight job (withdrawal_policies.gas_reserve_human each).
+   * For native withdrawals amount and gas come out of the same balance.
+   *
+   * Returns null when no wallet qualifies (caller parks the request in 'waiting_liquidity').
    */
-  private async selectHotWallet(chainId: string): Promise<OperationWallet | null> {
-    const { data, error } = await this.supabase
+  private async selectHotWallet(
+    chainConfig: ChainConfig,
+    assetOnChain: AssetOnChain,
+    amountRaw: string
+  ): Promise<OperationWallet | null> {
+    const { data: wallets, error } = await this.supabase
       .from('operation_wallet_addresses')
       .select('*')
-      .eq('chain_id', chainId)
+      .eq('chain_id', chainConfig.id)
       .eq('role', 'hot')
       .eq('is_active', true)
-      .order('last_used_at', { ascending: true, nullsFirst: true })
+      .order('last_used_at', { ascending: true, nullsFirst: true });
+
+    if (error) {
+      throw new Error(`Failed to load hot wallets: ${error.message}`);
+    }
+
+    if (!wallets || wallets.length === 0) {
+      logger.warn({ chainId: chainConfig.id }, 'No active hot wallet for chain');
+      return null;
+    }
+
+    const nativeAssetOnChainId = assetOnChain.is_native
+      ? assetOnChain.id
+      : await this.loadNativeAssetOnChainId(chainConfig.id);
+    const assetIds = Array.from(
+      new Set([assetOnChain.id, ...(nativeAssetOnChainId ? [nativeAssetOnChainId] : [])])
+    );
+    const walletIds = wallets.map((w: OperationWallet) => w.id);
+
+    const { data: balances, error: balanceError } = await this.supabase
+      .from('wallet_balances')
+      .select('wallet_id, asset_on_chain_id, on_chain_balance_raw, processing_status, locked_until')
+      .in('wallet_id', walletIds)
+      .in('asset_on_chain_id', assetIds);
+
+    if (balanceError) {
+      throw new Error(`Failed to load hot wallet balances: ${balanceError.message}`);
+    }
+
+    const { data: inFlight, error: queueError } = await this.supabase
+      .from('withdrawal_queue')
+      .select('operation_wallet_address_id, asset_on_chain_id, amount_raw')
+      .in('operation_wallet_address_id', walletIds)
+      .in('status', IN_FLIGHT_QUEUE_STATUSES);
+
+    if (queueError) {
+      throw new Error(`Failed to load in-flight withdrawals: ${queueError.message}`);
+    }
+
+    const gasReservePerJob = await this.loadGasReserveRaw(assetOnChain.id, chainConfig);
+    const amount = BigInt(amountRaw);
+    const now = Date.now();
+    const rejected: Record<string, string> = {};
+
+    for (const wallet of wallets as OperationWallet[]) {
+      const assetBalance = (balances || []).find(
+        (b: HotWalletBalance) => b.wallet_id === wallet.id && b.asset_on_chain_id === assetOnChain.id
+      ) as HotWalletBalance | undefined;
+
+      if (!assetBalance) {
+        rejected[wallet.address] = 'no_balance_row';
+        continue;
+      }
+
+      const lockActive =
+        !!assetBalance.processing_status &&
+        assetBalance.processing_status !== 'idle' &&
+        (!assetBalance.locked_until || new Date(assetBalance.locked_until).getTime() > now);
+      if (lockActive) {
+        rejected[wallet.address] = `locked:${assetBalance.processing_status}`;
+        continue;
+      }
+
+      const walletJobs = (inFlight || []).filter(
+        (j: any) => j.operation_wallet_address_id === wallet.id
+      );
+      const reservedOf = (assetId: string): bigint =>
+        walletJobs
+          .filter((j: any) => j.asset_on_chain_id === assetId)
+          .reduce((sum: bigint, j: any) => sum + BigInt(j.amount_raw || '0'), 0n);
+
+      const availableAsset = BigInt(assetBalance.on_chain_balance_raw || '0') - reservedOf(assetOnChain.id);
+      const gasNeeded = gasReservePerJob * BigInt(walletJobs.length + 1);
+
+      if (assetOnChain.is_native) {
+        if (availableAsset < amount + gasNeeded || availableAsset <= amount) {
+          rejected[wallet.address] = 'insufficient_native';
+          continue;
+        }
+      } else {
+        if (availableAsset < amount) {
+          rejected[wallet.address] = 'insufficient_asset';
+          continue;
+        }
+
+        const nativeBalance = nativeAssetOnChainId
+          ? ((balances || []).find(
+              (b: HotWalletBalance) =>
+                b.wallet_id === wallet.id && b.asset_on_chain_id === nativeAssetOnChainId
+            ) as HotWalletBalance | undefined)
+          : undefined;
+        const availableGas =
+          BigInt(nativeBalance?.on_chain_balance_raw || '0') -
+          (nativeAssetOnChainId ? reservedOf(nativeAssetOnChainId) : 0n);
+
+        if (availableGas <= 0n || availableGas < gasNeeded) {
+          rejected[wallet.address] = 'insufficient_gas';
+          continue;
+        }
+      }
+
+      return wallet;
+    }
+
+    logger.warn(
+      {
+        chainId: chainConfig.id,
+        assetOnChainId: assetOnChain.id,
+        amountRaw,
+        rejected,
+      },
+      'No hot wallet can cover withdrawal'
+    );
+    return null;
+  }
+
+  /**
+   * asset_on_chain id of the chain's native (gas) asset
+   */
+  private async loadNativeAssetOnChainId(chainId: string): Promise<string | null> {
+    const { data, error } = await this.supabase
+      .from('asset_on_chain')
+      .select('id')
+      .eq('chain_id', chainId)
+      .eq('is_native', true)
       .limit(1)
       .maybeSingle();
 
     if (error) {
-      logger.error({ error: error.message, chainId }, 'Error selecting hot wallet');
-      return null;
+      throw new Error(`Failed to load native asset: ${error.message}`);
     }
 
-    return data;
+    return data?.id ?? null;
+  }
+
+  /**
+   * Native gas (raw) to reserve per in-flight withdrawal of this asset, from withdrawal_policies.gas_reserve_human
+   */
+  private async loadGasReserveRaw(
+    assetOnChainId: string,
+    chainConfig: ChainConfig
+  ): Promise<bigint> {
+    const { data, error } = await this.supabase
+      .from('withdrawal_policies')
+      .select('gas_reserve_human')
+      .eq('asset_on_chain_id', assetOnChainId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load withdrawal policy: ${error.message}`);
+    }
+
+    if (data?.gas_reserve_human === null || data?.gas_reserve_human === undefined) {
+      return 0n;
+    }
+
+    return BigInt(
+      this.decimalToRaw(String(data.gas_reserve_human), chainConfig.native_currency_decimals)
+    );
+  }
+
+  /**
+   * No hot wallet can cover the request right now: park it in 'waiting_liquidity'.
+   * updated_at drives the re-check interval in pickApprovedRequests.
+   */
+  private async markWaitingLiquidity(
+    request: WithdrawalRequest,
+    amountHuman: number
+  ): Promise<void> {
+    const { error } = await this.supabase
+      .from('withdrawal_requests')
+      .update({
+        status: 'waiting_liquidity',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', request.id)
+      .in('status', ['approved', 'waiting_liquidity'])
+      .is('queued_at', null);
+
+    if (error) {
+      throw new Error(`Failed to mark request waiting_liquidity: ${error.message}`);
+    }
+
+    if (request.status !== 'waiting_liquidity') {
+      logger.warn(
+        {
+          requestId: request.id,
+          chainId: request.chain_id,
+          amount: amountHuman,
+        },
+        'No hot wallet has enough liquidity - withdrawal request waiting for liquidity'
+      );
+    }
+  }
+
+  /**
+   * Convert a decimal string (e.g. NUMERIC from Postgres) to raw units without float math
+   */
+  private decimalToRaw(value: string, decimals: number): string {
+    const [integerPart = '0', fractionalPart = ''] = value.trim().split('.');
+    const paddedFractional = fractionalPart.padEnd(decimals, '0').slice(0, decimals);
+    return BigInt((integerPart || '0') + paddedFractional).toString();
   }
 
   /**
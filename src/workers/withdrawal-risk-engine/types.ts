@@ -3,6 +3,8 @@
  * Risk engine only updates withdrawal_requests; it does not touch withdrawal_queue.
  */
 
+import type { ScreeningHit } from '../../types/screening.js';
+
 export interface WithdrawalRequestRow {
   id: string;
   user_id: string;
@@ -50,6 +52,8 @@ export interface RiskEvaluationResult {
   decision: RiskDecision;
   requires_dual_approval: boolean;
   reason: string;
+  /** Denylist entries matching to_address (reason SANCTIONS_HIT) */
+  screening_hits?: ScreeningHit[];
 }
 
 export const RISK_METADATA_KEY = 'risk';
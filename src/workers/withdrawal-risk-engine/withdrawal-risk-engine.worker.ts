@@ -2,11 +2,13 @@ import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
 import { logger } from '../../utils/logger.js';
 import { sleep, sleepWithBackoff } from '../../utils/sleep.js';
+import { ScreeningService } from '../../services/screening.service.js';
 import {
   WorkerRuntime,
   workerIdentity,
   defaultHeartbeatIntervalMs,
 } from '../../control-plane/worker-runtime.js';
+import type { ScreeningHit } from '../../types/screening.js';
 import type {
   WithdrawalRequestRow,
   WithdrawalPolicyRow,
@@ -31,6 +33,7 @@ function withJitter(ms: number): number {
 export class WithdrawalRiskEngineWorker {
   private supabase: SupabaseClient;
   private runtime: WorkerRuntime;
+  private screening: ScreeningService;
   private isRunning = false;
   private stopHeartbeat: (() => void) | null = null;
 
@@ -39,6 +42,7 @@ export class WithdrawalRiskEngineWorker {
     this.runtime = new WorkerRuntime(
       workerIdentity('withdrawal_risk_engine', null)
     );
+    this.screening = new ScreeningService();
   }
 
   async initialize(): Promise<void> {
@@ -107,13 +111,14 @@ export class WithdrawalRiskEngineWorker {
   }
 
   /**
-   * Evaluate a single request: chain active, policy present/enabled, amount vs limits.
+   * Evaluate a single request: denylist, chain active, policy present/enabled, amount vs limits.
    * Fail-safe: any uncertainty -> manual_review.
    */
   private evaluate(
     request: WithdrawalRequestRow,
     chainActive: boolean,
-    policy: WithdrawalPolicyRow | null
+    policy: WithdrawalPolicyRow | null,
+    screeningHits: ScreeningHit[]
   ): { decision: RiskDecision; requiresDualApproval: boolean; result: RiskEvaluationResult } {
     const amountHuman = this.getAmountHuman(request);
     const evaluatedAt = new Date().toISOString();
@@ -131,6 +136,14 @@ export class WithdrawalRiskEngineWorker {
       reason: '',
     };
 
+    if (screeningHits.length > 0) {
+      return {
+        decision: 'manual_review',
+        requiresDualApproval: false,
+        result: { ...baseResult, reason: 'SANCTIONS_HIT', screening_hits: screeningHits },
+      };
+    }
+
     if (!chainActive) {
       return {
         decision: 'manual_review',
@@ -334,15 +347,17 @@ export class WithdrawalRiskEngineWorker {
           continue;
         }
 
-        const [chainActive, policy] = await Promise.all([
+        const [chainActive, policy, screeningHits] = await Promise.all([
           this.loadChainIsActive(chainId),
           this.loadPolicy(assetOnChainId),
+          this.screening.screen(chainId, [row.to_address]),
         ]);
 
         const { decision, requiresDualApproval, result } = this.evaluate(
           row,
           chainActive,
-          policy
+          policy,
+          screeningHits
         );
 
         logger.info(
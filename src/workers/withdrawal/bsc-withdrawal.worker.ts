@@ -1,6 +1,14 @@
 import { SupabaseClient } from '@supabase/supabase-js';
+import { ethers } from 'ethers';
 import { getSupabaseClient } from '../../config/supabase.js';
 import { SignerService } from '../../services/signer.service.js';
+import { signerChainOf, type ChainAdapter } from '../../chains/chain-adapter.js';
+import { createChainAdapter } from '../../chains/chain-adapter.factory.js';
+import { getEvmProvider } from '../../chains/shared-clients.js';
+import {
+  WithdrawalRefundService,
+  isPreBroadcastFailure,
+} from '../../services/withdrawal-refund.service.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import {
@@ -26,6 +34,7 @@ interface WithdrawalJob {
   error_message: string | null;
   scheduled_at: string;
   created_at: string;
+  batch_id?: string | null;
 }
 
 interface OperationWallet {
@@ -56,9 +65,18 @@ interface ChainConfig {
   chain_id?: number; // EVM chain ID (e.g. 56 for BSC mainnet), from chains.chain_id
 }
 
+/** Multi-send ABI (Disperse-compatible): pulls the total via transferFrom, then transfers to each recipient */
+const MULTISEND_ABI = [
+  'function disperseToken(address token, address[] recipients, uint256[] values)',
+];
+const ERC20_ALLOWANCE_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+];
+
 export class BscWithdrawalWorker {
   private supabase: SupabaseClient;
   private signerService: SignerService;
+  private refundService: WithdrawalRefundService;
   private runtime: WorkerRuntime | null = null;
   private isRunning: boolean = false;
   private stopHeartbeat: (() => void) | null = null;
@@ -67,9 +85,31 @@ export class BscWithdrawalWorker {
   private chainId: string = '';
   private chainConfig: ChainConfig | null = null;
 
-  constructor() {
+  // Optional batching: enabled when BSC_WITHDRAWAL_MULTISEND_CONTRACT is set
+  private readonly batchContract: string | null =
+    process.env.BSC_WITHDRAWAL_MULTISEND_CONTRACT || null;
+  private readonly BATCH_MIN_ITEMS = Math.max(
+    parseInt(process.env.BSC_WITHDRAWAL_BATCH_MIN_ITEMS || '2', 10),
+    2
+  );
+  private readonly BATCH_MAX_ITEMS = Math.max(
+    parseInt(process.env.BSC_WITHDRAWAL_BATCH_MAX_ITEMS || '50', 10),
+    this.BATCH_MIN_ITEMS
+  );
+  private provider: ethers.JsonRpcProvider | null = null;
+
+  private readonly chainName: string;
+  private signerChain: string = 'bsc';
+  private adapter: ChainAdapter | null = null;
+
+  /**
+   * @param chainName - chains.name of the EVM chain to serve (any chain_type = 'evm' row)
+   */
+  constructor(chainName: string = 'bsc') {
+    this.chainName = chainName;
     this.supabase = getSupabaseClient();
     this.signerService = new SignerService('bsc-withdrawal-worker');
+    this.refundService = new WithdrawalRefundService('bsc-withdrawal-worker');
   }
 
   get WORKER_ID(): string {
@@ -84,17 +124,28 @@ export class BscWithdrawalWorker {
 
     const { data: chain, error } = await this.supabase
       .from('chains')
-      .select('id, name, rpc_url, native_currency_decimals, chain_id')
-      .eq('name', 'bsc')
+      .select('id, name, rpc_url, rpc_urls, rpc_max_block_lag, native_currency_decimals, chain_id, chain_type, signer_chain')
+      .eq('name', this.chainName)
       .eq('is_active', true)
       .maybeSingle();
 
     if (error || !chain) {
-      throw new Error(`Failed to load BSC chain config: ${error?.message}`);
+      throw new Error(`Failed to load ${this.chainName} chain config: ${error?.message}`);
     }
 
     this.chainId = chain.id;
     this.chainConfig = chain;
+    this.signerChain = signerChainOf(chain);
+    this.adapter = createChainAdapter(chain);
+    if (this.adapter.chainType !== 'evm') {
+      throw new Error(`Chain ${this.chainName} is not an EVM chain`);
+    }
+    if (this.batchContract) {
+      if (!chain.chain_id) {
+        throw new Error(`chains.chain_id is not set for ${this.chainName} - required for multi-send batching`);
+      }
+      this.provider = getEvmProvider(chain);
+    }
     this.runtime = new WorkerRuntime(
       workerIdentity('withdrawal_execute', this.chainId)
     );
@@ -113,6 +164,9 @@ export class BscWithdrawalWorker {
         rpcUrl: chain.rpc_url,
         maxRetries: this.MAX_RETRIES,
         signerHealthy,
+        batching: this.batchContract
+          ? { contract: this.batchContract, minItems: this.BATCH_MIN_ITEMS, maxItems: this.BATCH_MAX_ITEMS }
+          : 'disabled',
       },
       'BSC Withdrawal Worker initialized successfully'
     );
@@ -123,6 +177,10 @@ export class BscWithdrawalWorker {
    */
   async processBatch(): Promise<void> {
     try {
+      if (this.batchContract && (await this.processMultiSendBatch())) {
+        return;
+      }
+
       const job = await this.pickNextJob();
 
       if (!job) {
@@ -150,6 +208,321 @@ export class BscWithdrawalWorker {
     }
   }
 
+  /**
+   * Batched payout: claim pending BEP20 jobs of one hot wallet + token and pay them in a single
+   * multi-send call. Returns false when there is nothing to batch (caller falls back to single jobs).
+   */
+  private async processMultiSendBatch(): Promise<boolean> {
+    const group = await this.pickBatchGroup();
+    if (!group) {
+      return false;
+    }
+
+    const { asset, jobs: candidates } = group;
+    const hotWallet = await this.loadHotWallet(candidates[0]!.operation_wallet_address_id);
+    if (!hotWallet) {
+      return false;
+    }
+
+    // Multi-send pulls the total via transferFrom - without allowance, pay jobs one by one
+    const total = candidates.reduce((sum, j) => sum + BigInt(j.amount_raw), 0n);
+    const allowance = await this.getMultiSendAllowance(asset.contract_address!, hotWallet.address);
+    if (allowance < total) {
+      logger.warn(
+        {
+          hotWallet: hotWallet.address,
+          token: asset.contract_address,
+          allowance: allowance.toString(),
+          required: total.toString(),
+          contract: this.batchContract,
+        },
+        'Multi-send allowance too low - falling back to single withdrawals'
+      );
+      return false;
+    }
+
+    // Claim jobs (only those still pending)
+    const { data: claimedRows, error: claimError } = await this.supabase
+      .from('withdrawal_queue')
+      .update({ status: 'processing' })
+      .in('id', candidates.map(j => j.id))
+      .eq('status', 'pending')
+      .select('*');
+
+    if (claimError) {
+      throw new Error(`Failed to claim batch jobs: ${claimError.message}`);
+    }
+
+    const claimedIds = new Set((claimedRows || []).map(r => r.id));
+    const jobs = candidates.filter(j => claimedIds.has(j.id));
+
+    if (jobs.length < this.BATCH_MIN_ITEMS) {
+      await this.revertJobsToPending(jobs.map(j => j.id));
+      return false;
+    }
+
+    const balanceLocked = await this.lockHotWalletBalance(hotWallet.id, asset.id);
+    if (!balanceLocked) {
+      await this.revertJobsToPending(jobs.map(j => j.id));
+      return true;
+    }
+
+    let batchId: string | null = null;
+    let sendAttempted = false;
+
+    try {
+      const batchTotal = jobs.reduce((sum, j) => sum + BigInt(j.amount_raw), 0n);
+
+      const { data: batch, error: batchError } = await this.supabase
+        .from('withdrawal_batches')
+        .insert({
+          chain_id: this.chainId,
+          operation_wallet_address_id: hotWallet.id,
+          asset_on_chain_id: asset.id,
+          contract_address: this.batchContract,
+          item_count: jobs.length,
+          total_amount_raw: batchTotal.toString(),
+          status: 'processing',
+        })
+        .select('id')
+        .single();
+
+      if (batchError || !batch) {
+        throw new Error(`Failed to create withdrawal batch: ${batchError?.message}`);
+      }
+      batchId = batch.id as string;
+
+      for (const [index, job] of jobs.entries()) {
+        await this.supabase
+          .from('withdrawal_queue')
+          .update({ batch_id: batchId, batch_index: index })
+          .eq('id', job.id);
+      }
+
+      logger.info(
+        {
+          batchId,
+          hotWallet: hotWallet.address,
+          token: asset.contract_address,
+          items: jobs.length,
+          totalRaw: batchTotal.toString(),
+        },
+        'Executing BSC multi-send withdrawal batch'
+      );
+
+      const txHash = await this.withHotWalletNonceLock(hotWallet.address, async () => {
+        const unsignedTxHex = await this.buildMultiSendTx(
+          hotWallet,
+          asset.contract_address!,
+          jobs.map(j => j.to_address),
+          jobs.map(j => j.amount_raw)
+        );
+
+        const signerResult = await this.signerService.signTransaction({
+          chain: this.signerChain,
+          wallet_group_id: hotWallet.wallet_group_id,
+          derivation_index: hotWallet.derivation_index,
+          unsigned_tx: unsignedTxHex,
+        });
+
+        // From here on the transaction may reach the network, even if the call fails
+        sendAttempted = true;
+        const tx = await this.provider!.broadcastTransaction(signerResult.signed_tx);
+        return tx.hash;
+      });
+
+      const now = new Date().toISOString();
+      await this.supabase
+        .from('withdrawal_batches')
+        .update({ status: 'confirming', tx_hash: txHash, broadcast_at: now })
+        .eq('id', batchId);
+
+      await this.supabase
+        .from('withdrawal_queue')
+        .update({ status: 'confirming', tx_hash: txHash, processed_at: now })
+        .eq('batch_id', batchId);
+
+      logger.info(
+        { batchId, txHash, items: jobs.length },
+        'Multi-send withdrawal batch broadcasted successfully'
+      );
+
+      // Balance lock remains until the confirmation worker finalizes the items
+    } catch (error: any) {
+      await this.releaseBalanceLock(hotWallet.id, asset.id);
+
+      const preBroadcast = isPreBroadcastFailure(error, sendAttempted);
+      const now = new Date().toISOString();
+
+      if (batchId) {
+        await this.supabase
+          .from('withdrawal_batches')
+          .update({
+            status: preBroadcast ? 'failed' : 'reconcile',
+            error_message: error.message,
+            finalized_at: now,
+          })
+          .eq('id', batchId);
+      }
+
+      // The call may have paid everyone: no retry, no refund - items keep their batch for reconciliation
+      if (!preBroadcast) {
+        logger.error(
+          { batchId, items: jobs.length, error: error.message, errorType: error.errorType },
+          'Multi-send broadcast outcome unknown - items parked for reconciliation'
+        );
+
+        const reason = `[${error.errorType || 'unknown'}] ${error.message}`;
+        for (const job of jobs) {
+          await this.supabase
+            .from('withdrawal_queue')
+            .update({ status: 'failed', error_message: reason, processed_at: now })
+            .eq('id', job.id);
+          await this.failWithdrawalRequest(job, reason, false);
+        }
+        return true;
+      }
+
+      // Items go back through normal retry handling, detached from the failed batch
+      for (const job of jobs) {
+        await this.supabase
+          .from('withdrawal_queue')
+          .update({ batch_id: null, batch_index: null })
+          .eq('id', job.id);
+        await this.handleJobError(job, error, sendAttempted);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Largest group of pending BEP20 jobs sharing hot wallet and token (at least BATCH_MIN_ITEMS)
+   */
+  private async pickBatchGroup(): Promise<{ asset: AssetOnChain; jobs: WithdrawalJob[] } | null> {
+    const { data: candidates, error } = await this.supabase
+      .from('withdrawal_queue')
+      .select('*')
+      .eq('chain_id', this.chainId)
+      .eq('status', 'pending')
+      .lte('scheduled_at', new Date().toISOString())
+      .lt('retry_count', this.MAX_RETRIES)
+      .order('scheduled_at', { ascending: true })
+      .limit(this.BATCH_MAX_ITEMS * 4);
+
+    if (error) {
+      logger.error({ error: error.message }, 'Failed to fetch batch candidate jobs');
+      return null;
+    }
+
+    const groups = new Map<string, WithdrawalJob[]>();
+    for (const job of (candidates || []) as WithdrawalJob[]) {
+      const key = `${job.operation_wallet_address_id}:${job.asset_on_chain_id}`;
+      const group = groups.get(key) ?? [];
+      group.push(job);
+      groups.set(key, group);
+    }
+
+    const ordered = Array.from(groups.values())
+      .filter(g => g.length >= this.BATCH_MIN_ITEMS)
+      .sort((a, b) => b.length - a.length);
+
+    for (const group of ordered) {
+      const asset = await this.loadAsset(group[0]!.asset_on_chain_id);
+      if (asset && !asset.is_native && asset.contract_address) {
+        return { asset, jobs: group.slice(0, this.BATCH_MAX_ITEMS) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Token allowance the hot wallet granted to the multi-send contract
+   */
+  private async getMultiSendAllowance(tokenAddress: string, owner: string): Promise<bigint> {
+    const token = new ethers.Contract(tokenAddress, ERC20_ALLOWANCE_ABI, this.provider!);
+    return BigInt(await token.getFunction('allowance')(owner, this.batchContract));
+  }
+
+  /**
+   * Unsigned multi-send call (hex) for the signer's unsigned_tx path. Must run under
+   * withHotWalletNonceLock: the nonce is the hot wallet's pending transaction count.
+   */
+  private async buildMultiSendTx(
+    hotWallet: OperationWallet,
+    tokenAddress: string,
+    recipients: string[],
+    amountsRaw: string[]
+  ): Promise<string> {
+    const chainId = this.chainConfig?.chain_id;
+    if (!chainId) {
+      throw new Error(`chains.chain_id is not set for ${this.chainName}`);
+    }
+
+    const provider = this.provider!;
+
+    const data = new ethers.Interface(MULTISEND_ABI).encodeFunctionData('disperseToken', [
+      tokenAddress,
+      recipients,
+      amountsRaw.map(a => BigInt(a)),
+    ]);
+
+    const estimatedGas = await provider.estimateGas({
+      from: hotWallet.address,
+      to: this.batchContract!,
+      data,
+    });
+    const feeData = await provider.getFeeData();
+    const nonce = await provider.getTransactionCount(hotWallet.address, 'pending');
+
+    return ethers.Transaction.from({
+      to: this.batchContract!,
+      data,
+      value: 0n,
+      nonce,
+      gasLimit: (estimatedGas * 120n) / 100n, // 20% headroom
+      gasPrice: feeData.gasPrice || ethers.parseUnits('5', 'gwei'),
+      chainId: Number(chainId),
+    }).unsignedSerialized;
+  }
+
+  /**
+   * Run fn holding the hot wallet's Postgres advisory lock (lock_evm_funder, migration 005), so
+   * multi-sends and single sends from one hot wallet never pick the same pending nonce
+   */
+  private async withHotWalletNonceLock<T>(address: string, fn: () => Promise<T>): Promise<T> {
+    const key = address.toLowerCase();
+    const { error } = await this.supabase.rpc('lock_evm_funder', { key });
+    if (error) {
+      throw new Error(`Failed to acquire hot wallet nonce lock: ${error.message}`);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      const { error: unlockError } = await this.supabase.rpc('unlock_evm_funder', { key });
+      if (unlockError) {
+        logger.error(
+          { error: unlockError.message, address },
+          'Failed to release hot wallet nonce lock'
+        );
+      }
+    }
+  }
+
+  private async revertJobsToPending(jobIds: string[]): Promise<void> {
+    if (jobIds.length === 0) {
+      return;
+    }
+
+    await this.supabase
+      .from('withdrawal_queue')
+      .update({ status: 'pending' })
+      .in('id', jobIds)
+      .eq('status', 'processing');
+  }
+
   /**
    * Pick next pending job for BSC chain
    */
@@ -200,6 +573,7 @@ export class BscWithdrawalWorker {
    */
   private async processJob(job: WithdrawalJob): Promise<void> {
     let balanceLocked = false;
+    let sendAttempted = false;
 
     try {
       // 1. Mark job as processing
@@ -263,11 +637,15 @@ export class BscWithdrawalWorker {
         'Requesting transaction from signer service'
       );
 
-      const signerResult = await this.signerService.signTransaction({
-        chain: 'bsc',
-        wallet_group_id: hotWallet.wallet_group_id,
-        derivation_index: hotWallet.derivation_index,
-        tx_intent: txIntent,
+      const signerResult = await this.withHotWalletNonceLock(hotWallet.address, () => {
+        // From here on the signer may broadcast, even if the call fails
+        sendAttempted = true;
+        return this.signerService.signTransaction({
+          chain: this.signerChain,
+          wallet_group_id: hotWallet.wallet_group_id,
+          derivation_index: hotWallet.derivation_index,
+          tx_intent: txIntent,
+        });
       });
 
       const txHash =
@@ -305,7 +683,7 @@ export class BscWithdrawalWorker {
         await this.releaseBalanceLock(job.operation_wallet_address_id, job.asset_on_chain_id);
       }
 
-      await this.handleJobError(job, error);
+      await this.handleJobError(job, error, sendAttempted);
     }
   }
 
@@ -419,7 +797,7 @@ export class BscWithdrawalWorker {
   }
 
   /**
-   * Build transaction intent (native BNB or BEP20 token)
+   * Build transaction intent (native or ERC20/BEP20 token) through the chain adapter
    */
   private buildTransactionIntent(
     from: string,
@@ -427,29 +805,7 @@ export class BscWithdrawalWorker {
     amountRaw: string,
     asset: AssetOnChain
   ): any {
-    if (asset.is_native) {
-      // Native BNB transfer
-      return {
-        type: 'native_transfer',
-        from,
-        to,
-        value: amountRaw,
-        gasLimit: 21000, // Standard ETH transfer gas limit
-      };
-    } else {
-      // BEP20 token transfer
-      if (!asset.contract_address) {
-        throw new Error('Token contract address is required for BEP20 withdrawal');
-      }
-      return {
-        type: 'erc20_transfer',
-        from,
-        to,
-        contractAddress: asset.contract_address,
-        amount: amountRaw,
-        gasLimit: 65000, // Standard ERC20 transfer gas limit
-      };
-    }
+    return this.adapter!.buildTransferIntent(from, to, amountRaw, asset);
   }
 
   /**
@@ -465,7 +821,11 @@ export class BscWithdrawalWorker {
   /**
    * Handle job error
    */
-  private async handleJobError(job: WithdrawalJob, error: any): Promise<void> {
+  private async handleJobError(
+    job: WithdrawalJob,
+    error: any,
+    sendAttempted: boolean
+  ): Promise<void> {
     const retryCount = job.retry_count + 1;
     const maxRetries = job.max_retries || this.MAX_RETRIES;
 
@@ -504,6 +864,46 @@ export class BscWithdrawalWorker {
     }
 
     await this.supabase.from('withdrawal_queue').update(updates).eq('id', job.id);
+
+    if (!isRetryable) {
+      await this.failWithdrawalRequest(
+        job,
+        updates.error_message,
+        isPreBroadcastFailure(error, sendAttempted)
+      );
+    }
+  }
+
+  /**
+   * Terminal job failure: mark the withdrawal request failed, then refund the user only if the
+   * failure is known to be pre-broadcast - anything else is held for manual review.
+   */
+  private async failWithdrawalRequest(
+    job: WithdrawalJob,
+    reason: string,
+    preBroadcast: boolean
+  ): Promise<void> {
+    const { error: requestError } = await this.supabase
+      .from('withdrawal_requests')
+      .update({
+        status: 'failed',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', job.withdrawal_request_id);
+
+    if (requestError) {
+      logger.error(
+        { error: requestError.message, withdrawalRequestId: job.withdrawal_request_id },
+        'Failed to update withdrawal_requests status to failed'
+      );
+    }
+
+    await this.refundService.settleFailedExecution(
+      job.withdrawal_request_id,
+      job.id,
+      reason,
+      preBroadcast
+    );
   }
 
   /**
@@ -553,6 +953,7 @@ export class BscWithdrawalWorker {
         }
 
         await this.processBatch();
+        await this.refundService.retryDueRefunds();
         await this.runtime.logExecution({
           executionType: 'cycle',
           status: 'success',
@@ -1,6 +1,10 @@
 import { SupabaseClient } from '@supabase/supabase-js';
 import { getSupabaseClient } from '../../config/supabase.js';
 import { SignerService } from '../../services/signer.service.js';
+import {
+  WithdrawalRefundService,
+  isPreBroadcastFailure,
+} from '../../services/withdrawal-refund.service.js';
 import { logger } from '../../utils/logger.js';
 import { sleep } from '../../utils/sleep.js';
 import {
@@ -58,6 +62,7 @@ interface ChainConfig {
 export class TronWithdrawalWorker {
   private supabase: SupabaseClient;
   private signerService: SignerService;
+  private refundService: WithdrawalRefundService;
   private runtime: WorkerRuntime | null = null;
   private isRunning: boolean = false;
   private stopHeartbeat: (() => void) | null = null;
@@ -69,6 +74,7 @@ export class TronWithdrawalWorker {
   constructor() {
     this.supabase = getSupabaseClient();
     this.signerService = new SignerService('tron-withdrawal-worker');
+    this.refundService = new WithdrawalRefundService('tron-withdrawal-worker');
   }
 
   get WORKER_ID(): string {
@@ -199,6 +205,7 @@ export class TronWithdrawalWorker {
    */
   private async processJob(job: WithdrawalJob): Promise<void> {
     let balanceLocked = false;
+    let sendAttempted = false;
 
     try {
       // 1. Mark job as processing
@@ -262,6 +269,8 @@ export class TronWithdrawalWorker {
         'Requesting transaction from signer service'
       );
 
+      // From here on the signer may broadcast, even if the call fails
+      sendAttempted = true;
       const signerResult = await this.signerService.signTransaction({
         chain: 'tron',
         wallet_group_id: hotWallet.wallet_group_id,
@@ -305,7 +314,7 @@ export class TronWithdrawalWorker {
         await this.releaseBalanceLock(job.operation_wallet_address_id, job.asset_on_chain_id);
       }
 
-      await this.handleJobError(job, error);
+      await this.handleJobError(job, error, sendAttempted);
     }
   }
 
@@ -463,7 +472,11 @@ export class TronWithdrawalWorker {
   /**
    * Handle job error
    */
-  private async handleJobError(job: WithdrawalJob, error: any): Promise<void> {
+  private async handleJobError(
+    job: WithdrawalJob,
+    error: any,
+    sendAttempted: boolean
+  ): Promise<void> {
     const retryCount = job.retry_count + 1;
     const maxRetries = job.max_retries || this.MAX_RETRIES;
 
@@ -518,6 +531,46 @@ export class TronWithdrawalWorker {
     }
 
     await this.supabase.from('withdrawal_queue').update(updates).eq('id', job.id);
+
+    if (!isRetryable) {
+      await this.failWithdrawalRequest(
+        job,
+        updates.error_message,
+        isPreBroadcastFailure(error, sendAttempted)
+      );
+    }
+  }
+
+  /**
+   * Terminal job failure: mark the withdrawal request failed, then refund the user only if the
+   * failure is known to be pre-broadcast - anything else is held for manual review.
+   */
+  private async failWithdrawalRequest(
+    job: WithdrawalJob,
+    reason: string,
+    preBroadcast: boolean
+  ): Promise<void> {
+    const { error: requestError } = await this.supabase
+      .from('withdrawal_requests')
+      .update({
+        status: 'failed',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', job.withdrawal_request_id);
+
+    if (requestError) {
+      logger.error(
+        { error: requestError.message, withdrawalRequestId: job.withdrawal_request_id },
+        'Failed to update withdrawal_requests status to failed'
+      );
+    }
+
+    await this.refundService.settleFailedExecution(
+      job.withdrawal_request_id,
+      job.id,
+      reason,
+      preBroadcast
+    );
   }
 
   /**
@@ -567,6 +620,7 @@ export class TronWithdrawalWorker {
         }
 
         await this.processBatch();
+        await this.refundService.retryDueRefunds();
         await this.runtime.logExecution({
           executionType: 'cycle',
           status: 'success',